@@ -6,10 +6,10 @@
  */
 
 const express = require('express');
-const { WhatsAppGateway } = require('../src/index');
+const { WhatsAppGateway, createRestRouter } = require('../src/index');
 
 const app = express();
-app.use(express.json());
+app.use(express.json({ limit: '25mb' }));
 
 // In-memory API keys
 const validApiKeys = new Map([
@@ -43,168 +43,10 @@ const gateway = new WhatsAppGateway({
 });
 
 // REST API Routes
-
-/**
- * Send a text message
- * POST /api/send-message
- * Headers: X-API-Key: your-api-key
- * Body: { phoneNumber, message }
- */
-app.post('/api/send-message', async (req, res) => {
-  try {
-    const apiKey = req.headers['x-api-key'];
-    if (!apiKey) {
-      return res.status(401).json({ error: 'API key required' });
-    }
-
-    const { phoneNumber, message } = req.body;
-    
-    const result = await gateway.sendMessage(apiKey, {
-      phoneNumber,
-      message
-    });
-
-    res.json({ success: true, result });
-  } catch (error) {
-    res.status(400).json({ 
-      success: false, 
-      error: {
-        code: error.code,
-        message: error.message
-      }
-    });
-  }
-});
-
-/**
- * Send an image
- * POST /api/send-image
- * Headers: X-API-Key: your-api-key
- * Body: { phoneNumber, imageUrl, caption }
- */
-app.post('/api/send-image', async (req, res) => {
-  try {
-    const apiKey = req.headers['x-api-key'];
-    if (!apiKey) {
-      return res.status(401).json({ error: 'API key required' });
-    }
-
-    const { phoneNumber, imageUrl, caption } = req.body;
-    
-    const result = await gateway.sendImage(apiKey, {
-      phoneNumber,
-      imageUrl,
-      caption
-    });
-
-    res.json({ success: true, result });
-  } catch (error) {
-    res.status(400).json({ 
-      success: false, 
-      error: {
-        code: error.code,
-        message: error.message
-      }
-    });
-  }
-});
-
-/**
- * Send a video
- * POST /api/send-video
- * Headers: X-API-Key: your-api-key
- * Body: { phoneNumber, videoUrl, caption }
- */
-app.post('/api/send-video', async (req, res) => {
-  try {
-    const apiKey = req.headers['x-api-key'];
-    if (!apiKey) {
-      return res.status(401).json({ error: 'API key required' });
-    }
-
-    const { phoneNumber, videoUrl, caption } = req.body;
-    
-    const result = await gateway.sendVideo(apiKey, {
-      phoneNumber,
-      videoUrl,
-      caption
-    });
-
-    res.json({ success: true, result });
-  } catch (error) {
-    res.status(400).json({ 
-      success: false, 
-      error: {
-        code: error.code,
-        message: error.message
-      }
-    });
-  }
-});
-
-/**
- * Send a document
- * POST /api/send-document
- * Headers: X-API-Key: your-api-key
- * Body: { phoneNumber, documentUrl, documentName }
- */
-app.post('/api/send-document', async (req, res) => {
-  try {
-    const apiKey = req.headers['x-api-key'];
-    if (!apiKey) {
-      return res.status(401).json({ error: 'API key required' });
-    }
-
-    const { phoneNumber, documentUrl, documentName } = req.body;
-    
-    const result = await gateway.sendDocument(apiKey, {
-      phoneNumber,
-      documentUrl,
-      documentName
-    });
-
-    res.json({ success: true, result });
-  } catch (error) {
-    res.status(400).json({ 
-      success: false, 
-      error: {
-        code: error.code,
-        message: error.message
-      }
-    });
-  }
-});
-
-/**
- * Get active sessions for the API key
- * GET /api/sessions
- * Headers: X-API-Key: your-api-key
- */
-app.get('/api/sessions', (req, res) => {
-  try {
-    const apiKey = req.headers['x-api-key'];
-    if (!apiKey) {
-      return res.status(401).json({ error: 'API key required' });
-    }
-
-    const sessions = gateway.getActiveSessions(apiKey);
-    res.json({ success: true, sessions });
-  } catch (error) {
-    res.status(400).json({ 
-      success: false, 
-      error: error.message
-    });
-  }
-});
-
-/**
- * Health check endpoint
- * GET /api/health
- */
-app.get('/api/health', (req, res) => {
-  const health = gateway.getHealth();
-  res.json(health);
-});
+// createRestRouter provides /send-message, /send-image, /send-video, /send-document,
+// /send, /messages/:requestId, /sessions, /health and /openapi.json with API key
+// checks and HTTP status codes mapped from the gateway error codes.
+app.use('/api', createRestRouter(gateway));
 
 /**
  * Home page
@@ -265,6 +107,11 @@ app.get('/', (req, res) => {
           <strong>GET /api/health</strong><br>
           Health check
         </div>
+        
+        <div class="endpoint">
+          <strong>GET /api/openapi.json</strong><br>
+          OpenAPI document for all endpoints
+        </div>
       </body>
     </html>
   `);
@@ -0,0 +1,388 @@
+const { v4: uuidv4 } = require('uuid');
+const utils = require('./utils');
+const { fillPlaceholders, MEDIA_URL_FIELDS } = require('./templates');
+
+/**
+ * Statuses a recipient of a bulk job can be in
+ */
+const RECIPIENT_STATUSES = ['pending', 'sent', 'queued', 'failed', 'cancelled'];
+
+/**
+ * A field that is nothing but one {{name}} placeholder
+ */
+const WHOLE_PLACEHOLDER = /^\{\{\s*\w+\s*\}\}$/;
+
+/**
+ * Fill {{name}} placeholders in every string field of a message.
+ * Values filled into part of a media URL are URL-encoded; a media URL that
+ * is a single placeholder takes the recipient's value as the whole URL.
+ * @param {object} message - Message with placeholders
+ * @param {object} vars - Values by placeholder name
+ * @returns {object} Message with placeholders replaced
+ */
+function fillMessage(message, vars) {
+  const filled = {};
+  for (const [field, value] of Object.entries(message)) {
+    if (typeof value !== 'string') {
+      filled[field] = value;
+      continue;
+    }
+    const encode = Object.values(MEDIA_URL_FIELDS).includes(field) && !WHOLE_PLACEHOLDER.test(value)
+      ? encodeURIComponent
+      : undefined;
+    filled[field] = fillPlaceholders(value, vars, encode);
+  }
+  return filled;
+}
+
+/**
+ * BulkSender runs bulk send jobs: one message to many recipients.
+ *
+ * Each recipient goes through gateway.send(), so device selection, rate
+ * limits, pacing and retries apply as for single sends. A few workers run in
+ * parallel (one per active device by default) so the job fans out across
+ * devices. Recipients hitting a rate limit wait for it to clear instead of
+ * failing.
+ */
+class BulkSender {
+  /**
+   * @param {WhatsAppGateway} gateway - Gateway that sends the messages
+   * @param {object} config - Bulk configuration
+   * @param {number} config.maxFinishedJobs - Finished jobs kept for getBulkJob() (default: 100)
+   */
+  constructor(gateway, config = {}) {
+    this.gateway = gateway;
+    this.maxFinishedJobs = config.maxFinishedJobs || 100;
+
+    // jobId -> job, in creation order
+    this.jobs = new Map();
+  }
+
+  /**
+   * Create a job and start sending in the background
+   * @param {string} apiKey - API key
+   * @param {Array<string|object>} recipients - Phone numbers, or { phoneNumber, ...vars } objects
+   * @param {object} template - Message { type, ...payload } with optional {{var}} placeholders (type defaults to 'message'),
+   *   or { template, locale } naming a registered template; recipient fields are the variables
+   * @param {object} options - { concurrency, queue, ttl }
+   * @returns {object} Job snapshot
+   */
+  start(apiKey, recipients, template, options = {}) {
+    if (!Array.isArray(recipients) || recipients.length === 0) {
+      throw utils.formatError('VALIDATION_ERROR', 'recipients must be a non-empty array');
+    }
+    if (!template || typeof template !== 'object') {
+      throw utils.formatError('VALIDATION_ERROR', 'Invalid template object');
+    }
+    const type = template.type || 'message';
+    if (template.template !== undefined) {
+      if (!this.gateway.templates.has(template.template)) {
+        throw utils.formatError('VALIDATION_ERROR', `Unknown template: ${template.template}`);
+      }
+    } else if (!this.gateway.messageTypes.get(type)) {
+      throw utils.formatError('VALIDATION_ERROR', `Unknown message type: ${type}`);
+    }
+    if (options.concurrency !== undefined && !(Number.isInteger(options.concurrency) && options.concurrency > 0)) {
+      throw utils.formatError('VALIDATION_ERROR', 'concurrency must be a positive integer');
+    }
+
+    const entries = recipients.map((recipient, index) => {
+      const vars = typeof recipient === 'string' ? { phoneNumber: recipient } : recipient;
+      if (!vars || typeof vars.phoneNumber !== 'string' || !vars.phoneNumber) {
+        throw utils.formatError('VALIDATION_ERROR', `Recipient ${index} has no phoneNumber`);
+      }
+      return {
+        index,
+        phoneNumber: vars.phoneNumber,
+        vars,
+        status: 'pending',
+        requestId: utils.generateRequestId(),
+        messageId: null,
+        error: null,
+        finishedAt: null
+      };
+    });
+
+    const job = {
+      jobId: uuidv4(),
+      apiKey,
+      state: 'running',
+      template: { ...template, type },
+      options,
+      recipients: entries,
+      next: 0,
+      retries: [],
+      waiters: new Set(),
+      createdAt: Date.now(),
+      finishedAt: null
+    };
+    this.jobs.set(job.jobId, job);
+
+    const workers = options.concurrency ||
+      Math.max(1, this.gateway.sessionManager.getActiveSessions(apiKey).length);
+    const running = [];
+    for (let i = 0; i < Math.min(workers, entries.length); i++) {
+      running.push(this._runWorker(job));
+    }
+    Promise.all(running)
+      .catch((error) => {
+        this.gateway.config.onError({
+          code: 'BULK_ERROR',
+          message: 'Bulk job stopped unexpectedly',
+          jobId: job.jobId,
+          originalError: error.message
+        });
+        this.cancel(job.jobId);
+      })
+      .then(() => this._finish(job));
+
+    return this.snapshot(job);
+  }
+
+  /**
+   * Get a job
+   * @param {string} jobId - Job ID
+   * @returns {object|null} Job snapshot or null
+   */
+  get(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? this.snapshot(job) : null;
+  }
+
+  /**
+   * Stop starting new sends until resume() (sends in flight finish)
+   * @param {string} jobId - Job ID
+   * @returns {boolean} True if the job was running
+   */
+  pause(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || job.state !== 'running') {
+      return false;
+    }
+    job.state = 'paused';
+    return true;
+  }
+
+  /**
+   * Continue a paused job
+   * @param {string} jobId - Job ID
+   * @returns {boolean} True if the job was paused
+   */
+  resume(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || job.state !== 'paused') {
+      return false;
+    }
+    job.state = 'running';
+    this._wake(job);
+    return true;
+  }
+
+  /**
+   * Cancel the remaining recipients of a job (sends in flight finish)
+   * @param {string} jobId - Job ID
+   * @returns {boolean} True if the job was running or paused
+   */
+  cancel(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job || (job.state !== 'running' && job.state !== 'paused')) {
+      return false;
+    }
+    job.state = 'cancelled';
+    job.recipients.forEach((recipient) => {
+      if (recipient.status === 'pending' && !recipient.inFlight) {
+        recipient.status = 'cancelled';
+        recipient.finishedAt = Date.now();
+      }
+    });
+    this._wake(job);
+    return true;
+  }
+
+  /**
+   * Cancel every unfinished job (used when the gateway stops)
+   */
+  cancelAll() {
+    for (const jobId of this.jobs.keys()) {
+      this.cancel(jobId);
+    }
+  }
+
+  /**
+   * Public view of a job
+   * @param {object} job - Job
+   * @returns {object} { jobId, state, total, counts, results, createdAt, finishedAt }
+   */
+  snapshot(job) {
+    const counts = {};
+    RECIPIENT_STATUSES.forEach((status) => {
+      counts[status] = 0;
+    });
+    job.recipients.forEach((recipient) => {
+      counts[recipient.status]++;
+    });
+
+    return {
+      jobId: job.jobId,
+      apiKey: job.apiKey,
+      state: job.state,
+      total: job.recipients.length,
+      counts,
+      results: job.recipients.map(recipient => ({
+        phoneNumber: recipient.phoneNumber,
+        status: recipient.status,
+        requestId: recipient.requestId,
+        messageId: recipient.messageId,
+        error: recipient.error
+      })),
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  /**
+   * Send to recipients one at a time until none are left
+   * @private
+   */
+  async _runWorker(job) {
+    for (;;) {
+      while (job.state === 'paused') {
+        await this._wait(job);
+      }
+      if (job.state === 'cancelled') {
+        return;
+      }
+
+      const recipient = job.retries.shift() || job.recipients[job.next++];
+      if (!recipient) {
+        return;
+      }
+      if (recipient.status !== 'pending') {
+        continue;
+      }
+
+      recipient.inFlight = true;
+      const retryAfter = await this._send(job, recipient);
+      recipient.inFlight = false;
+
+      if (retryAfter !== null) {
+        if (job.state === 'cancelled') {
+          recipient.status = 'cancelled';
+          recipient.finishedAt = Date.now();
+          return;
+        }
+        // Rate limited: try the recipient again once the limit clears
+        job.retries.push(recipient);
+        await this._wait(job, retryAfter);
+      }
+    }
+  }
+
+  /**
+   * Send to one recipient and record the outcome
+   * @returns {Promise<number|null>} Milliseconds to wait before retrying, or null when done
+   * @private
+   */
+  async _send(job, recipient) {
+    const { type, template: templateName, locale, ...fields } = job.template;
+    let message;
+
+    try {
+      const content = templateName
+        ? { ...fields, ...this.gateway.templates.render(templateName, recipient.vars, recipient.vars.locale || locale) }
+        : { ...fillMessage(fields, recipient.vars), type };
+      message = { ...content, phoneNumber: recipient.phoneNumber };
+      const result = await this.gateway.send(job.apiKey, message, {
+        requestId: recipient.requestId,
+        queue: job.options.queue,
+        ttl: job.options.ttl,
+        jobId: job.jobId
+      });
+
+      recipient.status = result.queued ? 'queued' : (result.success ? 'sent' : 'failed');
+      recipient.messageId = result.messageId || null;
+      recipient.error = result.success ? null : result.error || 'Extension reported failure';
+    } catch (error) {
+      const code = utils.getErrorCode(error);
+      if (code === 'RATE_LIMITED') {
+        return error.retryAfter || 1000;
+      }
+
+      recipient.status = 'failed';
+      recipient.error = error.message;
+
+      // Sends that never reached a device were not logged by the gateway
+      if (!this.gateway.messageTracker.get(recipient.requestId)) {
+        this.gateway._logMessage(
+          job.apiKey,
+          null,
+          recipient.requestId,
+          message ? message.type : type,
+          message || { phoneNumber: recipient.phoneNumber },
+          { success: false, error: error.message, timestamp: Date.now() },
+          [],
+          job.jobId
+        );
+      }
+    }
+
+    recipient.finishedAt = Date.now();
+    this.gateway.emit('bulk:progress', {
+      jobId: job.jobId,
+      apiKey: job.apiKey,
+      phoneNumber: recipient.phoneNumber,
+      requestId: recipient.requestId,
+      status: recipient.status,
+      error: recipient.error,
+      timestamp: recipient.finishedAt
+    });
+    return null;
+  }
+
+  /**
+   * Wait until woken by resume/cancel, or for ms if given
+   * @private
+   */
+  _wait(job, ms) {
+    return new Promise((resolve) => {
+      let timeoutId = null;
+      const done = () => {
+        clearTimeout(timeoutId);
+        job.waiters.delete(done);
+        resolve();
+      };
+      if (ms !== undefined) {
+        timeoutId = setTimeout(done, ms);
+      }
+      job.waiters.add(done);
+    });
+  }
+
+  /**
+   * @private
+   */
+  _wake(job) {
+    Array.from(job.waiters).forEach(done => done());
+  }
+
+  /**
+   * Mark a job finished and drop the oldest finished jobs over the limit
+   * @private
+   */
+  _finish(job) {
+    if (job.state !== 'cancelled') {
+      job.state = 'completed';
+    }
+    job.finishedAt = Date.now();
+
+    const snapshot = this.snapshot(job);
+    this.gateway.emit('bulk:completed', { ...snapshot, timestamp: job.finishedAt });
+
+    const finished = Array.from(this.jobs.values()).filter(j => j.finishedAt);
+    finished.slice(0, Math.max(0, finished.length - this.maxFinishedJobs)).forEach((old) => {
+      this.jobs.delete(old.jobId);
+    });
+  }
+}
+
+module.exports = BulkSender;
@@ -0,0 +1,474 @@
+const { v4: uuidv4 } = require('uuid');
+const utils = require('./utils');
+
+/**
+ * Session fields shared with other nodes (everything needed to pick and target a device)
+ */
+const SHARED_FIELDS = ['sessionId', 'apiKey', 'deviceActive', 'whatsappNumber', 'deviceId', 'label', 'tags', 'weight', 'connectedAt'];
+
+/**
+ * MemoryClusterAdapter - session registry and command bus inside one process.
+ *
+ * Pass the same instance to several gateways to run them as a cluster in
+ * tests or single-process setups.
+ */
+class MemoryClusterAdapter {
+  constructor() {
+    // apiKey -> Map(sessionId -> descriptor)
+    this.sessions = new Map();
+
+    // channel -> handler
+    this.handlers = new Map();
+  }
+
+  async setSession(descriptor) {
+    if (!this.sessions.has(descriptor.apiKey)) {
+      this.sessions.set(descriptor.apiKey, new Map());
+    }
+    this.sessions.get(descriptor.apiKey).set(descriptor.sessionId, { ...descriptor });
+  }
+
+  async removeSession(apiKey, sessionId) {
+    const sessions = this.sessions.get(apiKey);
+    if (sessions) {
+      sessions.delete(sessionId);
+    }
+  }
+
+  async getSessions(apiKey) {
+    const sessions = this.sessions.get(apiKey);
+    return sessions ? Array.from(sessions.values()).map(descriptor => ({ ...descriptor })) : [];
+  }
+
+  async publish(channel, message) {
+    const handler = this.handlers.get(channel);
+    if (handler) {
+      // Deliver asynchronously, like a real broker
+      const copy = JSON.parse(JSON.stringify(message));
+      setImmediate(() => handler(copy));
+    }
+  }
+
+  async subscribe(channel, handler) {
+    this.handlers.set(channel, handler);
+  }
+
+  async unsubscribe(channel) {
+    this.handlers.delete(channel);
+  }
+}
+
+/**
+ * RedisClusterAdapter - session registry in Redis hashes and command bus over
+ * Redis pub/sub.
+ *
+ * Takes an ioredis-compatible client (hset, hdel, hgetall, publish, and
+ * subscribe/unsubscribe with 'message' events). Subscriptions need their own
+ * connection, so `subscriber` defaults to `client.duplicate()`.
+ */
+class RedisClusterAdapter {
+  /**
+   * @param {object} config - Redis configuration
+   * @param {object} config.client - Redis client for commands
+   * @param {object} config.subscriber - Redis client for subscriptions (default: client.duplicate())
+   * @param {string} config.prefix - Key and channel prefix (default: 'wa-gateway:')
+   */
+  constructor(config = {}) {
+    if (!config.client) {
+      throw new Error('RedisClusterAdapter requires a Redis client');
+    }
+
+    this.client = config.client;
+    this.subscriber = config.subscriber || config.client.duplicate();
+    this.prefix = config.prefix || 'wa-gateway:';
+    this.handlers = new Map();
+
+    this.subscriber.on('message', (channel, raw) => {
+      const handler = this.handlers.get(channel);
+      if (!handler) {
+        return;
+      }
+      let message;
+      try {
+        message = JSON.parse(raw);
+      } catch (error) {
+        return; // Not ours
+      }
+      handler(message);
+    });
+  }
+
+  async setSession(descriptor) {
+    await this.client.hset(this._sessionsKey(descriptor.apiKey), descriptor.sessionId, JSON.stringify(descriptor));
+  }
+
+  async removeSession(apiKey, sessionId) {
+    await this.client.hdel(this._sessionsKey(apiKey), sessionId);
+  }
+
+  async getSessions(apiKey) {
+    const entries = (await this.client.hgetall(this._sessionsKey(apiKey))) || {};
+    return Object.values(entries).map(raw => JSON.parse(raw));
+  }
+
+  async publish(channel, message) {
+    await this.client.publish(this.prefix + channel, JSON.stringify(message));
+  }
+
+  async subscribe(channel, handler) {
+    this.handlers.set(this.prefix + channel, handler);
+    await this.subscriber.subscribe(this.prefix + channel);
+  }
+
+  async unsubscribe(channel) {
+    this.handlers.delete(this.prefix + channel);
+    await this.subscriber.unsubscribe(this.prefix + channel);
+  }
+
+  /**
+   * @private
+   */
+  _sessionsKey(apiKey) {
+    return `${this.prefix}sessions:${apiKey}`;
+  }
+}
+
+/**
+ * ClusterCoordinator lets several gateway instances share their devices.
+ *
+ * Each node publishes its sessions to a shared registry and listens on its
+ * own bus channel. A node with no usable local device forwards the command
+ * to the node holding the device's WebSocket, which applies the device's rate
+ * limit and pacing, sends it and publishes the message-result back. Receipts
+ * for the message are relayed to the forwarding node, which tracks it.
+ */
+class ClusterCoordinator {
+  /**
+   * @param {WhatsAppGateway} gateway - Local gateway
+   * @param {object} config - Cluster configuration
+   * @param {object} config.adapter - MemoryClusterAdapter, RedisClusterAdapter or compatible
+   * @param {string} config.nodeId - ID of this instance (default: random)
+   * @param {number} config.refreshInterval - How often local sessions are re-published in ms (default: 30000)
+   * @param {number} config.staleAfter - Ignore remote sessions not refreshed for this long in ms (default: 3x refreshInterval)
+   */
+  constructor(gateway, config = {}) {
+    if (!config.adapter) {
+      throw new Error('cluster.adapter is required');
+    }
+
+    this.gateway = gateway;
+    this.adapter = config.adapter;
+    this.nodeId = config.nodeId || uuidv4();
+    this.refreshInterval = config.refreshInterval || 30000;
+    this.staleAfter = config.staleAfter || this.refreshInterval * 3;
+
+    // requestId -> { resolve, reject, timeoutId, arm } for commands forwarded to other nodes
+    this.forwarded = new Map();
+
+    // messageId -> { nodeId, apiKey, sessionId } for messages sent here on behalf of other nodes
+    this.relayedMessages = new Map();
+
+    this.refreshTimer = null;
+    this.started = false;
+  }
+
+  /**
+   * Subscribe to this node's channel and start re-publishing local sessions
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.started) {
+      return;
+    }
+    this.started = true;
+
+    await this.adapter.subscribe(this._channel(this.nodeId), message => this._handleBusMessage(message));
+    await this.refresh();
+    this.refreshTimer = setInterval(() => {
+      this.refresh().catch(error => this.reportError('Failed to refresh cluster sessions', error));
+    }, this.refreshInterval);
+  }
+
+  /**
+   * Unsubscribe, withdraw local sessions and fail forwarded commands
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.started) {
+      return;
+    }
+    this.started = false;
+
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+    await this.adapter.unsubscribe(this._channel(this.nodeId));
+
+    for (const session of this._localSessions()) {
+      await this.adapter.removeSession(session.apiKey, session.sessionId);
+    }
+
+    for (const [requestId, forward] of this.forwarded.entries()) {
+      clearTimeout(forward.timeoutId);
+      forward.reject(utils.formatError('CONNECTION_LOST', 'Gateway node is shutting down'));
+      this.forwarded.delete(requestId);
+    }
+  }
+
+  /**
+   * Re-publish every local session so other nodes keep seeing them as fresh
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    for (const session of this._localSessions()) {
+      await this.publishSession(session);
+    }
+  }
+
+  /**
+   * Publish a local session's current state to the registry
+   * @param {object} session - Local session
+   * @returns {Promise<void>}
+   */
+  async publishSession(session) {
+    const descriptor = { nodeId: this.nodeId, updatedAt: Date.now() };
+    SHARED_FIELDS.forEach((field) => {
+      descriptor[field] = session[field];
+    });
+    await this.adapter.setSession(descriptor);
+  }
+
+  /**
+   * Withdraw a local session from the registry
+   * @param {string} apiKey - API key
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<void>}
+   */
+  async removeSession(apiKey, sessionId) {
+    await this.adapter.removeSession(apiKey, sessionId);
+  }
+
+  /**
+   * Get the sessions of an API key on all nodes
+   * @param {string} apiKey - API key
+   * @returns {Promise<Array>} Descriptors { sessionId, nodeId, deviceActive, ... }, stale ones removed
+   */
+  async getSessions(apiKey) {
+    const now = Date.now();
+    const sessions = [];
+
+    for (const descriptor of await this.adapter.getSessions(apiKey)) {
+      if (now - descriptor.updatedAt > this.staleAfter) {
+        // The node stopped refreshing (crashed or partitioned)
+        await this.adapter.removeSession(apiKey, descriptor.sessionId);
+      } else {
+        sessions.push(descriptor);
+      }
+    }
+    return sessions;
+  }
+
+  /**
+   * Find an active device on another node
+   * @param {string} apiKey - API key
+   * @param {object} options - { exclude } session IDs already tried, { target } explicit device
+   * @returns {Promise<object|null>} Remote session descriptor (remote: true) or null
+   */
+  async findRemoteSession(apiKey, options = {}) {
+    const exclude = options.exclude || [];
+    const candidates = (await this.getSessions(apiKey)).filter(descriptor =>
+      descriptor.nodeId !== this.nodeId &&
+      descriptor.deviceActive &&
+      !exclude.includes(descriptor.sessionId) &&
+      (!options.target || this.gateway.sessionManager.matchesTarget(descriptor, options.target)));
+
+    if (candidates.length === 0) {
+      return null;
+    }
+    const descriptor = candidates[Math.floor(Math.random() * candidates.length)];
+    return { ...descriptor, remote: true };
+  }
+
+  /**
+   * Send a command through the node that holds the device and wait for its result
+   * @param {object} remote - Remote session descriptor
+   * @param {string} requestId - Request ID
+   * @param {string} type - Message type
+   * @param {string} command - Serialized command
+   * @param {number} attempt - Attempt number (1-based)
+   * @param {number} typing - Typing duration in ms, for the owning node's pacing
+   * @returns {Promise<object>} Message result
+   */
+  forward(remote, requestId, type, command, attempt, typing = 0) {
+    return new Promise((resolve, reject) => {
+      const forward = { resolve, reject, timeoutId: null };
+
+      // The owning node applies the request timeout; this only guards against a node that went away.
+      // It restarts when the owning node reports a pacing wait.
+      forward.arm = (extra = 0) => {
+        clearTimeout(forward.timeoutId);
+        const timeout = extra + this.gateway.config.requestTimeout + 5000;
+        forward.timeoutId = setTimeout(() => {
+          this.forwarded.delete(requestId);
+          reject(utils.formatError(
+            'REQUEST_TIMEOUT',
+            `No result from gateway node ${remote.nodeId} after ${Math.round(timeout / 1000)} seconds`
+          ));
+        }, timeout);
+      };
+      forward.arm();
+      this.forwarded.set(requestId, forward);
+
+      this.adapter.publish(this._channel(remote.nodeId), {
+        kind: 'command',
+        from: this.nodeId,
+        sessionId: remote.sessionId,
+        requestId,
+        type,
+        command,
+        attempt,
+        typing
+      }).catch((error) => {
+        clearTimeout(forward.timeoutId);
+        this.forwarded.delete(requestId);
+        reject(utils.formatError('CONNECTION_LOST', `Could not reach gateway node ${remote.nodeId}`, { originalError: error.message }));
+      });
+    });
+  }
+
+  /**
+   * Send a receipt for a forwarded message back to the node that forwarded it
+   * @param {object} ack - { messageId, status, timestamp }
+   * @param {object} source - { apiKey, sessionId } of the local session that reported it
+   * @returns {Promise<boolean>} True if the message was forwarded from another node
+   */
+  async relayAck(ack, source) {
+    const relay = this.relayedMessages.get(ack.messageId);
+    if (!relay || relay.apiKey !== source.apiKey || relay.sessionId !== source.sessionId) {
+      return false;
+    }
+
+    await this.adapter.publish(this._channel(relay.nodeId), {
+      kind: 'ack',
+      messageId: ack.messageId,
+      status: ack.status,
+      timestamp: ack.timestamp,
+      apiKey: source.apiKey,
+      sessionId: source.sessionId
+    });
+    return true;
+  }
+
+  /**
+   * Handle a command, pacing wait, result or receipt from another node
+   * @private
+   */
+  async _handleBusMessage(message) {
+    if (message.kind === 'result' || message.kind === 'wait') {
+      const forward = this.forwarded.get(message.requestId);
+      if (!forward) {
+        return; // Already timed out
+      }
+      if (message.kind === 'wait') {
+        forward.arm(message.wait);
+        return;
+      }
+      clearTimeout(forward.timeoutId);
+      this.forwarded.delete(message.requestId);
+
+      if (message.error) {
+        const error = utils.formatError(message.error.code, message.error.message);
+        if (message.error.retryAfter !== undefined) {
+          error.retryAfter = message.error.retryAfter;
+        }
+        forward.reject(error);
+      } else {
+        forward.resolve(message.result);
+      }
+      return;
+    }
+
+    if (message.kind === 'ack') {
+      this.gateway._recordAck(message, { apiKey: message.apiKey, sessionId: message.sessionId });
+      return;
+    }
+
+    if (message.kind === 'command') {
+      const reply = { kind: 'result', requestId: message.requestId };
+      const session = this.gateway.sessionManager.getSession(message.sessionId);
+      const origin = this._channel(message.from);
+
+      try {
+        if (!session || !session.deviceActive) {
+          throw utils.formatError('CONNECTION_LOST', 'Device is no longer connected to this gateway node');
+        }
+        reply.result = await this.gateway._sendForwarded(session, message, (wait) => {
+          this.adapter.publish(origin, { kind: 'wait', requestId: message.requestId, wait })
+            .catch(error => this.reportError('Failed to report a pacing wait', error));
+        });
+        if (reply.result.success && reply.result.messageId) {
+          this._rememberRelay(reply.result.messageId, { nodeId: message.from, apiKey: session.apiKey, sessionId: session.sessionId });
+        }
+      } catch (error) {
+        reply.error = { code: utils.getErrorCode(error), message: error.message };
+        if (error.retryAfter !== undefined) {
+          reply.error.retryAfter = error.retryAfter;
+        }
+      }
+
+      try {
+        await this.adapter.publish(origin, reply);
+      } catch (error) {
+        this.reportError('Failed to return a forwarded result', error);
+      }
+    }
+  }
+
+  /**
+   * Remember which node a forwarded message came from, so its receipts can follow it
+   * @private
+   */
+  _rememberRelay(messageId, relay) {
+    this.relayedMessages.set(messageId, relay);
+    while (this.relayedMessages.size > this.gateway.config.maxTrackedMessages) {
+      this.relayedMessages.delete(this.relayedMessages.keys().next().value);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _localSessions() {
+    const sessions = [];
+    for (const list of this.gateway.sessionManager.sessions.values()) {
+      sessions.push(...list);
+    }
+    return sessions;
+  }
+
+  /**
+   * @private
+   */
+  _channel(nodeId) {
+    return `node:${nodeId}`;
+  }
+
+  /**
+   * Report a registry or bus failure through the gateway's onError
+   * @param {string} message - What failed
+   * @param {Error} error - Original error
+   */
+  reportError(message, error) {
+    this.gateway.config.onError({
+      code: 'CLUSTER_ERROR',
+      message,
+      nodeId: this.nodeId,
+      originalError: error.message
+    });
+  }
+}
+
+module.exports = {
+  ClusterCoordinator,
+  MemoryClusterAdapter,
+  RedisClusterAdapter
+};
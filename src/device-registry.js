@@ -0,0 +1,73 @@
+const { MemoryStore, FileStore } = require('./stores');
+
+/**
+ * DeviceRegistry keeps operator-assigned labels, tags and metadata of
+ * devices so they survive reconnects.
+ *
+ * Profiles are keyed by API key and the stable deviceId the extension sends
+ * in its auth message. Profiles can be created before the device first
+ * connects and are applied when it authenticates.
+ */
+class DeviceRegistry {
+  /**
+   * @param {object} config - Device registry configuration
+   * @param {object} config.store - Store for profiles (default: in memory)
+   * @param {string} config.filePath - Persist profiles to this JSON file instead
+   */
+  constructor(config = {}) {
+    this.store = config.store || (config.filePath ? new FileStore(config.filePath) : new MemoryStore());
+  }
+
+  /**
+   * Get the profile of a device
+   * @param {string} apiKey - API key
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<object|null>} { apiKey, deviceId, label, tags, metadata, updatedAt } or null
+   */
+  async get(apiKey, deviceId) {
+    return (await this.store.get(this._key(apiKey, deviceId))) || null;
+  }
+
+  /**
+   * Update the profile of a device, creating it if needed
+   * @param {string} apiKey - API key
+   * @param {string} deviceId - Device ID
+   * @param {object} changes - Any of { label, tags, metadata }
+   * @returns {Promise<object>} Stored profile
+   */
+  async update(apiKey, deviceId, changes) {
+    const existing = await this.get(apiKey, deviceId);
+
+    const profile = {
+      apiKey,
+      deviceId,
+      label: null,
+      tags: [],
+      metadata: {},
+      ...existing,
+      ...changes,
+      updatedAt: Date.now()
+    };
+
+    await this.store.set(this._key(apiKey, deviceId), profile);
+    return profile;
+  }
+
+  /**
+   * List the profiles of an API key
+   * @param {string} apiKey - API key
+   * @returns {Promise<Array>} Profiles
+   */
+  async list(apiKey) {
+    return (await this.store.values()).filter(profile => profile.apiKey === apiKey);
+  }
+
+  /**
+   * @private
+   */
+  _key(apiKey, deviceId) {
+    return `${apiKey}:${deviceId}`;
+  }
+}
+
+module.exports = DeviceRegistry;
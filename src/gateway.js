@@ -1,18 +1,39 @@
 const { WebSocketServer } = require('ws');
 const http = require('http');
+const EventEmitter = require('events');
 const SessionManager = require('./session-manager');
+const MessageQueue = require('./message-queue');
+const RetryPolicy = require('./retry-policy');
+const RateLimiter = require('./rate-limiter');
+const SendPacer = require('./pacing');
+const StickyRouter = require('./sticky-router');
+const DeviceRegistry = require('./device-registry');
+const IdempotencyCache = require('./idempotency');
+const BulkSender = require('./bulk-sender');
+const MediaStreamer = require('./media-stream');
+const { Scheduler } = require('./scheduler');
+const { ClusterCoordinator } = require('./cluster');
+const { createStorage } = require('./storage');
+const { createDefaultRegistry } = require('./message-types');
+const { TemplateRegistry } = require('./templates');
+const MessageTracker = require('./message-tracker');
+const MessageLog = require('./message-log');
+const { createLogger, childLogger } = require('./logger');
+const { GatewayMetrics } = require('./metrics');
 const protocol = require('./protocol');
 const utils = require('./utils');
 
 /**
  * WhatsAppGateway - WebSocket gateway for WhatsApp Chrome Extension automation
  */
-class WhatsAppGateway {
+class WhatsAppGateway extends EventEmitter {
   /**
    * Create a new WhatsAppGateway instance
    * @param {object} config - Gateway configuration
    */
   constructor(config) {
+    super();
+
     // Validate required callbacks
     if (!config.validateApiKey || typeof config.validateApiKey !== 'function') {
       throw new Error('validateApiKey callback is required');
@@ -23,6 +44,12 @@ class WhatsAppGateway {
     if (!config.onError || typeof config.onError !== 'function') {
       throw new Error('onError callback is required');
     }
+    if (config.onIncomingMessage && typeof config.onIncomingMessage !== 'function') {
+      throw new Error('onIncomingMessage must be a function');
+    }
+    if (config.onMessageStatus && typeof config.onMessageStatus !== 'function') {
+      throw new Error('onMessageStatus must be a function');
+    }
 
     this.config = {
       port: config.port || 3000,
@@ -31,18 +58,114 @@ class WhatsAppGateway {
       validateApiKey: config.validateApiKey,
       onMessageLog: config.onMessageLog,
       onError: config.onError,
+      onIncomingMessage: config.onIncomingMessage || null,
+      onMessageStatus: config.onMessageStatus || null,
       heartbeatInterval: config.heartbeatInterval || 30000,
       requestTimeout: config.requestTimeout || 30000,
       maxSessionsPerKey: config.maxSessionsPerKey || 10,
-      deviceSelectionStrategy: config.deviceSelectionStrategy || 'round-robin'
+      maxTrackedMessages: config.maxTrackedMessages || 10000,
+      deviceSelectionStrategy: config.deviceSelectionStrategy || 'round-robin',
+      queue: config.queue || false,
+      retry: config.retry || {},
+      metrics: config.metrics || {},
+      rateLimit: config.rateLimit || {},
+      pacing: config.pacing || false,
+      sticky: config.sticky || {},
+      devices: config.devices || {},
+      resume: config.resume || false,
+      cluster: config.cluster || null,
+      storage: config.storage || null,
+      messageLogs: config.messageLogs || {},
+      idempotency: config.idempotency || {},
+      bulk: config.bulk || {},
+      templates: config.templates || {},
+      schedule: config.schedule || {},
+      mediaStreaming: config.mediaStreaming || false,
+      media: config.media || {}
     };
 
+    // Operational logging (console by default; pass a pino/winston-style logger or 'silent')
+    this.logger = createLogger(config.logger);
+
     this.sessionManager = new SessionManager({
       heartbeatInterval: this.config.heartbeatInterval,
       maxSessionsPerKey: this.config.maxSessionsPerKey,
       deviceSelectionStrategy: this.config.deviceSelectionStrategy
     });
 
+    // Prometheus counters and histograms (served on metrics.path when set)
+    this.metrics = new GatewayMetrics(this, this.config.metrics);
+    this.metricsListeners = null;
+
+    // Delivery status timelines for recent requests
+    this.messageTracker = new MessageTracker({ maxEntries: this.config.maxTrackedMessages });
+
+    // Message types available to send()
+    this.messageTypes = createDefaultRegistry();
+
+    // Named message templates for sendTemplate()
+    this.templates = new TemplateRegistry();
+    for (const [name, definition] of Object.entries(this.config.templates)) {
+      this.templates.register(name, definition);
+    }
+
+    // Retry policy for failed sends (single attempt unless configured)
+    this.retryPolicy = this.config.retry instanceof RetryPolicy
+      ? this.config.retry
+      : new RetryPolicy(this.config.retry);
+
+    // Send limits per API key and per session (none unless configured or returned by validateApiKey)
+    this.rateLimiter = new RateLimiter(this.config.rateLimit);
+
+    // Backend for queue, device, sticky route, idempotency, schedule and message log data (optional)
+    this.storage = createStorage(this.config.storage);
+
+    // Final send results for getMessageLog() (kept only with storage or messageLogs.store)
+    this.messageLog = this.storage || this.config.messageLogs.store
+      ? new MessageLog(this._withStore(this.config.messageLogs, 'message-logs'))
+      : null;
+
+    // Recipient -> account pins for the 'sticky' strategy
+    this.stickyRouter = this.config.deviceSelectionStrategy === 'sticky'
+      ? new StickyRouter(this._withStore(this.config.sticky, 'sticky-routes'))
+      : null;
+
+    // How long a dropped session waits for the extension to resume it (0: no resumption)
+    this.resumeGracePeriod = this.config.resume ? (this.config.resume.gracePeriod || 30000) : 0;
+
+    // Operator-assigned device labels, tags and metadata (kept across reconnects)
+    this.deviceRegistry = new DeviceRegistry(this._withStore(this.config.devices, 'devices'));
+
+    // Results of sends made with an idempotencyKey, returned to duplicates
+    this.idempotency = new IdempotencyCache(this._withStore(this.config.idempotency, 'idempotency'));
+
+    // Bulk send jobs (sendBulk)
+    this.bulk = new BulkSender(this, this.config.bulk);
+
+    // One-shot and cron scheduled messages (scheduleMessage)
+    this.scheduler = new Scheduler(this, this._withStore(this.config.schedule, 'schedules'));
+
+    // Chunked media transfers to extensions that support them (optional)
+    this.mediaStreamer = this.config.mediaStreaming
+      ? new MediaStreamer(this, this.config.mediaStreaming === true ? {} : this.config.mediaStreaming)
+      : null;
+
+    // Shared session registry and command bus when running several instances
+    this.cluster = this.config.cluster ? new ClusterCoordinator(this, this.config.cluster) : null;
+
+    // Human-like spacing of sends per session (off unless configured or returned by validateApiKey)
+    this.pacer = new SendPacer(this.config.pacing);
+
+    // Outbound queue for sends made while no device is active (optional)
+    this.queue = null;
+    if (this.config.queue) {
+      this.queue = this.config.queue instanceof MessageQueue
+        ? this.config.queue
+        : new MessageQueue(this._withStore(this.config.queue === true ? {} : this.config.queue, 'queue'));
+    }
+    this.queueSweepInterval = null;
+    this.drainingApiKeys = new Set();
+
     this.wss = null;
     this.httpServer = null;
     this.isRunning = false;
@@ -64,6 +187,27 @@ class WhatsAppGateway {
       throw new Error('Gateway is already running');
     }
 
+    if (this.queue) {
+      await this.queue.recover();
+      this._startQueueSweep();
+    }
+
+    if (this.stickyRouter) {
+      await this.stickyRouter.prune();
+    }
+
+    await this.idempotency.prune();
+
+    if (this.messageLog) {
+      await this.messageLog.prune();
+    }
+
+    await this.scheduler.start();
+
+    if (this.cluster) {
+      await this.cluster.start();
+    }
+
     return new Promise((resolve, reject) => {
       try {
         // Use provided server or create new one
@@ -72,10 +216,13 @@ class WhatsAppGateway {
         } else {
           this.httpServer = http.createServer();
           this.httpServer.listen(this.config.port, () => {
-            console.log(`WhatsApp Gateway HTTP server listening on port ${this.config.port}`);
+            this.logger.info({ port: this.config.port }, `WhatsApp Gateway HTTP server listening on port ${this.config.port}`);
           });
         }
 
+        // Serve metrics on the same HTTP server (optional)
+        this._attachMetricsEndpoint();
+
         // Create WebSocket server
         this.wss = new WebSocketServer({
           server: this.httpServer,
@@ -94,7 +241,13 @@ class WhatsAppGateway {
 
         // Start heartbeat monitor
         this.sessionManager.startHeartbeatMonitor((staleSession) => {
-          console.log(`Session ${staleSession.sessionId} timed out - no heartbeat`);
+          this._sessionLogger(staleSession).warn(`Session ${staleSession.sessionId} timed out - no heartbeat`);
+          this.emit('session:stale', {
+            sessionId: staleSession.sessionId,
+            apiKey: staleSession.apiKey,
+            lastHeartbeat: staleSession.lastHeartbeat,
+            timestamp: Date.now()
+          });
           if (staleSession.ws.readyState === 1) { // OPEN
             staleSession.ws.close(1000, 'Heartbeat timeout');
           }
@@ -103,7 +256,7 @@ class WhatsAppGateway {
         this.isRunning = true;
         this.startTime = Date.now();
 
-        console.log(`WhatsApp Gateway WebSocket server started on ${this.config.path}`);
+        this.logger.info({ path: this.config.path }, `WhatsApp Gateway WebSocket server started on ${this.config.path}`);
         resolve();
       } catch (error) {
         reject(error);
@@ -120,10 +273,25 @@ class WhatsAppGateway {
       return;
     }
 
-    return new Promise((resolve) => {
+    if (this.cluster) {
+      await this.cluster.stop();
+    }
+
+    this.bulk.cancelAll();
+    this.scheduler.stop();
+
+    await new Promise((resolve) => {
       // Stop heartbeat monitor
       this.sessionManager.stopHeartbeatMonitor();
 
+      // Stop queue expiry sweep
+      if (this.queueSweepInterval) {
+        clearInterval(this.queueSweepInterval);
+        this.queueSweepInterval = null;
+      }
+
+      this._detachMetricsEndpoint();
+
       // Close all WebSocket connections
       if (this.wss) {
         this.wss.clients.forEach((ws) => {
@@ -131,14 +299,14 @@ class WhatsAppGateway {
         });
 
         this.wss.close(() => {
-          console.log('WebSocket server closed');
+          this.logger.info('WebSocket server closed');
         });
       }
 
       // Close HTTP server if we created it
       if (this.httpServer && !this.config.server) {
         this.httpServer.close(() => {
-          console.log('HTTP server closed');
+          this.logger.info('HTTP server closed');
         });
       }
 
@@ -150,6 +318,104 @@ class WhatsAppGateway {
 
       resolve();
     });
+
+    await this._flushStores();
+
+    if (this.storage && this.storage.close) {
+      await this.storage.close();
+    }
+  }
+
+  /**
+   * Write out changes file stores of the components still hold in memory
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _flushStores() {
+    const stores = [
+      this.queue && this.queue.store,
+      this.deviceRegistry.store,
+      this.stickyRouter && this.stickyRouter.store,
+      this.idempotency.store,
+      this.scheduler.store,
+      this.messageLog && this.messageLog.store
+    ];
+
+    for (const store of stores) {
+      if (!store || typeof store.flush !== 'function') {
+        continue;
+      }
+      try {
+        await store.flush();
+      } catch (error) {
+        this.config.onError({
+          code: 'STORAGE_ERROR',
+          message: 'Failed to write store to disk',
+          originalError: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Give a component a store from config.storage unless it was configured with its own
+   * @param {object} componentConfig - Component configuration ({ store, filePath, ... })
+   * @param {string} collection - Storage collection name
+   * @returns {object} Component configuration
+   * @private
+   */
+  _withStore(componentConfig, collection) {
+    if (!this.storage || componentConfig.store || componentConfig.filePath) {
+      return componentConfig;
+    }
+    return { ...componentConfig, store: this.storage.store(collection) };
+  }
+
+  /**
+   * Serve getMetrics() on config.metrics.path of the HTTP server.
+   * Existing 'request' listeners (e.g. an Express app) are wrapped so every
+   * other path still reaches them.
+   * @private
+   */
+  _attachMetricsEndpoint() {
+    const metricsPath = this.config.metrics.path;
+    if (!metricsPath) {
+      return;
+    }
+
+    const server = this.httpServer;
+    const listeners = server.listeners('request');
+    server.removeAllListeners('request');
+
+    this.metricsListeners = listeners;
+    server.on('request', (req, res) => {
+      if (req.method === 'GET' && req.url.split('?')[0] === metricsPath) {
+        res.writeHead(200, { 'Content-Type': GatewayMetrics.CONTENT_TYPE });
+        res.end(this.getMetrics());
+        return;
+      }
+
+      if (listeners.length === 0) {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+      listeners.forEach(listener => listener.call(server, req, res));
+    });
+  }
+
+  /**
+   * Restore the HTTP server's original 'request' listeners
+   * @private
+   */
+  _detachMetricsEndpoint() {
+    if (!this.metricsListeners || !this.httpServer) {
+      return;
+    }
+
+    this.httpServer.removeAllListeners('request');
+    this.metricsListeners.forEach(listener => this.httpServer.on('request', listener));
+    this.metricsListeners = null;
   }
 
   /**
@@ -160,18 +426,21 @@ class WhatsAppGateway {
    */
   _handleConnection(ws, request) {
     const ip = utils.getClientIp(request);
-    console.log(`New WebSocket connection from ${ip}`);
+    this.logger.info({ ip }, `New WebSocket connection from ${ip}`);
 
     // Store temporary data until authentication
     ws._tempData = {
       ip,
       authenticated: false,
-      sessionId: null
+      sessionId: null,
+      apiKey: null
     };
 
+    this.emit('session:connected', { ip, timestamp: Date.now() });
+
     // Set up event handlers
     ws.on('message', (data) => this._handleMessage(ws, data));
-    ws.on('close', () => this._handleClose(ws));
+    ws.on('close', (code, reason) => this._handleClose(ws, code, reason));
     ws.on('error', (error) => this._handleError(ws, error));
 
     // Send ping periodically
@@ -223,6 +492,18 @@ class WhatsAppGateway {
           this._handleHeartbeat(ws, result.data);
           break;
 
+        case 'incoming-message':
+          this._handleIncomingMessage(ws, result.data);
+          break;
+
+        case 'message-ack':
+          this._handleMessageAck(ws, result.data);
+          break;
+
+        case 'media-ack':
+          this._handleMediaAck(ws, result.data);
+          break;
+
         default:
           this._sendError(ws, 'UNKNOWN_MESSAGE_TYPE', `Unknown message type: ${result.type}`);
       }
@@ -247,31 +528,71 @@ class WhatsAppGateway {
       const validationResult = await this.config.validateApiKey(data.apiKey);
 
       if (!validationResult || !validationResult.valid) {
+        this.metrics.recordAuthFailure('invalid_api_key');
         this._sendError(ws, 'AUTHENTICATION_FAILED', 'Invalid API key');
         ws.close(1008, 'Authentication failed');
         return;
       }
 
+      // Plan-specific limits returned by validateApiKey replace the configured ones
+      if (validationResult.rateLimit) {
+        this.rateLimiter.setLimits(data.apiKey, validationResult.rateLimit);
+      }
+      if (validationResult.pacing !== undefined) {
+        this.pacer.setOverrides(data.apiKey, validationResult.pacing);
+      }
+
+      // Reconnect after a brief drop: continue the suspended session
+      if (data.resumeToken && this.resumeGracePeriod > 0) {
+        const resumed = this.sessionManager.resumeSession(data.apiKey, data.resumeToken, ws);
+        if (resumed) {
+          this._handleResume(ws, resumed);
+          return;
+        }
+      }
+
+      // Labels and tags the operator assigned to this device on earlier connections
+      const profile = data.deviceId ? await this._loadDeviceProfile(data.apiKey, data.deviceId) : null;
+
       // Add session
       try {
         const session = this.sessionManager.addSession(data.apiKey, ws, {
           ip: ws._tempData.ip,
           extensionVersion: data.extensionVersion,
-          browser: data.browser
+          browser: data.browser,
+          weight: data.weight || (validationResult.weight > 0 ? validationResult.weight : null),
+          deviceId: data.deviceId,
+          label: (profile && profile.label) || data.label,
+          tags: profile ? profile.tags : [],
+          metadata: profile ? profile.metadata : {},
+          mediaStreaming: data.mediaStreaming
         });
 
         ws._tempData.authenticated = true;
         ws._tempData.sessionId = session.sessionId;
+        ws._tempData.apiKey = session.apiKey;
+        this._publishClusterSession(session);
 
-        console.log(`Session ${session.sessionId} authenticated for API key ${utils.sanitizeApiKey(data.apiKey)}`);
+        this._sessionLogger(session).info(`Session ${session.sessionId} authenticated for API key ${utils.sanitizeApiKey(data.apiKey)}`);
 
         // Send success response
         ws.send(JSON.stringify({
           type: 'auth-success',
-          sessionId: session.sessionId
+          sessionId: session.sessionId,
+          ...this._resumeInfo(session)
         }));
+
+        this.emit('session:authenticated', {
+          sessionId: session.sessionId,
+          apiKey: session.apiKey,
+          ip: session.ip,
+          extensionVersion: session.extensionVersion,
+          browser: session.browser,
+          timestamp: Date.now()
+        });
       } catch (error) {
         if (error.message.includes('MAX_SESSIONS_EXCEEDED')) {
+          this.metrics.recordAuthFailure('max_sessions');
           this._sendError(ws, 'MAX_SESSIONS_EXCEEDED', error.message);
           ws.close(1008, 'Max sessions exceeded');
         } else {
@@ -279,6 +600,7 @@ class WhatsAppGateway {
         }
       }
     } catch (error) {
+      this.metrics.recordAuthFailure('error');
       this.config.onError({
         code: 'AUTH_ERROR',
         message: 'Error during authentication',
@@ -288,6 +610,91 @@ class WhatsAppGateway {
     }
   }
 
+  /**
+   * Attach a reconnected extension to its suspended session
+   * @param {WebSocket} ws - New WebSocket connection
+   * @param {object} session - Resumed session
+   * @private
+   */
+  _handleResume(ws, session) {
+    ws._tempData.authenticated = true;
+    ws._tempData.sessionId = session.sessionId;
+    ws._tempData.apiKey = session.apiKey;
+
+    ws.send(JSON.stringify({
+      type: 'auth-success',
+      sessionId: session.sessionId,
+      resumed: true,
+      ...this._resumeInfo(session)
+    }));
+
+    this._publishClusterSession(session);
+
+    // Re-deliver commands without a result; the extension skips requestIds it already handled
+    const pendingRequests = Array.from(session.pendingRequests.values());
+    pendingRequests.forEach((pendingRequest) => {
+      ws.send(pendingRequest.command);
+      pendingRequest.startTimer();
+    });
+
+    this._sessionLogger(session).info(
+      { redelivered: pendingRequests.length },
+      `Session ${session.sessionId} resumed`
+    );
+
+    this.emit('session:resumed', {
+      sessionId: session.sessionId,
+      apiKey: session.apiKey,
+      ip: ws._tempData.ip,
+      redelivered: pendingRequests.length,
+      timestamp: Date.now()
+    });
+
+    if (session.deviceActive) {
+      if (this.queue) {
+        this._drainQueue(session.apiKey);
+      }
+      this.scheduler.resume(session.apiKey);
+    }
+  }
+
+  /**
+   * Resume fields for auth-success (empty when resumption is off)
+   * @param {object} session - Session
+   * @returns {object} { resumeToken, resumeWindow } or {}
+   * @private
+   */
+  _resumeInfo(session) {
+    if (this.resumeGracePeriod === 0) {
+      return {};
+    }
+    return {
+      resumeToken: this.sessionManager.issueResumeToken(session.sessionId),
+      resumeWindow: this.resumeGracePeriod
+    };
+  }
+
+  /**
+   * Load a device profile, treating store errors as no profile
+   * @param {string} apiKey - API key
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<object|null>} Profile or null
+   * @private
+   */
+  async _loadDeviceProfile(apiKey, deviceId) {
+    try {
+      return await this.deviceRegistry.get(apiKey, deviceId);
+    } catch (error) {
+      this.config.onError({
+        code: 'DEVICE_REGISTRY_ERROR',
+        message: 'Failed to load device profile',
+        deviceId,
+        originalError: error.message
+      });
+      return null;
+    }
+  }
+
   /**
    * Handle status update message
    * @param {WebSocket} ws - WebSocket connection
@@ -301,7 +708,31 @@ class WhatsAppGateway {
     }
 
     this.sessionManager.updateSessionStatus(ws._tempData.sessionId, data);
-    console.log(`Session ${ws._tempData.sessionId} status: WhatsApp ${data.whatsappLoggedIn ? 'logged in' : 'not logged in'}`);
+    this._sessionLogger(ws._tempData).info(
+      { whatsappLoggedIn: !!data.whatsappLoggedIn },
+      `Session ${ws._tempData.sessionId} status: WhatsApp ${data.whatsappLoggedIn ? 'logged in' : 'not logged in'}`
+    );
+
+    const session = this.sessionManager.getSession(ws._tempData.sessionId);
+    this._publishClusterSession(session);
+    if (session) {
+      this.emit('session:status', {
+        sessionId: session.sessionId,
+        apiKey: session.apiKey,
+        whatsappLoggedIn: session.whatsappLoggedIn,
+        ready: session.ready,
+        deviceActive: session.deviceActive,
+        timestamp: session.lastStatusUpdate
+      });
+    }
+
+    // Deliver anything queued or scheduled while no device was active
+    if (session && session.deviceActive) {
+      if (this.queue) {
+        this._drainQueue(session.apiKey);
+      }
+      this.scheduler.resume(session.apiKey);
+    }
   }
 
   /**
@@ -315,27 +746,110 @@ class WhatsAppGateway {
       return;
     }
 
-    const resolved = this.sessionManager.resolvePendingRequest(
+    this.sessionManager.resolvePendingRequest(
       ws._tempData.sessionId,
       data.requestId,
       data
     );
+  }
 
-    if (resolved) {
-      const session = this.sessionManager.getSession(ws._tempData.sessionId);
-      
-      // Log the message
-      this.config.onMessageLog({
-        apiKey: session.apiKey,
-        sessionId: session.sessionId,
-        phoneNumber: 'unknown', // Extension should send this in future version
-        type: 'unknown', // Extension should send this
-        status: data.success ? 'success' : 'failure',
-        timestamp: data.timestamp,
-        requestId: data.requestId,
-        error: data.error
-      });
+  /**
+   * Handle delivery/read receipt from extension
+   * @param {WebSocket} ws - WebSocket connection
+   * @param {object} data - Ack data { messageId, status, timestamp }
+   * @private
+   */
+  _handleMessageAck(ws, data) {
+    if (!ws._tempData.authenticated) {
+      return;
+    }
+
+    const source = { apiKey: ws._tempData.apiKey, sessionId: ws._tempData.sessionId };
+    if (this._recordAck(data, source) || !this.cluster) {
+      return;
+    }
+
+    // Sent here for another node: that node tracks the message
+    this.cluster.relayAck(data, source)
+      .catch(error => this.cluster.reportError('Failed to relay a receipt', error));
+  }
+
+  /**
+   * Record a receipt and report the status change
+   * @param {object} ack - { messageId, status, timestamp }
+   * @param {object} source - { apiKey, sessionId } of the session that reported it
+   * @returns {boolean} True if the message is tracked here
+   * @private
+   */
+  _recordAck(ack, source) {
+    // Only the session that sent a message may report its receipts
+    const entry = this.messageTracker.recordAck(ack.messageId, ack.status, ack.timestamp, source);
+    if (!entry) {
+      return false;
+    }
+    this._notifyMessageStatus(entry.requestId);
+    return true;
+  }
+
+  /**
+   * Handle chunk, completion or failure acknowledgement of a media transfer
+   * @param {WebSocket} ws - WebSocket connection
+   * @param {object} data - Ack data { mediaId, seq, complete, error }
+   * @private
+   */
+  _handleMediaAck(ws, data) {
+    if (!ws._tempData.authenticated || !this.mediaStreamer) {
+      return;
+    }
+
+    this.mediaStreamer.handleAck(ws._tempData.sessionId, data);
+  }
+
+  /**
+   * Report a status change through onMessageStatus and the 'message:status' event
+   * @param {string} requestId - Request ID
+   * @private
+   */
+  _notifyMessageStatus(requestId) {
+    const status = this.messageTracker.get(requestId);
+    if (!status) {
+      return;
+    }
+
+    if (this.config.onMessageStatus) {
+      this.config.onMessageStatus(status);
+    }
+    this.emit('message:status', status);
+  }
+
+  /**
+   * Handle a WhatsApp message received by the extension
+   * @param {WebSocket} ws - WebSocket connection
+   * @param {object} data - Incoming message data
+   * @private
+   */
+  _handleIncomingMessage(ws, data) {
+    if (!ws._tempData.authenticated) {
+      this._sendError(ws, 'NOT_AUTHENTICATED', 'Not authenticated');
+      return;
+    }
+
+    const session = this.sessionManager.getSession(ws._tempData.sessionId);
+    if (!session) {
+      return; // Closed while the message was in flight
+    }
+
+    // The session's identity wins over anything the extension put in the payload
+    const incoming = {
+      ...data,
+      apiKey: session.apiKey,
+      sessionId: session.sessionId
+    };
+
+    if (this.config.onIncomingMessage) {
+      this.config.onIncomingMessage(incoming);
     }
+    this.emit('message:incoming', incoming);
   }
 
   /**
@@ -352,20 +866,93 @@ class WhatsAppGateway {
     this.sessionManager.updateHeartbeat(ws._tempData.sessionId);
   }
 
+  /**
+   * Get a logger carrying a session's ID and sanitized API key
+   * @param {object} session - Session or ws._tempData ({ sessionId, apiKey })
+   * @returns {object} Child logger
+   * @private
+   */
+  _sessionLogger(session) {
+    return childLogger(this.logger, {
+      sessionId: session.sessionId,
+      apiKey: utils.sanitizeApiKey(session.apiKey)
+    });
+  }
+
   /**
    * Handle WebSocket close
    * @param {WebSocket} ws - WebSocket connection
+   * @param {number} code - Close code
+   * @param {Buffer} reason - Close reason
    * @private
    */
-  _handleClose(ws) {
+  _handleClose(ws, code, reason) {
     if (ws._pingInterval) {
       clearInterval(ws._pingInterval);
     }
 
-    if (ws._tempData.authenticated && ws._tempData.sessionId) {
-      console.log(`Session ${ws._tempData.sessionId} disconnected`);
-      this.sessionManager.removeSession(ws._tempData.sessionId);
+    if (!ws._tempData.authenticated || !ws._tempData.sessionId) {
+      return;
+    }
+
+    const session = this.sessionManager.getSession(ws._tempData.sessionId);
+    if (session && session.ws !== ws) {
+      return; // Already resumed on a newer connection
+    }
+
+    // Transfers restart from scratch on the retry, so fail them even if the session is resumable
+    if (this.mediaStreamer) {
+      this.mediaStreamer.abortSession(ws._tempData.sessionId);
+    }
+
+    // Anything but a normal closure (tab reload, network drop) may be resumed
+    if (session && this.resumeGracePeriod > 0 && code !== 1000) {
+      this.sessionManager.suspendSession(session.sessionId, this.resumeGracePeriod, () => {
+        this._endSession(ws._tempData, code, reason);
+      });
+      this._publishClusterSession(session);
+      this._sessionLogger(ws._tempData).info(
+        { code: code || null },
+        `Session ${ws._tempData.sessionId} suspended, resumable for ${this.resumeGracePeriod / 1000} seconds`
+      );
+      this.emit('session:suspended', {
+        sessionId: session.sessionId,
+        apiKey: session.apiKey,
+        code: code || null,
+        reason: reason ? reason.toString() : '',
+        resumableUntil: session.suspendedAt + this.resumeGracePeriod,
+        timestamp: Date.now()
+      });
+      return;
+    }
+
+    this._endSession(ws._tempData, code, reason);
+  }
+
+  /**
+   * Remove a closed session, failing its pending requests
+   * @param {object} tempData - { sessionId, apiKey } of the connection
+   * @param {number} code - Close code
+   * @param {Buffer} reason - Close reason
+   * @private
+   */
+  _endSession(tempData, code, reason) {
+    this._sessionLogger(tempData).info({ code: code || null }, `Session ${tempData.sessionId} disconnected`);
+    this.sessionManager.removeSession(tempData.sessionId);
+    this.rateLimiter.removeSession(tempData.sessionId);
+    this.pacer.removeSession(tempData.sessionId);
+    if (this.cluster) {
+      this.cluster.removeSession(tempData.apiKey, tempData.sessionId)
+        .catch(error => this.cluster.reportError('Failed to withdraw session', error));
     }
+
+    this.emit('session:disconnected', {
+      sessionId: tempData.sessionId,
+      apiKey: tempData.apiKey,
+      code: code || null,
+      reason: reason ? reason.toString() : '',
+      timestamp: Date.now()
+    });
   }
 
   /**
@@ -403,21 +990,18 @@ class WhatsAppGateway {
   }
 
   /**
-   * Send a text message
+   * Queue a send when no device is active, or fail with NO_ACTIVE_DEVICE
    * @param {string} apiKey - API key
-   * @param {object} data - Message data { phoneNumber, message }
-   * @returns {Promise<object>} Message result
+   * @param {string} requestId - Request ID
+   * @param {string} type - Message type
+   * @param {object} data - Original send data
+   * @param {object} options - Send options
+   * @returns {Promise<object>} Queued result
+   * @private
    */
-  async sendMessage(apiKey, data) {
-    // Validate input
-    const validation = protocol.validateSendMessageData(data);
-    if (!validation.valid) {
-      throw utils.formatError('VALIDATION_ERROR', validation.error);
-    }
-
-    // Get session for sending
-    const session = this.sessionManager.getSessionForSending(apiKey);
-    if (!session) {
+  async _handleNoActiveDevice(apiKey, requestId, type, data, options) {
+    if (!this.queue || options.queue === false) {
+      this.metrics.recordSend(type, 'failure', 'NO_ACTIVE_DEVICE');
       throw utils.formatError(
         'NO_ACTIVE_DEVICE',
         'No active WhatsApp device connected for this API key',
@@ -425,243 +1009,828 @@ class WhatsAppGateway {
       );
     }
 
-    // Generate request ID
-    const requestId = utils.generateRequestId();
-
-    // Create command
-    const command = protocol.createSendMessageCommand(requestId, data);
-
-    // Create promise for result
-    return new Promise((resolve, reject) => {
-      // Set timeout
-      const timeoutId = setTimeout(() => {
-        this.sessionManager.resolvePendingRequest(session.sessionId, requestId, null);
-        reject(utils.formatError('REQUEST_TIMEOUT', 'Request timed out after 30 seconds'));
-      }, this.config.requestTimeout);
-
-      // Add to pending requests
-      this.sessionManager.addPendingRequest(session.sessionId, requestId, {
-        resolve,
-        reject,
-        timeoutId,
-        createdAt: Date.now(),
-        type: 'message'
-      });
-
-      // Send command
-      if (session.ws.readyState === 1) { // OPEN
-        session.ws.send(command);
-      } else {
-        clearTimeout(timeoutId);
-        this.sessionManager.resolvePendingRequest(session.sessionId, requestId, null);
-        reject(utils.formatError('CONNECTION_LOST', 'WebSocket connection is not open'));
-      }
-    });
+    return this._enqueue(apiKey, requestId, type, data, options);
   }
 
   /**
-   * Send an image
+   * Add a send to the queue
    * @param {string} apiKey - API key
-   * @param {object} data - Image data { phoneNumber, imageUrl OR imageDataUrl, caption }
-   * @returns {Promise<object>} Message result
+   * @param {string} requestId - Request ID
+   * @param {string} type - Message type
+   * @param {object} data - Original send data
+   * @param {object} options - Send options
+   * @param {number} notBefore - Hold the send in the queue until this timestamp (optional)
+   * @returns {Promise<object>} Queued result
+   * @private
    */
-  async sendImage(apiKey, data) {
-    // Validate input
-    const validation = protocol.validateSendImageData(data);
-    if (!validation.valid) {
-      throw utils.formatError('VALIDATION_ERROR', validation.error);
+  async _enqueue(apiKey, requestId, type, data, options, notBefore = null) {
+    const entry = await this.queue.enqueue(requestId, apiKey, type, data, { ttl: options.ttl, notBefore });
+    this.metrics.recordSend(type, 'queued');
+
+    const result = {
+      success: true,
+      queued: true,
+      requestId,
+      state: entry.state,
+      expiresAt: entry.expiresAt,
+      timestamp: entry.createdAt
+    };
+    if (notBefore) {
+      result.notBefore = notBefore;
+    }
+    return result;
+  }
+
+  /**
+   * Dispatch queued messages for an API key, oldest first
+   * @param {string} apiKey - API key
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _drainQueue(apiKey) {
+    if (this.drainingApiKeys.has(apiKey)) {
+      return;
+    }
+    this.drainingApiKeys.add(apiKey);
+
+    try {
+      const entries = await this.queue.getDue(apiKey);
+
+      for (const entry of entries) {
+        if (this.sessionManager.getActiveSessions(apiKey).length === 0) {
+          break;
+        }
+
+        await this.queue.markDispatched(entry.requestId);
+
+        try {
+          const result = await this.send(apiKey, { ...entry.data, type: entry.type }, {
+            queue: false,
+            requestId: entry.requestId,
+            idempotency: false
+          });
+
+          if (result && result.success) {
+            await this.queue.markDelivered(entry.requestId, result);
+          } else {
+            await this.queue.markFailed(entry.requestId, {
+              code: 'EXTENSION_ERROR',
+              message: (result && result.error) || 'Extension reported failure'
+            });
+          }
+        } catch (error) {
+          const code = utils.getErrorCode(error);
+
+          if (code === 'NO_ACTIVE_DEVICE' || code === 'CONNECTION_LOST' || code === 'RATE_LIMITED') {
+            // Device went away or hit its limit mid-drain; keep the message for later
+            await this.queue.requeue(entry.requestId);
+            break;
+          }
+
+          await this.queue.markFailed(entry.requestId, { code, message: error.message });
+        }
+      }
+    } catch (error) {
+      this.config.onError({
+        code: 'QUEUE_ERROR',
+        message: 'Error draining message queue',
+        originalError: error.message
+      });
+    } finally {
+      this.drainingApiKeys.delete(apiKey);
     }
+  }
 
-    // Convert URL to dataURL if needed
-    let imageDataUrl = data.imageDataUrl;
-    if (!imageDataUrl && data.imageUrl) {
+  /**
+   * Periodically fail queued messages whose TTL has passed and dispatch those that came due
+   * @private
+   */
+  _startQueueSweep() {
+    this.queueSweepInterval = setInterval(async () => {
       try {
-        imageDataUrl = await utils.imageUrlToDataUrl(data.imageUrl);
+        const expired = await this.queue.expire();
+
+        for (const entry of expired) {
+          this.config.onMessageLog({
+            apiKey: entry.apiKey,
+            sessionId: null,
+            phoneNumber: entry.data.phoneNumber,
+            type: entry.type,
+            status: 'failure',
+            timestamp: Date.now(),
+            requestId: entry.requestId,
+            error: entry.error.message
+          });
+        }
+
+        // Send messages held for quiet hours or requeued after a rate limit once they are due
+        for (const apiKey of this.sessionManager.getAllApiKeys()) {
+          if (this.sessionManager.getActiveSessions(apiKey).length > 0) {
+            this._drainQueue(apiKey);
+          }
+        }
       } catch (error) {
-        throw error;
+        this.config.onError({
+          code: 'QUEUE_ERROR',
+          message: 'Error expiring queued messages',
+          originalError: error.message
+        });
       }
-    }
+    }, this.queue.config.sweepInterval);
+  }
 
-    // Get session for sending
-    const session = this.sessionManager.getSessionForSending(apiKey);
-    if (!session) {
-      throw utils.formatError(
-        'NO_ACTIVE_DEVICE',
-        'No active WhatsApp device connected for this API key',
-        { apiKey: utils.sanitizeApiKey(apiKey) }
-      );
+  /**
+   * Check if a message type counts as media for rate limits
+   * @param {string} type - Message type
+   * @returns {boolean} True for types that resolve media
+   * @private
+   */
+  _isMediaType(type) {
+    const handler = this.messageTypes.get(type);
+    return !!(handler && handler.resolveMedia);
+  }
+
+  /**
+   * Enforce rate limits before picking a device
+   * @param {string} apiKey - API key
+   * @param {boolean} media - True for media sends
+   * @param {boolean} strict - Throw RATE_LIMITED when the key or every active session is limited
+   * @returns {Array<string>} Session IDs over their limit
+   * @private
+   */
+  _checkRateLimit(apiKey, media, strict) {
+    if (strict) {
+      const quietFor = this.pacer.getQuietHoursRejection(apiKey);
+      if (quietFor > 0) {
+        throw this._rateLimitError('apiKey', { limit: 'quietHours', retryAfter: quietFor, action: 'reject' });
+      }
+
+      const keyLimit = this.rateLimiter.checkApiKey(apiKey, media);
+      if (!keyLimit.allowed) {
+        throw this._rateLimitError('apiKey', keyLimit);
+      }
     }
 
-    // Generate request ID
-    const requestId = utils.generateRequestId();
+    const sessions = this.sessionManager.getActiveSessions(apiKey);
+    const limited = [];
+    let soonest = null;
 
-    // Create command
-    const command = protocol.createSendImageCommand(requestId, {
-      phoneNumber: data.phoneNumber,
-      imageDataUrl,
-      caption: data.caption
+    sessions.forEach((session) => {
+      const sessionLimit = this._checkSessionLimit(session, media);
+      if (!sessionLimit.allowed) {
+        limited.push(session.sessionId);
+        if (!soonest || sessionLimit.retryAfter < soonest.retryAfter) {
+          soonest = sessionLimit;
+        }
+      }
     });
 
-    // Create promise for result
-    return new Promise((resolve, reject) => {
-      const timeoutId = setTimeout(() => {
-        this.sessionManager.resolvePendingRequest(session.sessionId, requestId, null);
-        reject(utils.formatError('REQUEST_TIMEOUT', 'Request timed out after 30 seconds'));
-      }, this.config.requestTimeout);
+    if (strict && sessions.length > 0 && limited.length === sessions.length) {
+      throw this._rateLimitError('session', soonest);
+    }
 
-      this.sessionManager.addPendingRequest(session.sessionId, requestId, {
-        resolve,
-        reject,
-        timeoutId,
-        createdAt: Date.now(),
-        type: 'image'
-      });
+    return limited;
+  }
 
-      if (session.ws.readyState === 1) {
-        session.ws.send(command);
-      } else {
-        clearTimeout(timeoutId);
-        this.sessionManager.resolvePendingRequest(session.sessionId, requestId, null);
-        reject(utils.formatError('CONNECTION_LOST', 'WebSocket connection is not open'));
+  /**
+   * Check the rate limits and warm-up of one session
+   * @param {object} session - Session
+   * @param {boolean} media - True for media sends
+   * @returns {object} { allowed, retryAfter, limit }
+   * @private
+   */
+  _checkSessionLimit(session, media) {
+    const sessionLimit = this.rateLimiter.checkSession(session.apiKey, session.sessionId, media);
+    if (!sessionLimit.allowed) {
+      return sessionLimit;
+    }
+    const warmup = this.pacer.checkWarmup(session);
+    return { ...warmup, limit: warmup.allowed ? null : 'warmup' };
+  }
+
+  /**
+   * Get the device a send explicitly targets
+   * @param {object} data - Send data
+   * @returns {object|null} { sessionId, deviceId, deviceLabel, deviceTag, fromNumber } or null to let the strategy choose
+   * @private
+   */
+  _getSendTarget(data) {
+    const fields = ['sessionId', 'deviceId', 'deviceLabel', 'deviceTag', 'fromNumber'].filter(field => data[field] !== undefined);
+    if (fields.length === 0) {
+      return null;
+    }
+
+    const target = {};
+    fields.forEach((field) => {
+      // deviceTag may list several tags the device must all have
+      const values = field === 'deviceTag' && Array.isArray(data[field]) ? data[field] : [data[field]];
+      if (values.length === 0 || values.some(value => typeof value !== 'string' || !value)) {
+        throw utils.formatError('VALIDATION_ERROR', `${field} must be a non-empty string`);
       }
+      target[field] = data[field];
     });
+    return target;
   }
 
   /**
-   * Send a video
+   * Create the error for a targeted device that cannot send
    * @param {string} apiKey - API key
-   * @param {object} data - Video data { phoneNumber, videoUrl OR videoDataUrl, caption }
+   * @param {object} target - { sessionId, deviceId, deviceLabel, deviceTag, fromNumber }
+   * @param {boolean} media - True for media sends
+   * @returns {Error} DEVICE_NOT_AVAILABLE, or RATE_LIMITED when the device is only over its limits
+   * @private
+   */
+  _targetUnavailableError(apiKey, target, media) {
+    const session = this.sessionManager.findTargetSession(apiKey, target);
+
+    if (session && session.deviceActive) {
+      const sessionLimit = this._checkSessionLimit(session, media);
+      if (!sessionLimit.allowed) {
+        return this._rateLimitError('session', sessionLimit);
+      }
+    }
+
+    const reason = session ? 'is connected but WhatsApp is not ready' : 'is not connected';
+    return utils.formatError(
+      'DEVICE_NOT_AVAILABLE',
+      `Target device ${reason}`,
+      { ...target, connected: !!session }
+    );
+  }
+
+  /**
+   * Create a RATE_LIMITED error
+   * @param {string} scope - 'apiKey' or 'session'
+   * @param {object} check - { retryAfter, limit } from the rate limiter or pacer
+   * @returns {Error} Error with retryAfter in milliseconds
+   * @private
+   */
+  _rateLimitError(scope, check) {
+    const reason = check.limit === 'quietHours'
+      ? 'Sending is paused during quiet hours'
+      : `Rate limit exceeded (${check.limit} per ${scope === 'apiKey' ? 'API key' : 'session'})`;
+    const error = utils.formatError(
+      'RATE_LIMITED',
+      `${reason}, retry after ${Math.ceil(check.retryAfter / 1000)} seconds`,
+      check.action
+        ? { scope, limit: check.limit, action: check.action, retryAfter: check.retryAfter }
+        : { scope, limit: check.limit, retryAfter: check.retryAfter }
+    );
+    error.retryAfter = check.retryAfter;
+    return error;
+  }
+
+  /**
+   * Check if a device matching a send target is connected here or on another node
+   * @param {string} apiKey - API key
+   * @param {object} target - { sessionId, deviceId, deviceLabel, deviceTag, fromNumber }
+   * @returns {Promise<boolean>} True if one is
+   * @private
+   */
+  async _hasTargetSession(apiKey, target) {
+    if (this.sessionManager.findTargetSession(apiKey, target)) {
+      return true;
+    }
+    return Boolean(this.cluster && await this._findRemoteSession(apiKey, [], target));
+  }
+
+  /**
+   * Pin a recipient to the session that messaged it (sticky strategy)
+   * @param {string} apiKey - API key
+   * @param {string} phoneNumber - Recipient phone number
+   * @param {object} session - Session that delivered the message
+   * @private
+   */
+  async _pinRecipient(apiKey, phoneNumber, session) {
+    try {
+      await this.stickyRouter.pin(apiKey, phoneNumber, session);
+    } catch (error) {
+      // Routing state is best effort; the message itself was sent
+      this.config.onError({
+        code: 'STICKY_ERROR',
+        message: 'Error saving sticky route',
+        originalError: error.message
+      });
+    }
+  }
+
+  /**
+   * Dispatch a command to a device, retrying on other devices per the retry policy
+   * @param {string} apiKey - API key
+   * @param {string} requestId - Request ID shared by every attempt
+   * @param {string} type - Message type
+   * @param {object} data - Original send data
+   * @param {string|Function} command - Serialized command, or async (session) => command for media fetched once a device is picked
+   * @param {object} options - Send options
    * @returns {Promise<object>} Message result
+   * @private
    */
-  async sendVideo(apiKey, data) {
-    // Validate input
-    const validation = protocol.validateSendVideoData(data);
-    if (!validation.valid) {
-      throw utils.formatError('VALIDATION_ERROR', validation.error);
+  async _dispatch(apiKey, requestId, type, data, command, options) {
+    const attempts = [];
+    const media = this._isMediaType(type);
+    let outcome = null;
+    let sessionId = null;
+    let session = null;
+
+    // Explicit target (sessionId, deviceId, deviceLabel, deviceTag or fromNumber): only matching devices may send
+    const target = this._getSendTarget(data);
+
+    // Quiet hours with action 'defer': hold the send in the queue until they end. Like every
+    // targeted send, one for a specific device is not queued: the caller retries after retryAfter
+    const deferFor = this.pacer.getQuietHoursDeferral(apiKey);
+    if (deferFor > 0) {
+      if (!target && this.queue && options.queue !== false) {
+        return this._enqueue(apiKey, requestId, type, data, options, Date.now() + deferFor);
+      }
+      const error = target && !(await this._hasTargetSession(apiKey, target))
+        ? this._targetUnavailableError(apiKey, target, media)
+        : this._rateLimitError('apiKey', { limit: 'quietHours', retryAfter: deferFor, action: 'defer' });
+      this.metrics.recordSend(type, 'failure', error.code);
+      throw error;
     }
 
-    // Convert URL to dataURL if needed
-    let videoDataUrl = data.videoDataUrl;
-    if (!videoDataUrl && data.videoUrl) {
+    // Sticky routing: keep each recipient on the account that first messaged it
+    const pin = this.stickyRouter && !target && data.phoneNumber
+      ? await this.stickyRouter.get(apiKey, data.phoneNumber)
+      : null;
+
+    for (let attempt = 1; ; attempt++) {
+      // Sessions over their limit are never used; the first attempt fails if all are
+      let limitedSessions;
       try {
-        videoDataUrl = await utils.videoUrlToDataUrl(data.videoUrl);
+        limitedSessions = this._checkRateLimit(apiKey, media, attempt === 1);
       } catch (error) {
+        this.metrics.recordSend(type, 'failure', 'RATE_LIMITED');
         throw error;
       }
+
+      let prefer = null;
+      if (pin) {
+        const others = this.sessionManager.getActiveSessions(apiKey).filter(s => !this.stickyRouter.matches(pin, s));
+        if (this.stickyRouter.config.fallback === 'wait') {
+          // Only the pinned account may send; otherwise behave as if no device is active
+          limitedSessions = limitedSessions.concat(others.map(s => s.sessionId));
+        } else if (attempt === 1) {
+          const pinned = this.stickyRouter.findSession(pin, this.sessionManager.getActiveSessions(apiKey));
+          prefer = pinned ? pinned.sessionId : null;
+        }
+      }
+
+      if (target) {
+        const others = this.sessionManager.getActiveSessions(apiKey).filter(s => !this.sessionManager.matchesTarget(s, target));
+        limitedSessions = limitedSessions.concat(others.map(s => s.sessionId));
+      }
+
+      // Prefer a device that has not failed this request yet
+      session = this.sessionManager.getSessionForSending(apiKey, {
+        exclude: attempts.map(a => a.sessionId),
+        skip: limitedSessions,
+        prefer,
+        context: { phoneNumber: data.phoneNumber, type, requestId }
+      });
+
+      // No usable device here: use one connected to another gateway node
+      if (!session && this.cluster) {
+        session = await this._findRemoteSession(apiKey, attempts.map(a => a.sessionId), target);
+      }
+
+      if (!session) {
+        if (attempt === 1 && target) {
+          const error = this._targetUnavailableError(apiKey, target, media);
+          this.metrics.recordSend(type, 'failure', error.code);
+          throw error;
+        }
+        if (attempt === 1) {
+          return this._handleNoActiveDevice(apiKey, requestId, type, data, options);
+        }
+        break; // No device left to retry on
+      }
+
+      sessionId = session.sessionId;
+      const startedAt = Date.now();
+
+      if (attempt === 1) {
+        this.rateLimiter.consumeApiKey(apiKey, media);
+      }
+
+      // Wait for this session's next pacing slot; the request timeout starts after it.
+      // A remote device's limit and pacing are applied by the node holding it
+      const typing = this.pacer.getTypingDuration(apiKey, data);
+      const wait = session.remote ? 0 : this._reserveSession(session, media, typing);
+      if (wait > 0) {
+        await utils.sleep(wait);
+      }
+      this.messageTracker.track(requestId, {
+        apiKey,
+        sessionId,
+        phoneNumber: data.phoneNumber,
+        type
+      });
+      let errorCode = null;
+
+      try {
+        // Streamed media is transferred to the chosen device before its command
+        const sessionCommand = typeof command === 'function' ? await command(session) : command;
+        const pacedCommand = typing > 0 ? protocol.addCommandHints(sessionCommand, { typing }) : sessionCommand;
+        const result = session.remote
+          ? await this.cluster.forward(session, requestId, type, pacedCommand, attempt, typing)
+          : await this._sendToSession(session, requestId, type, pacedCommand, attempt);
+        outcome = { result };
+        if (!result.success) {
+          errorCode = 'EXTENSION_ERROR';
+        }
+      } catch (error) {
+        outcome = { error };
+        errorCode = utils.getErrorCode(error);
+      }
+
+      attempts.push({
+        attempt,
+        sessionId,
+        success: !errorCode,
+        errorCode,
+        error: outcome.error ? outcome.error.message : outcome.result.error || null,
+        startedAt,
+        finishedAt: Date.now()
+      });
+
+      if (!errorCode || !this.retryPolicy.shouldRetry(errorCode, attempt)) {
+        break;
+      }
+
+      await utils.sleep(this.retryPolicy.getDelay(attempt));
     }
 
-    // Get session for sending
-    const session = this.sessionManager.getSessionForSending(apiKey);
-    if (!session) {
-      throw utils.formatError(
-        'NO_ACTIVE_DEVICE',
-        'No active WhatsApp device connected for this API key',
-        { apiKey: utils.sanitizeApiKey(apiKey) }
-      );
+    const finalResult = outcome.error
+      ? { success: false, error: outcome.error.message, timestamp: Date.now() }
+      : outcome.result;
+
+    this.messageTracker.recordResult(requestId, finalResult);
+    const lastAttempt = attempts[attempts.length - 1];
+    this.metrics.recordSend(type, lastAttempt.success ? 'success' : 'failure', lastAttempt.errorCode);
+    this._logMessage(apiKey, sessionId, requestId, type, data, finalResult, attempts, options.jobId);
+    this._notifyMessageStatus(requestId);
+
+    if (this.stickyRouter && lastAttempt.success && data.phoneNumber) {
+      await this._pinRecipient(apiKey, data.phoneNumber, session);
     }
 
-    // Generate request ID
-    const requestId = utils.generateRequestId();
+    if (outcome.error) {
+      throw outcome.error;
+    }
+    return outcome.result;
+  }
 
-    // Create command
-    const command = protocol.createSendVideoCommand(requestId, {
-      phoneNumber: data.phoneNumber,
-      videoDataUrl,
-      caption: data.caption
-    });
+  /**
+   * Count a send against a session's rate limit and reserve its next pacing slot
+   * @param {object} session - Local session
+   * @param {boolean} media - True for media sends
+   * @param {number} typing - Typing duration of the send in ms
+   * @returns {number} Milliseconds to wait before sending
+   * @private
+   */
+  _reserveSession(session, media, typing) {
+    this.rateLimiter.consumeSession(session.apiKey, session.sessionId, media);
+    return this.pacer.reserve(session, typing);
+  }
 
-    // Create promise for result
-    return new Promise((resolve, reject) => {
-      const timeoutId = setTimeout(() => {
-        this.sessionManager.resolvePendingRequest(session.sessionId, requestId, null);
-        reject(utils.formatError('REQUEST_TIMEOUT', 'Request timed out after 30 seconds'));
-      }, this.config.requestTimeout);
+  /**
+   * Send a command another node forwarded to a local session, with the
+   * session's rate limit and pacing applied as for a local send
+   * @param {object} session - Local session
+   * @param {object} forwarded - { requestId, type, command, attempt, typing }
+   * @param {Function} onWait - Called with the pacing wait in ms before it starts
+   * @returns {Promise<object>} Message result from the extension
+   * @private
+   */
+  async _sendForwarded(session, forwarded, onWait) {
+    const media = this._isMediaType(forwarded.type);
+    const sessionLimit = this._checkSessionLimit(session, media);
+    if (!sessionLimit.allowed) {
+      throw this._rateLimitError('session', sessionLimit);
+    }
 
-      this.sessionManager.addPendingRequest(session.sessionId, requestId, {
-        resolve,
+    const wait = this._reserveSession(session, media, forwarded.typing || 0);
+    if (wait > 0) {
+      onWait(wait);
+      await utils.sleep(wait);
+    }
+    return this._sendToSession(session, forwarded.requestId, forwarded.type, forwarded.command, forwarded.attempt);
+  }
+
+  /**
+   * Send a command to a session and wait for its result
+   * @param {object} session - Session to send through
+   * @param {string} requestId - Request ID
+   * @param {string} type - Message type
+   * @param {string} command - Serialized command
+   * @param {number} attempt - Attempt number (1-based)
+   * @returns {Promise<object>} Message result from the extension
+   * @private
+   */
+  _sendToSession(session, requestId, type, command, attempt = 1) {
+    const request = {
+      requestId,
+      sessionId: session.sessionId,
+      apiKey: session.apiKey,
+      type,
+      attempt
+    };
+
+    return new Promise((resolve, reject) => {
+      const createdAt = Date.now();
+
+      const onTimeout = () => {
+        this.sessionManager.removePendingRequest(session.sessionId, requestId);
+        this.emit('request:timeout', {
+          ...request,
+          timeout: this.config.requestTimeout,
+          timestamp: Date.now()
+        });
+        reject(utils.formatError(
+          'REQUEST_TIMEOUT',
+          `Request timed out after ${this.config.requestTimeout / 1000} seconds`
+        ));
+      };
+
+      const pendingRequest = {
+        resolve: (result) => {
+          const duration = Date.now() - createdAt;
+          this.sessionManager.recordLatency(session.sessionId, duration);
+          this.emit('request:resolved', {
+            ...request,
+            success: result.success,
+            messageId: result.messageId || null,
+            error: result.error || null,
+            duration,
+            timestamp: Date.now()
+          });
+          resolve(result);
+        },
         reject,
-        timeoutId,
-        createdAt: Date.now(),
-        type: 'video'
-      });
+        timeoutId: null,
+        createdAt,
+        type,
+        command, // Kept for re-delivery when the session resumes
+        startTimer: () => {
+          pendingRequest.timeoutId = setTimeout(onTimeout, this.config.requestTimeout);
+        }
+      };
+
+      // Add to pending requests
+      this.sessionManager.addPendingRequest(session.sessionId, requestId, pendingRequest);
 
-      if (session.ws.readyState === 1) {
+      // Send command (a suspended session gets it when it resumes)
+      if (session.suspended) {
+        return;
+      }
+      if (session.ws.readyState === 1) { // OPEN
+        pendingRequest.startTimer();
         session.ws.send(command);
+        this.emit('request:sent', { ...request, timestamp: Date.now() });
       } else {
-        clearTimeout(timeoutId);
-        this.sessionManager.resolvePendingRequest(session.sessionId, requestId, null);
+        this.sessionManager.removePendingRequest(session.sessionId, requestId);
         reject(utils.formatError('CONNECTION_LOST', 'WebSocket connection is not open'));
       }
     });
   }
 
   /**
-   * Send a document
+   * Report the final outcome of a send through onMessageLog
    * @param {string} apiKey - API key
-   * @param {object} data - Document data { phoneNumber, documentUrl OR documentDataUrl, documentName, caption }
+   * @param {string} sessionId - Session that handled the last attempt
+   * @param {string} requestId - Request ID
+   * @param {string} type - Message type
+   * @param {object} data - Original send data
+   * @param {object} result - Final result { success, error, timestamp }
+   * @param {Array} attempts - Attempt history
+   * @param {string} jobId - Bulk job the send belongs to, if any
+   * @private
+   */
+  _logMessage(apiKey, sessionId, requestId, type, data, result, attempts, jobId) {
+    const log = {
+      apiKey,
+      sessionId,
+      phoneNumber: data.phoneNumber,
+      type,
+      status: result.success ? 'success' : 'failure',
+      timestamp: result.timestamp || Date.now(),
+      requestId,
+      messageId: result.messageId || null,
+      error: result.error,
+      attempt: attempts.length,
+      attempts
+    };
+    if (jobId) {
+      log.jobId = jobId;
+    }
+
+    this.config.onMessageLog(log);
+
+    if (this.messageLog) {
+      this.messageLog.add(log).catch((error) => {
+        this.config.onError({
+          code: 'STORAGE_ERROR',
+          message: 'Failed to store message log',
+          requestId,
+          originalError: error.message
+        });
+      });
+    }
+  }
+
+  /**
+   * Send any registered message type
+   * @param {string} apiKey - API key
+   * @param {object} message - { type, ...payload } e.g. { type: 'message', phoneNumber, message }
+   * @param {object} options - Send options { queue, ttl, requestId }
    * @returns {Promise<object>} Message result
    */
-  async sendDocument(apiKey, data) {
+  async send(apiKey, message, options = {}) {
+    if (!message || typeof message !== 'object') {
+      throw utils.formatError('VALIDATION_ERROR', 'Invalid data object');
+    }
+
+    const { type, ...data } = message;
+    const handler = this.messageTypes.get(type);
+    if (!handler) {
+      throw utils.formatError('VALIDATION_ERROR', `Unknown message type: ${type}`);
+    }
+
     // Validate input
-    const validation = protocol.validateSendDocumentData(data);
+    const validation = handler.validate(data);
     if (!validation.valid) {
       throw utils.formatError('VALIDATION_ERROR', validation.error);
     }
+    this._getSendTarget(data);
 
-    // Convert URL to dataURL if needed
-    let documentDataUrl = data.documentDataUrl;
-    if (!documentDataUrl && data.documentUrl) {
-      try {
-        documentDataUrl = await utils.documentUrlToDataUrl(data.documentUrl);
-      } catch (error) {
-        throw error;
-      }
+    const idempotencyKey = data.idempotencyKey;
+    if (idempotencyKey !== undefined && (typeof idempotencyKey !== 'string' || !idempotencyKey.trim())) {
+      throw utils.formatError('VALIDATION_ERROR', 'idempotencyKey must be a non-empty string');
     }
 
-    // Get session for sending
-    const session = this.sessionManager.getSessionForSending(apiKey);
-    if (!session) {
-      throw utils.formatError(
-        'NO_ACTIVE_DEVICE',
-        'No active WhatsApp device connected for this API key',
-        { apiKey: utils.sanitizeApiKey(apiKey) }
-      );
+    // Duplicates share the in-flight send or get its stored result (queue drains re-send on purpose)
+    if (idempotencyKey && options.idempotency !== false) {
+      return this.idempotency.run(apiKey, idempotencyKey, { type, ...data }, () => this._buildAndDispatch(apiKey, handler, type, data, options));
     }
+    return this._buildAndDispatch(apiKey, handler, type, data, options);
+  }
 
-    // Generate request ID
-    const requestId = utils.generateRequestId();
+  /**
+   * Resolve media, build the extension command and dispatch it
+   * @param {string} apiKey - API key
+   * @param {object} handler - Message type handler
+   * @param {string} type - Message type
+   * @param {object} data - Validated send data
+   * @param {object} options - Send options
+   * @returns {Promise<object>} Message result
+   * @private
+   */
+  async _buildAndDispatch(apiKey, handler, type, data, options) {
+    const requestId = options.requestId || utils.generateRequestId();
+    const build = (media) => {
+      const command = handler.buildCommand(requestId, { ...data, ...media });
+
+      // Lets the extension drop a command it already executed (e.g. re-delivered after a resume)
+      return data.idempotencyKey
+        ? protocol.addCommandHints(command, { idempotencyKey: data.idempotencyKey })
+        : command;
+    };
 
-    // Create command
-    const command = protocol.createSendDocumentCommand(requestId, {
-      phoneNumber: data.phoneNumber,
-      documentDataUrl,
-      documentName: data.documentName,
-      caption: data.caption
-    });
+    const fetchOptions = this._mediaFetchOptions(type, data);
 
-    // Create promise for result
-    return new Promise((resolve, reject) => {
-      const timeoutId = setTimeout(() => {
-        this.sessionManager.resolvePendingRequest(session.sessionId, requestId, null);
-        reject(utils.formatError('REQUEST_TIMEOUT', 'Request timed out after 30 seconds'));
-      }, this.config.requestTimeout);
+    // MIME type detected from the media content, reported in the result
+    let mimeType = null;
+    const withMimeType = result => (mimeType && result ? { ...result, mimeType } : result);
 
-      this.sessionManager.addPendingRequest(session.sessionId, requestId, {
-        resolve,
-        reject,
-        timeoutId,
-        createdAt: Date.now(),
-        type: 'document'
-      });
+    // Media URLs are fetched once a device is picked (nothing is downloaded while none is active):
+    // streamed to it if it supports that, inlined otherwise
+    const source = this.mediaStreamer && handler.mediaSource ? handler.mediaSource(data) : null;
+    if (!source && !handler.resolveMedia) {
+      return this._dispatch(apiKey, requestId, type, data, build({}), options);
+    }
 
-      if (session.ws.readyState === 1) {
-        session.ws.send(command);
-      } else {
-        clearTimeout(timeoutId);
-        this.sessionManager.resolvePendingRequest(session.sessionId, requestId, null);
-        reject(utils.formatError('CONNECTION_LOST', 'WebSocket connection is not open'));
+    let inlined = null;
+    const command = async (session) => {
+      if (source && this.mediaStreamer.canStream(session)) {
+        const media = await this.mediaStreamer.stream(session, requestId, source, fetchOptions);
+        mimeType = media.mimeType;
+        return protocol.addCommandHints(build({}), { media });
       }
-    });
+      inlined = inlined || Promise.resolve(handler.resolveMedia ? handler.resolveMedia(data, fetchOptions) : {});
+      const media = await inlined;
+      mimeType = media.mimeType || null;
+      return build(media);
+    };
+    return withMimeType(await this._dispatch(apiKey, requestId, type, data, command, options));
+  }
+
+  /**
+   * Options for downloading the media URL of a send
+   * @param {string} type - Message type (selects the media.maxSize entry)
+   * @param {object} data - Send data with optional mediaHeaders and mediaAuth
+   * @returns {object} { headers, auth, maxSize, timeout, connectTimeout, maxRedirects }
+   * @private
+   */
+  _mediaFetchOptions(type, data) {
+    const media = this.config.media;
+    return {
+      headers: data.mediaHeaders,
+      auth: data.mediaAuth,
+      maxSize: utils.getMaxSize(media.maxSize, type),
+      // A slow media host counts against the same budget as the extension
+      timeout: media.timeout || this.config.requestTimeout,
+      connectTimeout: media.connectTimeout,
+      maxRedirects: media.maxRedirects
+    };
+  }
+
+  /**
+   * Register a custom message type for use with send()
+   * @param {string} type - Message type name
+   * @param {object} handler - { validate, buildCommand, resolveMedia }
+   */
+  registerMessageType(type, handler) {
+    this.messageTypes.register(type, handler);
+  }
+
+  /**
+   * Register (or replace) a message template for sendTemplate()
+   * @param {string} name - Template name
+   * @param {object} definition - { text, media, locales, variables }
+   */
+  registerTemplate(name, definition) {
+    this.templates.register(name, definition);
+  }
+
+  /**
+   * Render a template without sending it
+   * @param {string} name - Template name
+   * @param {object} vars - Variable values
+   * @param {string} locale - Locale, e.g. 'es' or 'pt-BR'
+   * @returns {object} Send data { type, message } or { type, <media>Url, caption, ... }
+   */
+  renderTemplate(name, vars, locale) {
+    return this.templates.render(name, vars, locale);
+  }
+
+  /**
+   * Render a template and send it
+   * @param {string} apiKey - API key
+   * @param {string} phoneNumber - Recipient phone number
+   * @param {string} templateName - Template name
+   * @param {object} vars - Variable values
+   * @param {string} locale - Locale, e.g. 'es' or 'pt-BR' (default: the template's base text)
+   * @param {object} options - Send options { queue, ttl, requestId }
+   * @returns {Promise<object>} Message result
+   */
+  async sendTemplate(apiKey, phoneNumber, templateName, vars = {}, locale, options = {}) {
+    const rendered = this.templates.render(templateName, vars, locale);
+    return this.send(apiKey, { ...rendered, phoneNumber }, options);
+  }
+
+  /**
+   * Send a text message
+   * @param {string} apiKey - API key
+   * @param {object} data - Message data { phoneNumber, message }
+   * @param {object} options - Send options { queue, ttl, requestId }
+   * @returns {Promise<object>} Message result
+   */
+  async sendMessage(apiKey, data, options = {}) {
+    return this.send(apiKey, { ...data, type: 'message' }, options);
+  }
+
+  /**
+   * Send an image
+   * @param {string} apiKey - API key
+   * @param {object} data - Image data { phoneNumber, imageUrl OR imageDataUrl, caption }
+   * @param {object} options - Send options { queue, ttl, requestId }
+   * @returns {Promise<object>} Message result
+   */
+  async sendImage(apiKey, data, options = {}) {
+    return this.send(apiKey, { ...data, type: 'image' }, options);
+  }
+
+  /**
+   * Send a video
+   * @param {string} apiKey - API key
+   * @param {object} data - Video data { phoneNumber, videoUrl OR videoDataUrl, caption }
+   * @param {object} options - Send options { queue, ttl, requestId }
+   * @returns {Promise<object>} Message result
+   */
+  async sendVideo(apiKey, data, options = {}) {
+    return this.send(apiKey, { ...data, type: 'video' }, options);
+  }
+
+  /**
+   * Send a document
+   * @param {string} apiKey - API key
+   * @param {object} data - Document data { phoneNumber, documentUrl OR documentDataUrl, documentName, caption }
+   * @param {object} options - Send options { queue, ttl, requestId }
+   * @returns {Promise<object>} Message result
+   */
+  async sendDocument(apiKey, data, options = {}) {
+    return this.send(apiKey, { ...data, type: 'document' }, options);
   }
 
   /**
@@ -673,6 +1842,370 @@ class WhatsAppGateway {
     return this.sessionManager.getSessionInfo(apiKey);
   }
 
+  /**
+   * Get the delivery status timeline of a request
+   * @param {string} requestId - Request ID
+   * @returns {object|null} { requestId, messageId, status, timeline, ... } or null
+   */
+  getMessageStatus(requestId) {
+    return this.messageTracker.get(requestId);
+  }
+
+  /**
+   * Get the stored log of a finished send (requires config.storage)
+   * @param {string} requestId - Request ID
+   * @returns {Promise<object|null>} Log entry as passed to onMessageLog (API key masked), or null
+   */
+  async getMessageLog(requestId) {
+    return this.messageLog ? this.messageLog.get(requestId) : null;
+  }
+
+  /**
+   * Send one message to many recipients in the background
+   * @param {string} apiKey - API key
+   * @param {Array<string|object>} recipients - Phone numbers, or { phoneNumber, ...vars } objects
+   * @param {object} template - Message { type, ...payload }; {{var}} placeholders are filled from each recipient
+   * @param {object} options - { concurrency, queue, ttl }
+   * @returns {Promise<object>} Job { jobId, state, total, counts, results, ... }
+   */
+  async sendBulk(apiKey, recipients, template, options = {}) {
+    return this.bulk.start(apiKey, recipients, template, options);
+  }
+
+  /**
+   * Get the progress of a bulk job
+   * @param {string} jobId - Job ID returned by sendBulk()
+   * @returns {object|null} Job { jobId, state, total, counts, results, ... } or null
+   */
+  getBulkJob(jobId) {
+    return this.bulk.get(jobId);
+  }
+
+  /**
+   * Pause a bulk job; sends in flight finish
+   * @param {string} jobId - Job ID
+   * @returns {boolean} True if the job was running
+   */
+  pauseBulkJob(jobId) {
+    return this.bulk.pause(jobId);
+  }
+
+  /**
+   * Resume a paused bulk job
+   * @param {string} jobId - Job ID
+   * @returns {boolean} True if the job was paused
+   */
+  resumeBulkJob(jobId) {
+    return this.bulk.resume(jobId);
+  }
+
+  /**
+   * Cancel the remaining recipients of a bulk job
+   * @param {string} jobId - Job ID
+   * @returns {boolean} True if the job was running or paused
+   */
+  cancelBulkJob(jobId) {
+    return this.bulk.cancel(jobId);
+  }
+
+  /**
+   * Schedule a message for a given time or a cron schedule
+   * @param {string} apiKey - API key
+   * @param {object} data - Send data { type, ...payload } as for send() (type defaults to 'message')
+   * @param {object} options - { at } (Date, timestamp, ISO string or local 'YYYY-MM-DDTHH:mm') or { cron },
+   *   plus { timezone, missed }
+   * @returns {Promise<object>} Schedule { scheduleId, nextRunAt, state, ... }
+   */
+  async scheduleMessage(apiKey, data, options = {}) {
+    return this.scheduler.create(apiKey, data, options);
+  }
+
+  /**
+   * Get a scheduled message
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<object|null>} Schedule or null
+   */
+  async getScheduledMessage(scheduleId) {
+    return this.scheduler.get(scheduleId);
+  }
+
+  /**
+   * List scheduled messages for an API key, soonest first
+   * @param {string} apiKey - API key
+   * @param {string} state - Optional state filter ('scheduled', 'completed', 'failed', 'missed', 'cancelled')
+   * @returns {Promise<Array>} Schedules
+   */
+  async getScheduledMessages(apiKey, state) {
+    return this.scheduler.list(apiKey, state);
+  }
+
+  /**
+   * Cancel a scheduled message
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<boolean>} True if it was scheduled
+   */
+  async cancelScheduledMessage(scheduleId) {
+    return this.scheduler.cancel(scheduleId);
+  }
+
+  /**
+   * Change when a scheduled message is sent
+   * @param {string} scheduleId - Schedule ID
+   * @param {object} options - { at } or { cron }, plus { timezone, missed }
+   * @returns {Promise<object|null>} Updated schedule or null if unknown
+   */
+  async rescheduleMessage(scheduleId, options) {
+    return this.scheduler.reschedule(scheduleId, options);
+  }
+
+  /**
+   * Get a queued message and its delivery state
+   * @param {string} requestId - Request ID returned when the message was queued
+   * @returns {Promise<object|null>} Queue entry or null
+   */
+  async getQueuedMessage(requestId) {
+    if (!this.queue) {
+      return null;
+    }
+    return this.queue.get(requestId);
+  }
+
+  /**
+   * List queued messages for an API key
+   * @param {string} apiKey - API key
+   * @param {string} state - Optional state filter ('queued', 'dispatched', 'delivered', 'failed')
+   * @returns {Promise<Array>} Queue entries, oldest first
+   */
+  async getQueuedMessages(apiKey, state) {
+    if (!this.queue) {
+      return [];
+    }
+    return this.queue.list(apiKey, state);
+  }
+
+  /**
+   * Get the account a recipient is pinned to ('sticky' strategy)
+   * @param {string} apiKey - API key
+   * @param {string} phoneNumber - Recipient phone number
+   * @returns {Promise<object|null>} { sessionId, whatsappNumber, pinnedAt, expiresAt, ... } or null
+   */
+  async getStickyRoute(apiKey, phoneNumber) {
+    if (!this.stickyRouter) {
+      return null;
+    }
+    return this.stickyRouter.get(apiKey, phoneNumber);
+  }
+
+  /**
+   * Remove a recipient's pin so the next send picks a device freely
+   * @param {string} apiKey - API key
+   * @param {string} phoneNumber - Recipient phone number
+   * @returns {Promise<boolean>} True if a pin existed
+   */
+  async clearStickyRoute(apiKey, phoneNumber) {
+    if (!this.stickyRouter) {
+      return false;
+    }
+    return this.stickyRouter.unpin(apiKey, phoneNumber);
+  }
+
+  /**
+   * Set the label of a device (kept across reconnects)
+   * @param {string} apiKey - API key
+   * @param {string} deviceId - Device ID from the extension's auth message (or session ID if it sent none)
+   * @param {string|null} label - Label, or null to clear it
+   * @returns {Promise<object>} Device profile
+   */
+  async setDeviceLabel(apiKey, deviceId, label) {
+    if (label !== null && (typeof label !== 'string' || !label)) {
+      throw utils.formatError('VALIDATION_ERROR', 'label must be a non-empty string or null');
+    }
+    return this._updateDevice(apiKey, deviceId, { label });
+  }
+
+  /**
+   * Replace the tags of a device (kept across reconnects)
+   * @param {string} apiKey - API key
+   * @param {string} deviceId - Device ID from the extension's auth message (or session ID if it sent none)
+   * @param {Array<string>} tags - Tags, e.g. ['support', 'eu']
+   * @returns {Promise<object>} Device profile
+   */
+  async setDeviceTags(apiKey, deviceId, tags) {
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string' || !tag)) {
+      throw utils.formatError('VALIDATION_ERROR', 'tags must be an array of non-empty strings');
+    }
+    return this._updateDevice(apiKey, deviceId, { tags: [...new Set(tags)] });
+  }
+
+  /**
+   * Replace the metadata of a device (kept across reconnects)
+   * @param {string} apiKey - API key
+   * @param {string} deviceId - Device ID from the extension's auth message (or session ID if it sent none)
+   * @param {object} metadata - Free-form data, e.g. { owner: 'Alice', location: 'Berlin' }
+   * @returns {Promise<object>} Device profile
+   */
+  async setDeviceMetadata(apiKey, deviceId, metadata) {
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+      throw utils.formatError('VALIDATION_ERROR', 'metadata must be an object');
+    }
+    return this._updateDevice(apiKey, deviceId, { metadata });
+  }
+
+  /**
+   * List the known devices of an API key: connected ones and ones with a stored profile
+   * @param {string} apiKey - API key
+   * @returns {Promise<Array>} [{ deviceId, label, tags, metadata, connected, ready, sessionId, whatsappNumber }]
+   */
+  async getDevices(apiKey) {
+    const devices = new Map();
+
+    (await this.deviceRegistry.list(apiKey)).forEach((profile) => {
+      devices.set(profile.deviceId, {
+        deviceId: profile.deviceId,
+        label: profile.label,
+        tags: profile.tags,
+        metadata: profile.metadata,
+        connected: false,
+        ready: false,
+        sessionId: null,
+        whatsappNumber: null
+      });
+    });
+
+    this.sessionManager.getSessions(apiKey).forEach((session) => {
+      const deviceId = this._deviceKey(session);
+      const known = devices.get(deviceId);
+      // Prefer the ready session when a device is connected twice
+      if (known && known.ready) {
+        return;
+      }
+      devices.set(deviceId, {
+        deviceId,
+        label: session.label,
+        tags: session.tags,
+        metadata: session.metadata,
+        connected: true,
+        ready: session.deviceActive,
+        sessionId: session.sessionId,
+        whatsappNumber: session.whatsappNumber
+      });
+    });
+
+    return Array.from(devices.values());
+  }
+
+  /**
+   * List the known devices of an API key that have a tag
+   * @param {string} apiKey - API key
+   * @param {string} tag - Tag
+   * @returns {Promise<Array>} Devices, as returned by getDevices()
+   */
+  async getDevicesByTag(apiKey, tag) {
+    return (await this.getDevices(apiKey)).filter(device => device.tags.includes(tag));
+  }
+
+  /**
+   * Store device profile changes and apply them to its connected sessions
+   * @param {string} apiKey - API key
+   * @param {string} deviceId - Device ID (or session ID)
+   * @param {object} changes - Any of { label, tags, metadata }
+   * @returns {Promise<object>} Device profile
+   * @private
+   */
+  async _updateDevice(apiKey, deviceId, changes) {
+    if (typeof deviceId !== 'string' || !deviceId) {
+      throw utils.formatError('VALIDATION_ERROR', 'deviceId must be a non-empty string');
+    }
+
+    const sessions = this.sessionManager.getSessions(apiKey).filter(session => this._deviceKey(session) === deviceId);
+    sessions.forEach((session) => {
+      Object.assign(session, changes);
+      this._publishClusterSession(session);
+    });
+
+    // Without a deviceId the profile cannot be recognized on reconnect, so it lives on the session only
+    if (sessions.length > 0 && !sessions[0].deviceId) {
+      const { label, tags, metadata } = sessions[0];
+      return { apiKey, deviceId, label, tags, metadata, updatedAt: Date.now() };
+    }
+
+    return this.deviceRegistry.update(apiKey, deviceId, changes);
+  }
+
+  /**
+   * Get the ID a session's device profile is stored under
+   * @param {object} session - Session
+   * @returns {string} Device ID, or the session ID if the extension sent none
+   * @private
+   */
+  _deviceKey(session) {
+    return session.deviceId || session.sessionId;
+  }
+
+  /**
+   * Set how much traffic a session gets under the 'weighted' strategy
+   * @param {string} sessionId - Session ID
+   * @param {number} weight - Positive weight (sessions default to 1)
+   * @returns {boolean} True if the session exists
+   */
+  setSessionWeight(sessionId, weight) {
+    const updated = this.sessionManager.setSessionWeight(sessionId, weight);
+    if (updated) {
+      this._publishClusterSession(this.sessionManager.getSession(sessionId));
+    }
+    return updated;
+  }
+
+  /**
+   * List the sessions of an API key on every gateway node (cluster mode)
+   * @param {string} apiKey - API key
+   * @returns {Promise<Array>} [{ sessionId, nodeId, deviceActive, whatsappNumber, label, tags, ... }];
+   *   local sessions only when clustering is off
+   */
+  async getClusterSessions(apiKey) {
+    if (!this.cluster) {
+      return this.getActiveSessions(apiKey);
+    }
+    return this.cluster.getSessions(apiKey);
+  }
+
+  /**
+   * Find a device on another node, treating registry errors as none
+   * @param {string} apiKey - API key
+   * @param {Array<string>} exclude - Session IDs already tried
+   * @param {object|null} target - Explicit device target
+   * @returns {Promise<object|null>} Remote session descriptor or null
+   * @private
+   */
+  async _findRemoteSession(apiKey, exclude, target) {
+    try {
+      return await this.cluster.findRemoteSession(apiKey, { exclude, target });
+    } catch (error) {
+      this.cluster.reportError('Failed to look up remote sessions', error);
+      return null;
+    }
+  }
+
+  /**
+   * Share a local session's state with the other nodes (cluster mode)
+   * @param {object} session - Local session
+   * @private
+   */
+  _publishClusterSession(session) {
+    if (this.cluster && session) {
+      this.cluster.publishSession(session)
+        .catch(error => this.cluster.reportError('Failed to publish session', error));
+    }
+  }
+
+  /**
+   * Get gateway metrics in Prometheus text format
+   * @returns {string} Exposition text
+   */
+  getMetrics() {
+    return this.metrics.render();
+  }
+
   /**
    * Get health check information
    * @returns {object} Health check data
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const { MemoryStore, FileStore } = require('./stores');
+const utils = require('./utils');
+
+/**
+ * JSON with object keys sorted, so equal payloads serialize the same
+ * @param {*} value - JSON-serializable value
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash a send payload (the idempotency key itself excluded)
+ * @param {object} payload - Send data { type, ...data }
+ * @returns {string} SHA-256 hex digest
+ */
+function fingerprint(payload) {
+  const { idempotencyKey, ...rest } = payload || {};
+  return crypto.createHash('sha256').update(canonicalJson(rest)).digest('hex');
+}
+
+/**
+ * IdempotencyCache makes sends with the same idempotency key run once.
+ *
+ * While a send is in flight, duplicates share its promise. Once it succeeds
+ * (or is queued), its result is stored for `ttl` and returned to duplicates
+ * without sending again. Failed sends are not stored, so a client retrying
+ * after a failure really retries. A key reused with a different payload is
+ * rejected instead of returning the result of the other message.
+ */
+class IdempotencyCache {
+  /**
+   * @param {object} config - Idempotency configuration
+   * @param {number} config.ttl - How long results are kept for duplicates in ms (default: 24 hours)
+   * @param {object} config.store - Store for results (default: in memory)
+   * @param {string} config.filePath - Persist results to this JSON file instead
+   * @param {number} config.pruneInterval - Minimum time between removals of expired results in ms (default: 1 hour)
+   */
+  constructor(config = {}) {
+    this.ttl = config.ttl || 24 * 60 * 60 * 1000;
+    this.store = config.store || (config.filePath ? new FileStore(config.filePath) : new MemoryStore());
+    this.pruneInterval = config.pruneInterval || 60 * 60 * 1000;
+    this.lastPrunedAt = Date.now();
+
+    // apiKey:key -> { promise, hash } of the send in flight
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Run a send once per API key and idempotency key
+   * @param {string} apiKey - API key
+   * @param {string} key - Idempotency key
+   * @param {object} payload - Send data { type, ...data } the key was used with
+   * @param {Function} send - Performs the send, resolves with its result
+   * @returns {Promise<object>} Result of the original send
+   */
+  run(apiKey, key, payload, send) {
+    const id = this._key(apiKey, key);
+    const hash = fingerprint(payload);
+    const inFlight = this.inFlight.get(id);
+    if (inFlight) {
+      return inFlight.hash === hash ? inFlight.promise : Promise.reject(this._mismatchError(key));
+    }
+
+    const promise = (async () => {
+      const stored = await this.get(apiKey, key);
+      if (stored) {
+        // Records stored before payload hashes were kept have none
+        if (stored.hash && stored.hash !== hash) {
+          throw this._mismatchError(key);
+        }
+        return stored.result;
+      }
+
+      const result = await send();
+      if (result && result.success) {
+        await this.store.set(id, {
+          apiKey,
+          key,
+          hash,
+          result,
+          expiresAt: Date.now() + this.ttl
+        });
+        this._pruneIfDue();
+      }
+      return result;
+    })();
+
+    this.inFlight.set(id, { promise, hash });
+    const release = () => {
+      if (this.inFlight.has(id) && this.inFlight.get(id).promise === promise) {
+        this.inFlight.delete(id);
+      }
+    };
+    promise.then(release, release);
+
+    return promise;
+  }
+
+  /**
+   * Get the stored result of a key
+   * @param {string} apiKey - API key
+   * @param {string} key - Idempotency key
+   * @returns {Promise<object|null>} { apiKey, key, result, expiresAt } or null if none or expired
+   */
+  async get(apiKey, key) {
+    const id = this._key(apiKey, key);
+    const record = await this.store.get(id);
+    if (!record) {
+      return null;
+    }
+    if (record.expiresAt <= Date.now()) {
+      await this.store.delete(id);
+      return null;
+    }
+    return record;
+  }
+
+  /**
+   * Remove expired results
+   * @returns {Promise<number>} Number of results removed
+   */
+  async prune() {
+    const now = Date.now();
+    let removed = 0;
+    for (const record of await this.store.values()) {
+      if (record.expiresAt <= now) {
+        await this.store.delete(this._key(record.apiKey, record.key));
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Remove expired results once per pruneInterval, so a long-running gateway's store does not grow without bound
+   * @private
+   */
+  _pruneIfDue() {
+    if (Date.now() - this.lastPrunedAt < this.pruneInterval) {
+      return;
+    }
+    this.lastPrunedAt = Date.now();
+    this.prune().catch(() => {}); // Retried on the next interval; expired results are ignored by get() meanwhile
+  }
+
+  /**
+   * @private
+   */
+  _mismatchError(key) {
+    return utils.formatError(
+      'VALIDATION_ERROR',
+      'idempotencyKey was already used for a different message',
+      { idempotencyKey: key }
+    );
+  }
+
+  /**
+   * @private
+   */
+  _key(apiKey, key) {
+    return `${apiKey}:${key}`;
+  }
+}
+
+module.exports = IdempotencyCache;
@@ -1,4 +1,14 @@
 const WhatsAppGateway = require('./gateway');
+const MessageQueue = require('./message-queue');
+const RetryPolicy = require('./retry-policy');
+const RateLimiter = require('./rate-limiter');
+const { MessageTypeRegistry } = require('./message-types');
+const { TemplateRegistry } = require('./templates');
+const { MemoryStore, FileStore } = require('./stores');
+const { MemoryStorage, FileStorage, SqliteStorage } = require('./storage');
+const { ConsoleLogger } = require('./logger');
+const { createRestRouter } = require('./rest-router');
+const { MemoryClusterAdapter, RedisClusterAdapter } = require('./cluster');
 
 /**
  * Error codes used by the gateway
@@ -15,7 +25,12 @@ const ERROR_CODES = {
   INVALID_PHONE_NUMBER: 'INVALID_PHONE_NUMBER',
   INVALID_DATA: 'INVALID_DATA',
   FETCH_ERROR: 'FETCH_ERROR',
-  FILE_TOO_LARGE: 'FILE_TOO_LARGE'
+  FILE_TOO_LARGE: 'FILE_TOO_LARGE',
+  QUEUE_EXPIRED: 'QUEUE_EXPIRED',
+  RATE_LIMITED: 'RATE_LIMITED',
+  NOT_FOUND: 'NOT_FOUND',
+  DEVICE_NOT_AVAILABLE: 'DEVICE_NOT_AVAILABLE',
+  UNSUPPORTED_MEDIA_TYPE: 'UNSUPPORTED_MEDIA_TYPE'
 };
 
 /**
@@ -26,6 +41,9 @@ const SERVER_MESSAGE_TYPES = {
   SEND_IMAGE: 'send-image',
   SEND_VIDEO: 'send-video',
   SEND_DOCUMENT: 'send-document',
+  MEDIA_BEGIN: 'media-begin',
+  MEDIA_END: 'media-end',
+  MEDIA_ABORT: 'media-abort',
   PING: 'ping'
 };
 
@@ -36,11 +54,28 @@ const EXTENSION_MESSAGE_TYPES = {
   AUTH: 'auth',
   STATUS: 'status',
   MESSAGE_RESULT: 'message-result',
-  HEARTBEAT: 'heartbeat'
+  HEARTBEAT: 'heartbeat',
+  INCOMING_MESSAGE: 'incoming-message',
+  MESSAGE_ACK: 'message-ack',
+  MEDIA_ACK: 'media-ack'
 };
 
 module.exports = {
   WhatsAppGateway,
+  MessageQueue,
+  RetryPolicy,
+  RateLimiter,
+  MessageTypeRegistry,
+  TemplateRegistry,
+  MemoryStore,
+  FileStore,
+  MemoryStorage,
+  FileStorage,
+  SqliteStorage,
+  ConsoleLogger,
+  MemoryClusterAdapter,
+  RedisClusterAdapter,
+  createRestRouter,
   ERROR_CODES,
   SERVER_MESSAGE_TYPES,
   EXTENSION_MESSAGE_TYPES
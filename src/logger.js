@@ -0,0 +1,169 @@
+/**
+ * Log levels from most to least verbose
+ */
+const LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+/**
+ * ConsoleLogger is the default logger. It prints plain messages with
+ * console.log (stdout) at every level, matching the gateway's historical
+ * output.
+ *
+ * Methods follow the pino calling convention so pino (and anything with the
+ * same shape) can be passed in directly:
+ *   logger.info('message')
+ *   logger.info({ sessionId }, 'message')
+ */
+class ConsoleLogger {
+  /**
+   * @param {object} config - Logger configuration
+   * @param {string} config.level - Minimum level printed (default: 'info')
+   * @param {object} bindings - Fields attached by child loggers
+   */
+  constructor(config = {}, bindings = {}) {
+    const level = config.level || 'info';
+    if (!LEVELS.includes(level)) {
+      throw new Error(`Invalid log level: ${level}`);
+    }
+
+    this.level = level;
+    this.bindings = bindings;
+  }
+
+  debug(...args) {
+    this._write('debug', args);
+  }
+
+  info(...args) {
+    this._write('info', args);
+  }
+
+  warn(...args) {
+    this._write('warn', args);
+  }
+
+  error(...args) {
+    this._write('error', args);
+  }
+
+  /**
+   * Create a logger that carries extra fields
+   * @param {object} bindings - Fields such as sessionId and apiKey
+   * @returns {ConsoleLogger} Child logger
+   */
+  child(bindings) {
+    return new ConsoleLogger({ level: this.level }, { ...this.bindings, ...bindings });
+  }
+
+  /**
+   * Print a message if its level is enabled
+   * @param {string} level - Message level
+   * @param {Array} args - (message) or (fields, message)
+   * @private
+   */
+  _write(level, args) {
+    if (LEVELS.indexOf(level) < LEVELS.indexOf(this.level)) {
+      return;
+    }
+    const message = typeof args[0] === 'object' && args[0] !== null ? args[1] : args[0];
+    console.log(message);
+  }
+}
+
+/**
+ * WinstonLogger adapts a winston logger, whose methods take
+ * (message, meta), to the pino-style (fields, message) calls of the gateway.
+ */
+class WinstonLogger {
+  /**
+   * @param {object} logger - winston logger
+   */
+  constructor(logger) {
+    this.logger = logger;
+  }
+
+  debug(...args) {
+    this._write('debug', args);
+  }
+
+  info(...args) {
+    this._write('info', args);
+  }
+
+  warn(...args) {
+    this._write('warn', args);
+  }
+
+  error(...args) {
+    this._write('error', args);
+  }
+
+  /**
+   * Create a logger that carries extra fields
+   * @param {object} bindings - Fields such as sessionId and apiKey
+   * @returns {WinstonLogger} Child logger
+   */
+  child(bindings) {
+    return typeof this.logger.child === 'function' ? new WinstonLogger(this.logger.child(bindings)) : this;
+  }
+
+  /**
+   * @private
+   */
+  _write(level, args) {
+    if (typeof args[0] === 'object' && args[0] !== null) {
+      this.logger[level](args[1], args[0]);
+    } else {
+      this.logger[level](args[0]);
+    }
+  }
+}
+
+/**
+ * Check if a logger is a winston logger (it has transports and add())
+ * @param {object} logger - Logger instance
+ * @returns {boolean} True for winston
+ */
+function isWinstonLogger(logger) {
+  return typeof logger.add === 'function' && typeof logger.log === 'function' && logger.transports !== undefined;
+}
+
+/**
+ * Resolve the `logger` config option to a logger instance
+ * @param {object|string|boolean} option - Logger instance, 'silent'/false, or undefined for the default
+ * @returns {object} Logger with debug/info/warn/error methods
+ */
+function createLogger(option) {
+  if (option === undefined || option === null || option === true) {
+    return new ConsoleLogger();
+  }
+  if (option === false || option === 'silent') {
+    return new ConsoleLogger({ level: 'silent' });
+  }
+  if (typeof option === 'string') {
+    return new ConsoleLogger({ level: option });
+  }
+
+  const missing = ['debug', 'info', 'warn', 'error'].filter(level => typeof option[level] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`logger is missing methods: ${missing.join(', ')}`);
+  }
+  return isWinstonLogger(option) ? new WinstonLogger(option) : option;
+}
+
+/**
+ * Create a child logger, falling back to the parent for loggers without child()
+ * @param {object} logger - Parent logger
+ * @param {object} bindings - Fields to attach
+ * @returns {object} Child logger
+ */
+function childLogger(logger, bindings) {
+  return typeof logger.child === 'function' ? logger.child(bindings) : logger;
+}
+
+module.exports = {
+  ConsoleLogger,
+  WinstonLogger,
+  createLogger,
+  childLogger,
+  LOG_LEVELS: LEVELS
+};
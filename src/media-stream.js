@@ -0,0 +1,353 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const protocol = require('./protocol');
+const utils = require('./utils');
+
+/**
+ * MediaStreamer sends media to an extension as a chunked binary transfer
+ * instead of one base64 data URL inside the send command.
+ *
+ * A transfer is a media-begin frame, binary chunk frames and a media-end
+ * frame carrying the chunk count, size and SHA-256 of the file. The extension
+ * acknowledges every chunk with a media-ack { seq }; at most `window` chunks
+ * are unacknowledged at a time, so the source is only read as fast as the
+ * extension takes it and memory stays bounded by window x chunkSize. The
+ * transfer ends when the extension verifies the checksum and sends
+ * media-ack { complete: true }, or fails with media-ack { error }. A transfer
+ * the gateway gives up on after media-begin (source error, size limit, missing
+ * ack) is closed with a media-abort frame so the extension drops its chunks.
+ */
+class MediaStreamer {
+  /**
+   * @param {WhatsAppGateway} gateway - Gateway the transfers belong to
+   * @param {object} config - Streaming configuration
+   * @param {number} config.chunkSize - Bytes per chunk (default: 256KB)
+   * @param {number} config.window - Unacknowledged chunks allowed in flight (default: 8)
+   * @param {number} config.ackTimeout - Max wait for an acknowledgement in ms (default: requestTimeout)
+   * @param {number|object} config.maxSize - Maximum file size in bytes, or bytes per media type (default: 64MB)
+   */
+  constructor(gateway, config = {}) {
+    this.gateway = gateway;
+    this.chunkSize = config.chunkSize || 256 * 1024;
+    this.window = config.window || 8;
+    this.ackTimeout = config.ackTimeout || gateway.config.requestTimeout;
+    this.maxSize = config.maxSize;
+
+    // mediaId -> transfer in progress
+    this.transfers = new Map();
+  }
+
+  /**
+   * Check if media can be streamed to a session (a local, connected extension that advertised support)
+   * @param {object} session - Session
+   * @returns {boolean} True if streaming is possible
+   */
+  canStream(session) {
+    return !session.remote && session.mediaStreaming === true &&
+      !session.suspended && session.ws.readyState === 1;
+  }
+
+  /**
+   * Stream media from a URL to a session
+   * @param {object} session - Session to send to
+   * @param {string} requestId - Send the media belongs to
+   * @param {object} source - { url, mediaType, mimeType, fileName } (mimeType is the fallback when the content is not recognized)
+   * @param {object} fetchOptions - { headers, auth, connectTimeout, maxRedirects, timeout } for the URL;
+   *   `timeout` is the longest wait for the next bytes of the file
+   * @returns {Promise<object>} { mediaId, mimeType, fileName, size, sha256 } once the extension verified the file
+   */
+  async stream(session, requestId, source, fetchOptions = {}) {
+    const maxSize = utils.getMaxSize(this.maxSize, source.mediaType, 64 * 1024 * 1024);
+    const transfer = {
+      mediaId: uuidv4(),
+      requestId,
+      sessionId: session.sessionId,
+      ws: session.ws,
+      nextSeq: 0,
+      chunkBytes: new Map(),
+      bytesAcked: 0,
+      totalBytes: null,
+      begun: false,
+      complete: false,
+      failed: null,
+      rejected: false,
+      waiter: null
+    };
+    this.transfers.set(transfer.mediaId, transfer);
+
+    let response = null;
+    try {
+      response = await utils.openUrlStream(source.url, {
+        headers: fetchOptions.headers,
+        auth: fetchOptions.auth,
+        connectTimeout: fetchOptions.connectTimeout,
+        maxRedirects: fetchOptions.maxRedirects,
+        maxSize
+      });
+      const length = parseInt(response.headers['content-length'], 10);
+      transfer.totalBytes = Number.isFinite(length) ? length : null;
+
+      const hash = crypto.createHash('sha256');
+      let mimeType = null;
+      let size = 0;
+      let buffered = [];
+      let bufferedBytes = 0;
+
+      // media-begin goes out once the first bytes show what the file is
+      const begin = (head) => {
+        mimeType = utils.detectMimeType(head, { contentType: response.headers['content-type'], fallback: source.mimeType });
+        utils.checkMediaMimeType(mimeType, source.mediaType, source.url);
+        this._send(transfer, protocol.createMediaBeginCommand({
+          mediaId: transfer.mediaId,
+          requestId,
+          mimeType,
+          fileName: source.fileName,
+          size: transfer.totalBytes,
+          chunkSize: this.chunkSize
+        }));
+        transfer.begun = true;
+      };
+
+      // Not a for-await loop, so a stalled source times out instead of hanging the send
+      const reader = response[Symbol.asyncIterator]();
+      for (;;) {
+        const { value: data, done } = await this._read(reader, source.url, fetchOptions.timeout);
+        if (done) {
+          break;
+        }
+        if (!mimeType) {
+          begin(data);
+        }
+        size += data.length;
+        if (size > maxSize) {
+          throw utils.formatError(
+            'FILE_TOO_LARGE',
+            `File exceeds maximum size of ${maxSize / 1024 / 1024}MB`,
+            { url: source.url, maxSize, currentSize: size }
+          );
+        }
+        hash.update(data);
+        buffered.push(data);
+        bufferedBytes += data.length;
+
+        while (bufferedBytes >= this.chunkSize) {
+          const joined = Buffer.concat(buffered);
+          await this._sendChunk(transfer, joined.subarray(0, this.chunkSize));
+          buffered = [joined.subarray(this.chunkSize)];
+          bufferedBytes -= this.chunkSize;
+        }
+      }
+      if (!mimeType) {
+        begin(Buffer.alloc(0));
+      }
+      if (bufferedBytes > 0) {
+        await this._sendChunk(transfer, Buffer.concat(buffered));
+      }
+
+      transfer.totalBytes = size;
+      const sha256 = hash.digest('hex');
+      this._send(transfer, protocol.createMediaEndCommand({
+        mediaId: transfer.mediaId,
+        chunks: transfer.nextSeq,
+        size,
+        sha256
+      }));
+
+      while (!transfer.complete) {
+        await this._waitForAck(transfer);
+      }
+
+      return {
+        mediaId: transfer.mediaId,
+        mimeType,
+        fileName: source.fileName || null,
+        size,
+        sha256
+      };
+    } catch (error) {
+      this._abort(transfer, error);
+      throw error;
+    } finally {
+      if (response) {
+        response.destroy();
+      }
+      this.transfers.delete(transfer.mediaId);
+    }
+  }
+
+  /**
+   * Handle a media-ack from a session
+   * @param {string} sessionId - Session that sent the ack
+   * @param {object} ack - { mediaId, seq, complete, error }
+   */
+  handleAck(sessionId, ack) {
+    const transfer = this.transfers.get(ack.mediaId);
+    if (!transfer || transfer.sessionId !== sessionId) {
+      return;
+    }
+
+    if (ack.error) {
+      transfer.rejected = true;
+      this._fail(transfer, utils.formatError('EXTENSION_ERROR', `Media transfer failed: ${ack.error}`, { mediaId: ack.mediaId }));
+      return;
+    }
+
+    if (ack.seq !== null && transfer.chunkBytes.has(ack.seq)) {
+      this._acknowledge(transfer, [ack.seq]);
+    }
+
+    if (ack.complete) {
+      // A verified file implies every chunk arrived, acknowledged or not
+      transfer.complete = true;
+      if (transfer.chunkBytes.size > 0) {
+        this._acknowledge(transfer, Array.from(transfer.chunkBytes.keys()));
+      }
+    }
+
+    if (transfer.waiter) {
+      transfer.waiter.resolve();
+    }
+  }
+
+  /**
+   * Fail the transfers of a session whose connection closed
+   * @param {string} sessionId - Session ID
+   */
+  abortSession(sessionId) {
+    for (const transfer of this.transfers.values()) {
+      if (transfer.sessionId === sessionId) {
+        this._fail(transfer, utils.formatError('CONNECTION_LOST', 'Connection closed during media transfer', { mediaId: transfer.mediaId }));
+      }
+    }
+  }
+
+  /**
+   * Count chunks as received and report progress
+   * @private
+   */
+  _acknowledge(transfer, seqs) {
+    seqs.forEach((seq) => {
+      transfer.bytesAcked += transfer.chunkBytes.get(seq);
+      transfer.chunkBytes.delete(seq);
+    });
+
+    this.gateway.emit('media:progress', {
+      mediaId: transfer.mediaId,
+      requestId: transfer.requestId,
+      sessionId: transfer.sessionId,
+      bytesSent: transfer.bytesAcked,
+      totalBytes: transfer.totalBytes,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Send one chunk once the window has room
+   * @private
+   */
+  async _sendChunk(transfer, payload) {
+    while (transfer.chunkBytes.size >= this.window) {
+      await this._waitForAck(transfer);
+    }
+
+    const seq = transfer.nextSeq++;
+    transfer.chunkBytes.set(seq, payload.length);
+    this._send(transfer, protocol.encodeMediaChunk(transfer.mediaId, seq, payload));
+  }
+
+  /**
+   * Write a frame to the transfer's connection
+   * @private
+   */
+  _send(transfer, frame) {
+    if (transfer.failed) {
+      throw transfer.failed;
+    }
+    if (transfer.ws.readyState !== 1) { // OPEN
+      throw utils.formatError('CONNECTION_LOST', 'WebSocket connection is not open', { mediaId: transfer.mediaId });
+    }
+    transfer.ws.send(frame);
+  }
+
+  /**
+   * Tell the extension to drop a transfer that failed on the gateway's side
+   * @private
+   */
+  _abort(transfer, error) {
+    if (!transfer.begun || transfer.rejected || transfer.ws.readyState !== 1) { // OPEN
+      return;
+    }
+    transfer.ws.send(protocol.createMediaAbortCommand({
+      mediaId: transfer.mediaId,
+      error: { code: utils.getErrorCode(error), message: error.message }
+    }));
+  }
+
+  /**
+   * Wait for the next acknowledgement of a transfer
+   * @private
+   */
+  _waitForAck(transfer) {
+    if (transfer.failed) {
+      return Promise.reject(transfer.failed);
+    }
+
+    return new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => {
+        transfer.waiter = null;
+        reject(utils.formatError(
+          'REQUEST_TIMEOUT',
+          `No media acknowledgement after ${this.ackTimeout / 1000} seconds`,
+          { mediaId: transfer.mediaId }
+        ));
+      }, this.ackTimeout);
+
+      transfer.waiter = {
+        resolve: () => {
+          clearTimeout(timeoutId);
+          transfer.waiter = null;
+          resolve();
+        },
+        reject: (error) => {
+          clearTimeout(timeoutId);
+          transfer.waiter = null;
+          reject(error);
+        }
+      };
+    });
+  }
+
+  /**
+   * @private
+   */
+  _fail(transfer, error) {
+    transfer.failed = error;
+    if (transfer.waiter) {
+      transfer.waiter.reject(error);
+    }
+  }
+
+  /**
+   * Read the next bytes of the source, failing if none arrive within timeout ms
+   * @private
+   */
+  _read(reader, url, timeout) {
+    if (!timeout) {
+      return reader.next();
+    }
+
+    // After a timeout the pending read fails when the response is destroyed; that is expected
+    const next = reader.next();
+    next.catch(() => {});
+
+    let timeoutId = null;
+    const timer = new Promise((resolve, reject) => {
+      timeoutId = setTimeout(() => {
+        reject(utils.formatError('FETCH_ERROR', `No data from URL for ${timeout / 1000} seconds`, { url, timeout }));
+      }, timeout);
+    });
+    return Promise.race([next, timer]).finally(() => clearTimeout(timeoutId));
+  }
+}
+
+module.exports = MediaStreamer;
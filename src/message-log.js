@@ -0,0 +1,75 @@
+const { MemoryStore } = require('./stores');
+const utils = require('./utils');
+
+/**
+ * MessageLog keeps the final result of every send, by request ID, for
+ * getMessageLog().
+ *
+ * Entries older than `maxAge` and the oldest entries beyond `maxEntries`
+ * are removed at start and, while running, at most once per
+ * `pruneInterval`. API keys are stored masked.
+ */
+class MessageLog {
+  /**
+   * @param {object} config - Message log configuration
+   * @param {number} config.maxAge - How long entries are kept in ms (default: 7 days)
+   * @param {number} config.maxEntries - Maximum number of entries kept (default: 10000)
+   * @param {number} config.pruneInterval - Minimum time between removals of old entries in ms (default: 10 minutes)
+   * @param {object} config.store - Store for entries (default: in memory)
+   */
+  constructor(config = {}) {
+    this.maxAge = config.maxAge || 7 * 24 * 60 * 60 * 1000;
+    this.maxEntries = config.maxEntries || 10000;
+    this.pruneInterval = config.pruneInterval || 10 * 60 * 1000;
+    this.store = config.store || new MemoryStore();
+    this.lastPrunedAt = Date.now();
+  }
+
+  /**
+   * Store the log of a finished send
+   * @param {object} log - Log entry as passed to onMessageLog
+   * @returns {Promise<void>}
+   */
+  async add(log) {
+    await this.store.set(log.requestId, { ...log, apiKey: utils.sanitizeApiKey(log.apiKey) });
+    this._pruneIfDue();
+  }
+
+  /**
+   * Get the log of a send
+   * @param {string} requestId - Request ID
+   * @returns {Promise<object|null>} Log entry or null if unknown or removed
+   */
+  async get(requestId) {
+    return (await this.store.get(requestId)) || null;
+  }
+
+  /**
+   * Remove entries older than maxAge and the oldest entries beyond maxEntries
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async prune() {
+    const cutoff = Date.now() - this.maxAge;
+    const logs = (await this.store.values()).sort((a, b) => a.timestamp - b.timestamp);
+    const excess = logs.length - this.maxEntries;
+    const removed = logs.filter((log, index) => index < excess || log.timestamp <= cutoff);
+    for (const log of removed) {
+      await this.store.delete(log.requestId);
+    }
+    return removed.length;
+  }
+
+  /**
+   * Prune once per pruneInterval, so a long-running gateway's store does not grow without bound
+   * @private
+   */
+  _pruneIfDue() {
+    if (Date.now() - this.lastPrunedAt < this.pruneInterval) {
+      return;
+    }
+    this.lastPrunedAt = Date.now();
+    this.prune().catch(() => {}); // Retried on the next interval
+  }
+}
+
+module.exports = MessageLog;
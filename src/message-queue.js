@@ -0,0 +1,205 @@
+const { FileStore } = require('./stores');
+
+/**
+ * States a queued message moves through
+ */
+const QUEUE_STATES = {
+  QUEUED: 'queued',
+  DISPATCHED: 'dispatched',
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+};
+
+/**
+ * MessageQueue holds outbound sends while no device is active for an API key
+ * and tracks their state until they are delivered, fail or expire.
+ */
+class MessageQueue {
+  /**
+   * @param {object} config - Queue configuration
+   * @param {object} config.store - Store instance (default: FileStore at config.filePath)
+   * @param {string} config.filePath - File used by the default store
+   * @param {number} config.ttl - Time a message may wait in the queue (ms)
+   * @param {number} config.retention - Time finished messages stay queryable (ms)
+   * @param {number} config.sweepInterval - Interval between expiry sweeps (ms)
+   */
+  constructor(config = {}) {
+    this.config = {
+      filePath: config.filePath || 'wa-gateway-queue.json',
+      ttl: config.ttl || 24 * 60 * 60 * 1000, // 24 hours
+      retention: config.retention || 24 * 60 * 60 * 1000, // 24 hours
+      sweepInterval: config.sweepInterval || 60000
+    };
+
+    this.store = config.store || new FileStore(this.config.filePath);
+  }
+
+  /**
+   * Add a message to the queue
+   * @param {string} requestId - Request ID the message will be dispatched with
+   * @param {string} apiKey - API key
+   * @param {string} type - Message type ('message', 'image', 'video', 'document')
+   * @param {object} data - Original send data
+   * @param {object} options - { ttl } to override the default TTL, { notBefore } to hold the message until then
+   * @returns {Promise<object>} Queue entry
+   */
+  async enqueue(requestId, apiKey, type, data, options = {}) {
+    const now = Date.now();
+    const notBefore = options.notBefore || null;
+    const entry = {
+      requestId,
+      apiKey,
+      type,
+      data,
+      state: QUEUE_STATES.QUEUED,
+      createdAt: now,
+      updatedAt: now,
+      notBefore,
+      // The TTL counts from when the message may be sent
+      expiresAt: Math.max(now, notBefore || 0) + (options.ttl || this.config.ttl),
+      result: null,
+      error: null
+    };
+
+    await this.store.set(requestId, entry);
+    return entry;
+  }
+
+  /**
+   * Get a queue entry
+   * @param {string} requestId - Request ID
+   * @returns {Promise<object|null>} Queue entry or null
+   */
+  async get(requestId) {
+    return this.store.get(requestId);
+  }
+
+  /**
+   * List queue entries for an API key, oldest first
+   * @param {string} apiKey - API key
+   * @param {string} state - Optional state filter
+   * @returns {Promise<Array>} Queue entries
+   */
+  async list(apiKey, state = null) {
+    const entries = await this.store.values();
+    return entries
+      .filter(entry => entry.apiKey === apiKey && (!state || entry.state === state))
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Get messages waiting to be dispatched for an API key
+   * @param {string} apiKey - API key
+   * @returns {Promise<Array>} Non-expired queued entries, oldest first
+   */
+  async getDue(apiKey) {
+    const now = Date.now();
+    const entries = await this.list(apiKey, QUEUE_STATES.QUEUED);
+    return entries.filter(entry => entry.expiresAt > now && !(entry.notBefore > now));
+  }
+
+  /**
+   * Mark an entry as sent to a device
+   * @param {string} requestId - Request ID
+   * @returns {Promise<object|null>} Updated entry
+   */
+  async markDispatched(requestId) {
+    return this._update(requestId, { state: QUEUE_STATES.DISPATCHED });
+  }
+
+  /**
+   * Mark an entry as delivered
+   * @param {string} requestId - Request ID
+   * @param {object} result - Message result from the extension
+   * @returns {Promise<object|null>} Updated entry
+   */
+  async markDelivered(requestId, result) {
+    return this._update(requestId, { state: QUEUE_STATES.DELIVERED, result });
+  }
+
+  /**
+   * Mark an entry as failed
+   * @param {string} requestId - Request ID
+   * @param {object} error - { code, message }
+   * @returns {Promise<object|null>} Updated entry
+   */
+  async markFailed(requestId, error) {
+    return this._update(requestId, { state: QUEUE_STATES.FAILED, error });
+  }
+
+  /**
+   * Put an entry back in the queued state (e.g. the device went away mid-send)
+   * @param {string} requestId - Request ID
+   * @returns {Promise<object|null>} Updated entry
+   */
+  async requeue(requestId) {
+    return this._update(requestId, { state: QUEUE_STATES.QUEUED });
+  }
+
+  /**
+   * Fail expired entries and drop finished entries past their retention
+   * @returns {Promise<Array>} Entries that expired during this sweep
+   */
+  async expire() {
+    const now = Date.now();
+    const expired = [];
+    const entries = await this.store.values();
+
+    for (const entry of entries) {
+      if (entry.state === QUEUE_STATES.QUEUED && entry.expiresAt <= now) {
+        expired.push(await this.markFailed(entry.requestId, {
+          code: 'QUEUE_EXPIRED',
+          message: 'Message expired before a device became available'
+        }));
+      } else if (
+        (entry.state === QUEUE_STATES.DELIVERED || entry.state === QUEUE_STATES.FAILED) &&
+        entry.updatedAt + this.config.retention <= now
+      ) {
+        await this.store.delete(entry.requestId);
+      }
+    }
+
+    return expired;
+  }
+
+  /**
+   * Return entries left in the dispatched state by a previous process to the queue.
+   * Delivery is at-least-once: the extension may already have sent them.
+   * @returns {Promise<number>} Number of requeued entries
+   */
+  async recover() {
+    const entries = await this.store.values();
+    let count = 0;
+
+    for (const entry of entries) {
+      if (entry.state === QUEUE_STATES.DISPATCHED) {
+        await this.requeue(entry.requestId);
+        count++;
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Apply changes to an entry
+   * @param {string} requestId - Request ID
+   * @param {object} changes - Fields to update
+   * @returns {Promise<object|null>} Updated entry or null
+   * @private
+   */
+  async _update(requestId, changes) {
+    const entry = await this.store.get(requestId);
+    if (!entry) {
+      return null;
+    }
+
+    const updated = { ...entry, ...changes, updatedAt: Date.now() };
+    await this.store.set(requestId, updated);
+    return updated;
+  }
+}
+
+MessageQueue.STATES = QUEUE_STATES;
+
+module.exports = MessageQueue;
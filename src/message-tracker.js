@@ -0,0 +1,158 @@
+/**
+ * Delivery statuses in the order a message moves through them
+ */
+const STATUS_ORDER = ['pending', 'sent', 'delivered', 'read', 'played'];
+
+/**
+ * MessageTracker keeps a status timeline for recently sent messages so
+ * delivery and read receipts can be matched back to the original request.
+ */
+class MessageTracker {
+  /**
+   * @param {object} config - Tracker configuration
+   * @param {number} config.maxEntries - Messages kept before the oldest are dropped (default: 10000)
+   */
+  constructor(config = {}) {
+    this.config = {
+      maxEntries: config.maxEntries || 10000
+    };
+
+    // requestId -> entry (insertion order doubles as age order)
+    this.entries = new Map();
+
+    // WhatsApp messageId -> requestId
+    this.messageIds = new Map();
+  }
+
+  /**
+   * Start tracking a request
+   * @param {string} requestId - Request ID
+   * @param {object} info - { apiKey, sessionId, phoneNumber, type }
+   * @returns {object} Tracking entry
+   */
+  track(requestId, info) {
+    const existing = this.entries.get(requestId);
+    if (existing) {
+      existing.sessionId = info.sessionId;
+      return existing;
+    }
+
+    const now = Date.now();
+    const entry = {
+      requestId,
+      messageId: null,
+      apiKey: info.apiKey,
+      sessionId: info.sessionId,
+      phoneNumber: info.phoneNumber,
+      type: info.type,
+      status: 'pending',
+      error: null,
+      timeline: [{ status: 'pending', timestamp: now }],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.entries.set(requestId, entry);
+    this._evict();
+    return entry;
+  }
+
+  /**
+   * Record the final result of a send
+   * @param {string} requestId - Request ID
+   * @param {object} result - { success, messageId, error, timestamp }
+   * @returns {object|null} Updated entry or null if not tracked
+   */
+  recordResult(requestId, result) {
+    const entry = this.entries.get(requestId);
+    if (!entry) {
+      return null;
+    }
+
+    const timestamp = result.timestamp || Date.now();
+
+    if (result.success) {
+      if (result.messageId) {
+        entry.messageId = result.messageId;
+        this.messageIds.set(result.messageId, requestId);
+      }
+      this._advance(entry, 'sent', timestamp);
+    } else {
+      entry.status = 'failed';
+      entry.error = result.error || null;
+      entry.timeline.push({ status: 'failed', timestamp });
+      entry.updatedAt = timestamp;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Record a delivery receipt from the extension
+   * @param {string} messageId - WhatsApp message ID
+   * @param {string} status - 'sent', 'delivered', 'read' or 'played'
+   * @param {number} timestamp - When the status was observed
+   * @param {object} source - { apiKey, sessionId } of the session that reported it
+   * @returns {object|null} Updated entry, or null if the message is unknown or was sent by another session
+   */
+  recordAck(messageId, status, timestamp = Date.now(), source = {}) {
+    const requestId = this.messageIds.get(messageId);
+    const entry = requestId ? this.entries.get(requestId) : null;
+    if (!entry || entry.apiKey !== source.apiKey || entry.sessionId !== source.sessionId) {
+      return null;
+    }
+
+    this._advance(entry, status, timestamp);
+    return entry;
+  }
+
+  /**
+   * Get the status of a request
+   * @param {string} requestId - Request ID
+   * @returns {object|null} Copy of the entry or null
+   */
+  get(requestId) {
+    const entry = this.entries.get(requestId);
+    if (!entry) {
+      return null;
+    }
+    return { ...entry, timeline: entry.timeline.map(item => ({ ...item })) };
+  }
+
+  /**
+   * Add a status to the timeline; the current status only moves forward
+   * (receipts can arrive out of order, e.g. 'read' before 'delivered');
+   * a failed request stays failed
+   * @param {object} entry - Tracking entry
+   * @param {string} status - New status
+   * @param {number} timestamp - When the status was observed
+   * @private
+   */
+  _advance(entry, status, timestamp) {
+    if (entry.status === 'failed') {
+      return;
+    }
+    entry.timeline.push({ status, timestamp });
+    entry.updatedAt = timestamp;
+
+    if (STATUS_ORDER.indexOf(status) > STATUS_ORDER.indexOf(entry.status)) {
+      entry.status = status;
+    }
+  }
+
+  /**
+   * Drop the oldest entries beyond maxEntries
+   * @private
+   */
+  _evict() {
+    while (this.entries.size > this.config.maxEntries) {
+      const [requestId, entry] = this.entries.entries().next().value;
+      this.entries.delete(requestId);
+      if (entry.messageId) {
+        this.messageIds.delete(entry.messageId);
+      }
+    }
+  }
+}
+
+module.exports = MessageTracker;
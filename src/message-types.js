@@ -0,0 +1,141 @@
+const protocol = require('./protocol');
+const utils = require('./utils');
+
+/**
+ * MessageTypeRegistry maps message types to the handlers used by the send pipeline.
+ *
+ * A handler describes one kind of outbound message:
+ * - validate(data): returns { valid, error }
+ * - resolveMedia(data, fetchOptions): optional, async; returns fields merged
+ *   into data before the command is built (e.g. a data URL downloaded from a
+ *   media URL with utils.urlToDataUrl and the given fetch options), plus the
+ *   detected `mimeType`, which is reported in the send result
+ * - mediaSource(data): optional; returns { url, mediaType, mimeType, fileName }
+ *   when the media can be streamed to the extension in chunks instead, or null
+ * - buildCommand(requestId, data): returns the serialized command for the extension
+ */
+class MessageTypeRegistry {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  /**
+   * Register a message type
+   * @param {string} type - Message type name (e.g. 'message', 'image')
+   * @param {object} handler - { validate, buildCommand, resolveMedia, mediaSource }
+   */
+  register(type, handler) {
+    if (!type || typeof type !== 'string') {
+      throw new Error('Message type name is required');
+    }
+    if (!handler || typeof handler.validate !== 'function') {
+      throw new Error(`Message type "${type}" requires a validate function`);
+    }
+    if (typeof handler.buildCommand !== 'function') {
+      throw new Error(`Message type "${type}" requires a buildCommand function`);
+    }
+    if (handler.resolveMedia && typeof handler.resolveMedia !== 'function') {
+      throw new Error(`Message type "${type}" resolveMedia must be a function`);
+    }
+    if (handler.mediaSource && typeof handler.mediaSource !== 'function') {
+      throw new Error(`Message type "${type}" mediaSource must be a function`);
+    }
+
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Get the handler for a message type
+   * @param {string} type - Message type name
+   * @returns {object|null} Handler or null
+   */
+  get(type) {
+    return this.handlers.get(type) || null;
+  }
+
+  /**
+   * Check if a message type is registered
+   * @param {string} type - Message type name
+   * @returns {boolean} True if registered
+   */
+  has(type) {
+    return this.handlers.has(type);
+  }
+
+  /**
+   * List registered message types
+   * @returns {Array<string>} Message type names
+   */
+  list() {
+    return Array.from(this.handlers.keys());
+  }
+}
+
+/**
+ * Create a registry with the built-in message types
+ * @returns {MessageTypeRegistry} Registry with message, image, video and document
+ */
+function createDefaultRegistry() {
+  const registry = new MessageTypeRegistry();
+
+  registry.register('message', {
+    validate: protocol.validateSendMessageData,
+    buildCommand: protocol.createSendMessageCommand
+  });
+
+  registry.register('image', {
+    validate: protocol.validateSendImageData,
+    resolveMedia: async (data, fetchOptions) => {
+      const imageDataUrl = data.imageDataUrl
+        ? utils.normalizeDataUrl(data.imageDataUrl, 'image')
+        : await utils.imageUrlToDataUrl(data.imageUrl, fetchOptions);
+      return { imageDataUrl, mimeType: utils.getMimeTypeFromDataUrl(imageDataUrl) };
+    },
+    mediaSource: data => (data.imageDataUrl ? null : {
+      url: data.imageUrl,
+      mediaType: 'image',
+      mimeType: utils.getMimeTypeFromUrl(data.imageUrl, 'image')
+    }),
+    buildCommand: protocol.createSendImageCommand
+  });
+
+  registry.register('video', {
+    validate: protocol.validateSendVideoData,
+    resolveMedia: async (data, fetchOptions) => {
+      const videoDataUrl = data.videoDataUrl
+        ? utils.normalizeDataUrl(data.videoDataUrl, 'video')
+        : await utils.videoUrlToDataUrl(data.videoUrl, fetchOptions);
+      return { videoDataUrl, mimeType: utils.getMimeTypeFromDataUrl(videoDataUrl) };
+    },
+    mediaSource: data => (data.videoDataUrl ? null : {
+      url: data.videoUrl,
+      mediaType: 'video',
+      mimeType: utils.getMimeTypeFromUrl(data.videoUrl, 'video')
+    }),
+    buildCommand: protocol.createSendVideoCommand
+  });
+
+  registry.register('document', {
+    validate: protocol.validateSendDocumentData,
+    resolveMedia: async (data, fetchOptions) => {
+      const documentDataUrl = data.documentDataUrl
+        ? utils.normalizeDataUrl(data.documentDataUrl, 'document')
+        : await utils.documentUrlToDataUrl(data.documentUrl, fetchOptions);
+      return { documentDataUrl, mimeType: utils.getMimeTypeFromDataUrl(documentDataUrl) };
+    },
+    mediaSource: data => (data.documentDataUrl ? null : {
+      url: data.documentUrl,
+      mediaType: 'document',
+      mimeType: utils.getMimeTypeFromUrl(data.documentUrl, 'document'),
+      fileName: data.documentName
+    }),
+    buildCommand: protocol.createSendDocumentCommand
+  });
+
+  return registry;
+}
+
+module.exports = {
+  MessageTypeRegistry,
+  createDefaultRegistry
+};
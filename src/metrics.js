@@ -0,0 +1,306 @@
+/**
+ * Default latency buckets in seconds
+ */
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+/**
+ * Escape a label value for the Prometheus text format
+ * @param {any} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Format a label set as {name="value",...}
+ * @param {object} labels - Label values
+ * @returns {string} Formatted labels (empty string when there are none)
+ */
+function formatLabels(labels) {
+  const names = Object.keys(labels);
+  if (names.length === 0) {
+    return '';
+  }
+  return `{${names.map(name => `${name}="${escapeLabel(labels[name])}"`).join(',')}}`;
+}
+
+/**
+ * Counter - monotonically increasing value per label set
+ */
+class Counter {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Help text
+   * @param {Array<string>} labelNames - Label names
+   */
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  /**
+   * Increment the counter
+   * @param {object} labels - Label values
+   * @param {number} value - Amount (default: 1)
+   */
+  inc(labels = {}, value = 1) {
+    const key = this._key(labels);
+    let entry = this.values.get(key);
+    if (!entry) {
+      entry = { labels: this._pick(labels), value: 0 };
+      this.values.set(key, entry);
+    }
+    entry.value += value;
+  }
+
+  /**
+   * Get the current value for a label set
+   * @param {object} labels - Label values
+   * @returns {number} Value
+   */
+  get(labels = {}) {
+    const entry = this.values.get(this._key(labels));
+    return entry ? entry.value : 0;
+  }
+
+  /**
+   * Render in Prometheus text format
+   * @returns {string} Metric lines
+   */
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    if (this.values.size === 0 && this.labelNames.length === 0) {
+      lines.push(`${this.name} 0`);
+    }
+    for (const { labels, value } of this.values.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Keep only the declared labels, in declaration order
+   * @private
+   */
+  _pick(labels) {
+    const picked = {};
+    this.labelNames.forEach((name) => {
+      picked[name] = labels[name] === undefined || labels[name] === null ? '' : labels[name];
+    });
+    return picked;
+  }
+
+  /**
+   * @private
+   */
+  _key(labels) {
+    return JSON.stringify(this.labelNames.map(name => labels[name]));
+  }
+}
+
+/**
+ * Histogram - observations counted into cumulative buckets per label set
+ */
+class Histogram extends Counter {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Help text
+   * @param {Array<string>} labelNames - Label names
+   * @param {Array<number>} buckets - Upper bounds in ascending order
+   */
+  constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    super(name, help, labelNames);
+    this.buckets = buckets.slice().sort((a, b) => a - b);
+  }
+
+  /**
+   * Record an observation
+   * @param {object} labels - Label values
+   * @param {number} value - Observed value
+   */
+  observe(labels, value) {
+    const key = this._key(labels);
+    let entry = this.values.get(key);
+    if (!entry) {
+      entry = { labels: this._pick(labels), counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(key, entry);
+    }
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        entry.counts[i]++;
+      }
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  /**
+   * Get the observation count for a label set
+   * @param {object} labels - Label values
+   * @returns {number} Count
+   */
+  get(labels = {}) {
+    const entry = this.values.get(this._key(labels));
+    return entry ? entry.count : 0;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const entry of this.values.values()) {
+      entry.counts.forEach((count, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...entry.labels, le: this.buckets[i] })} ${count}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+      lines.push(`${this.name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+      lines.push(`${this.name}_count${formatLabels(entry.labels)} ${entry.count}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Gauge - value read from a callback at render time
+ */
+class Gauge {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Help text
+   * @param {Function} collect - Returns a number or an array of { labels, value }
+   */
+  constructor(name, help, collect) {
+    this.name = name;
+    this.help = help;
+    this.collect = collect;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} gauge`];
+    const collected = this.collect();
+    const samples = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+    samples.forEach(({ labels, value }) => {
+      lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    });
+    return lines.join('\n');
+  }
+}
+
+/**
+ * GatewayMetrics collects gateway counters and histograms and renders them
+ * in the Prometheus text exposition format.
+ *
+ * Session and request metrics are fed by the gateway's lifecycle events;
+ * sends and auth failures are recorded by the gateway directly.
+ */
+class GatewayMetrics {
+  /**
+   * @param {WhatsAppGateway} gateway - Gateway to observe
+   * @param {object} config - Metrics configuration
+   * @param {string} config.prefix - Metric name prefix (default: 'wa_gateway_')
+   * @param {Array<number>} config.buckets - Latency buckets in seconds
+   */
+  constructor(gateway, config = {}) {
+    const prefix = config.prefix !== undefined ? config.prefix : 'wa_gateway_';
+    const sessionManager = gateway.sessionManager;
+
+    this.sends = new Counter(`${prefix}sends_total`,
+      'Messages sent, by type, outcome (success, failure, queued) and error code',
+      ['type', 'outcome', 'error_code']);
+    this.requestDuration = new Histogram(`${prefix}request_duration_seconds`,
+      'Time from dispatching a command to its result or timeout',
+      ['type', 'outcome'], config.buckets || DEFAULT_BUCKETS);
+    this.connections = new Counter(`${prefix}connections_total`, 'WebSocket connections opened');
+    this.authFailures = new Counter(`${prefix}auth_failures_total`,
+      'Failed extension authentications, by reason', ['reason']);
+    this.heartbeatTimeouts = new Counter(`${prefix}heartbeat_timeouts_total`,
+      'Sessions closed for missing heartbeats');
+    this.disconnects = new Counter(`${prefix}disconnects_total`, 'Authenticated sessions that disconnected');
+    this.reconnects = new Counter(`${prefix}reconnects_total`,
+      'Authentications for an API key that had a session disconnect before');
+
+    const gauges = [
+      new Gauge(`${prefix}active_sessions`, 'Authenticated sessions', () => sessionManager.getTotalSessionCount()),
+      new Gauge(`${prefix}pending_requests`, 'Requests awaiting a result, by session', () => {
+        const samples = [];
+        for (const sessions of sessionManager.sessions.values()) {
+          sessions.forEach((session) => {
+            samples.push({ labels: { session_id: session.sessionId }, value: session.pendingRequests.size });
+          });
+        }
+        return samples;
+      }),
+      new Gauge(`${prefix}uptime_seconds`, 'Seconds since the gateway started',
+        () => (gateway.startTime ? (Date.now() - gateway.startTime) / 1000 : 0))
+    ];
+
+    this.metrics = [
+      this.sends,
+      this.requestDuration,
+      this.connections,
+      this.authFailures,
+      this.heartbeatTimeouts,
+      this.disconnects,
+      this.reconnects,
+      ...gauges
+    ];
+
+    // API keys that lost a session, used to count reconnects
+    this.disconnectedApiKeys = new Set();
+
+    gateway.on('session:connected', () => this.connections.inc());
+    gateway.on('session:stale', () => this.heartbeatTimeouts.inc());
+    gateway.on('session:disconnected', ({ apiKey }) => {
+      this.disconnects.inc();
+      this.disconnectedApiKeys.add(apiKey);
+    });
+    gateway.on('session:authenticated', ({ apiKey }) => {
+      if (this.disconnectedApiKeys.delete(apiKey)) {
+        this.reconnects.inc();
+      }
+    });
+    gateway.on('request:resolved', ({ type, success, duration }) => {
+      this.requestDuration.observe({ type, outcome: success ? 'success' : 'failure' }, duration / 1000);
+    });
+    gateway.on('request:timeout', ({ type, timeout }) => {
+      this.requestDuration.observe({ type, outcome: 'timeout' }, timeout / 1000);
+    });
+  }
+
+  /**
+   * Record the final outcome of a send
+   * @param {string} type - Message type
+   * @param {string} outcome - 'success', 'failure' or 'queued'
+   * @param {string|null} errorCode - Error code for failures
+   */
+  recordSend(type, outcome, errorCode = null) {
+    this.sends.inc({ type, outcome, error_code: errorCode || '' });
+  }
+
+  /**
+   * Record a failed authentication
+   * @param {string} reason - e.g. 'invalid_api_key', 'max_sessions', 'error'
+   */
+  recordAuthFailure(reason) {
+    this.authFailures.inc({ reason });
+  }
+
+  /**
+   * Render all metrics in Prometheus text format
+   * @returns {string} Exposition text
+   */
+  render() {
+    return `${this.metrics.map(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+GatewayMetrics.CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = {
+  GatewayMetrics,
+  Counter,
+  Histogram,
+  Gauge
+};
@@ -0,0 +1,277 @@
+/**
+ * Defaults applied when pacing is enabled
+ */
+const DEFAULTS = {
+  minDelay: 2000,
+  maxDelay: 8000,
+  typing: {
+    charsPerSecond: 15,
+    minDuration: 1000,
+    maxDuration: 10000
+  },
+  quietHours: null,
+  warmup: null
+};
+
+/**
+ * Parse "HH:MM" into minutes after midnight
+ * @param {string} value - Time of day
+ * @returns {number} Minutes
+ */
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    throw new Error(`Invalid time of day: ${value} (expected HH:MM)`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * Get the time of day in minutes (with fractions) in a timezone
+ * @param {number} timestamp - Epoch milliseconds
+ * @param {string|null} timezone - IANA timezone, or null for the server's local time
+ * @returns {number} Minutes after midnight
+ */
+function minutesOfDay(timestamp, timezone) {
+  const date = new Date(timestamp);
+  if (!timezone) {
+    return date.getHours() * 60 + date.getMinutes() + date.getSeconds() / 60;
+  }
+
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).forEach((part) => {
+    parts[part.type] = Number(part.value);
+  });
+  return parts.hour * 60 + parts.minute + parts.second / 60;
+}
+
+/**
+ * Merge pacing options over the defaults
+ * @param {object|boolean} options - Pacing options, true for defaults, false/null to disable
+ * @returns {object|null} Resolved config or null when disabled
+ */
+function resolveConfig(options) {
+  if (!options) {
+    return null;
+  }
+  const config = options === true ? {} : options;
+
+  const resolved = {
+    minDelay: config.minDelay !== undefined ? config.minDelay : DEFAULTS.minDelay,
+    maxDelay: config.maxDelay !== undefined ? config.maxDelay : DEFAULTS.maxDelay,
+    typing: config.typing === false ? null : { ...DEFAULTS.typing, ...(config.typing || {}) },
+    quietHours: null,
+    warmup: null
+  };
+  if (resolved.maxDelay < resolved.minDelay) {
+    resolved.maxDelay = resolved.minDelay;
+  }
+
+  if (config.quietHours) {
+    resolved.quietHours = {
+      start: parseTimeOfDay(config.quietHours.start),
+      end: parseTimeOfDay(config.quietHours.end),
+      timezone: config.quietHours.timezone || null,
+      action: config.quietHours.action === 'reject' ? 'reject' : 'defer'
+    };
+  }
+
+  if (config.warmup) {
+    resolved.warmup = {
+      duration: config.warmup.duration || 24 * 60 * 60 * 1000,
+      maxMessages: config.warmup.maxMessages || 0,
+      delayFactor: config.warmup.delayFactor || 1
+    };
+  }
+
+  return resolved;
+}
+
+/**
+ * SendPacer spaces out sends per session so linked accounts do not send in
+ * robotic bursts: randomized gaps between messages, a typing duration hint
+ * for the extension, quiet hours and warm-up limits for new sessions.
+ *
+ * Sends to one session are given consecutive time slots when they are
+ * dispatched, so concurrent sends queue up behind each other.
+ */
+class SendPacer {
+  /**
+   * @param {object|boolean} config - Pacing configuration (default: disabled)
+   * @param {number} config.minDelay - Minimum gap between sends in ms (default: 2000)
+   * @param {number} config.maxDelay - Maximum gap between sends in ms (default: 8000)
+   * @param {object|boolean} config.typing - { charsPerSecond, minDuration, maxDuration } or false
+   * @param {object} config.quietHours - { start: 'HH:MM', end: 'HH:MM', timezone, action: 'defer'|'reject' }
+   * @param {object} config.warmup - { duration, maxMessages, delayFactor } for newly connected sessions
+   */
+  constructor(config) {
+    this.options = config && config !== true ? config : {};
+    this.defaults = resolveConfig(config);
+
+    // apiKey -> resolved config (null disables pacing for the key)
+    this.overrides = new Map();
+
+    // sessionId -> { nextAt, count }
+    this.sessions = new Map();
+  }
+
+  /**
+   * Override the pacing of an API key (e.g. from its plan)
+   * @param {string} apiKey - API key
+   * @param {object|boolean} config - Pacing options merged over the defaults, or false to disable
+   */
+  setOverrides(apiKey, config) {
+    if (config === false) {
+      this.overrides.set(apiKey, null);
+      return;
+    }
+    this.overrides.set(apiKey, resolveConfig({ ...this.options, ...(config === true ? {} : config) }));
+  }
+
+  /**
+   * Get the pacing in effect for an API key
+   * @param {string} apiKey - API key
+   * @returns {object|null} Resolved config or null when pacing is off
+   */
+  getConfig(apiKey) {
+    return this.overrides.has(apiKey) ? this.overrides.get(apiKey) : this.defaults;
+  }
+
+  /**
+   * Get how long the extension should show "typing..." before a send
+   * @param {string} apiKey - API key
+   * @param {object} data - Send data (uses message or caption)
+   * @returns {number} Duration in ms (0 for no typing hint)
+   */
+  getTypingDuration(apiKey, data) {
+    const config = this.getConfig(apiKey);
+    const text = data.message || data.caption || '';
+    if (!config || !config.typing || !text) {
+      return 0;
+    }
+
+    const { charsPerSecond, minDuration, maxDuration } = config.typing;
+    const duration = Math.round((text.length / charsPerSecond) * 1000);
+    return Math.min(maxDuration, Math.max(minDuration, duration));
+  }
+
+  /**
+   * Get the time left until quiet hours end
+   * @param {string} apiKey - API key
+   * @param {number} at - Timestamp to check (default: now)
+   * @returns {number} Milliseconds until sending is allowed (0 outside quiet hours)
+   */
+  getQuietHoursWait(apiKey, at = Date.now()) {
+    const config = this.getConfig(apiKey);
+    const quietHours = config && config.quietHours;
+    if (!quietHours || quietHours.start === quietHours.end) {
+      return 0;
+    }
+
+    const { start, end, timezone } = quietHours;
+    const minutes = minutesOfDay(at, timezone);
+    const inQuietHours = start < end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end;
+
+    if (!inQuietHours) {
+      return 0;
+    }
+    return Math.ceil((((end - minutes) + 1440) % 1440) * 60 * 1000);
+  }
+
+  /**
+   * Check if quiet hours reject sends for an API key right now
+   * @param {string} apiKey - API key
+   * @returns {number} Milliseconds until quiet hours end, or 0 if sends are accepted
+   */
+  getQuietHoursRejection(apiKey) {
+    return this._getQuietHoursWaitFor(apiKey, 'reject');
+  }
+
+  /**
+   * Check if quiet hours defer sends for an API key right now
+   * @param {string} apiKey - API key
+   * @returns {number} Milliseconds until quiet hours end, or 0 if sends go out now
+   */
+  getQuietHoursDeferral(apiKey) {
+    return this._getQuietHoursWaitFor(apiKey, 'defer');
+  }
+
+  /**
+   * Check the warm-up message limit of a session
+   * @param {object} session - Session ({ sessionId, apiKey, connectedAt })
+   * @returns {object} { allowed, retryAfter }
+   */
+  checkWarmup(session) {
+    const config = this.getConfig(session.apiKey);
+    const warmup = config && config.warmup;
+    const age = Date.now() - session.connectedAt;
+
+    if (!warmup || !warmup.maxMessages || age >= warmup.duration) {
+      return { allowed: true, retryAfter: 0 };
+    }
+
+    const state = this.sessions.get(session.sessionId);
+    if (state && state.count >= warmup.maxMessages) {
+      return { allowed: false, retryAfter: warmup.duration - age };
+    }
+    return { allowed: true, retryAfter: 0 };
+  }
+
+  /**
+   * Reserve the next send slot of a session
+   * @param {object} session - Session ({ sessionId, apiKey, connectedAt })
+   * @param {number} typing - Typing duration of this send in ms
+   * @returns {number} Milliseconds to wait before sending
+   */
+  reserve(session, typing = 0) {
+    const config = this.getConfig(session.apiKey);
+    if (!config) {
+      return 0;
+    }
+
+    const now = Date.now();
+    const state = this.sessions.get(session.sessionId) || { nextAt: 0, count: 0 };
+    const slot = Math.max(now, state.nextAt);
+
+    const warming = config.warmup && now - session.connectedAt < config.warmup.duration;
+    const factor = warming ? config.warmup.delayFactor : 1;
+    const gap = (config.minDelay + Math.random() * (config.maxDelay - config.minDelay)) * factor;
+
+    state.nextAt = slot + typing + Math.round(gap);
+    state.count++;
+    this.sessions.set(session.sessionId, state);
+
+    return slot - now;
+  }
+
+  /**
+   * Forget the pacing state of a closed session
+   * @param {string} sessionId - Session ID
+   */
+  removeSession(sessionId) {
+    this.sessions.delete(sessionId);
+  }
+
+  /**
+   * @private
+   */
+  _getQuietHoursWaitFor(apiKey, action) {
+    const config = this.getConfig(apiKey);
+    if (!config || !config.quietHours || config.quietHours.action !== action) {
+      return 0;
+    }
+    return this.getQuietHoursWait(apiKey);
+  }
+}
+
+SendPacer.DEFAULTS = DEFAULTS;
+
+module.exports = SendPacer;
@@ -44,7 +44,12 @@ function validateAuthMessage(message) {
     data: {
       apiKey: message.apiKey,
       extensionVersion: message.data.extensionVersion || 'unknown',
-      browser: message.data.browser || 'unknown'
+      browser: message.data.browser || 'unknown',
+      weight: typeof message.data.weight === 'number' && message.data.weight > 0 ? message.data.weight : null,
+      label: typeof message.data.label === 'string' && message.data.label ? message.data.label : null,
+      deviceId: typeof message.data.deviceId === 'string' && message.data.deviceId ? message.data.deviceId : null,
+      resumeToken: typeof message.data.resumeToken === 'string' && message.data.resumeToken ? message.data.resumeToken : null,
+      mediaStreaming: message.data.mediaStreaming === true
     }
   };
 }
@@ -67,7 +72,10 @@ function validateStatusMessage(message) {
     valid: true,
     data: {
       whatsappLoggedIn: message.data.whatsappLoggedIn === true,
-      ready: message.data.ready === true
+      ready: message.data.ready === true,
+      whatsappNumber: typeof message.data.whatsappNumber === 'string' && message.data.whatsappNumber
+        ? message.data.whatsappNumber
+        : null
     }
   };
 }
@@ -90,17 +98,87 @@ function validateMessageResult(message) {
     return { valid: false, error: 'Missing or invalid success field' };
   }
 
+  if (message.messageId !== undefined && message.messageId !== null && typeof message.messageId !== 'string') {
+    return { valid: false, error: 'Invalid messageId' };
+  }
+
   return {
     valid: true,
     data: {
       requestId: message.requestId,
       success: message.success,
+      messageId: message.messageId || null,
       error: message.error || null,
       timestamp: message.timestamp || Date.now()
     }
   };
 }
 
+/**
+ * Delivery statuses the extension may report in a message-ack
+ */
+const ACK_STATUSES = ['sent', 'delivered', 'read', 'played'];
+
+/**
+ * Validate message acknowledgement (delivery/read receipt)
+ * @param {object} message - Parsed message
+ * @returns {object} Validation result { valid, error, data }
+ */
+function validateMessageAck(message) {
+  if (message.type !== 'message-ack') {
+    return { valid: false, error: 'Invalid message type' };
+  }
+
+  if (!message.messageId || typeof message.messageId !== 'string') {
+    return { valid: false, error: 'Missing or invalid messageId' };
+  }
+
+  if (!ACK_STATUSES.includes(message.status)) {
+    return { valid: false, error: `Invalid status. Must be one of: ${ACK_STATUSES.join(', ')}` };
+  }
+
+  return {
+    valid: true,
+    data: {
+      messageId: message.messageId,
+      status: message.status,
+      timestamp: message.timestamp || Date.now()
+    }
+  };
+}
+
+/**
+ * Validate media transfer acknowledgement: a received chunk ({ seq }), the
+ * verified file ({ complete: true }) or a failed transfer ({ error })
+ * @param {object} message - Parsed message
+ * @returns {object} Validation result { valid, error, data }
+ */
+function validateMediaAck(message) {
+  if (message.type !== 'media-ack') {
+    return { valid: false, error: 'Invalid message type' };
+  }
+
+  if (!message.mediaId || typeof message.mediaId !== 'string') {
+    return { valid: false, error: 'Missing or invalid mediaId' };
+  }
+
+  const hasSeq = Number.isInteger(message.seq) && message.seq >= 0;
+  const hasError = typeof message.error === 'string' && message.error.length > 0;
+  if (!hasSeq && message.complete !== true && !hasError) {
+    return { valid: false, error: 'media-ack requires seq, complete or error' };
+  }
+
+  return {
+    valid: true,
+    data: {
+      mediaId: message.mediaId,
+      seq: hasSeq ? message.seq : null,
+      complete: message.complete === true,
+      error: hasError ? message.error : null
+    }
+  };
+}
+
 /**
  * Validate heartbeat message
  * @param {object} message - Parsed message
@@ -119,6 +197,68 @@ function validateHeartbeatMessage(message) {
   };
 }
 
+/**
+ * Validate incoming WhatsApp message forwarded by the extension
+ * @param {object} message - Parsed message
+ * @returns {object} Validation result { valid, error, data }
+ */
+function validateIncomingMessage(message) {
+  if (message.type !== 'incoming-message') {
+    return { valid: false, error: 'Invalid message type' };
+  }
+
+  const data = message.data;
+  if (!data || typeof data !== 'object') {
+    return { valid: false, error: 'Missing or invalid data object' };
+  }
+
+  if (!data.chatId || typeof data.chatId !== 'string') {
+    return { valid: false, error: 'Missing or invalid chatId' };
+  }
+
+  if (!data.from || typeof data.from !== 'string') {
+    return { valid: false, error: 'Missing or invalid from' };
+  }
+
+  if (data.text !== undefined && data.text !== null && typeof data.text !== 'string') {
+    return { valid: false, error: 'Invalid text' };
+  }
+
+  if (data.media !== undefined && data.media !== null) {
+    if (typeof data.media !== 'object' || !data.media.type || typeof data.media.type !== 'string') {
+      return { valid: false, error: 'Invalid media object' };
+    }
+  }
+
+  if (!data.text && !data.media) {
+    return { valid: false, error: 'Either text or media is required' };
+  }
+
+  const media = data.media ? {
+    type: data.media.type,
+    mimeType: data.media.mimeType || null,
+    fileName: data.media.fileName || null,
+    size: typeof data.media.size === 'number' ? data.media.size : null,
+    caption: data.media.caption || null,
+    dataUrl: data.media.dataUrl || null
+  } : null;
+
+  return {
+    valid: true,
+    data: {
+      messageId: data.messageId || null,
+      chatId: data.chatId,
+      from: data.from,
+      senderName: data.senderName || null,
+      isGroup: data.isGroup === true,
+      text: data.text || null,
+      media,
+      quotedMessageId: data.quotedMessageId || null,
+      timestamp: data.timestamp || Date.now()
+    }
+  };
+}
+
 /**
  * Handle incoming message from extension
  * @param {object} message - Parsed message
@@ -140,6 +280,15 @@ function handleExtensionMessage(message) {
     case 'heartbeat':
       return { type, ...validateHeartbeatMessage(message) };
     
+    case 'incoming-message':
+      return { type, ...validateIncomingMessage(message) };
+    
+    case 'message-ack':
+      return { type, ...validateMessageAck(message) };
+
+    case 'media-ack':
+      return { type, ...validateMediaAck(message) };
+    
     default:
       return { type: 'unknown', valid: false, error: `Unknown message type: ${type}` };
   }
@@ -217,6 +366,100 @@ function createSendDocumentCommand(requestId, data) {
   });
 }
 
+/**
+ * Add delivery hints (e.g. typing duration) to a serialized send command
+ * @param {string} command - JSON command string
+ * @param {object} hints - Fields merged into the command data, e.g. { typing: 2400 }
+ * @returns {string} JSON string
+ */
+function addCommandHints(command, hints) {
+  const parsed = JSON.parse(command);
+  parsed.data = { ...(parsed.data || {}), ...hints };
+  return JSON.stringify(parsed);
+}
+
+/**
+ * Bytes of a binary media chunk frame before the payload: the ASCII mediaId
+ * (a 36-character UUID) followed by the chunk sequence number (uint32, big-endian)
+ */
+const MEDIA_ID_LENGTH = 36;
+const MEDIA_CHUNK_HEADER_LENGTH = MEDIA_ID_LENGTH + 4;
+
+/**
+ * Create media-begin command announcing a chunked media transfer
+ * @param {object} transfer - { mediaId, requestId, mimeType, fileName, size, chunkSize }
+ * @returns {string} JSON string
+ */
+function createMediaBeginCommand(transfer) {
+  return JSON.stringify({
+    type: 'media-begin',
+    mediaId: transfer.mediaId,
+    requestId: transfer.requestId,
+    mimeType: transfer.mimeType,
+    fileName: transfer.fileName || null,
+    size: transfer.size || null,
+    chunkSize: transfer.chunkSize
+  });
+}
+
+/**
+ * Create media-end command closing a chunked media transfer
+ * @param {object} transfer - { mediaId, chunks, size, sha256 }
+ * @returns {string} JSON string
+ */
+function createMediaEndCommand(transfer) {
+  return JSON.stringify({
+    type: 'media-end',
+    mediaId: transfer.mediaId,
+    chunks: transfer.chunks,
+    size: transfer.size,
+    sha256: transfer.sha256
+  });
+}
+
+/**
+ * Create media-abort command telling the extension to drop a chunked media transfer
+ * @param {object} transfer - { mediaId, error: { code, message } }
+ * @returns {string} JSON string
+ */
+function createMediaAbortCommand(transfer) {
+  return JSON.stringify({
+    type: 'media-abort',
+    mediaId: transfer.mediaId,
+    error: transfer.error
+  });
+}
+
+/**
+ * Encode a binary media chunk frame
+ * @param {string} mediaId - Transfer ID from media-begin
+ * @param {number} seq - Chunk sequence number (0-based)
+ * @param {Buffer} payload - Chunk bytes
+ * @returns {Buffer} Frame
+ */
+function encodeMediaChunk(mediaId, seq, payload) {
+  const header = Buffer.alloc(MEDIA_CHUNK_HEADER_LENGTH);
+  header.write(mediaId, 0, MEDIA_ID_LENGTH, 'ascii');
+  header.writeUInt32BE(seq, MEDIA_ID_LENGTH);
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode a binary media chunk frame
+ * @param {Buffer} frame - Frame from encodeMediaChunk
+ * @returns {object|null} { mediaId, seq, payload } or null if too short
+ */
+function decodeMediaChunk(frame) {
+  if (!Buffer.isBuffer(frame) || frame.length < MEDIA_CHUNK_HEADER_LENGTH) {
+    return null;
+  }
+  return {
+    mediaId: frame.toString('ascii', 0, MEDIA_ID_LENGTH),
+    seq: frame.readUInt32BE(MEDIA_ID_LENGTH),
+    payload: frame.subarray(MEDIA_CHUNK_HEADER_LENGTH)
+  };
+}
+
 /**
  * Create ping command
  * @returns {string} JSON string
@@ -264,6 +507,33 @@ function validateSendMessageData(data) {
   return { valid: true };
 }
 
+/**
+ * Validate the optional mediaHeaders and mediaAuth used to download a media URL
+ * @param {object} data - Send data
+ * @returns {string|null} Error message or null if valid
+ */
+function validateMediaFetchData(data) {
+  if (data.mediaHeaders !== undefined) {
+    if (!data.mediaHeaders || typeof data.mediaHeaders !== 'object' || Array.isArray(data.mediaHeaders) ||
+      !Object.values(data.mediaHeaders).every(value => typeof value === 'string')) {
+      return 'mediaHeaders must be an object of header names to string values';
+    }
+  }
+
+  if (data.mediaAuth !== undefined) {
+    const auth = data.mediaAuth;
+    const valid = auth && typeof auth === 'object' && (
+      (typeof auth.token === 'string' && auth.token) ||
+      (typeof auth.username === 'string' && (auth.password === undefined || typeof auth.password === 'string'))
+    );
+    if (!valid) {
+      return 'mediaAuth must be { username, password } or { token }';
+    }
+  }
+
+  return null;
+}
+
 /**
  * Validate send image data
  * @param {object} data - Send image data
@@ -286,6 +556,11 @@ function validateSendImageData(data) {
     return { valid: false, error: 'Invalid imageDataUrl format. Must start with data:image/' };
   }
 
+  const fetchError = validateMediaFetchData(data);
+  if (fetchError) {
+    return { valid: false, error: fetchError };
+  }
+
   return { valid: true };
 }
 
@@ -311,6 +586,11 @@ function validateSendVideoData(data) {
     return { valid: false, error: 'Invalid videoDataUrl format. Must start with data:video/' };
   }
 
+  const fetchError = validateMediaFetchData(data);
+  if (fetchError) {
+    return { valid: false, error: fetchError };
+  }
+
   return { valid: true };
 }
 
@@ -336,23 +616,39 @@ function validateSendDocumentData(data) {
     return { valid: false, error: 'documentName is required' };
   }
 
+  const fetchError = validateMediaFetchData(data);
+  if (fetchError) {
+    return { valid: false, error: fetchError };
+  }
+
   return { valid: true };
 }
 
 module.exports = {
+  ACK_STATUSES,
   parseMessage,
   handleExtensionMessage,
   validateAuthMessage,
   validateStatusMessage,
   validateMessageResult,
+  validateMessageAck,
+  validateMediaAck,
   validateHeartbeatMessage,
+  validateIncomingMessage,
   createSendMessageCommand,
   createSendImageCommand,
   createSendVideoCommand,
   createSendDocumentCommand,
+  createMediaBeginCommand,
+  createMediaEndCommand,
+  createMediaAbortCommand,
+  encodeMediaChunk,
+  decodeMediaChunk,
   createPingCommand,
+  addCommandHints,
   isValidPhoneNumber,
   validateSendMessageData,
+  validateMediaFetchData,
   validateSendImageData,
   validateSendVideoData,
   validateSendDocumentData
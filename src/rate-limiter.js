@@ -0,0 +1,224 @@
+const { parseCron, nextCronTime } = require('./scheduler');
+
+/**
+ * Supported limits: bucket window (none for calendar-day limits) and whether only media sends count
+ */
+const LIMITS = {
+  messagesPerMinute: { window: 60 * 1000, mediaOnly: false },
+  mediaPerHour: { window: 60 * 60 * 1000, mediaOnly: true },
+  dailyCap: { window: null, mediaOnly: false }
+};
+
+/**
+ * Midnight, as a cron expression
+ */
+const MIDNIGHT = parseCron('0 0 * * *');
+
+/**
+ * RateLimiter enforces send limits per API key and per session.
+ *
+ * messagesPerMinute and mediaPerHour are buckets holding up to N tokens that
+ * refill evenly over their window (e.g. messagesPerMinute: 30 refills one
+ * token every 2 seconds). dailyCap counts the sends of a calendar day and
+ * resets at midnight in `timezone`. Limits come from the gateway config and
+ * can be overridden per API key, typically from the validateApiKey result.
+ */
+class RateLimiter {
+  /**
+   * @param {object} config - Default limits
+   * @param {object} config.apiKey - { messagesPerMinute, mediaPerHour, dailyCap } shared by all sessions of a key
+   * @param {object} config.session - Same limits applied to each session (linked phone)
+   * @param {string} config.timezone - IANA time zone whose midnight resets dailyCap (default: the server's)
+   */
+  constructor(config = {}) {
+    this.defaults = {
+      apiKey: config.apiKey || {},
+      session: config.session || {}
+    };
+
+    this.timezone = config.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    try {
+      Intl.DateTimeFormat('en-US', { timeZone: this.timezone });
+    } catch (error) {
+      throw new Error(`Invalid rate limit timezone: ${this.timezone}`);
+    }
+
+    // apiKey -> { apiKey, session } limits replacing the defaults
+    this.overrides = new Map();
+
+    // 'scope:id:limit' -> { tokens, updatedAt, capacity }, or { count, resetAt } for dailyCap
+    this.buckets = new Map();
+  }
+
+  /**
+   * Set the limits of an API key (e.g. from its plan)
+   * @param {string} apiKey - API key
+   * @param {object|null} limits - { apiKey, session } limits, or null to use the defaults
+   */
+  setLimits(apiKey, limits) {
+    if (limits) {
+      this.overrides.set(apiKey, {
+        apiKey: { ...this.defaults.apiKey, ...(limits.apiKey || {}) },
+        session: { ...this.defaults.session, ...(limits.session || {}) }
+      });
+    } else {
+      this.overrides.delete(apiKey);
+    }
+  }
+
+  /**
+   * Get the limits in effect for an API key
+   * @param {string} apiKey - API key
+   * @returns {object} { apiKey, session }
+   */
+  getLimits(apiKey) {
+    return this.overrides.get(apiKey) || this.defaults;
+  }
+
+  /**
+   * Check the API key limits without consuming
+   * @param {string} apiKey - API key
+   * @param {boolean} media - True for media sends
+   * @returns {object} { allowed, retryAfter, limit }
+   */
+  checkApiKey(apiKey, media) {
+    return this._check(`apiKey:${apiKey}`, this.getLimits(apiKey).apiKey, media);
+  }
+
+  /**
+   * Check the limits of one session without consuming
+   * @param {string} apiKey - API key of the session
+   * @param {string} sessionId - Session ID
+   * @param {boolean} media - True for media sends
+   * @returns {object} { allowed, retryAfter, limit }
+   */
+  checkSession(apiKey, sessionId, media) {
+    return this._check(`session:${sessionId}`, this.getLimits(apiKey).session, media);
+  }
+
+  /**
+   * Take one token from each API key bucket
+   * @param {string} apiKey - API key
+   * @param {boolean} media - True for media sends
+   */
+  consumeApiKey(apiKey, media) {
+    this._consume(`apiKey:${apiKey}`, this.getLimits(apiKey).apiKey, media);
+  }
+
+  /**
+   * Take one token from each session bucket
+   * @param {string} apiKey - API key of the session
+   * @param {string} sessionId - Session ID
+   * @param {boolean} media - True for media sends
+   */
+  consumeSession(apiKey, sessionId, media) {
+    this._consume(`session:${sessionId}`, this.getLimits(apiKey).session, media);
+  }
+
+  /**
+   * Forget the buckets of a closed session
+   * @param {string} sessionId - Session ID
+   */
+  removeSession(sessionId) {
+    const prefix = `session:${sessionId}:`;
+    for (const key of this.buckets.keys()) {
+      if (key.startsWith(prefix)) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Check every applicable bucket of a scope
+   * @private
+   */
+  _check(scopeKey, limits, media) {
+    let result = { allowed: true, retryAfter: 0, limit: null };
+
+    this._applicable(limits, media).forEach((name) => {
+      let retryAfter = 0;
+      if (!LIMITS[name].window) {
+        const counter = this._dailyCounter(`${scopeKey}:${name}`);
+        retryAfter = counter.count >= limits[name] ? counter.resetAt - Date.now() : 0;
+      } else {
+        const bucket = this._bucket(`${scopeKey}:${name}`, limits[name], LIMITS[name].window);
+        if (bucket.tokens < 1) {
+          retryAfter = Math.ceil((1 - bucket.tokens) / (bucket.capacity / LIMITS[name].window));
+        }
+      }
+      if (retryAfter > result.retryAfter) {
+        result = { allowed: false, retryAfter, limit: name };
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Take a token from every applicable bucket of a scope
+   * @private
+   */
+  _consume(scopeKey, limits, media) {
+    this._applicable(limits, media).forEach((name) => {
+      if (!LIMITS[name].window) {
+        this._dailyCounter(`${scopeKey}:${name}`).count++;
+        return;
+      }
+      const bucket = this._bucket(`${scopeKey}:${name}`, limits[name], LIMITS[name].window);
+      bucket.tokens = Math.max(0, bucket.tokens - 1);
+    });
+  }
+
+  /**
+   * Names of the configured limits that apply to a send
+   * @private
+   */
+  _applicable(limits, media) {
+    return Object.keys(LIMITS).filter(name => limits[name] > 0 && (media || !LIMITS[name].mediaOnly));
+  }
+
+  /**
+   * Get a bucket refilled up to now
+   * @private
+   */
+  _bucket(key, capacity, window) {
+    const now = Date.now();
+    let bucket = this.buckets.get(key);
+
+    if (!bucket) {
+      bucket = { tokens: capacity, updatedAt: now, capacity };
+      this.buckets.set(key, bucket);
+      return bucket;
+    }
+
+    // Plan changed: keep what is left, capped at the new capacity
+    if (bucket.capacity !== capacity) {
+      bucket.capacity = capacity;
+      bucket.tokens = Math.min(bucket.tokens, capacity);
+    }
+
+    const refill = (now - bucket.updatedAt) * (capacity / window);
+    bucket.tokens = Math.min(capacity, bucket.tokens + refill);
+    bucket.updatedAt = now;
+    return bucket;
+  }
+
+  /**
+   * Get the send count of the current day, reset once its midnight has passed
+   * @private
+   */
+  _dailyCounter(key) {
+    const now = Date.now();
+    let counter = this.buckets.get(key);
+
+    if (!counter || now >= counter.resetAt) {
+      counter = { count: 0, resetAt: nextCronTime(MIDNIGHT, now, this.timezone) };
+      this.buckets.set(key, counter);
+    }
+    return counter;
+  }
+}
+
+RateLimiter.LIMITS = Object.keys(LIMITS);
+
+module.exports = RateLimiter;
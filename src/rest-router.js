@@ -0,0 +1,651 @@
+const { version } = require('../package.json');
+const utils = require('./utils');
+
+/**
+ * HTTP status codes for gateway error codes (anything else maps to 500)
+ */
+const HTTP_STATUS = {
+  VALIDATION_ERROR: 400,
+  INVALID_PHONE_NUMBER: 400,
+  INVALID_DATA: 400,
+  AUTHENTICATION_FAILED: 401,
+  INVALID_API_KEY: 401,
+  NOT_FOUND: 404,
+  REQUEST_TIMEOUT: 408,
+  FILE_TOO_LARGE: 413,
+  UNSUPPORTED_MEDIA_TYPE: 415,
+  RATE_LIMITED: 429,
+  EXTENSION_ERROR: 502,
+  FETCH_ERROR: 502,
+  NO_ACTIVE_DEVICE: 503,
+  DEVICE_NOT_AVAILABLE: 503,
+  CONNECTION_LOST: 503
+};
+
+const PHONE_NUMBER = { type: 'string', description: 'International format', example: '+1234567890' };
+const CAPTION = { type: 'string', description: 'Optional caption' };
+
+// Optional fields that send from one specific device instead of letting the strategy pick
+const TARGET = {
+  sessionId: { type: 'string', description: 'Send from this session' },
+  deviceId: { type: 'string', description: 'Send from the device with this ID' },
+  deviceLabel: { type: 'string', description: 'Send from the device with this label' },
+  deviceTag: { type: 'string', description: 'Send from a device with this tag' },
+  fromNumber: { type: 'string', description: 'Send from the linked account with this number' }
+};
+
+const IDEMPOTENCY_KEY = {
+  type: 'string',
+  description: 'Duplicates with the same key return the original result instead of sending again (also accepted as the Idempotency-Key header)'
+};
+
+// Optional credentials for downloading the media URL
+const MEDIA_FETCH = {
+  mediaHeaders: {
+    type: 'object',
+    additionalProperties: { type: 'string' },
+    description: 'Extra headers for downloading the media URL'
+  },
+  mediaAuth: {
+    type: 'object',
+    description: 'Basic ({ username, password }) or bearer ({ token }) auth for the media URL',
+    properties: {
+      username: { type: 'string' },
+      password: { type: 'string' },
+      token: { type: 'string' }
+    }
+  }
+};
+
+/**
+ * JSON schemas shared by the routes and the OpenAPI document
+ */
+const SCHEMAS = {
+  SendMessageRequest: {
+    type: 'object',
+    required: ['phoneNumber', 'message'],
+    properties: {
+      phoneNumber: PHONE_NUMBER,
+      message: { type: 'string', example: 'Hello from the gateway' },
+      idempotencyKey: IDEMPOTENCY_KEY,
+      ...TARGET
+    }
+  },
+  SendImageRequest: {
+    type: 'object',
+    required: ['phoneNumber'],
+    description: 'Either imageUrl or imageDataUrl is required',
+    properties: {
+      phoneNumber: PHONE_NUMBER,
+      imageUrl: { type: 'string', format: 'uri' },
+      imageDataUrl: { type: 'string', description: 'Base64 data URL' },
+      ...MEDIA_FETCH,
+      caption: CAPTION,
+      idempotencyKey: IDEMPOTENCY_KEY,
+      ...TARGET
+    }
+  },
+  SendVideoRequest: {
+    type: 'object',
+    required: ['phoneNumber'],
+    description: 'Either videoUrl or videoDataUrl is required',
+    properties: {
+      phoneNumber: PHONE_NUMBER,
+      videoUrl: { type: 'string', format: 'uri' },
+      videoDataUrl: { type: 'string', description: 'Base64 data URL' },
+      ...MEDIA_FETCH,
+      caption: CAPTION,
+      idempotencyKey: IDEMPOTENCY_KEY,
+      ...TARGET
+    }
+  },
+  SendDocumentRequest: {
+    type: 'object',
+    required: ['phoneNumber', 'documentName'],
+    description: 'Either documentUrl or documentDataUrl is required',
+    properties: {
+      phoneNumber: PHONE_NUMBER,
+      documentUrl: { type: 'string', format: 'uri' },
+      documentDataUrl: { type: 'string', description: 'Base64 data URL' },
+      ...MEDIA_FETCH,
+      documentName: { type: 'string', example: 'invoice.pdf' },
+      caption: CAPTION,
+      idempotencyKey: IDEMPOTENCY_KEY,
+      ...TARGET
+    }
+  },
+  SendTemplateRequest: {
+    type: 'object',
+    required: ['phoneNumber', 'template'],
+    properties: {
+      phoneNumber: PHONE_NUMBER,
+      template: { type: 'string', description: 'Registered template name', example: 'order-shipped' },
+      variables: { type: 'object', additionalProperties: true, example: { name: 'Ann', orderId: '1042' } },
+      locale: { type: 'string', example: 'es' },
+      idempotencyKey: IDEMPOTENCY_KEY,
+      ...TARGET
+    }
+  },
+  SendRequest: {
+    type: 'object',
+    required: ['type', 'phoneNumber'],
+    description: 'Any registered message type; remaining fields depend on the type',
+    properties: {
+      type: { type: 'string', example: 'message' },
+      phoneNumber: PHONE_NUMBER,
+      idempotencyKey: IDEMPOTENCY_KEY,
+      ...TARGET
+    },
+    additionalProperties: true
+  },
+  SendResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      result: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean' },
+          requestId: { type: 'string' },
+          messageId: { type: 'string', nullable: true },
+          mimeType: { type: 'string', description: 'MIME type detected from the media content (media sends)' },
+          queued: { type: 'boolean' },
+          error: { type: 'string', nullable: true },
+          timestamp: { type: 'integer' }
+        }
+      }
+    }
+  },
+  SessionsResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      sessions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            sessionId: { type: 'string' },
+            ip: { type: 'string' },
+            connectedAt: { type: 'integer' },
+            lastHeartbeat: { type: 'integer' },
+            whatsappLoggedIn: { type: 'boolean' },
+            deviceActive: { type: 'boolean' }
+          }
+        }
+      }
+    }
+  },
+  MessageStatusResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      status: {
+        type: 'object',
+        properties: {
+          requestId: { type: 'string' },
+          messageId: { type: 'string', nullable: true },
+          status: { type: 'string', enum: ['pending', 'sent', 'delivered', 'read', 'played', 'failed'] },
+          timeline: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: { status: { type: 'string' }, timestamp: { type: 'integer' } }
+            }
+          }
+        }
+      }
+    }
+  },
+  HealthResponse: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['ok', 'stopped'] },
+      activeSessions: { type: 'integer' },
+      uptime: { type: 'integer' },
+      timestamp: { type: 'integer' }
+    }
+  },
+  ErrorResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', example: false },
+      error: {
+        type: 'object',
+        properties: {
+          code: { type: 'string', example: 'NO_ACTIVE_DEVICE' },
+          message: { type: 'string' },
+          retryAfter: { type: 'integer', description: 'Milliseconds to wait (RATE_LIMITED only)' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Error statuses each kind of route can return (documented in OpenAPI)
+ */
+const SEND_ERRORS = [400, 401, 408, 413, 415, 429, 502, 503];
+
+/**
+ * Send a message and map the result to an HTTP response
+ * @param {WhatsAppGateway} gateway - Gateway instance
+ * @param {string} apiKey - API key
+ * @param {object} message - Message including its type
+ * @param {object} headers - Request headers (Idempotency-Key is used when the body has no idempotencyKey)
+ * @returns {Promise<object>} { status, body }
+ */
+async function sendAndRespond(gateway, apiKey, message, headers) {
+  const idempotencyKey = message.idempotencyKey || headers['idempotency-key'];
+  const result = await gateway.send(apiKey, idempotencyKey ? { ...message, idempotencyKey } : message);
+
+  if (result.queued) {
+    return { status: 202, body: { success: true, result } };
+  }
+  if (!result.success) {
+    return { status: HTTP_STATUS.EXTENSION_ERROR, body: { success: false, result } };
+  }
+  return { status: 200, body: { success: true, result } };
+}
+
+/**
+ * Route table; the router and the OpenAPI document are both generated from it
+ * @param {WhatsAppGateway} gateway - Gateway instance
+ * @returns {Array<object>} Routes
+ */
+function buildRoutes(gateway) {
+  const sendRoute = (path, type, summary, schema) => ({
+    method: 'POST',
+    path,
+    operationId: `send${schema.replace(/^Send|Request$/g, '')}`,
+    summary,
+    auth: true,
+    requestSchema: schema,
+    responseSchema: 'SendResponse',
+    errors: SEND_ERRORS,
+    handle: ({ apiKey, body, headers }) => sendAndRespond(gateway, apiKey, { ...body, type }, headers)
+  });
+
+  return [
+    sendRoute('/send-message', 'message', 'Send a text message', 'SendMessageRequest'),
+    sendRoute('/send-image', 'image', 'Send an image', 'SendImageRequest'),
+    sendRoute('/send-video', 'video', 'Send a video', 'SendVideoRequest'),
+    sendRoute('/send-document', 'document', 'Send a document', 'SendDocumentRequest'),
+    {
+      method: 'POST',
+      path: '/send-template',
+      operationId: 'sendTemplate',
+      summary: 'Render a registered template and send it',
+      auth: true,
+      requestSchema: 'SendTemplateRequest',
+      responseSchema: 'SendResponse',
+      errors: SEND_ERRORS,
+      handle: ({ apiKey, body, headers }) => {
+        const { template, variables, locale, ...data } = body;
+        const rendered = gateway.renderTemplate(template, variables || {}, locale);
+        return sendAndRespond(gateway, apiKey, { ...data, ...rendered }, headers);
+      }
+    },
+    {
+      method: 'POST',
+      path: '/send',
+      operationId: 'send',
+      summary: 'Send any registered message type',
+      auth: true,
+      requestSchema: 'SendRequest',
+      responseSchema: 'SendResponse',
+      errors: SEND_ERRORS,
+      handle: ({ apiKey, body, headers }) => sendAndRespond(gateway, apiKey, body, headers)
+    },
+    {
+      method: 'GET',
+      path: '/messages/{requestId}',
+      operationId: 'getMessageStatus',
+      summary: 'Get the delivery status of a sent message',
+      auth: true,
+      responseSchema: 'MessageStatusResponse',
+      errors: [401, 404],
+      handle: ({ apiKey, params }) => {
+        const status = gateway.getMessageStatus(params.requestId);
+
+        // Requests of other API keys are reported as unknown
+        if (!status || status.apiKey !== apiKey) {
+          throw utils.formatError('NOT_FOUND', `Unknown request: ${params.requestId}`);
+        }
+
+        const { apiKey: _apiKey, ...visible } = status;
+        return { status: 200, body: { success: true, status: visible } };
+      }
+    },
+    {
+      method: 'GET',
+      path: '/sessions',
+      operationId: 'getSessions',
+      summary: 'List connected sessions for the API key',
+      auth: true,
+      responseSchema: 'SessionsResponse',
+      errors: [401],
+      handle: ({ apiKey }) => ({
+        status: 200,
+        body: { success: true, sessions: gateway.getActiveSessions(apiKey) }
+      })
+    },
+    {
+      method: 'GET',
+      path: '/health',
+      operationId: 'getHealth',
+      summary: 'Gateway health check',
+      auth: false,
+      responseSchema: 'HealthResponse',
+      errors: [503],
+      handle: () => {
+        const health = gateway.getHealth();
+        return { status: health.status === 'ok' ? 200 : 503, body: health };
+      }
+    }
+  ];
+}
+
+/**
+ * Generate an OpenAPI 3 document for the routes
+ * @param {Array<object>} routes - Route table
+ * @param {object} config - Router configuration
+ * @returns {object} OpenAPI document
+ */
+function createOpenApiDocument(routes, config) {
+  const paths = {};
+
+  routes.forEach((route) => {
+    const responses = {
+      200: {
+        description: 'Success',
+        content: { 'application/json': { schema: { $ref: `#/components/schemas/${route.responseSchema}` } } }
+      }
+    };
+    if (route.requestSchema) {
+      responses[202] = {
+        description: 'Queued until a device becomes active',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/SendResponse' } } }
+      };
+    }
+    route.errors.forEach((status) => {
+      const codes = Object.keys(HTTP_STATUS).filter(code => HTTP_STATUS[code] === status);
+      responses[status] = {
+        description: codes.length > 0 ? codes.join(', ') : 'Error',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } }
+      };
+    });
+
+    const operation = {
+      operationId: route.operationId,
+      summary: route.summary,
+      responses
+    };
+    if (route.auth) {
+      operation.security = [{ ApiKeyAuth: [] }];
+    }
+    if (route.requestSchema) {
+      operation.requestBody = {
+        required: true,
+        content: { 'application/json': { schema: { $ref: `#/components/schemas/${route.requestSchema}` } } }
+      };
+    }
+    const params = (route.path.match(/\{(\w+)\}/g) || []).map(param => ({
+      name: param.slice(1, -1),
+      in: 'path',
+      required: true,
+      schema: { type: 'string' }
+    }));
+    if (route.requestSchema) {
+      params.push({
+        name: 'Idempotency-Key',
+        in: 'header',
+        required: false,
+        description: IDEMPOTENCY_KEY.description,
+        schema: { type: 'string' }
+      });
+    }
+    if (params.length > 0) {
+      operation.parameters = params;
+    }
+
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method.toLowerCase()] = operation;
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: config.title,
+      version
+    },
+    servers: [{ url: config.basePath || '/' }],
+    paths,
+    components: {
+      securitySchemes: {
+        ApiKeyAuth: { type: 'apiKey', in: 'header', name: config.apiKeyHeader }
+      },
+      schemas: SCHEMAS
+    }
+  };
+}
+
+/**
+ * Match a path against a route path with {param} placeholders
+ * @param {string} routePath - Route path
+ * @param {string} pathname - Request path
+ * @returns {object|null} Path parameters or null if no match
+ * @throws {Error} VALIDATION_ERROR when a parameter is not valid percent-encoding
+ */
+function matchPath(routePath, pathname) {
+  const routeParts = routePath.split('/');
+  const parts = pathname.replace(/\/+$/, '').split('/');
+  if (routeParts.length !== parts.length) {
+    return null;
+  }
+
+  const params = {};
+  for (let i = 0; i < routeParts.length; i++) {
+    const param = routeParts[i].match(/^\{(\w+)\}$/);
+    if (param) {
+      try {
+        params[param[1]] = decodeURIComponent(parts[i]);
+      } catch (error) {
+        throw utils.formatError('VALIDATION_ERROR', `Malformed ${param[1]} in path`);
+      }
+    } else if (routeParts[i] !== parts[i]) {
+      return null;
+    }
+  }
+  return params;
+}
+
+/**
+ * Read a JSON request body (or use one already parsed by e.g. express.json())
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} maxBodySize - Maximum body size in bytes
+ * @returns {Promise<object>} Parsed body
+ */
+function readJsonBody(req, maxBodySize) {
+  if (req.body !== undefined && req.body !== null && typeof req.body === 'object' && !Buffer.isBuffer(req.body)) {
+    return Promise.resolve(req.body);
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let rejected = false;
+
+    req.on('data', (data) => {
+      if (rejected) {
+        return;
+      }
+      const chunk = Buffer.isBuffer(data) ? data : Buffer.from(data);
+      size += chunk.length;
+      if (size > maxBodySize) {
+        rejected = true;
+        reject(utils.formatError('FILE_TOO_LARGE', `Request body exceeds ${maxBodySize} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (rejected) {
+        return;
+      }
+      const raw = Buffer.concat(chunks).toString('utf8').trim();
+      if (!raw) {
+        resolve({});
+        return;
+      }
+      try {
+        const body = JSON.parse(raw);
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+          reject(utils.formatError('INVALID_DATA', 'Request body must be a JSON object'));
+          return;
+        }
+        resolve(body);
+      } catch (error) {
+        reject(utils.formatError('INVALID_DATA', 'Request body is not valid JSON'));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Write a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {object} body - Response body
+ * @param {object} headers - Extra response headers
+ */
+function sendJson(res, status, body, headers = {}) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    ...headers,
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload)
+  });
+  res.end(payload);
+}
+
+/**
+ * Create a REST API request handler for a gateway.
+ *
+ * The returned function works as Express middleware (`app.use('/api', router)`)
+ * and as a plain `http` request handler (`http.createServer(router)`, with `basePath`).
+ *
+ * @param {WhatsAppGateway} gateway - Gateway instance
+ * @param {object} options - Router options
+ * @param {string} options.basePath - Path prefix stripped before matching, for plain http use (default: '')
+ * @param {string} options.apiKeyHeader - Header carrying the API key (default: 'x-api-key'); `Authorization: Bearer` also works
+ * @param {boolean} options.validateApiKey - Check keys with the gateway's validateApiKey callback (default: true)
+ * @param {number} options.maxBodySize - Maximum JSON body size in bytes (default: 25MB)
+ * @param {string|false} options.openApiPath - Path serving the OpenAPI document (default: '/openapi.json')
+ * @param {string} options.title - Title of the OpenAPI document
+ * @returns {Function} (req, res, next) handler with an `openapi` property
+ */
+function createRestRouter(gateway, options = {}) {
+  if (!gateway || typeof gateway.send !== 'function') {
+    throw new Error('createRestRouter requires a WhatsAppGateway instance');
+  }
+
+  const config = {
+    basePath: (options.basePath || '').replace(/\/+$/, ''),
+    apiKeyHeader: (options.apiKeyHeader || 'x-api-key').toLowerCase(),
+    validateApiKey: options.validateApiKey !== false,
+    maxBodySize: options.maxBodySize || 25 * 1024 * 1024,
+    openApiPath: options.openApiPath === undefined ? '/openapi.json' : options.openApiPath,
+    title: options.title || 'WhatsApp Gateway API'
+  };
+
+  const routes = buildRoutes(gateway);
+  const openapi = createOpenApiDocument(routes, config);
+
+  const getApiKey = (req) => {
+    const header = req.headers[config.apiKeyHeader];
+    if (header) {
+      return Array.isArray(header) ? header[0] : header;
+    }
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    return match ? match[1] : null;
+  };
+
+  const authenticate = async (req) => {
+    const apiKey = getApiKey(req);
+    if (!apiKey) {
+      throw utils.formatError('AUTHENTICATION_FAILED', 'API key required');
+    }
+    if (config.validateApiKey) {
+      const validation = await gateway.config.validateApiKey(apiKey);
+      if (!validation || !validation.valid) {
+        throw utils.formatError('INVALID_API_KEY', 'Invalid API key');
+      }
+    }
+    return apiKey;
+  };
+
+  // Hand unknown paths to the next Express handler, or answer 404 when used standalone
+  const notFound = (req, res, next, pathname) => {
+    if (typeof next === 'function') {
+      next();
+      return;
+    }
+    sendJson(res, 404, {
+      success: false,
+      error: { code: 'NOT_FOUND', message: `Not found: ${req.method} ${pathname}` }
+    });
+  };
+
+  async function router(req, res, next) {
+    try {
+      let pathname = new URL(req.url, 'http://localhost').pathname;
+
+      if (config.basePath) {
+        if (pathname !== config.basePath && !pathname.startsWith(`${config.basePath}/`)) {
+          notFound(req, res, next, pathname);
+          return;
+        }
+        pathname = pathname.slice(config.basePath.length) || '/';
+      }
+
+      if (config.openApiPath && req.method === 'GET' && pathname === config.openApiPath) {
+        sendJson(res, 200, openapi);
+        return;
+      }
+
+      let params = null;
+      const route = routes.find(candidate => candidate.method === req.method &&
+        (params = matchPath(candidate.path, pathname)) !== null);
+
+      if (!route) {
+        notFound(req, res, next, pathname);
+        return;
+      }
+
+      const apiKey = route.auth ? await authenticate(req) : null;
+      const body = route.method === 'POST' ? await readJsonBody(req, config.maxBodySize) : null;
+      const response = await route.handle({ apiKey, body, params, headers: req.headers });
+
+      sendJson(res, response.status, response.body);
+    } catch (error) {
+      const code = utils.getErrorCode(error);
+      const headers = error.retryAfter ? { 'Retry-After': Math.ceil(error.retryAfter / 1000) } : {};
+      sendJson(res, HTTP_STATUS[code] || 500, {
+        success: false,
+        error: { code, message: error.message, retryAfter: error.retryAfter }
+      }, headers);
+    }
+  }
+
+  router.openapi = openapi;
+  return router;
+}
+
+module.exports = {
+  createRestRouter,
+  HTTP_STATUS
+};
@@ -0,0 +1,55 @@
+/**
+ * Error codes retried by default
+ */
+const DEFAULT_RETRYABLE_ERRORS = ['REQUEST_TIMEOUT', 'CONNECTION_LOST', 'EXTENSION_ERROR'];
+
+/**
+ * RetryPolicy decides whether a failed send is attempted again and how long to wait
+ */
+class RetryPolicy {
+  /**
+   * @param {object} config - Retry configuration
+   * @param {number} config.maxAttempts - Total attempts including the first (default: 1, no retries)
+   * @param {number} config.initialDelay - Delay before the first retry in ms (default: 1000)
+   * @param {number} config.maxDelay - Upper bound for the delay in ms (default: 30000)
+   * @param {number} config.factor - Exponential backoff factor (default: 2)
+   * @param {number} config.jitter - Random spread applied to each delay, 0-1 (default: 0.2)
+   * @param {Array<string>} config.retryableErrors - Error codes that trigger a retry
+   */
+  constructor(config = {}) {
+    this.config = {
+      maxAttempts: config.maxAttempts || 1,
+      initialDelay: config.initialDelay !== undefined ? config.initialDelay : 1000,
+      maxDelay: config.maxDelay || 30000,
+      factor: config.factor || 2,
+      jitter: config.jitter !== undefined ? config.jitter : 0.2,
+      retryableErrors: config.retryableErrors || DEFAULT_RETRYABLE_ERRORS
+    };
+  }
+
+  /**
+   * Check if another attempt should be made
+   * @param {string} code - Error code of the failed attempt
+   * @param {number} attempt - Number of the attempt that failed (1-based)
+   * @returns {boolean} True if the send should be retried
+   */
+  shouldRetry(code, attempt) {
+    return attempt < this.config.maxAttempts && this.config.retryableErrors.includes(code);
+  }
+
+  /**
+   * Get the delay before the next attempt
+   * @param {number} attempt - Number of the attempt that failed (1-based)
+   * @returns {number} Delay in milliseconds
+   */
+  getDelay(attempt) {
+    const { initialDelay, maxDelay, factor, jitter } = this.config;
+    const delay = Math.min(maxDelay, initialDelay * Math.pow(factor, attempt - 1));
+    const spread = delay * jitter * (Math.random() * 2 - 1);
+    return Math.max(0, Math.round(delay + spread));
+  }
+}
+
+RetryPolicy.DEFAULT_RETRYABLE_ERRORS = DEFAULT_RETRYABLE_ERRORS;
+
+module.exports = RetryPolicy;
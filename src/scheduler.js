@@ -0,0 +1,586 @@
+const { v4: uuidv4 } = require('uuid');
+const { MemoryStore, FileStore } = require('./stores');
+const utils = require('./utils');
+
+/**
+ * Longest delay setTimeout supports; later schedules re-arm when it fires
+ */
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+/**
+ * Cron fields: minute hour day-of-month month day-of-week
+ */
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+/**
+ * Parse one cron field ('*', '5', '1-5', '*\/15', '0,30', '9-17/2')
+ * @private
+ */
+function parseCronField(part, field, expression) {
+  const values = new Set();
+
+  for (const item of part.split(',')) {
+    const match = item.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+    if (!match || (match[1] === '*' && match[2] !== undefined)) {
+      throw utils.formatError('VALIDATION_ERROR', `Invalid cron ${field.name} "${item}" in "${expression}"`);
+    }
+
+    const start = match[1] === '*' ? field.min : Number(match[1]);
+    let end = start;
+    if (match[1] === '*' || (match[2] === undefined && match[3] !== undefined)) {
+      end = field.max;
+    } else if (match[2] !== undefined) {
+      end = Number(match[2]);
+    }
+    const step = match[3] !== undefined ? Number(match[3]) : 1;
+
+    if (start < field.min || end > field.max || start > end || step < 1) {
+      throw utils.formatError('VALIDATION_ERROR', `Cron ${field.name} "${item}" is out of range in "${expression}"`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression
+ * @param {string} expression - e.g. '0 9 * * 1-5' (09:00 on weekdays)
+ * @returns {object} Parsed expression
+ */
+function parseCron(expression) {
+  const parts = typeof expression === 'string' ? expression.trim().split(/\s+/) : [];
+  if (parts.length !== 5) {
+    throw utils.formatError('VALIDATION_ERROR', 'cron must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i], expression));
+  if (weekdays.delete(7)) {
+    weekdays.add(0); // 7 is Sunday too
+  }
+
+  return {
+    minutes: Array.from(minutes).sort((a, b) => a - b),
+    hours: Array.from(hours).sort((a, b) => a - b),
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*'
+  };
+}
+
+const formatters = new Map();
+
+/**
+ * Check a time zone name
+ * @param {string} timeZone - IANA time zone, e.g. 'Europe/Madrid'
+ * @returns {boolean} True if the runtime knows it
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock fields of a timestamp in a time zone
+ * @private
+ */
+function wallClock(timestamp, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+
+  const fields = {};
+  formatters.get(timeZone).formatToParts(new Date(timestamp)).forEach((part) => {
+    if (part.type !== 'literal') {
+      fields[part.type] = Number(part.value);
+    }
+  });
+  return fields;
+}
+
+/**
+ * Convert a wall-clock time in a time zone to a timestamp
+ * @param {object} time - { year, month, day, hour, minute, second }
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Timestamp in ms
+ */
+function zonedTimeToTimestamp(time, timeZone) {
+  const wall = Date.UTC(time.year, time.month - 1, time.day, time.hour, time.minute, time.second || 0);
+  const offsetAt = (timestamp) => {
+    const local = wallClock(timestamp, timeZone);
+    return Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second) -
+      Math.floor(timestamp / 1000) * 1000;
+  };
+
+  // Apply the offset twice: it can differ at the result when a DST change lies in between
+  const guess = wall - offsetAt(wall);
+  return wall - offsetAt(guess);
+}
+
+/**
+ * Next time a cron expression matches, strictly after a timestamp
+ * @param {object} cron - Result of parseCron()
+ * @param {number} after - Timestamp in ms
+ * @param {string} timeZone - IANA time zone the expression is read in
+ * @returns {number|null} Timestamp in ms, or null if it never matches within 5 years
+ */
+function nextCronTime(cron, after, timeZone) {
+  const now = wallClock(after, timeZone);
+
+  for (let offset = 0; offset < 366 * 5; offset++) {
+    const date = new Date(Date.UTC(now.year, now.month - 1, now.day + offset));
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1;
+    const day = date.getUTCDate();
+
+    if (!cron.months.has(month)) {
+      continue;
+    }
+    const dayMatch = cron.days.has(day);
+    const weekdayMatch = cron.weekdays.has(date.getUTCDay());
+    // Like cron: when both day fields are restricted, either one matching is enough
+    const matches = cron.anyDay && cron.anyWeekday ? true
+      : cron.anyDay ? weekdayMatch
+        : cron.anyWeekday ? dayMatch
+          : dayMatch || weekdayMatch;
+    if (!matches) {
+      continue;
+    }
+
+    for (const hour of cron.hours) {
+      for (const minute of cron.minutes) {
+        if (offset === 0 && (hour < now.hour || (hour === now.hour && minute <= now.minute))) {
+          continue;
+        }
+        const timestamp = zonedTimeToTimestamp({ year, month, day, hour, minute }, timeZone);
+        if (timestamp > after) {
+          return timestamp;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Scheduler sends messages at a given time or on a cron schedule.
+ *
+ * Schedules are kept in a store, so with a persistent store they survive
+ * restarts. Runs that came due while the gateway was down are sent late or
+ * skipped on start(), depending on the `missed` policy. Every run goes
+ * through gateway.send(), so validation and device selection are the same
+ * as for an immediate send.
+ */
+class Scheduler {
+  /**
+   * @param {WhatsAppGateway} gateway - Gateway that sends the messages
+   * @param {object} config - Schedule configuration
+   * @param {object} config.store - Store for schedules (default: in memory)
+   * @param {string} config.filePath - Persist schedules to this JSON file instead
+   * @param {string} config.timezone - Default time zone (default: the server's)
+   * @param {string} config.missed - 'send' (default) sends runs missed while stopped once on start; 'skip' drops them
+   */
+  constructor(gateway, config = {}) {
+    if (config.missed && !['send', 'skip'].includes(config.missed)) {
+      throw new Error(`Invalid schedule missed policy: ${config.missed}`);
+    }
+    if (config.timezone && !isValidTimeZone(config.timezone)) {
+      throw new Error(`Invalid schedule timezone: ${config.timezone}`);
+    }
+
+    this.gateway = gateway;
+    this.store = config.store || (config.filePath ? new FileStore(config.filePath) : new MemoryStore());
+    this.missed = config.missed || 'send';
+    this.timezone = config.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+    // scheduleId -> timeout
+    this.timers = new Map();
+
+    // apiKey -> scheduleIds of due runs waiting for a device of the key
+    this.waiting = new Map();
+    this.running = false;
+  }
+
+  /**
+   * Arm stored schedules and handle runs missed while stopped
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+
+    const now = Date.now();
+    for (const schedule of await this.store.values()) {
+      if (schedule.state !== 'scheduled') {
+        continue;
+      }
+      if (schedule.nextRunAt > now) {
+        this._arm(schedule);
+      } else if (schedule.missed === 'skip') {
+        await this._skipMissed(schedule, now);
+      } else {
+        this._run(schedule.scheduleId, true);
+      }
+    }
+  }
+
+  /**
+   * Stop all timers (schedules stay stored)
+   */
+  stop() {
+    this.running = false;
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    this.waiting.clear();
+  }
+
+  /**
+   * Send the due runs of an API key that were waiting for a device (called when one becomes active)
+   * @param {string} apiKey - API key
+   */
+  resume(apiKey) {
+    const scheduleIds = this.waiting.get(apiKey);
+    if (!scheduleIds || !this.running) {
+      return;
+    }
+    this.waiting.delete(apiKey);
+    scheduleIds.forEach(scheduleId => this._run(scheduleId, true));
+  }
+
+  /**
+   * Create a schedule
+   * @param {string} apiKey - API key
+   * @param {object} data - Send data { type, ...payload } as for gateway.send() (type defaults to 'message')
+   * @param {object} options - { at } or { cron }, plus { timezone, missed }
+   * @returns {Promise<object>} Schedule
+   */
+  async create(apiKey, data, options = {}) {
+    const message = this._validateData(data);
+    const now = Date.now();
+
+    const schedule = {
+      scheduleId: uuidv4(),
+      apiKey,
+      data: message,
+      ...this._resolveTiming(options, now),
+      state: 'scheduled',
+      runs: 0,
+      lastRun: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.store.set(schedule.scheduleId, schedule);
+    this._arm(schedule);
+    return schedule;
+  }
+
+  /**
+   * Get a schedule
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<object|null>} Schedule or null
+   */
+  async get(scheduleId) {
+    return (await this.store.get(scheduleId)) || null;
+  }
+
+  /**
+   * List the schedules of an API key, soonest first
+   * @param {string} apiKey - API key
+   * @param {string} state - Optional state filter ('scheduled', 'completed', 'failed', 'missed', 'cancelled')
+   * @returns {Promise<Array>} Schedules
+   */
+  async list(apiKey, state) {
+    return (await this.store.values())
+      .filter(schedule => schedule.apiKey === apiKey && (!state || schedule.state === state))
+      .sort((a, b) => (a.nextRunAt || Infinity) - (b.nextRunAt || Infinity));
+  }
+
+  /**
+   * Cancel a schedule
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<boolean>} True if it was scheduled
+   */
+  async cancel(scheduleId) {
+    const schedule = await this.store.get(scheduleId);
+    if (!schedule || schedule.state !== 'scheduled') {
+      return false;
+    }
+
+    this._disarm(scheduleId);
+    await this.store.set(scheduleId, {
+      ...schedule,
+      state: 'cancelled',
+      nextRunAt: null,
+      updatedAt: Date.now()
+    });
+    return true;
+  }
+
+  /**
+   * Change when a schedule runs (also re-activates finished or cancelled schedules)
+   * @param {string} scheduleId - Schedule ID
+   * @param {object} options - { at } or { cron }, plus { timezone, missed }
+   * @returns {Promise<object|null>} Updated schedule or null if unknown
+   */
+  async reschedule(scheduleId, options = {}) {
+    const schedule = await this.store.get(scheduleId);
+    if (!schedule) {
+      return null;
+    }
+
+    const now = Date.now();
+    const { at, cron, ...rest } = schedule;
+    const updated = {
+      ...rest,
+      ...this._resolveTiming({ missed: schedule.missed, ...options }, now),
+      state: 'scheduled',
+      updatedAt: now
+    };
+
+    await this.store.set(scheduleId, updated);
+    this._arm(updated);
+    return updated;
+  }
+
+  /**
+   * Validate send data the way gateway.send() will
+   * @private
+   */
+  _validateData(data) {
+    if (!data || typeof data !== 'object') {
+      throw utils.formatError('VALIDATION_ERROR', 'Invalid data object');
+    }
+
+    const { type = 'message', ...payload } = data;
+    const handler = this.gateway.messageTypes.get(type);
+    if (!handler) {
+      throw utils.formatError('VALIDATION_ERROR', `Unknown message type: ${type}`);
+    }
+    const validation = handler.validate(payload);
+    if (!validation.valid) {
+      throw utils.formatError('VALIDATION_ERROR', validation.error);
+    }
+    this.gateway._getSendTarget(payload);
+
+    return { type, ...payload };
+  }
+
+  /**
+   * Turn { at | cron, timezone, missed } into stored timing fields
+   * @private
+   */
+  _resolveTiming(options, now) {
+    const timezone = options.timezone || this.timezone;
+    if (!isValidTimeZone(timezone)) {
+      throw utils.formatError('VALIDATION_ERROR', `Invalid timezone: ${timezone}`);
+    }
+    const missed = options.missed || this.missed;
+    if (!['send', 'skip'].includes(missed)) {
+      throw utils.formatError('VALIDATION_ERROR', `Invalid missed policy: ${missed}`);
+    }
+
+    if ((options.at === undefined) === (options.cron === undefined)) {
+      throw utils.formatError('VALIDATION_ERROR', 'Either at or cron is required');
+    }
+
+    if (options.cron !== undefined) {
+      const nextRunAt = nextCronTime(parseCron(options.cron), now, timezone);
+      if (nextRunAt === null) {
+        throw utils.formatError('VALIDATION_ERROR', `cron "${options.cron}" never matches`);
+      }
+      return { cron: options.cron, timezone, missed, nextRunAt };
+    }
+
+    const at = this._resolveAt(options.at, timezone);
+    if (at <= now) {
+      throw utils.formatError('VALIDATION_ERROR', 'at must be in the future');
+    }
+    return { at, timezone, missed, nextRunAt: at };
+  }
+
+  /**
+   * Resolve `at`: a Date, a timestamp, an ISO string with offset, or a
+   * local 'YYYY-MM-DDTHH:mm[:ss]' read in the time zone
+   * @private
+   */
+  _resolveAt(at, timezone) {
+    let timestamp = NaN;
+
+    if (at instanceof Date) {
+      timestamp = at.getTime();
+    } else if (typeof at === 'number') {
+      timestamp = at;
+    } else if (typeof at === 'string') {
+      const local = at.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/);
+      timestamp = local
+        ? zonedTimeToTimestamp({
+          year: Number(local[1]),
+          month: Number(local[2]),
+          day: Number(local[3]),
+          hour: Number(local[4]),
+          minute: Number(local[5]),
+          second: Number(local[6] || 0)
+        }, timezone)
+        : Date.parse(at);
+    }
+
+    if (!Number.isFinite(timestamp)) {
+      throw utils.formatError('VALIDATION_ERROR', 'at must be a Date, a timestamp or an ISO date string');
+    }
+    return timestamp;
+  }
+
+  /**
+   * Set the timer for a schedule's next run
+   * @private
+   */
+  _arm(schedule) {
+    this._disarm(schedule.scheduleId);
+    if (!this.running || schedule.state !== 'scheduled') {
+      return;
+    }
+
+    const delay = Math.min(Math.max(0, schedule.nextRunAt - Date.now()), MAX_TIMEOUT);
+    this.timers.set(schedule.scheduleId, setTimeout(() => {
+      this.timers.delete(schedule.scheduleId);
+      this._run(schedule.scheduleId, false);
+    }, delay));
+  }
+
+  /**
+   * @private
+   */
+  _disarm(scheduleId) {
+    clearTimeout(this.timers.get(scheduleId));
+    this.timers.delete(scheduleId);
+  }
+
+  /**
+   * Drop runs missed while stopped
+   * @private
+   */
+  async _skipMissed(schedule, now) {
+    const updated = schedule.cron
+      ? { ...schedule, nextRunAt: nextCronTime(parseCron(schedule.cron), now, schedule.timezone) }
+      : { ...schedule, state: 'missed', nextRunAt: null };
+    updated.updatedAt = now;
+
+    await this.store.set(schedule.scheduleId, updated);
+    this._arm(updated);
+  }
+
+  /**
+   * Hold a due run until a device of its API key becomes active
+   * @private
+   */
+  _wait(schedule) {
+    if (!this.waiting.has(schedule.apiKey)) {
+      this.waiting.set(schedule.apiKey, new Set());
+    }
+    this.waiting.get(schedule.apiKey).add(schedule.scheduleId);
+  }
+
+  /**
+   * Send a due schedule and store the outcome
+   * @private
+   */
+  async _run(scheduleId, late) {
+    try {
+      const schedule = await this.store.get(scheduleId);
+      if (!schedule || schedule.state !== 'scheduled') {
+        return;
+      }
+      if (schedule.nextRunAt > Date.now()) {
+        this._arm(schedule); // Woke early: delay was capped at MAX_TIMEOUT
+        return;
+      }
+
+      const requestId = utils.generateRequestId();
+      const run = { requestId, scheduledFor: schedule.nextRunAt, late, timestamp: Date.now() };
+
+      // Every cron run is a new message: one key for all runs would return the first run's result
+      const data = schedule.cron && schedule.data.idempotencyKey
+        ? { ...schedule.data, idempotencyKey: `${schedule.data.idempotencyKey}:${schedule.nextRunAt}` }
+        : schedule.data;
+      try {
+        const result = await this.gateway.send(schedule.apiKey, data, { requestId });
+        run.success = result.success;
+        run.queued = Boolean(result.queued);
+        run.error = result.success ? null : result.error || 'Extension reported failure';
+      } catch (error) {
+        // No device to send from (e.g. right after start): keep the run due until one connects
+        const code = utils.getErrorCode(error);
+        if (this.running && (code === 'NO_ACTIVE_DEVICE' || code === 'DEVICE_NOT_AVAILABLE')) {
+          this._wait(schedule);
+          return;
+        }
+        run.success = false;
+        run.queued = false;
+        run.error = error.message;
+      }
+
+      // Re-read: the schedule may have been cancelled or rescheduled during the send
+      const current = await this.store.get(scheduleId);
+      if (!current) {
+        return;
+      }
+      const updated = { ...current, runs: current.runs + 1, lastRun: run, updatedAt: Date.now() };
+      if (current.state === 'scheduled' && current.nextRunAt === schedule.nextRunAt) {
+        if (current.cron) {
+          updated.nextRunAt = nextCronTime(parseCron(current.cron), Date.now(), current.timezone);
+        } else {
+          updated.state = run.success ? 'completed' : 'failed';
+          updated.nextRunAt = null;
+        }
+      }
+
+      await this.store.set(scheduleId, updated);
+      this._arm(updated);
+
+      this.gateway.emit('schedule:run', {
+        scheduleId,
+        apiKey: schedule.apiKey,
+        ...run
+      });
+    } catch (error) {
+      this.gateway.config.onError({
+        code: 'SCHEDULE_ERROR',
+        message: 'Failed to run scheduled message',
+        scheduleId,
+        originalError: error.message
+      });
+    }
+  }
+}
+
+module.exports = {
+  Scheduler,
+  parseCron,
+  nextCronTime,
+  zonedTimeToTimestamp
+};
@@ -1,10 +1,40 @@
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 
+/**
+ * Built-in device selection strategies
+ */
+const STRATEGIES = ['round-robin', 'random', 'sticky', 'least-pending', 'weighted', 'fastest'];
+
+/**
+ * Result latencies kept per session for the 'fastest' strategy
+ */
+const LATENCY_SAMPLES = 20;
+
+/**
+ * Get the median of a list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number|null} Median or null for an empty list
+ */
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
 /**
  * SessionManager handles in-memory storage and management of WebSocket sessions
  */
 class SessionManager {
   constructor(config = {}) {
+    const strategy = config.deviceSelectionStrategy;
+    if (strategy && typeof strategy !== 'function' && !STRATEGIES.includes(strategy)) {
+      throw new Error(`Invalid deviceSelectionStrategy: ${strategy}`);
+    }
+
     this.config = {
       heartbeatInterval: config.heartbeatInterval || 30000,
       maxSessionsPerKey: config.maxSessionsPerKey || 10,
@@ -47,6 +77,18 @@ class SessionManager {
       whatsappLoggedIn: false,
       ready: false,
       deviceActive: false, // Will be set when status message arrives
+      whatsappNumber: null, // Linked account's own number, if the extension reports it
+      deviceId: metadata.deviceId || null, // Stable ID the extension sends in auth
+      label: metadata.label || null, // Device name for explicit targeting, e.g. 'sales'
+      tags: metadata.tags || [], // Operator-assigned tags for routing, e.g. ['support', 'eu']
+      metadata: metadata.metadata || {}, // Operator-assigned free-form data
+      resumeToken: null, // Secret the extension presents to resume this session after a drop
+      suspended: false, // Connection dropped; waiting for the extension to resume
+      suspendedAt: null,
+      resumeTimer: null,
+      weight: metadata.weight || 1, // Share of traffic for the 'weighted' strategy
+      mediaStreaming: metadata.mediaStreaming === true, // Extension accepts chunked media transfers
+      latencies: [], // Recent result latencies in ms for the 'fastest' strategy
       connectedAt: Date.now(),
       lastHeartbeat: Date.now(),
       lastStatusUpdate: null,
@@ -74,6 +116,7 @@ class SessionManager {
       const index = sessions.findIndex(s => s.sessionId === sessionId);
       if (index !== -1) {
         const session = sessions[index];
+        clearTimeout(session.resumeTimer);
         
         // Reject all pending requests
         for (const [requestId, pendingRequest] of session.pendingRequests.entries()) {
@@ -97,6 +140,76 @@ class SessionManager {
     return false;
   }
 
+  /**
+   * Issue a new resume token for a session (replaces the previous one)
+   * @param {string} sessionId - Session ID
+   * @returns {string|null} Token or null if the session does not exist
+   */
+  issueResumeToken(sessionId) {
+    const session = this.getSession(sessionId);
+    if (!session) {
+      return null;
+    }
+    session.resumeToken = crypto.randomBytes(24).toString('hex');
+    return session.resumeToken;
+  }
+
+  /**
+   * Keep a session whose connection dropped so the extension can resume it
+   * @param {string} sessionId - Session ID
+   * @param {number} gracePeriod - Milliseconds to wait for the extension to resume
+   * @param {function} onExpire - Called with the session when the grace period ends without a resume
+   * @returns {boolean} True if the session was found
+   */
+  suspendSession(sessionId, gracePeriod, onExpire) {
+    const session = this.getSession(sessionId);
+    if (!session) {
+      return false;
+    }
+
+    session.suspended = true;
+    session.suspendedAt = Date.now();
+    session.deviceActive = false;
+
+    // Request timeouts pause until the session resumes
+    for (const pendingRequest of session.pendingRequests.values()) {
+      clearTimeout(pendingRequest.timeoutId);
+      pendingRequest.timeoutId = null;
+    }
+
+    clearTimeout(session.resumeTimer);
+    session.resumeTimer = setTimeout(() => {
+      session.resumeTimer = null;
+      onExpire(session);
+    }, gracePeriod);
+
+    return true;
+  }
+
+  /**
+   * Attach a new connection to a suspended session
+   * @param {string} apiKey - API key
+   * @param {string} resumeToken - Token issued to the session
+   * @param {object} ws - New WebSocket connection
+   * @returns {object|null} Resumed session or null if no suspended session has the token
+   */
+  resumeSession(apiKey, resumeToken, ws) {
+    const session = this.getSessions(apiKey).find(s => s.suspended && s.resumeToken === resumeToken);
+    if (!session) {
+      return null;
+    }
+
+    clearTimeout(session.resumeTimer);
+    session.resumeTimer = null;
+    session.suspended = false;
+    session.suspendedAt = null;
+    session.ws = ws;
+    session.lastHeartbeat = Date.now();
+    session.deviceActive = session.whatsappLoggedIn && session.ready;
+
+    return session;
+  }
+
   /**
    * Get session by session ID
    * @param {string} sessionId - Session ID
@@ -129,32 +242,181 @@ class SessionManager {
     return sessions.filter(s => s.deviceActive);
   }
 
+  /**
+   * Find the session a send explicitly targets
+   * @param {string} apiKey - API key
+   * @param {object} target - { sessionId, deviceId, deviceLabel, deviceTag, fromNumber } (any one or more)
+   * @returns {object|null} Matching session (active or not) or null if none is connected
+   */
+  findTargetSession(apiKey, target) {
+    const sessions = this.getSessions(apiKey).filter(s => this.matchesTarget(s, target));
+    return sessions.find(s => s.deviceActive) || sessions[0] || null;
+  }
+
+  /**
+   * Check if a session is the device a send targets
+   * @param {object} session - Session
+   * @param {object} target - { sessionId, deviceId, deviceLabel, deviceTag, fromNumber }
+   * @returns {boolean} True if every given field matches (deviceTag: every listed tag)
+   */
+  matchesTarget(session, target) {
+    const digits = value => String(value || '').replace(/\D/g, '');
+
+    if (target.sessionId && session.sessionId !== target.sessionId) {
+      return false;
+    }
+    if (target.deviceId && session.deviceId !== target.deviceId) {
+      return false;
+    }
+    if (target.deviceTag && ![].concat(target.deviceTag).every(tag => session.tags.includes(tag))) {
+      return false;
+    }
+    if (target.deviceLabel && session.label !== target.deviceLabel) {
+      return false;
+    }
+    if (target.fromNumber && (!session.whatsappNumber || digits(session.whatsappNumber) !== digits(target.fromNumber))) {
+      return false;
+    }
+    return true;
+  }
+
   /**
    * Get a session to use for sending (device selection strategy)
    * @param {string} apiKey - API key
+   * @param {object} options - { exclude } session IDs to avoid when another device is available,
+   *   { skip } session IDs never to use, { prefer } session ID to use when it is a candidate
    * @returns {object|null} Selected session or null
    */
-  getSessionForSending(apiKey) {
-    const activeSessions = this.getActiveSessions(apiKey);
+  getSessionForSending(apiKey, options = {}) {
+    let activeSessions = this.getActiveSessions(apiKey);
+
+    if (options.skip && options.skip.length > 0) {
+      activeSessions = activeSessions.filter(s => !options.skip.includes(s.sessionId));
+    }
     
     if (activeSessions.length === 0) {
       return null;
     }
 
+    if (options.exclude && options.exclude.length > 0) {
+      const remaining = activeSessions.filter(s => !options.exclude.includes(s.sessionId));
+      if (remaining.length > 0) {
+        activeSessions = remaining;
+      }
+    }
+
+    if (options.prefer) {
+      const preferred = activeSessions.find(s => s.sessionId === options.prefer);
+      if (preferred) {
+        return preferred;
+      }
+    }
+
     if (activeSessions.length === 1) {
       return activeSessions[0];
     }
 
-    // Apply selection strategy
-    if (this.config.deviceSelectionStrategy === 'random') {
-      const randomIndex = Math.floor(Math.random() * activeSessions.length);
-      return activeSessions[randomIndex];
-    } else {
-      // Round-robin (default)
-      const counter = this.roundRobinCounters.get(apiKey) || 0;
-      const session = activeSessions[counter % activeSessions.length];
-      this.roundRobinCounters.set(apiKey, counter + 1);
-      return session;
+    return this._selectSession(apiKey, activeSessions, options.context || {});
+  }
+
+  /**
+   * Apply the selection strategy to the candidate sessions
+   * @param {string} apiKey - API key
+   * @param {Array} sessions - Candidate sessions (at least two)
+   * @param {object} context - Send details passed to a custom selector { apiKey, phoneNumber, type, requestId }
+   * @returns {object} Selected session
+   * @private
+   */
+  _selectSession(apiKey, sessions, context) {
+    const strategy = this.config.deviceSelectionStrategy;
+
+    if (typeof strategy === 'function') {
+      const selected = strategy(sessions, { apiKey, ...context });
+      if (selected && sessions.includes(selected)) {
+        return selected;
+      }
+      // Custom selector declined; fall back to round-robin
+      return this._roundRobin(apiKey, sessions);
+    }
+
+    switch (strategy) {
+      case 'random':
+        return sessions[Math.floor(Math.random() * sessions.length)];
+
+      case 'least-pending': {
+        const fewest = Math.min(...sessions.map(s => s.pendingRequests.size));
+        return this._roundRobin(apiKey, sessions.filter(s => s.pendingRequests.size === fewest));
+      }
+
+      case 'weighted': {
+        const total = sessions.reduce((sum, s) => sum + s.weight, 0);
+        let pick = Math.random() * total;
+        for (const session of sessions) {
+          pick -= session.weight;
+          if (pick < 0) {
+            return session;
+          }
+        }
+        return sessions[sessions.length - 1];
+      }
+
+      case 'fastest': {
+        // Sessions without samples count as fastest so they get measured
+        const latency = s => (s.latencies.length > 0 ? median(s.latencies) : 0);
+        const best = Math.min(...sessions.map(latency));
+        return this._roundRobin(apiKey, sessions.filter(s => latency(s) === best));
+      }
+
+      default:
+        // Round-robin (default, and for 'sticky' recipients without a pin)
+        return this._roundRobin(apiKey, sessions);
+    }
+  }
+
+  /**
+   * Pick the next session in round-robin order
+   * @param {string} apiKey - API key
+   * @param {Array} sessions - Candidate sessions
+   * @returns {object} Selected session
+   * @private
+   */
+  _roundRobin(apiKey, sessions) {
+    const counter = this.roundRobinCounters.get(apiKey) || 0;
+    const session = sessions[counter % sessions.length];
+    this.roundRobinCounters.set(apiKey, counter + 1);
+    return session;
+  }
+
+  /**
+   * Set the traffic weight of a session ('weighted' strategy)
+   * @param {string} sessionId - Session ID
+   * @param {number} weight - Positive weight (default for new sessions: 1)
+   * @returns {boolean} True if the session exists
+   */
+  setSessionWeight(sessionId, weight) {
+    if (typeof weight !== 'number' || !(weight > 0)) {
+      throw new Error('Session weight must be a positive number');
+    }
+    const session = this.getSession(sessionId);
+    if (!session) {
+      return false;
+    }
+    session.weight = weight;
+    return true;
+  }
+
+  /**
+   * Record how long a session took to return a result ('fastest' strategy)
+   * @param {string} sessionId - Session ID
+   * @param {number} latency - Milliseconds from command to result
+   */
+  recordLatency(sessionId, latency) {
+    const session = this.getSession(sessionId);
+    if (session) {
+      session.latencies.push(latency);
+      if (session.latencies.length > LATENCY_SAMPLES) {
+        session.latencies.shift();
+      }
     }
   }
 
@@ -169,6 +431,9 @@ class SessionManager {
       session.whatsappLoggedIn = status.whatsappLoggedIn;
       session.ready = status.ready;
       session.deviceActive = status.whatsappLoggedIn && status.ready;
+      if (status.whatsappNumber) {
+        session.whatsappNumber = status.whatsappNumber;
+      }
       session.lastStatusUpdate = Date.now();
     }
   }
@@ -188,7 +453,7 @@ class SessionManager {
    * Add a pending request to a session
    * @param {string} sessionId - Session ID
    * @param {string} requestId - Request ID
-   * @param {object} pendingRequest - Pending request data { resolve, reject, timeoutId, createdAt, type }
+   * @param {object} pendingRequest - Pending request data { resolve, reject, timeoutId, createdAt, type, command, startTimer }
    */
   addPendingRequest(sessionId, requestId, pendingRequest) {
     const session = this.getSession(sessionId);
@@ -216,6 +481,22 @@ class SessionManager {
     return false;
   }
 
+  /**
+   * Remove a pending request without settling it
+   * @param {string} sessionId - Session ID
+   * @param {string} requestId - Request ID
+   * @returns {boolean} True if request was found and removed
+   */
+  removePendingRequest(sessionId, requestId) {
+    const session = this.getSession(sessionId);
+    if (session && session.pendingRequests.has(requestId)) {
+      clearTimeout(session.pendingRequests.get(requestId).timeoutId);
+      session.pendingRequests.delete(requestId);
+      return true;
+    }
+    return false;
+  }
+
   /**
    * Get total number of sessions across all API keys
    * @returns {number} Total session count
@@ -253,7 +534,8 @@ class SessionManager {
       for (const sessions of this.sessions.values()) {
         for (const session of sessions) {
           const timeSinceHeartbeat = now - session.lastHeartbeat;
-          if (timeSinceHeartbeat > this.config.heartbeatTimeout) {
+          // Suspended sessions have no connection to beat; their grace period applies instead
+          if (!session.suspended && timeSinceHeartbeat > this.config.heartbeatTimeout) {
             staleSessionIds.push(session.sessionId);
           }
         }
@@ -289,6 +571,7 @@ class SessionManager {
     // Reject all pending requests
     for (const sessions of this.sessions.values()) {
       for (const session of sessions) {
+        clearTimeout(session.resumeTimer);
         for (const pendingRequest of session.pendingRequests.values()) {
           clearTimeout(pendingRequest.timeoutId);
           pendingRequest.reject(new Error('GATEWAY_SHUTDOWN: Gateway is shutting down'));
@@ -313,6 +596,15 @@ class SessionManager {
       whatsappLoggedIn: session.whatsappLoggedIn,
       ready: session.ready,
       deviceActive: session.deviceActive,
+      whatsappNumber: session.whatsappNumber,
+      deviceId: session.deviceId,
+      label: session.label,
+      tags: session.tags,
+      metadata: session.metadata,
+      suspended: session.suspended,
+      weight: session.weight,
+      medianLatency: median(session.latencies),
+      pendingRequests: session.pendingRequests.size,
       status: session.ready ? 'WhatsApp Web logged in' : 'Not ready',
       connectedAt: session.connectedAt,
       lastHeartbeat: session.lastHeartbeat,
@@ -0,0 +1,132 @@
+const { MemoryStore, FileStore } = require('./stores');
+
+/**
+ * StickyRouter remembers which WhatsApp account first messaged a recipient
+ * so later messages to the same number come from the same phone.
+ *
+ * Pins are keyed by API key and recipient and point at the account's
+ * WhatsApp number (reported in the extension status) when known, so they
+ * survive the extension reconnecting with a new session ID.
+ */
+class StickyRouter {
+  /**
+   * @param {object} config - Sticky routing configuration
+   * @param {number} config.ttl - Pin lifetime in ms, refreshed on every send (default: 30 days)
+   * @param {string} config.fallback - 'reassign' (default) uses another device when the pinned one
+   *   is offline and pins to it; 'wait' treats the send as having no active device
+   * @param {object} config.store - Store for pins (default: in memory)
+   * @param {string} config.filePath - Persist pins to this JSON file instead
+   */
+  constructor(config = {}) {
+    if (config.fallback && !['reassign', 'wait'].includes(config.fallback)) {
+      throw new Error(`Invalid sticky fallback: ${config.fallback}`);
+    }
+
+    this.config = {
+      ttl: config.ttl || 30 * 24 * 60 * 60 * 1000,
+      fallback: config.fallback || 'reassign'
+    };
+
+    this.store = config.store || (config.filePath ? new FileStore(config.filePath) : new MemoryStore());
+  }
+
+  /**
+   * Get the pin of a recipient
+   * @param {string} apiKey - API key
+   * @param {string} phoneNumber - Recipient phone number
+   * @returns {Promise<object|null>} Pin or null if none or expired
+   */
+  async get(apiKey, phoneNumber) {
+    const key = this._key(apiKey, phoneNumber);
+    const pin = await this.store.get(key);
+    if (!pin) {
+      return null;
+    }
+    if (pin.expiresAt <= Date.now()) {
+      await this.store.delete(key);
+      return null;
+    }
+    return pin;
+  }
+
+  /**
+   * Pin a recipient to the session that messaged it (or refresh the pin)
+   * @param {string} apiKey - API key
+   * @param {string} phoneNumber - Recipient phone number
+   * @param {object} session - Session that sent the message
+   * @returns {Promise<object>} Stored pin
+   */
+  async pin(apiKey, phoneNumber, session) {
+    const now = Date.now();
+    const existing = await this.get(apiKey, phoneNumber);
+    const sameAccount = existing && this.matches(existing, session);
+
+    const pin = {
+      apiKey,
+      phoneNumber,
+      sessionId: session.sessionId,
+      whatsappNumber: session.whatsappNumber || null,
+      pinnedAt: sameAccount ? existing.pinnedAt : now,
+      lastUsedAt: now,
+      expiresAt: now + this.config.ttl
+    };
+
+    await this.store.set(this._key(apiKey, phoneNumber), pin);
+    return pin;
+  }
+
+  /**
+   * Remove the pin of a recipient
+   * @param {string} apiKey - API key
+   * @param {string} phoneNumber - Recipient phone number
+   * @returns {Promise<boolean>} True if a pin existed
+   */
+  async unpin(apiKey, phoneNumber) {
+    return this.store.delete(this._key(apiKey, phoneNumber));
+  }
+
+  /**
+   * Check if a session belongs to the pinned account
+   * @param {object} pin - Pin
+   * @param {object} session - Session
+   * @returns {boolean} True if the session is the pinned account
+   */
+  matches(pin, session) {
+    if (pin.whatsappNumber && session.whatsappNumber) {
+      return pin.whatsappNumber === session.whatsappNumber;
+    }
+    return pin.sessionId === session.sessionId;
+  }
+
+  /**
+   * Find the pinned account among sessions
+   * @param {object} pin - Pin
+   * @param {Array} sessions - Candidate sessions
+   * @returns {object|null} Session or null if the pinned device is not among them
+   */
+  findSession(pin, sessions) {
+    return sessions.find(session => this.matches(pin, session)) || null;
+  }
+
+  /**
+   * Delete expired pins
+   * @returns {Promise<number>} Number of pins deleted
+   */
+  async prune() {
+    const now = Date.now();
+    const expired = (await this.store.values()).filter(pin => pin.expiresAt <= now);
+    for (const pin of expired) {
+      await this.store.delete(this._key(pin.apiKey, pin.phoneNumber));
+    }
+    return expired.length;
+  }
+
+  /**
+   * @private
+   */
+  _key(apiKey, phoneNumber) {
+    return `${apiKey}:${phoneNumber}`;
+  }
+}
+
+module.exports = StickyRouter;
@@ -0,0 +1,206 @@
+const path = require('path');
+const { MemoryStore, FileStore } = require('./stores');
+
+/**
+ * Storage adapters hand out named stores (collections) for the gateway's
+ * persistent state: the queue, device registry, sticky routes, message logs
+ * and idempotency keys.
+ *
+ * An adapter only needs `store(name)` returning an object with the store
+ * interface (async get, set, delete, values); `close()` is optional. Every
+ * call with the same name must return the same collection.
+ */
+
+/**
+ * MemoryStorage - collections in process memory (lost on restart)
+ */
+class MemoryStorage {
+  constructor() {
+    this.stores = new Map();
+  }
+
+  /**
+   * Get a named collection
+   * @param {string} name - Collection name
+   * @returns {MemoryStore} Store
+   */
+  store(name) {
+    if (!this.stores.has(name)) {
+      this.stores.set(name, new MemoryStore());
+    }
+    return this.stores.get(name);
+  }
+
+  async close() {}
+}
+
+/**
+ * FileStorage - one JSON file per collection in a directory
+ */
+class FileStorage {
+  /**
+   * @param {object} config - File storage configuration
+   * @param {string} config.directory - Directory for the files (default: 'wa-gateway-data')
+   */
+  constructor(config = {}) {
+    this.directory = path.resolve(config.directory || 'wa-gateway-data');
+    this.stores = new Map();
+  }
+
+  /**
+   * Get a named collection, stored in <directory>/<name>.json
+   * @param {string} name - Collection name
+   * @returns {FileStore} Store
+   */
+  store(name) {
+    if (!this.stores.has(name)) {
+      this.stores.set(name, new FileStore(path.join(this.directory, `${name}.json`)));
+    }
+    return this.stores.get(name);
+  }
+
+  /**
+   * Write out pending changes of every collection
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await Promise.all(Array.from(this.stores.values()).map(store => store.close()));
+  }
+}
+
+/**
+ * SqliteStore - one collection in the shared records table
+ */
+class SqliteStore {
+  /**
+   * @param {object} statements - Prepared statements from SqliteStorage
+   * @param {string} collection - Collection name
+   */
+  constructor(statements, collection) {
+    this.statements = statements;
+    this.collection = collection;
+  }
+
+  async get(key) {
+    const row = this.statements.get.get(this.collection, key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  async set(key, value) {
+    this.statements.set.run(this.collection, key, JSON.stringify(value));
+  }
+
+  async delete(key) {
+    return this.statements.delete.run(this.collection, key).changes > 0;
+  }
+
+  async values() {
+    return this.statements.values.all(this.collection).map(row => JSON.parse(row.value));
+  }
+}
+
+/**
+ * SqliteStorage - collections in a SQLite database via better-sqlite3.
+ *
+ * better-sqlite3 is only loaded when this class is used, so it stays an
+ * optional dependency.
+ */
+class SqliteStorage {
+  /**
+   * @param {object} config - SQLite storage configuration
+   * @param {string} config.filename - Database file (default: 'wa-gateway.db')
+   * @param {object} config.database - Open better-sqlite3 Database to use instead
+   * @param {string} config.table - Table name (default: 'wa_gateway_records')
+   */
+  constructor(config = {}) {
+    if (config.database) {
+      this.db = config.database;
+    } else {
+      let Database;
+      try {
+        Database = require('better-sqlite3');
+      } catch (error) {
+        throw new Error('SqliteStorage requires the better-sqlite3 package (npm install better-sqlite3)');
+      }
+      this.db = new Database(config.filename || 'wa-gateway.db');
+    }
+
+    const table = config.table || 'wa_gateway_records';
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(table)) {
+      throw new Error(`Invalid SQLite table name: ${table}`);
+    }
+
+    this.db.exec(`CREATE TABLE IF NOT EXISTS ${table} (
+      collection TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      PRIMARY KEY (collection, key)
+    )`);
+
+    this.statements = {
+      get: this.db.prepare(`SELECT value FROM ${table} WHERE collection = ? AND key = ?`),
+      set: this.db.prepare(`INSERT INTO ${table} (collection, key, value) VALUES (?, ?, ?)
+        ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value`),
+      delete: this.db.prepare(`DELETE FROM ${table} WHERE collection = ? AND key = ?`),
+      values: this.db.prepare(`SELECT value FROM ${table} WHERE collection = ? ORDER BY rowid`)
+    };
+
+    this.stores = new Map();
+  }
+
+  /**
+   * Get a named collection
+   * @param {string} name - Collection name
+   * @returns {SqliteStore} Store
+   */
+  store(name) {
+    if (!this.stores.has(name)) {
+      this.stores.set(name, new SqliteStore(this.statements, name));
+    }
+    return this.stores.get(name);
+  }
+
+  /**
+   * Close the database
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.db.open) {
+      this.db.close();
+    }
+  }
+}
+
+/**
+ * Create a storage adapter from the gateway's storage option
+ * @param {string|object} option - 'memory', 'file', 'sqlite', { type, ...config } or an adapter instance
+ * @returns {object|null} Storage adapter, or null when no option is given
+ */
+function createStorage(option) {
+  if (!option) {
+    return null;
+  }
+
+  if (typeof option.store === 'function') {
+    return option;
+  }
+
+  const { type, ...config } = typeof option === 'string' ? { type: option } : option;
+  switch (type) {
+    case 'memory':
+      return new MemoryStorage();
+    case 'file':
+      return new FileStorage(config);
+    case 'sqlite':
+      return new SqliteStorage(config);
+    default:
+      throw new Error(`Invalid storage type: ${type} (expected 'memory', 'file' or 'sqlite')`);
+  }
+}
+
+module.exports = {
+  MemoryStorage,
+  FileStorage,
+  SqliteStorage,
+  createStorage
+};
@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * MemoryStore keeps key/value records in process memory.
+ *
+ * Every store exposes the same async interface (get, set, delete, values)
+ * so a custom implementation (Redis, a database table, ...) can be passed
+ * anywhere the gateway accepts a store.
+ */
+class MemoryStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  /**
+   * Get a record
+   * @param {string} key - Record key
+   * @returns {Promise<object|null>} Stored value or null
+   */
+  async get(key) {
+    return this.records.has(key) ? this.records.get(key) : null;
+  }
+
+  /**
+   * Create or replace a record
+   * @param {string} key - Record key
+   * @param {object} value - JSON-serializable value
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    this.records.set(key, value);
+  }
+
+  /**
+   * Delete a record
+   * @param {string} key - Record key
+   * @returns {Promise<boolean>} True if the record existed
+   */
+  async delete(key) {
+    return this.records.delete(key);
+  }
+
+  /**
+   * Get all stored values
+   * @returns {Promise<Array>} Array of values
+   */
+  async values() {
+    return Array.from(this.records.values());
+  }
+}
+
+/**
+ * FileStore persists key/value records to a single JSON file.
+ *
+ * Records are kept in memory. Changes are batched and the whole file is
+ * rewritten asynchronously (temp file, then rename) at most once per
+ * `writeDelay`, so frequent writes do not block the event loop. Call
+ * `flush()` or `close()` before exiting to write out the last changes.
+ */
+class FileStore extends MemoryStore {
+  /**
+   * @param {string} filePath - Path of the JSON file
+   * @param {object} options - File store options
+   * @param {number} options.writeDelay - How long changes are batched before a write in ms (default: 100)
+   */
+  constructor(filePath, options = {}) {
+    super();
+
+    if (!filePath || typeof filePath !== 'string') {
+      throw new Error('FileStore requires a file path');
+    }
+
+    this.filePath = path.resolve(filePath);
+    this.writeDelay = options.writeDelay !== undefined ? options.writeDelay : 100;
+    this.dirty = false;
+    this.flushTimer = null;
+    this.writing = null;
+    this._load();
+  }
+
+  async set(key, value) {
+    await super.set(key, value);
+    this._scheduleFlush();
+  }
+
+  async delete(key) {
+    const existed = await super.delete(key);
+    if (existed) {
+      this._scheduleFlush();
+    }
+    return existed;
+  }
+
+  /**
+   * Write pending changes to disk now
+   * @returns {Promise<void>} Resolves once every change made before the call is on disk
+   */
+  flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    // One write at a time; each starts after the previous one settled
+    const write = (this.writing || Promise.resolve()).catch(() => {}).then(() => this._write());
+    this.writing = write;
+    const release = () => {
+      if (this.writing === write) {
+        this.writing = null;
+      }
+    };
+    write.then(release, release);
+    return write;
+  }
+
+  /**
+   * Write pending changes
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.flush();
+  }
+
+  /**
+   * Read records from disk
+   * @private
+   */
+  _load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const content = fs.readFileSync(this.filePath, 'utf8');
+    if (!content.trim()) {
+      return;
+    }
+
+    const data = JSON.parse(content);
+    for (const [key, value] of Object.entries(data)) {
+      this.records.set(key, value);
+    }
+  }
+
+  /**
+   * Write the records after writeDelay, batching changes made meanwhile
+   * @private
+   */
+  _scheduleFlush() {
+    this.dirty = true;
+    if (this.flushTimer) {
+      return;
+    }
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch(() => {}); // Still dirty: retried on the next change, flush() or close()
+    }, this.writeDelay);
+  }
+
+  /**
+   * Write records to disk (write to a temp file, then rename)
+   * @private
+   */
+  async _write() {
+    if (!this.dirty) {
+      return;
+    }
+    this.dirty = false;
+
+    try {
+      const content = JSON.stringify(Object.fromEntries(this.records));
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, content);
+      await fs.promises.rename(tempPath, this.filePath);
+    } catch (error) {
+      this.dirty = true;
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  MemoryStore,
+  FileStore
+};
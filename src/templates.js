@@ -0,0 +1,314 @@
+const utils = require('./utils');
+
+/**
+ * {{name}} or {{name|filter}}
+ */
+const PLACEHOLDER = /\{\{\s*(\w+)\s*(?:\|\s*(\w+)\s*)?\}\}/g;
+
+/**
+ * WhatsApp formatting applied by {{name|filter}}
+ */
+const FILTERS = {
+  bold: value => `*${value}*`,
+  italic: value => `_${value}_`,
+  strike: value => `~${value}~`,
+  mono: value => `\`\`\`${value}\`\`\``
+};
+
+/**
+ * Send data field holding the media URL, per media type
+ */
+const MEDIA_URL_FIELDS = {
+  image: 'imageUrl',
+  video: 'videoUrl',
+  document: 'documentUrl'
+};
+
+/**
+ * Replace {{name}} and {{name|filter}} placeholders in a string
+ * @param {string} text - Text with placeholders
+ * @param {object} vars - Values by placeholder name
+ * @param {Function} encode - Applied to each filled value (e.g. encodeURIComponent for URLs)
+ * @returns {string} Filled text
+ */
+function fillPlaceholders(text, vars, encode = value => value) {
+  return text.replace(PLACEHOLDER, (placeholder, name, filter) => {
+    if (vars[name] === undefined || vars[name] === null) {
+      throw utils.formatError('VALIDATION_ERROR', `Missing value for {{${name}}}`, { variable: name });
+    }
+    if (filter && !FILTERS[filter]) {
+      throw utils.formatError('VALIDATION_ERROR', `Unknown template filter: ${filter}`, { variable: name });
+    }
+    const value = String(vars[name]);
+    return encode(filter ? FILTERS[filter](value) : value);
+  });
+}
+
+/**
+ * TemplateRegistry keeps named message templates and renders them into send data.
+ *
+ * A template has a text body and optionally media (the text becomes the
+ * caption), per-locale variants, and a declaration of its variables:
+ *
+ *   {
+ *     text: 'Hi {{name|bold}}, order {{orderId}} has shipped',
+ *     media: { type: 'image', url: 'https://cdn.example.com/{{orderId}}.png' },
+ *     locales: { es: { text: 'Hola {{name|bold}}, tu pedido {{orderId}} fue enviado' } },
+ *     variables: { name: { maxLength: 50 }, orderId: { pattern: '^\\d+$' } }
+ *   }
+ *
+ * Mistakes in a definition throw when it is registered; problems with the
+ * values passed at send time throw VALIDATION_ERROR.
+ */
+class TemplateRegistry {
+  constructor() {
+    this.templates = new Map();
+  }
+
+  /**
+   * Register (or replace) a template
+   * @param {string} name - Template name
+   * @param {object} definition - { text, media, locales, variables }
+   */
+  register(name, definition) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Template name is required');
+    }
+    if (!definition || typeof definition !== 'object') {
+      throw new Error(`Template "${name}" requires a definition object`);
+    }
+
+    const variants = [definition, ...Object.values(definition.locales || {})];
+    const used = new Set();
+    variants.forEach((variant) => {
+      this._checkVariant(name, variant, variant === definition).forEach(variable => used.add(variable));
+    });
+
+    const declared = this._normalizeVariables(name, definition.variables);
+    if (declared) {
+      used.forEach((variable) => {
+        if (!declared[variable]) {
+          throw new Error(`Template "${name}" uses undeclared variable "${variable}"`);
+        }
+      });
+    }
+
+    // Without a declaration every placeholder is a required variable
+    const variables = declared || this._normalizeVariables(name, Array.from(used));
+    this.templates.set(name, { ...definition, variables });
+  }
+
+  /**
+   * Get a template definition
+   * @param {string} name - Template name
+   * @returns {object|null} Definition or null
+   */
+  get(name) {
+    return this.templates.get(name) || null;
+  }
+
+  /**
+   * Check if a template is registered
+   * @param {string} name - Template name
+   * @returns {boolean} True if registered
+   */
+  has(name) {
+    return this.templates.has(name);
+  }
+
+  /**
+   * List registered templates
+   * @returns {Array<string>} Template names
+   */
+  list() {
+    return Array.from(this.templates.keys());
+  }
+
+  /**
+   * Remove a template
+   * @param {string} name - Template name
+   * @returns {boolean} True if it existed
+   */
+  remove(name) {
+    return this.templates.delete(name);
+  }
+
+  /**
+   * Render a template into send data
+   * @param {string} name - Template name
+   * @param {object} vars - Variable values
+   * @param {string} locale - Locale such as 'es' or 'pt-BR' (falls back to the language, then the base text)
+   * @returns {object} { type: 'message', message } or { type: 'image'|'video'|'document', <url field>, caption, ... }
+   */
+  render(name, vars = {}, locale) {
+    const template = this.templates.get(name);
+    if (!template) {
+      throw utils.formatError('VALIDATION_ERROR', `Unknown template: ${name}`);
+    }
+    if (!vars || typeof vars !== 'object') {
+      throw utils.formatError('VALIDATION_ERROR', 'Template variables must be an object');
+    }
+
+    const values = this._validateValues(name, template.variables, vars);
+    const variant = this._selectVariant(template, locale);
+    const text = variant.text !== undefined ? variant.text : template.text;
+    const media = variant.media !== undefined ? variant.media : template.media;
+
+    if (!media) {
+      return { type: 'message', message: fillPlaceholders(text, values) };
+    }
+
+    const data = { type: media.type };
+    if (media.dataUrl) {
+      data[`${media.type}DataUrl`] = media.dataUrl;
+    } else {
+      // Encoded so a value cannot change the URL's host or path
+      data[MEDIA_URL_FIELDS[media.type]] = fillPlaceholders(media.url, values, encodeURIComponent);
+    }
+    if (media.type === 'document') {
+      data.documentName = fillPlaceholders(media.documentName, values);
+    }
+    if (text) {
+      data.caption = fillPlaceholders(text, values);
+    }
+    return data;
+  }
+
+  /**
+   * Validate one variant (the base definition or a locale) and return the variables it uses
+   * @private
+   */
+  _checkVariant(name, variant, isBase) {
+    if (!variant || typeof variant !== 'object') {
+      throw new Error(`Template "${name}" has an invalid locale variant`);
+    }
+
+    const strings = [];
+    if (variant.text !== undefined) {
+      if (typeof variant.text !== 'string') {
+        throw new Error(`Template "${name}" text must be a string`);
+      }
+      strings.push(variant.text);
+    }
+
+    const media = variant.media;
+    if (media) {
+      if (!MEDIA_URL_FIELDS[media.type]) {
+        throw new Error(`Template "${name}" media type must be image, video or document`);
+      }
+      if (typeof media.url !== 'string' && typeof media.dataUrl !== 'string') {
+        throw new Error(`Template "${name}" media requires a url or dataUrl`);
+      }
+      if (media.type === 'document' && typeof media.documentName !== 'string') {
+        throw new Error(`Template "${name}" document media requires a documentName`);
+      }
+      strings.push(media.url || '', media.documentName || '');
+    } else if (isBase && typeof variant.text !== 'string') {
+      throw new Error(`Template "${name}" requires text or media`);
+    }
+
+    const used = [];
+    strings.forEach((text) => {
+      for (const [, variable, filter] of text.matchAll(PLACEHOLDER)) {
+        if (filter && !FILTERS[filter]) {
+          throw new Error(`Template "${name}" uses unknown filter "${filter}" (expected ${Object.keys(FILTERS).join(', ')})`);
+        }
+        used.push(variable);
+      }
+    });
+    return used;
+  }
+
+  /**
+   * Turn a variables declaration (array of names or { name: spec }) into { name: spec }
+   * @private
+   */
+  _normalizeVariables(name, declaration) {
+    if (declaration === undefined) {
+      return null;
+    }
+
+    const variables = {};
+    if (Array.isArray(declaration)) {
+      declaration.forEach((variable) => {
+        variables[variable] = { required: true };
+      });
+      return variables;
+    }
+    if (typeof declaration !== 'object' || declaration === null) {
+      throw new Error(`Template "${name}" variables must be an array or an object`);
+    }
+
+    for (const [variable, spec] of Object.entries(declaration)) {
+      const normalized = { required: true, ...spec };
+      if (normalized.type && !['string', 'number'].includes(normalized.type)) {
+        throw new Error(`Template "${name}" variable "${variable}" type must be 'string' or 'number'`);
+      }
+      if (normalized.pattern !== undefined) {
+        normalized.pattern = new RegExp(normalized.pattern);
+      }
+      variables[variable] = normalized;
+    }
+    return variables;
+  }
+
+  /**
+   * Check the values against the declared variables and apply defaults
+   * @private
+   */
+  _validateValues(name, variables, vars) {
+    const values = { ...vars };
+
+    for (const [variable, spec] of Object.entries(variables)) {
+      let value = values[variable];
+      if ((value === undefined || value === null || value === '') && spec.default !== undefined) {
+        value = spec.default;
+        values[variable] = value;
+      }
+
+      const fail = message => utils.formatError('VALIDATION_ERROR', `Template "${name}": ${message}`, { variable });
+
+      if (value === undefined || value === null || value === '') {
+        if (spec.required) {
+          throw fail(`missing variable "${variable}"`);
+        }
+        values[variable] = '';
+        continue;
+      }
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        throw fail(`variable "${variable}" must be a string or number`);
+      }
+      if (spec.type && typeof value !== spec.type) {
+        throw fail(`variable "${variable}" must be a ${spec.type}`);
+      }
+      if (spec.maxLength && String(value).length > spec.maxLength) {
+        throw fail(`variable "${variable}" exceeds ${spec.maxLength} characters`);
+      }
+      if (spec.pattern && !spec.pattern.test(String(value))) {
+        throw fail(`variable "${variable}" has an invalid format`);
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Pick the locale variant: exact match, then the language, then the base template
+   * @private
+   */
+  _selectVariant(template, locale) {
+    const locales = template.locales || {};
+    if (!locale) {
+      return template;
+    }
+    if (typeof locale !== 'string') {
+      throw utils.formatError('VALIDATION_ERROR', 'locale must be a string');
+    }
+    return locales[locale] || locales[locale.split('-')[0]] || template;
+  }
+}
+
+module.exports = {
+  TemplateRegistry,
+  fillPlaceholders,
+  MEDIA_URL_FIELDS
+};
@@ -1,4 +1,6 @@
+import { EventEmitter } from 'events';
 import { WebSocket } from 'ws';
+import { IncomingMessage as HttpIncomingMessage, ServerResponse } from 'http';
 
 /**
  * Configuration options for WhatsAppGateway
@@ -14,7 +16,7 @@ export interface GatewayConfig {
   server?: any;
   
   /** Callback to validate API key. Return { valid: true } or { valid: false } */
-  validateApiKey: (apiKey: string) => Promise<{ valid: boolean; [key: string]: any }>;
+  validateApiKey: (apiKey: string) => Promise<{ valid: boolean; rateLimit?: RateLimitConfig; pacing?: boolean | PacingConfig; weight?: number; [key: string]: any }>;
   
   /** Callback for logging message events */
   onMessageLog: (logData: MessageLogData) => void;
@@ -22,6 +24,15 @@ export interface GatewayConfig {
   /** Callback for error handling */
   onError: (error: GatewayError) => void;
   
+  /** Callback for WhatsApp messages received by a connected extension (optional) */
+  onIncomingMessage?: (message: IncomingMessage) => void;
+  
+  /** Callback for delivery status changes of sent messages (optional) */
+  onMessageStatus?: (status: MessageStatus) => void;
+  
+  /** Number of recent requests whose delivery status is kept (default: 10000) */
+  maxTrackedMessages?: number;
+  
   /** Heartbeat interval in milliseconds (default: 30000) */
   heartbeatInterval?: number;
   
@@ -32,7 +43,859 @@ export interface GatewayConfig {
   maxSessionsPerKey?: number;
   
   /** Device selection strategy when multiple devices available (default: 'round-robin') */
-  deviceSelectionStrategy?: 'round-robin' | 'random';
+  deviceSelectionStrategy?: DeviceSelectionStrategy | DeviceSelector;
+  
+  /** Options for the 'sticky' strategy */
+  sticky?: StickyConfig;
+  
+  /** Queue sends while no device is active (default: false). `true` uses a file-backed queue */
+  queue?: boolean | QueueConfig | MessageQueue;
+  
+  /** Retry policy for failed sends (default: single attempt) */
+  retry?: RetryConfig | RetryPolicy;
+  
+  /** Operational logger (default: console). A log level string, 'silent'/false, or a pino/winston-style logger */
+  logger?: Logger | LogLevel | boolean;
+  
+  /** Prometheus metrics options; set `path` to serve them over HTTP */
+  metrics?: MetricsConfig;
+  
+  /** Default send limits per API key and per session (default: none) */
+  rateLimit?: RateLimitConfig;
+  
+  /** Human-like spacing of sends per session (default: off). `true` uses the defaults */
+  pacing?: boolean | PacingConfig;
+  
+  /** Where device labels, tags and metadata are kept (default: in memory) */
+  devices?: DevicesConfig;
+  
+  /** Let extensions resume their session after a brief disconnect (default: false). `true` uses a 30s window */
+  resume?: boolean | ResumeConfig;
+  
+  /** Share devices between several gateway instances (default: single instance) */
+  cluster?: ClusterConfig;
+  
+  /** Where scheduled messages are kept and how missed runs are handled */
+  schedule?: ScheduleConfig;
+  
+  /** Stream media URLs to extensions that support it in acknowledged chunks (default: false) */
+  mediaStreaming?: boolean | MediaStreamingConfig;
+  
+  /** Size limits, timeouts and redirects for downloading media URLs */
+  media?: MediaConfig;
+  
+  /** Message templates by name for sendTemplate() */
+  templates?: Record<string, TemplateDefinition>;
+  
+  /** Bulk send jobs (sendBulk) */
+  bulk?: BulkConfig;
+  
+  /** Results of sends made with an idempotencyKey (default: kept 24 hours in memory) */
+  idempotency?: IdempotencyConfig;
+  
+  /**
+   * Backend for queue, device, sticky route, idempotency and message log data (default: none).
+   * Components configured with their own `store` or `filePath` keep it
+   */
+  storage?: 'memory' | 'file' | 'sqlite' | StorageConfig | StorageAdapter;
+
+  /** Retention of stored send results for getMessageLog() (default: 7 days, 10000 entries) */
+  messageLogs?: MessageLogConfig;
+}
+
+/**
+ * Built-in storage backend selection
+ */
+export type StorageConfig =
+  | { type: 'memory' }
+  | ({ type: 'file' } & FileStorageConfig)
+  | ({ type: 'sqlite' } & SqliteStorageConfig);
+
+/**
+ * Storage backend; hands out one store per named collection
+ * ('queue', 'devices', 'sticky-routes', 'message-logs', ...)
+ */
+export interface StorageAdapter {
+  store(name: string): Store;
+  close?(): Promise<void>;
+}
+
+/**
+ * Multi-instance configuration
+ */
+export interface ClusterConfig {
+  /** Session registry and command bus */
+  adapter: ClusterAdapter;
+  
+  /** ID of this instance (default: random) */
+  nodeId?: string;
+  
+  /** How often local sessions are re-published in ms (default: 30000) */
+  refreshInterval?: number;
+  
+  /** Ignore remote sessions not refreshed for this long in ms (default: 3x refreshInterval) */
+  staleAfter?: number;
+}
+
+/**
+ * Session as seen by other gateway nodes
+ */
+export interface ClusterSession {
+  sessionId: string;
+  apiKey: string;
+  nodeId: string;
+  deviceActive: boolean;
+  whatsappNumber: string | null;
+  deviceId: string | null;
+  label: string | null;
+  tags: string[];
+  weight: number;
+  connectedAt: number;
+  updatedAt: number;
+}
+
+/**
+ * Shared session registry plus pub/sub command bus
+ */
+export interface ClusterAdapter {
+  setSession(session: ClusterSession): Promise<void>;
+  removeSession(apiKey: string, sessionId: string): Promise<void>;
+  getSessions(apiKey: string): Promise<ClusterSession[]>;
+  publish(channel: string, message: Record<string, any>): Promise<void>;
+  subscribe(channel: string, handler: (message: Record<string, any>) => void): Promise<void>;
+  unsubscribe(channel: string): Promise<void>;
+}
+
+/**
+ * Media URL download configuration
+ */
+export interface MediaConfig {
+  /** Maximum file size in bytes, or per media type (default: 10MB) */
+  maxSize?: number | MediaSizeLimits;
+  
+  /** Max time for a whole download in ms (default: requestTimeout). For streamed media, the longest wait for more data */
+  timeout?: number;
+  
+  /** Max wait for response headers per request in ms (default: 10000) */
+  connectTimeout?: number;
+  
+  /** Redirects followed before failing with FETCH_ERROR (default: 5) */
+  maxRedirects?: number;
+}
+
+/**
+ * Size limits in bytes by media (message) type
+ */
+export interface MediaSizeLimits {
+  image?: number;
+  video?: number;
+  document?: number;
+  [type: string]: number | undefined;
+}
+
+/**
+ * Chunked media transfer configuration
+ */
+export interface MediaStreamingConfig {
+  /** Bytes per binary chunk frame (default: 262144) */
+  chunkSize?: number;
+  
+  /** Chunks sent ahead of the extension's acknowledgements (default: 8) */
+  window?: number;
+  
+  /** Max wait for an acknowledgement in ms (default: requestTimeout) */
+  ackTimeout?: number;
+  
+  /** Maximum streamed file size in bytes, or per media type (default: 64MB) */
+  maxSize?: number | MediaSizeLimits;
+}
+
+/**
+ * Media a message type can stream instead of inlining it as a data URL
+ */
+export interface MediaSource {
+  url: string;
+  
+  /** 'image' and 'video' content of another type is rejected */
+  mediaType: 'image' | 'video' | 'document';
+  
+  /** Used when neither the content nor the Content-Type header identifies the file */
+  mimeType: string;
+  fileName?: string;
+}
+
+/**
+ * Streamed media referenced in the send command's `data.media`
+ */
+export interface StreamedMedia {
+  mediaId: string;
+  mimeType: string;
+  fileName: string | null;
+  size: number;
+  
+  /** Hex SHA-256 of the file */
+  sha256: string;
+}
+
+/**
+ * Session resumption configuration
+ */
+export interface ResumeConfig {
+  /** How long a dropped session waits for the extension to resume it, in ms (default: 30000) */
+  gracePeriod?: number;
+}
+
+/**
+ * Scheduled message configuration
+ */
+export interface ScheduleConfig {
+  /** Store for schedules (default: in memory) */
+  store?: Store;
+  
+  /** Persist schedules to this JSON file instead of memory */
+  filePath?: string;
+  
+  /** Default IANA time zone (default: the server's) */
+  timezone?: string;
+  
+  /** Runs that came due while stopped: 'send' once on start (default) or 'skip' */
+  missed?: 'send' | 'skip';
+}
+
+/**
+ * When a scheduled message is sent: `at` or `cron`
+ */
+export interface ScheduleOptions {
+  /** Date, timestamp, ISO string with offset, or local 'YYYY-MM-DDTHH:mm' read in `timezone` */
+  at?: Date | number | string;
+  
+  /** 5-field cron expression read in `timezone`, e.g. '0 9 * * 1-5' */
+  cron?: string;
+  
+  /** IANA time zone, e.g. 'America/Sao_Paulo' (default: schedule.timezone) */
+  timezone?: string;
+  
+  /** Overrides schedule.missed for this schedule */
+  missed?: 'send' | 'skip';
+}
+
+export type ScheduleState = 'scheduled' | 'completed' | 'failed' | 'missed' | 'cancelled';
+
+/**
+ * Outcome of one run of a schedule
+ */
+export interface ScheduleRun {
+  requestId: string;
+  
+  /** When the run was due */
+  scheduledFor: number;
+  
+  /** True when sent on start after being missed while stopped */
+  late: boolean;
+  success: boolean;
+  queued: boolean;
+  error: string | null;
+  timestamp: number;
+}
+
+/**
+ * Scheduled message
+ */
+export interface ScheduledMessage {
+  scheduleId: string;
+  apiKey: string;
+  data: SendData;
+  at?: number;
+  cron?: string;
+  timezone: string;
+  missed: 'send' | 'skip';
+  state: ScheduleState;
+  nextRunAt: number | null;
+  runs: number;
+  lastRun: ScheduleRun | null;
+  createdAt: number;
+  updatedAt: number;
+}
+
+/**
+ * Bulk send configuration
+ */
+export interface BulkConfig {
+  /** Finished jobs kept for getBulkJob() (default: 100) */
+  maxFinishedJobs?: number;
+}
+
+/**
+ * Recipient of a bulk send: a phone number, or a phone number plus values for {{placeholders}}
+ */
+export type BulkRecipient = string | ({ phoneNumber: string } & Record<string, any>);
+
+/**
+ * Message sent to every recipient; string fields may contain {{placeholders}}.
+ * Or { template, locale } to render a registered template per recipient
+ */
+export type BulkTemplate = ({ type?: string } & Record<string, any>) | { template: string; locale?: string };
+
+/**
+ * Options for sendBulk()
+ */
+export interface BulkOptions {
+  /** Sends in parallel (default: number of active devices) */
+  concurrency?: number;
+  
+  /** Set to false to fail recipients instead of queueing them while no device is active */
+  queue?: boolean;
+  
+  /** Queue TTL in milliseconds for queued recipients */
+  ttl?: number;
+}
+
+export type BulkJobState = 'running' | 'paused' | 'completed' | 'cancelled';
+
+export type BulkRecipientStatus = 'pending' | 'sent' | 'queued' | 'failed' | 'cancelled';
+
+/**
+ * Progress of a bulk job
+ */
+export interface BulkJob {
+  jobId: string;
+  apiKey: string;
+  state: BulkJobState;
+  total: number;
+  
+  /** Recipients per status */
+  counts: Record<BulkRecipientStatus, number>;
+  
+  /** One entry per recipient, in the order given */
+  results: Array<{
+    phoneNumber: string;
+    status: BulkRecipientStatus;
+    requestId: string;
+    messageId: string | null;
+    error: string | null;
+  }>;
+  
+  createdAt: number;
+  finishedAt: number | null;
+}
+
+/**
+ * Idempotency key configuration
+ */
+export interface IdempotencyConfig {
+  /** How long results are returned to duplicates in ms (default: 24 hours) */
+  ttl?: number;
+  
+  /** Store for results (default: in memory) */
+  store?: Store;
+  
+  /** Persist results to this JSON file instead of memory */
+  filePath?: string;
+
+  /** Minimum time between removals of expired results in ms (default: 1 hour) */
+  pruneInterval?: number;
+}
+
+/**
+ * Message log retention configuration
+ */
+export interface MessageLogConfig {
+  /** How long entries are kept in ms (default: 7 days) */
+  maxAge?: number;
+
+  /** Maximum number of entries kept; the oldest are removed first (default: 10000) */
+  maxEntries?: number;
+
+  /** Minimum time between removals of old entries in ms (default: 10 minutes) */
+  pruneInterval?: number;
+
+  /** Store for entries (default: the 'message-logs' collection of storage) */
+  store?: Store;
+}
+
+/**
+ * Device registry configuration
+ */
+export interface DevicesConfig {
+  /** Store for device profiles (default: in memory) */
+  store?: Store;
+  
+  /** Persist device profiles to this JSON file instead of memory */
+  filePath?: string;
+}
+
+/**
+ * Operator-assigned details of a device, stored by deviceId
+ */
+export interface DeviceProfile {
+  apiKey: string;
+  deviceId: string;
+  label: string | null;
+  tags: string[];
+  metadata: Record<string, any>;
+  updatedAt: number;
+}
+
+/**
+ * Known device (from getDevices)
+ */
+export interface DeviceInfo {
+  /** Device ID from the auth message, or the session ID if the extension sent none */
+  deviceId: string;
+  label: string | null;
+  tags: string[];
+  metadata: Record<string, any>;
+  
+  /** Whether the device has a session */
+  connected: boolean;
+  
+  /** Whether WhatsApp is logged in and ready */
+  ready: boolean;
+  
+  sessionId: string | null;
+  whatsappNumber: string | null;
+}
+
+/**
+ * Sticky routing configuration
+ */
+export interface StickyConfig {
+  /** Pin lifetime in ms, refreshed on every send (default: 30 days) */
+  ttl?: number;
+  
+  /** When the pinned device is offline: use another device and re-pin ('reassign', default), or treat as no active device ('wait') */
+  fallback?: 'reassign' | 'wait';
+  
+  /** Store for pins (default: in memory) */
+  store?: Store;
+  
+  /** Persist pins to this JSON file instead of memory */
+  filePath?: string;
+}
+
+/**
+ * Built-in device selection strategies
+ */
+export type DeviceSelectionStrategy = 'round-robin' | 'random' | 'sticky' | 'least-pending' | 'weighted' | 'fastest';
+
+/**
+ * Details of the send a custom selector picks a device for
+ */
+export interface DeviceSelectionContext {
+  apiKey: string;
+  phoneNumber?: string;
+  type: string;
+  requestId: string;
+}
+
+/**
+ * Custom device selector. Returns one of the candidate sessions, or
+ * anything else to fall back to round-robin.
+ */
+export type DeviceSelector = (sessions: Session[], context: DeviceSelectionContext) => Session | null | undefined;
+
+/**
+ * Recipient pinned to a WhatsApp account
+ */
+export interface StickyRoute {
+  apiKey: string;
+  phoneNumber: string;
+  
+  /** Session that last sent to the recipient */
+  sessionId: string;
+  
+  /** Account number the recipient is pinned to (when the extension reports it) */
+  whatsappNumber: string | null;
+  
+  pinnedAt: number;
+  lastUsedAt: number;
+  expiresAt: number;
+}
+
+/**
+ * Send pacing configuration
+ */
+export interface PacingConfig {
+  /** Minimum gap between sends of one session in ms (default: 2000) */
+  minDelay?: number;
+  
+  /** Maximum gap between sends of one session in ms (default: 8000) */
+  maxDelay?: number;
+  
+  /** Typing hint sent to the extension, or false to disable */
+  typing?: false | {
+    /** Simulated typing speed (default: 15) */
+    charsPerSecond?: number;
+    
+    /** Shortest typing duration in ms (default: 1000) */
+    minDuration?: number;
+    
+    /** Longest typing duration in ms (default: 10000) */
+    maxDuration?: number;
+  };
+  
+  /** Time window without sends */
+  quietHours?: {
+    /** Start time "HH:MM" */
+    start: string;
+    
+    /** End time "HH:MM" (may be earlier than start to span midnight) */
+    end: string;
+    
+    /** IANA timezone (default: server local time) */
+    timezone?: string;
+    
+    /**
+     * 'defer' queues sends until the end (default; RATE_LIMITED when the queue is off),
+     * 'reject' fails them with RATE_LIMITED
+     */
+    action?: 'defer' | 'reject';
+  };
+  
+  /** Stricter limits for newly connected sessions */
+  warmup?: {
+    /** How long a session counts as new in ms (default: 24h) */
+    duration?: number;
+    
+    /** Sends allowed per session while new */
+    maxMessages?: number;
+    
+    /** Multiplier for the gap between sends while new (default: 1) */
+    delayFactor?: number;
+  };
+}
+
+/**
+ * Send limits. messagesPerMinute and mediaPerHour are token buckets that refill
+ * evenly over their window; dailyCap is a calendar-day count
+ */
+export interface RateLimits {
+  /** Sends per minute (all types) */
+  messagesPerMinute?: number;
+  
+  /** Image, video and document sends per hour */
+  mediaPerHour?: number;
+  
+  /** Sends per calendar day, reset at midnight in RateLimitConfig.timezone */
+  dailyCap?: number;
+}
+
+/**
+ * Rate limits per API key and per session (linked phone)
+ */
+export interface RateLimitConfig {
+  /** Limits shared by all sessions of an API key */
+  apiKey?: RateLimits;
+  
+  /** Limits applied to each session */
+  session?: RateLimits;
+
+  /** IANA time zone whose midnight resets dailyCap (default: the server's) */
+  timezone?: string;
+}
+
+/**
+ * Result of a rate limit check
+ */
+export interface RateLimitCheck {
+  allowed: boolean;
+  
+  /** Milliseconds until the next send is allowed */
+  retryAfter: number;
+  
+  /** Limit that was hit */
+  limit: keyof RateLimits | null;
+}
+
+/**
+ * Token-bucket rate limiter used by the gateway
+ */
+export declare class RateLimiter {
+  constructor(config?: RateLimitConfig);
+  static LIMITS: Array<keyof RateLimits>;
+  setLimits(apiKey: string, limits: RateLimitConfig | null): void;
+  getLimits(apiKey: string): RateLimitConfig;
+  checkApiKey(apiKey: string, media: boolean): RateLimitCheck;
+  checkSession(apiKey: string, sessionId: string, media: boolean): RateLimitCheck;
+  consumeApiKey(apiKey: string, media: boolean): void;
+  consumeSession(apiKey: string, sessionId: string, media: boolean): void;
+  removeSession(sessionId: string): void;
+}
+
+/**
+ * Metrics configuration
+ */
+export interface MetricsConfig {
+  /** HTTP path serving getMetrics() on the gateway's HTTP server (default: none) */
+  path?: string;
+  
+  /** Metric name prefix (default: 'wa_gateway_') */
+  prefix?: string;
+  
+  /** Request latency histogram buckets in seconds */
+  buckets?: number[];
+}
+
+/**
+ * Log levels, from most to least verbose
+ */
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+/**
+ * Log method, called as (message) or (fields, message) like pino.
+ * winston loggers are detected and called as (message, fields) instead
+ */
+export interface LogFn {
+  (message: string): void;
+  (fields: Record<string, any>, message: string): void;
+}
+
+/**
+ * Logger interface accepted by the `logger` option
+ */
+export interface Logger {
+  debug: LogFn;
+  info: LogFn;
+  warn: LogFn;
+  error: LogFn;
+  
+  /** Create a logger carrying extra fields (sessionId and sanitized apiKey) */
+  child?(bindings: Record<string, any>): Logger;
+}
+
+/**
+ * Default console logger (prints every level with console.log)
+ */
+export declare class ConsoleLogger implements Logger {
+  constructor(config?: { level?: LogLevel }, bindings?: Record<string, any>);
+  level: LogLevel;
+  bindings: Record<string, any>;
+  debug: LogFn;
+  info: LogFn;
+  warn: LogFn;
+  error: LogFn;
+  child(bindings: Record<string, any>): ConsoleLogger;
+}
+
+/**
+ * In-process cluster adapter; share one instance between gateways
+ */
+export declare class MemoryClusterAdapter implements ClusterAdapter {
+  constructor();
+  setSession(session: ClusterSession): Promise<void>;
+  removeSession(apiKey: string, sessionId: string): Promise<void>;
+  getSessions(apiKey: string): Promise<ClusterSession[]>;
+  publish(channel: string, message: Record<string, any>): Promise<void>;
+  subscribe(channel: string, handler: (message: Record<string, any>) => void): Promise<void>;
+  unsubscribe(channel: string): Promise<void>;
+}
+
+/**
+ * Redis cluster adapter (ioredis-compatible clients)
+ */
+export declare class RedisClusterAdapter implements ClusterAdapter {
+  constructor(config: { client: any; subscriber?: any; prefix?: string });
+  setSession(session: ClusterSession): Promise<void>;
+  removeSession(apiKey: string, sessionId: string): Promise<void>;
+  getSessions(apiKey: string): Promise<ClusterSession[]>;
+  publish(channel: string, message: Record<string, any>): Promise<void>;
+  subscribe(channel: string, handler: (message: Record<string, any>) => void): Promise<void>;
+  unsubscribe(channel: string): Promise<void>;
+}
+
+/**
+ * Retry policy configuration
+ */
+export interface RetryConfig {
+  /** Total attempts including the first (default: 1) */
+  maxAttempts?: number;
+  
+  /** Delay before the first retry in milliseconds (default: 1000) */
+  initialDelay?: number;
+  
+  /** Upper bound for the retry delay in milliseconds (default: 30000) */
+  maxDelay?: number;
+  
+  /** Exponential backoff factor (default: 2) */
+  factor?: number;
+  
+  /** Random spread applied to each delay, 0-1 (default: 0.2) */
+  jitter?: number;
+  
+  /** Error codes that trigger a retry (default: REQUEST_TIMEOUT, CONNECTION_LOST, EXTENSION_ERROR) */
+  retryableErrors?: string[];
+}
+
+/**
+ * Retry policy
+ */
+export declare class RetryPolicy {
+  constructor(config?: RetryConfig);
+  shouldRetry(code: string, attempt: number): boolean;
+  getDelay(attempt: number): number;
+  static DEFAULT_RETRYABLE_ERRORS: string[];
+}
+
+/**
+ * Key/value store used for gateway persistence
+ */
+export interface Store {
+  get(key: string): Promise<any | null>;
+  set(key: string, value: any): Promise<void>;
+  delete(key: string): Promise<boolean>;
+  values(): Promise<any[]>;
+}
+
+/**
+ * In-memory store
+ */
+export declare class MemoryStore implements Store {
+  constructor();
+  get(key: string): Promise<any | null>;
+  set(key: string, value: any): Promise<void>;
+  delete(key: string): Promise<boolean>;
+  values(): Promise<any[]>;
+}
+
+/**
+ * Store persisted to a JSON file
+ */
+export declare class FileStore extends MemoryStore {
+  /** writeDelay: how long changes are batched before a write in ms (default: 100) */
+  constructor(filePath: string, options?: { writeDelay?: number });
+
+  /** Write pending changes to disk now */
+  flush(): Promise<void>;
+
+  /** Write pending changes (same as flush) */
+  close(): Promise<void>;
+}
+
+/**
+ * In-memory storage
+ */
+export declare class MemoryStorage implements StorageAdapter {
+  constructor();
+  store(name: string): MemoryStore;
+  close(): Promise<void>;
+}
+
+export interface FileStorageConfig {
+  /** Directory holding one JSON file per collection (default: 'wa-gateway-data') */
+  directory?: string;
+}
+
+/**
+ * Storage in JSON files, one per collection
+ */
+export declare class FileStorage implements StorageAdapter {
+  constructor(config?: FileStorageConfig);
+  store(name: string): FileStore;
+  close(): Promise<void>;
+}
+
+export interface SqliteStorageConfig {
+  /** Database file (default: 'wa-gateway.db') */
+  filename?: string;
+  
+  /** Open better-sqlite3 Database to use instead of filename */
+  database?: any;
+  
+  /** Table name (default: 'wa_gateway_records') */
+  table?: string;
+}
+
+/**
+ * Storage in SQLite (requires the better-sqlite3 package)
+ */
+export declare class SqliteStorage implements StorageAdapter {
+  constructor(config?: SqliteStorageConfig);
+  store(name: string): Store;
+  close(): Promise<void>;
+}
+
+/**
+ * Outbound queue configuration
+ */
+export interface QueueConfig {
+  /** Store for queued messages (default: FileStore at filePath) */
+  store?: Store;
+  
+  /** File used by the default store (default: 'wa-gateway-queue.json') */
+  filePath?: string;
+  
+  /** Time a message may wait for a device in milliseconds (default: 24 hours) */
+  ttl?: number;
+  
+  /** Time delivered/failed messages stay queryable in milliseconds (default: 24 hours) */
+  retention?: number;
+  
+  /** Interval between expiry sweeps in milliseconds (default: 60000) */
+  sweepInterval?: number;
+}
+
+/**
+ * State of a queued message
+ */
+export type QueueState = 'queued' | 'dispatched' | 'delivered' | 'failed';
+
+/**
+ * Queued message entry
+ */
+export interface QueuedMessage {
+  requestId: string;
+  apiKey: string;
+  type: string;
+  data: any;
+  state: QueueState;
+  createdAt: number;
+  updatedAt: number;
+  /** Not sent before this timestamp (quiet hours), or null */
+  notBefore: number | null;
+  expiresAt: number;
+  result: MessageResult | null;
+  error: { code: string; message: string } | null;
+}
+
+/**
+ * Outbound message queue
+ */
+export declare class MessageQueue {
+  constructor(config?: QueueConfig);
+  
+  store: Store;
+  
+  enqueue(requestId: string, apiKey: string, type: string, data: any, options?: { ttl?: number; notBefore?: number }): Promise<QueuedMessage>;
+  get(requestId: string): Promise<QueuedMessage | null>;
+  list(apiKey: string, state?: QueueState): Promise<QueuedMessage[]>;
+  getDue(apiKey: string): Promise<QueuedMessage[]>;
+  markDispatched(requestId: string): Promise<QueuedMessage | null>;
+  markDelivered(requestId: string, result: MessageResult): Promise<QueuedMessage | null>;
+  markFailed(requestId: string, error: { code: string; message: string }): Promise<QueuedMessage | null>;
+  requeue(requestId: string): Promise<QueuedMessage | null>;
+  expire(): Promise<QueuedMessage[]>;
+  recover(): Promise<number>;
+  
+  static STATES: {
+    QUEUED: 'queued';
+    DISPATCHED: 'dispatched';
+    DELIVERED: 'delivered';
+    FAILED: 'failed';
+  };
+}
+
+/**
+ * Per-call send options
+ */
+export interface SendOptions {
+  /** Set to false to fail with NO_ACTIVE_DEVICE instead of queueing */
+  queue?: boolean;
+  
+  /** Queue TTL for this message in milliseconds */
+  ttl?: number;
+  
+  /** Reuse an existing request ID */
+  requestId?: string;
 }
 
 /**
@@ -66,6 +929,38 @@ export interface Session {
   /** Browser information */
   browser?: string;
   
+  /** Linked account's own number, if the extension reports it */
+  whatsappNumber: string | null;
+  
+  /** Stable device ID from the auth message */
+  deviceId: string | null;
+  
+  /** Device label (operator-assigned, or from the auth message) */
+  label: string | null;
+  
+  /** Operator-assigned tags */
+  tags: string[];
+  
+  /** Operator-assigned metadata */
+  metadata: Record<string, any>;
+  
+  /** Secret the extension presents to resume this session */
+  resumeToken: string | null;
+  
+  /** Connection dropped; waiting for the extension to resume */
+  suspended: boolean;
+  
+  suspendedAt: number | null;
+  
+  /** Share of traffic under the 'weighted' strategy (default: 1) */
+  weight: number;
+  
+  /** Extension accepts chunked media transfers */
+  mediaStreaming: boolean;
+  
+  /** Recent result latencies in ms, used by the 'fastest' strategy */
+  latencies: number[];
+  
   /** Map of pending requests: requestId -> Promise resolver */
   pendingRequests: Map<string, PendingRequest>;
 }
@@ -93,7 +988,7 @@ export interface PendingRequest {
 /**
  * Data for sending a text message
  */
-export interface SendMessageData {
+export interface SendMessageData extends SendCommonData {
   /** Phone number with country code (e.g., +1234567890) */
   phoneNumber: string;
   
@@ -101,10 +996,52 @@ export interface SendMessageData {
   message: string;
 }
 
+/**
+ * Optional fields accepted by every message type
+ */
+export interface SendCommonData extends DeviceTarget {
+  /** Duplicates with the same key return the original result instead of sending again */
+  idempotencyKey?: string;
+}
+
+/**
+ * Optional credentials for downloading a media URL (not sent to the extension).
+ * Authorization and Cookie headers are dropped on redirects to another origin
+ */
+export interface MediaFetchData {
+  /** Extra request headers, e.g. { 'X-Api-Key': '...' } */
+  mediaHeaders?: Record<string, string>;
+  
+  /** Basic or bearer auth */
+  mediaAuth?: { username: string; password?: string } | { token: string };
+}
+
+/**
+ * Optional fields that send from one specific device. When several are
+ * given, the device must match all of them. If it is offline the send
+ * fails with DEVICE_NOT_AVAILABLE instead of using another device.
+ */
+export interface DeviceTarget {
+  /** Session ID from getActiveSessions() */
+  sessionId?: string;
+  
+  /** Stable device ID the extension sent in its auth message */
+  deviceId?: string;
+  
+  /** Label set with setDeviceLabel() or sent by the extension in its auth message */
+  deviceLabel?: string;
+  
+  /** Tag (or tags, all required) set with setDeviceTags(); the strategy picks among matching devices */
+  deviceTag?: string | string[];
+  
+  /** WhatsApp number of the linked account (from the extension status) */
+  fromNumber?: string;
+}
+
 /**
  * Data for sending an image
  */
-export interface SendImageData {
+export interface SendImageData extends SendCommonData, MediaFetchData {
   /** Phone number with country code */
   phoneNumber: string;
   
@@ -121,7 +1058,7 @@ export interface SendImageData {
 /**
  * Data for sending a video
  */
-export interface SendVideoData {
+export interface SendVideoData extends SendCommonData, MediaFetchData {
   /** Phone number with country code */
   phoneNumber: string;
   
@@ -138,7 +1075,7 @@ export interface SendVideoData {
 /**
  * Data for sending a document
  */
-export interface SendDocumentData {
+export interface SendDocumentData extends SendCommonData, MediaFetchData {
   /** Phone number with country code */
   phoneNumber: string;
   
@@ -155,15 +1092,111 @@ export interface SendDocumentData {
   caption?: string;
 }
 
+/**
+ * Data for the generic send() method: a registered message type plus its payload
+ */
+export type SendData =
+  | ({ type: 'message' } & SendMessageData)
+  | ({ type: 'image' } & SendImageData)
+  | ({ type: 'video' } & SendVideoData)
+  | ({ type: 'document' } & SendDocumentData)
+  | { type: string; [key: string]: any };
+
+/**
+ * Handler describing how a message type is validated, prepared and serialized
+ */
+export interface MessageTypeHandler {
+  /** Validate the payload (without `type`) */
+  validate: (data: any) => { valid: boolean; error?: string };
+  
+  /** Optionally fetch media; returned fields are merged into the payload (`mimeType` is reported in the send result) */
+  resolveMedia?: (data: any) => Promise<{ mimeType?: string; [key: string]: any }>;
+  
+  /** Media URL to stream in chunks when mediaStreaming is on (null: use resolveMedia) */
+  mediaSource?: (data: any) => MediaSource | null;
+  
+  /** Build the serialized command sent to the extension */
+  buildCommand: (requestId: string, data: any) => string;
+}
+
+/**
+ * Registry of message types used by the send pipeline
+ */
+export declare class MessageTypeRegistry {
+  constructor();
+  register(type: string, handler: MessageTypeHandler): void;
+  get(type: string): MessageTypeHandler | null;
+  has(type: string): boolean;
+  list(): string[];
+}
+
+/**
+ * Media sent by a template; its text becomes the caption
+ */
+export interface TemplateMedia {
+  type: 'image' | 'video' | 'document';
+  
+  /** Media URL; may contain {{placeholders}} */
+  url?: string;
+  
+  /** Base64 data URL, used instead of url */
+  dataUrl?: string;
+  
+  /** File name for documents; may contain {{placeholders}} */
+  documentName?: string;
+}
+
+/**
+ * Validation rules of a template variable
+ */
+export interface TemplateVariable {
+  /** Default: true */
+  required?: boolean;
+  type?: 'string' | 'number';
+  maxLength?: number;
+  pattern?: string | RegExp;
+  
+  /** Used when no value is given */
+  default?: string | number;
+}
+
+/**
+ * Message template. Placeholders are {{name}} or {{name|bold|italic|strike|mono}}
+ */
+export interface TemplateDefinition {
+  /** Message body, or caption when media is set */
+  text?: string;
+  media?: TemplateMedia;
+  
+  /** Variants by locale ('es', 'pt-BR', ...) replacing text and/or media */
+  locales?: Record<string, { text?: string; media?: TemplateMedia }>;
+  
+  /** Names (all required) or rules per variable (default: every placeholder is required) */
+  variables?: string[] | Record<string, TemplateVariable>;
+}
+
+/**
+ * Registry of message templates
+ */
+export declare class TemplateRegistry {
+  constructor();
+  register(name: string, definition: TemplateDefinition): void;
+  get(name: string): TemplateDefinition | null;
+  has(name: string): boolean;
+  list(): string[];
+  remove(name: string): boolean;
+  render(name: string, vars?: Record<string, string | number>, locale?: string): SendData;
+}
+
 /**
  * WebSocket protocol message types from extension to server
  */
-export type ExtensionMessageType = 'auth' | 'status' | 'message-result' | 'heartbeat';
+export type ExtensionMessageType = 'auth' | 'status' | 'message-result' | 'heartbeat' | 'incoming-message' | 'message-ack' | 'media-ack';
 
 /**
  * WebSocket protocol message types from server to extension
  */
-export type ServerMessageType = 'send-message' | 'send-image' | 'send-video' | 'send-document' | 'ping';
+export type ServerMessageType = 'send-message' | 'send-image' | 'send-video' | 'send-document' | 'media-begin' | 'media-end' | 'media-abort' | 'ping';
 
 /**
  * Authentication message from extension
@@ -174,6 +1207,16 @@ export interface AuthMessage {
   data: {
     extensionVersion: string;
     browser: string;
+    /** Share of traffic under the 'weighted' strategy (optional) */
+    weight?: number;
+    /** Device name for targeted sends, e.g. 'sales' (optional) */
+    label?: string;
+    /** Stable ID of this browser profile, so labels and tags survive reconnects (optional) */
+    deviceId?: string;
+    /** Token from the previous auth-success, to resume that session (optional) */
+    resumeToken?: string;
+    /** Accept media as media-begin/chunk/media-end transfers (optional) */
+    mediaStreaming?: boolean;
   };
 }
 
@@ -185,32 +1228,203 @@ export interface StatusMessage {
   data: {
     whatsappLoggedIn: boolean;
     ready: boolean;
+    
+    /** The linked account's own phone number (optional, used by sticky routing) */
+    whatsappNumber?: string;
   };
 }
 
 /**
  * Message result from extension
  */
-export interface MessageResultMessage {
-  type: 'message-result';
-  requestId: string;
-  success: boolean;
-  error?: string | null;
-  timestamp: number;
+export interface MessageResultMessage {
+  type: 'message-result';
+  requestId: string;
+  success: boolean;
+  messageId?: string | null;
+  error?: string | null;
+  timestamp: number;
+}
+
+/**
+ * Delivery status reported in a message-ack
+ */
+export type AckStatus = 'sent' | 'delivered' | 'read' | 'played';
+
+/**
+ * Delivery/read receipt from extension
+ */
+export interface MessageAckMessage {
+  type: 'message-ack';
+  messageId: string;
+  status: AckStatus;
+  timestamp?: number;
+}
+
+/**
+ * Start of a chunked media transfer; binary frames follow, each the 36-byte
+ * ASCII mediaId, a uint32 big-endian sequence number and the chunk bytes
+ */
+export interface MediaBeginMessage {
+  type: 'media-begin';
+  mediaId: string;
+  requestId: string;
+  mimeType: string;
+  fileName: string | null;
+  
+  /** File size if the source reported it */
+  size: number | null;
+  chunkSize: number;
+}
+
+/**
+ * End of a chunked media transfer
+ */
+export interface MediaEndMessage {
+  type: 'media-end';
+  mediaId: string;
+  chunks: number;
+  size: number;
+  
+  /** Hex SHA-256 of the whole file */
+  sha256: string;
+}
+
+/**
+ * The gateway gave up on a chunked media transfer after media-begin
+ * (source error, size limit or missing acknowledgement); drop its chunks
+ */
+export interface MediaAbortMessage {
+  type: 'media-abort';
+  mediaId: string;
+  error: {
+    code: ErrorCode;
+    message: string;
+  };
+}
+
+/**
+ * Acknowledgement from extension: a received chunk (`seq`), the verified file
+ * (`complete`) or a failed transfer (`error`)
+ */
+export interface MediaAckMessage {
+  type: 'media-ack';
+  mediaId: string;
+  seq?: number;
+  complete?: boolean;
+  error?: string;
+}
+
+/**
+ * Delivery status of a sent request
+ */
+export interface MessageStatus {
+  requestId: string;
+  
+  /** WhatsApp message ID returned in the message-result */
+  messageId: string | null;
+  
+  apiKey: string;
+  sessionId: string;
+  phoneNumber: string;
+  type: string;
+  
+  /** Most advanced status reached */
+  status: 'pending' | 'failed' | AckStatus;
+  
+  /** Error message when failed */
+  error: string | null;
+  
+  /** Every status observed, in arrival order */
+  timeline: Array<{ status: string; timestamp: number }>;
+  
+  createdAt: number;
+  updatedAt: number;
+}
+
+/**
+ * Heartbeat message from extension
+ */
+export interface HeartbeatMessage {
+  type: 'heartbeat';
+  timestamp: number;
+}
+
+/**
+ * Media attached to an incoming message
+ */
+export interface IncomingMedia {
+  /** Media kind, e.g. 'image', 'video', 'audio', 'document', 'sticker' */
+  type: string;
+  mimeType?: string | null;
+  fileName?: string | null;
+  size?: number | null;
+  caption?: string | null;
+  
+  /** Media content as base64 data URL, if the extension includes it */
+  dataUrl?: string | null;
+}
+
+/**
+ * WhatsApp message received on WhatsApp Web, forwarded by the extension
+ */
+export interface IncomingMessageMessage {
+  type: 'incoming-message';
+  data: {
+    messageId?: string;
+    chatId: string;
+    from: string;
+    senderName?: string;
+    isGroup?: boolean;
+    text?: string;
+    media?: IncomingMedia;
+    quotedMessageId?: string;
+    timestamp?: number;
+  };
 }
 
 /**
- * Heartbeat message from extension
+ * Incoming message passed to onIncomingMessage and the 'message:incoming' event
  */
-export interface HeartbeatMessage {
-  type: 'heartbeat';
+export interface IncomingMessage {
+  /** API key of the session that received the message */
+  apiKey: string;
+  
+  /** Session that received the message */
+  sessionId: string;
+  
+  /** WhatsApp message ID */
+  messageId: string | null;
+  
+  /** Chat the message belongs to (contact or group) */
+  chatId: string;
+  
+  /** Sender phone number */
+  from: string;
+  
+  /** Sender display name */
+  senderName: string | null;
+  
+  /** Whether the chat is a group */
+  isGroup: boolean;
+  
+  /** Message text (or null for media without text) */
+  text: string | null;
+  
+  /** Media metadata (or null for text messages) */
+  media: IncomingMedia | null;
+  
+  /** ID of the message this one replies to */
+  quotedMessageId: string | null;
+  
+  /** When the message was received */
   timestamp: number;
 }
 
 /**
  * Union type for all extension messages
  */
-export type ExtensionMessage = AuthMessage | StatusMessage | MessageResultMessage | HeartbeatMessage;
+export type ExtensionMessage = AuthMessage | StatusMessage | MessageResultMessage | HeartbeatMessage | IncomingMessageMessage | MessageAckMessage;
 
 /**
  * Send message command to extension
@@ -221,6 +1435,9 @@ export interface SendMessageCommand {
   data: {
     phoneNumber: string;
     message: string;
+    
+    /** Show "typing..." for this many ms before sending (set when pacing is enabled) */
+    typing?: number;
   };
 }
 
@@ -234,6 +1451,7 @@ export interface SendImageCommand {
     phoneNumber: string;
     imageDataUrl: string;
     caption?: string;
+    typing?: number;
   };
 }
 
@@ -247,6 +1465,7 @@ export interface SendVideoCommand {
     phoneNumber: string;
     videoDataUrl: string;
     caption?: string;
+    typing?: number;
   };
 }
 
@@ -260,6 +1479,8 @@ export interface SendDocumentCommand {
     phoneNumber: string;
     documentDataUrl: string;
     documentName: string;
+    caption?: string;
+    typing?: number;
   };
 }
 
@@ -288,8 +1509,8 @@ export interface MessageLogData {
   /** Phone number */
   phoneNumber: string;
   
-  /** Message type */
-  type: 'message' | 'image' | 'video' | 'document';
+  /** Message type ('message', 'image', 'video', 'document' or a custom type) */
+  type: string;
   
   /** Success or failure */
   status: 'success' | 'failure';
@@ -300,13 +1521,38 @@ export interface MessageLogData {
   /** Request ID */
   requestId: string;
   
+  /** WhatsApp message ID (if reported by the extension) */
+  messageId?: string | null;
+  
   /** Error message if failed */
   error?: string;
   
+  /** Number of attempts made */
+  attempt?: number;
+  
+  /** Every attempt made for this request */
+  attempts?: SendAttempt[];
+  
+  /** Bulk job the send belongs to (sendBulk) */
+  jobId?: string;
+  
   /** Additional metadata */
   metadata?: any;
 }
 
+/**
+ * A single attempt to deliver a request
+ */
+export interface SendAttempt {
+  attempt: number;
+  sessionId: string;
+  success: boolean;
+  errorCode: string | null;
+  error: string | null;
+  startedAt: number;
+  finishedAt: number;
+}
+
 /**
  * Error codes
  */
@@ -322,7 +1568,55 @@ export type ErrorCode =
   | 'INVALID_PHONE_NUMBER'
   | 'INVALID_DATA'
   | 'FETCH_ERROR'
-  | 'FILE_TOO_LARGE';
+  | 'FILE_TOO_LARGE'
+  | 'QUEUE_EXPIRED'
+  | 'RATE_LIMITED'
+  | 'NOT_FOUND'
+  | 'DEVICE_NOT_AVAILABLE'
+  | 'UNSUPPORTED_MEDIA_TYPE';
+
+/**
+ * Error codes by name, for matching error.code (e.g. ERROR_CODES.EXTENSION_ERROR)
+ */
+export declare const ERROR_CODES: { readonly [K in ErrorCode]: K };
+
+/**
+ * Options for createRestRouter
+ */
+export interface RestRouterOptions {
+  /** Path prefix stripped before matching, for plain http use (default: '') */
+  basePath?: string;
+  
+  /** Header carrying the API key (default: 'x-api-key'). `Authorization: Bearer <key>` is also accepted */
+  apiKeyHeader?: string;
+  
+  /** Check keys with the gateway's validateApiKey callback (default: true) */
+  validateApiKey?: boolean;
+  
+  /** Maximum JSON body size in bytes (default: 25MB) */
+  maxBodySize?: number;
+  
+  /** Path serving the OpenAPI document, or false to disable (default: '/openapi.json') */
+  openApiPath?: string | false;
+  
+  /** Title of the OpenAPI document (default: 'WhatsApp Gateway API') */
+  title?: string;
+}
+
+/**
+ * REST API handler usable as Express middleware or a plain http request listener
+ */
+export interface RestRouter {
+  (req: HttpIncomingMessage, res: ServerResponse, next?: (error?: any) => void): Promise<void>;
+  
+  /** OpenAPI 3 document describing the routes */
+  openapi: Record<string, any>;
+}
+
+/**
+ * Create a REST API router for a gateway
+ */
+export declare function createRestRouter(gateway: WhatsAppGateway, options?: RestRouterOptions): RestRouter;
 
 /**
  * Gateway error structure
@@ -330,6 +1624,9 @@ export type ErrorCode =
 export interface GatewayError extends Error {
   code: ErrorCode;
   details?: any;
+  
+  /** Milliseconds until a send is allowed again (RATE_LIMITED only) */
+  retryAfter?: number;
 }
 
 /**
@@ -359,7 +1656,23 @@ export interface MessageResult {
   success: boolean;
   requestId: string;
   timestamp: number;
+  messageId?: string | null;
   error?: string;
+  
+  /** MIME type detected from the media content (media sends) */
+  mimeType?: string;
+  
+  /** True when the message was queued because no device was active */
+  queued?: boolean;
+  
+  /** Queue state (only set when queued) */
+  state?: QueueState;
+  
+  /** Queue expiry timestamp (only set when queued) */
+  expiresAt?: number;
+
+  /** When a send queued during quiet hours may go out */
+  notBefore?: number;
 }
 
 /**
@@ -368,6 +1681,21 @@ export interface MessageResult {
 export interface ActiveSessionInfo {
   sessionId: string;
   deviceActive: boolean;
+  whatsappNumber: string | null;
+  deviceId: string | null;
+  label: string | null;
+  tags: string[];
+  metadata: Record<string, any>;
+  
+  /** Connection dropped; waiting for the extension to resume */
+  suspended: boolean;
+  
+  weight: number;
+  
+  /** Median result latency in ms (null until a result arrives) */
+  medianLatency: number | null;
+  
+  pendingRequests: number;
   connectedAt: number;
   lastHeartbeat: number;
   extensionVersion?: string;
@@ -384,12 +1712,190 @@ export interface HealthCheckResponse {
   timestamp: number;
 }
 
+/**
+ * Payload of 'session:connected' (WebSocket opened, not yet authenticated)
+ */
+export interface SessionConnectedEvent {
+  ip: string;
+  timestamp: number;
+}
+
+/**
+ * Payload of 'session:authenticated'
+ */
+export interface SessionAuthenticatedEvent {
+  sessionId: string;
+  apiKey: string;
+  ip: string;
+  extensionVersion?: string;
+  browser?: string;
+  timestamp: number;
+}
+
+/**
+ * Payload of 'session:status'
+ */
+export interface SessionStatusEvent {
+  sessionId: string;
+  apiKey: string;
+  whatsappLoggedIn: boolean;
+  ready: boolean;
+  deviceActive: boolean;
+  timestamp: number;
+}
+
+/**
+ * Payload of 'session:disconnected'
+ */
+export interface SessionDisconnectedEvent {
+  sessionId: string;
+  apiKey: string;
+  code: number | null;
+  reason: string;
+  timestamp: number;
+}
+
+/**
+ * Payload of 'session:suspended' (connection dropped, session kept for resumption)
+ */
+export interface SessionSuspendedEvent {
+  sessionId: string;
+  apiKey: string;
+  code: number | null;
+  reason: string;
+  
+  /** When the session is removed unless the extension resumes it */
+  resumableUntil: number;
+  
+  timestamp: number;
+}
+
+/**
+ * Payload of 'session:resumed'
+ */
+export interface SessionResumedEvent {
+  sessionId: string;
+  apiKey: string;
+  ip: string;
+  
+  /** Commands sent again because they had no result yet */
+  redelivered: number;
+  
+  timestamp: number;
+}
+
+/**
+ * Payload of 'session:stale' (no heartbeat within the timeout)
+ */
+export interface SessionStaleEvent {
+  sessionId: string;
+  apiKey: string;
+  lastHeartbeat: number;
+  timestamp: number;
+}
+
+/**
+ * Fields shared by request events
+ */
+export interface RequestEventBase {
+  requestId: string;
+  sessionId: string;
+  apiKey: string;
+  type: string;
+  
+  /** Attempt number (1-based) */
+  attempt: number;
+  
+  timestamp: number;
+}
+
+/**
+ * Payload of 'request:sent' (command written to the extension socket)
+ */
+export interface RequestSentEvent extends RequestEventBase {}
+
+/**
+ * Payload of 'request:resolved' (message-result received)
+ */
+export interface RequestResolvedEvent extends RequestEventBase {
+  success: boolean;
+  messageId: string | null;
+  error: string | null;
+  
+  /** Time from dispatch to result in milliseconds */
+  duration: number;
+}
+
+/**
+ * Payload of 'request:timeout'
+ */
+export interface RequestTimeoutEvent extends RequestEventBase {
+  /** Configured request timeout in milliseconds */
+  timeout: number;
+}
+
+/**
+ * Payload of 'bulk:progress' (one recipient of a bulk job finished)
+ */
+export interface BulkProgressEvent {
+  jobId: string;
+  apiKey: string;
+  phoneNumber: string;
+  requestId: string;
+  status: BulkRecipientStatus;
+  error: string | null;
+  timestamp: number;
+}
+
+/**
+ * Payload of 'media:progress' (the extension acknowledged streamed media chunks)
+ */
+export interface MediaProgressEvent {
+  mediaId: string;
+  requestId: string;
+  sessionId: string;
+  
+  /** Bytes the extension has acknowledged so far */
+  bytesSent: number;
+  
+  /** File size, or null while unknown */
+  totalBytes: number | null;
+  timestamp: number;
+}
+
+/**
+ * Events emitted by WhatsAppGateway
+ */
+export interface GatewayEvents {
+  'session:connected': SessionConnectedEvent;
+  'session:authenticated': SessionAuthenticatedEvent;
+  'session:status': SessionStatusEvent;
+  'session:disconnected': SessionDisconnectedEvent;
+  'session:suspended': SessionSuspendedEvent;
+  'session:resumed': SessionResumedEvent;
+  'session:stale': SessionStaleEvent;
+  'request:sent': RequestSentEvent;
+  'request:resolved': RequestResolvedEvent;
+  'request:timeout': RequestTimeoutEvent;
+  'message:incoming': IncomingMessage;
+  'message:status': MessageStatus;
+  'bulk:progress': BulkProgressEvent;
+  'schedule:run': ScheduleRun & { scheduleId: string; apiKey: string };
+  'bulk:completed': BulkJob & { timestamp: number };
+  'media:progress': MediaProgressEvent;
+}
+
 /**
  * Main WhatsAppGateway class
  */
-export declare class WhatsAppGateway {
+export declare class WhatsAppGateway extends EventEmitter {
   constructor(config: GatewayConfig);
   
+  on<E extends keyof GatewayEvents>(event: E, listener: (payload: GatewayEvents[E]) => void): this;
+  once<E extends keyof GatewayEvents>(event: E, listener: (payload: GatewayEvents[E]) => void): this;
+  off<E extends keyof GatewayEvents>(event: E, listener: (payload: GatewayEvents[E]) => void): this;
+  emit<E extends keyof GatewayEvents>(event: E, payload: GatewayEvents[E]): boolean;
+  
   /**
    * Start the WebSocket server
    */
@@ -400,33 +1906,185 @@ export declare class WhatsAppGateway {
    */
   stop(): Promise<void>;
   
+  /**
+   * Send any registered message type
+   */
+  send(apiKey: string, message: SendData, options?: SendOptions): Promise<MessageResult>;
+  
+  /**
+   * Register a custom message type for use with send()
+   */
+  registerMessageType(type: string, handler: MessageTypeHandler): void;
+  
+  /**
+   * Register (or replace) a message template for sendTemplate()
+   */
+  registerTemplate(name: string, definition: TemplateDefinition): void;
+  
+  /**
+   * Render a template without sending it; throws VALIDATION_ERROR for bad variables
+   */
+  renderTemplate(name: string, vars?: Record<string, string | number>, locale?: string): SendData;
+  
+  /**
+   * Render a template and send it
+   */
+  sendTemplate(
+    apiKey: string,
+    phoneNumber: string,
+    templateName: string,
+    vars?: Record<string, string | number>,
+    locale?: string,
+    options?: SendOptions
+  ): Promise<MessageResult>;
+  
   /**
    * Send a text message
    */
-  sendMessage(apiKey: string, data: SendMessageData): Promise<MessageResult>;
+  sendMessage(apiKey: string, data: SendMessageData, options?: SendOptions): Promise<MessageResult>;
   
   /**
    * Send an image with optional caption
    */
-  sendImage(apiKey: string, data: SendImageData): Promise<MessageResult>;
+  sendImage(apiKey: string, data: SendImageData, options?: SendOptions): Promise<MessageResult>;
   
   /**
    * Send a video with optional caption
    */
-  sendVideo(apiKey: string, data: SendVideoData): Promise<MessageResult>;
+  sendVideo(apiKey: string, data: SendVideoData, options?: SendOptions): Promise<MessageResult>;
   
   /**
    * Send a document/file
    */
-  sendDocument(apiKey: string, data: SendDocumentData): Promise<MessageResult>;
+  sendDocument(apiKey: string, data: SendDocumentData, options?: SendOptions): Promise<MessageResult>;
   
   /**
    * Get active sessions for an API key
    */
   getActiveSessions(apiKey: string): ActiveSessionInfo[];
   
+  /**
+   * Get the delivery status timeline of a request
+   */
+  getMessageStatus(requestId: string): MessageStatus | null;
+  
+  /**
+   * Get the stored log of a finished send, API key masked (requires the storage option or messageLogs.store)
+   */
+  getMessageLog(requestId: string): Promise<MessageLogData | null>;
+  
+  /**
+   * Schedule a message for a given time or a cron schedule
+   */
+  scheduleMessage(apiKey: string, data: SendData | SendMessageData, options: ScheduleOptions): Promise<ScheduledMessage>;
+  
+  /**
+   * Get a scheduled message
+   */
+  getScheduledMessage(scheduleId: string): Promise<ScheduledMessage | null>;
+  
+  /**
+   * List scheduled messages for an API key, soonest first
+   */
+  getScheduledMessages(apiKey: string, state?: ScheduleState): Promise<ScheduledMessage[]>;
+  
+  /**
+   * Cancel a scheduled message
+   */
+  cancelScheduledMessage(scheduleId: string): Promise<boolean>;
+  
+  /**
+   * Change when a scheduled message is sent
+   */
+  rescheduleMessage(scheduleId: string, options: ScheduleOptions): Promise<ScheduledMessage | null>;
+  
+  /**
+   * Send one message to many recipients in the background
+   */
+  sendBulk(apiKey: string, recipients: BulkRecipient[], template: BulkTemplate, options?: BulkOptions): Promise<BulkJob>;
+  
+  /**
+   * Get the progress of a bulk job
+   */
+  getBulkJob(jobId: string): BulkJob | null;
+  
+  /**
+   * Pause a bulk job; sends in flight finish
+   */
+  pauseBulkJob(jobId: string): boolean;
+  
+  /**
+   * Resume a paused bulk job
+   */
+  resumeBulkJob(jobId: string): boolean;
+  
+  /**
+   * Cancel the remaining recipients of a bulk job
+   */
+  cancelBulkJob(jobId: string): boolean;
+  
+  /**
+   * Get a queued message and its delivery state
+   */
+  getQueuedMessage(requestId: string): Promise<QueuedMessage | null>;
+  
+  /**
+   * List queued messages for an API key
+   */
+  getQueuedMessages(apiKey: string, state?: QueueState): Promise<QueuedMessage[]>;
+  
   /**
    * Get health check information
    */
   getHealth(): HealthCheckResponse;
+  
+  /**
+   * Get the account a recipient is pinned to ('sticky' strategy)
+   */
+  getStickyRoute(apiKey: string, phoneNumber: string): Promise<StickyRoute | null>;
+  
+  /**
+   * Remove a recipient's pin
+   */
+  clearStickyRoute(apiKey: string, phoneNumber: string): Promise<boolean>;
+  
+  /**
+   * Set the label of a device (null clears it)
+   */
+  setDeviceLabel(apiKey: string, deviceId: string, label: string | null): Promise<DeviceProfile>;
+  
+  /**
+   * Replace the tags of a device
+   */
+  setDeviceTags(apiKey: string, deviceId: string, tags: string[]): Promise<DeviceProfile>;
+  
+  /**
+   * Replace the metadata of a device
+   */
+  setDeviceMetadata(apiKey: string, deviceId: string, metadata: Record<string, any>): Promise<DeviceProfile>;
+  
+  /**
+   * List connected devices and devices with a stored profile
+   */
+  getDevices(apiKey: string): Promise<DeviceInfo[]>;
+  
+  /**
+   * List known devices that have a tag
+   */
+  getDevicesByTag(apiKey: string, tag: string): Promise<DeviceInfo[]>;
+  
+  /**
+   * List the sessions of an API key on every gateway node
+   */
+  getClusterSessions(apiKey: string): Promise<ClusterSession[] | ActiveSessionInfo[]>;
+  
+  /**
+   * Set how much traffic a session gets under the 'weighted' strategy
+   */
+  setSessionWeight(sessionId: string, weight: number): boolean;
+  
+  /**
+   * Get gateway metrics in Prometheus text format
+   */
+  getMetrics(): string;
 }
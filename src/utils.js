@@ -49,6 +49,21 @@ function formatError(code, message, details = null) {
   return error;
 }
 
+/**
+ * Get the error code of an error
+ * Handles both formatted errors and errors whose message starts with "CODE: ..."
+ * @param {Error} error - Error object
+ * @returns {string} Error code
+ */
+function getErrorCode(error) {
+  if (error && error.code) {
+    return error.code;
+  }
+
+  const match = error && typeof error.message === 'string' && error.message.match(/^([A-Z_]+):/);
+  return match ? match[1] : 'UNKNOWN_ERROR';
+}
+
 /**
  * Create error response object
  * @param {string} code - Error code
@@ -68,63 +83,402 @@ function createErrorResponse(code, message, details = null) {
 }
 
 /**
- * Fetch URL and convert to base64 data URL
+ * MIME types guessed from the URL extension, per media type (first entry is the default)
+ */
+const URL_MIME_TYPES = {
+  image: [
+    [null, 'image/jpeg'],
+    [/\.png$/i, 'image/png'],
+    [/\.gif$/i, 'image/gif'],
+    [/\.webp$/i, 'image/webp'],
+    [/\.svg$/i, 'image/svg+xml']
+  ],
+  video: [
+    [null, 'video/mp4'],
+    [/\.webm$/i, 'video/webm'],
+    [/\.ogg$/i, 'video/ogg'],
+    [/\.mov$/i, 'video/quicktime']
+  ],
+  document: [
+    [null, 'application/octet-stream'],
+    [/\.pdf$/i, 'application/pdf'],
+    [/\.doc$/i, 'application/msword'],
+    [/\.docx$/i, 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    [/\.xls$/i, 'application/vnd.ms-excel'],
+    [/\.xlsx$/i, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+    [/\.txt$/i, 'text/plain'],
+    [/\.zip$/i, 'application/zip']
+  ]
+};
+
+/**
+ * Guess a media URL's MIME type from its extension
+ * @param {string} url - Media URL
+ * @param {string} mediaType - 'image', 'video' or 'document'
+ * @returns {string} MIME type (the media type's default if the extension is unknown)
+ */
+function getMimeTypeFromUrl(url, mediaType) {
+  const [[, fallback], ...patterns] = URL_MIME_TYPES[mediaType] || URL_MIME_TYPES.document;
+  const match = patterns.find(([pattern]) => pattern.test(url));
+  return match ? match[1] : fallback;
+}
+
+/**
+ * File signatures: [offset, bytes, MIME type]
+ */
+const MAGIC_BYTES = [
+  [0, [0xFF, 0xD8, 0xFF], 'image/jpeg'],
+  [0, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A], 'image/png'],
+  [0, 'GIF87a', 'image/gif'],
+  [0, 'GIF89a', 'image/gif'],
+  [0, [0x49, 0x49, 0x2A, 0x00], 'image/tiff'],
+  [0, [0x4D, 0x4D, 0x00, 0x2A], 'image/tiff'],
+  [0, [0x00, 0x00, 0x01, 0x00], 'image/x-icon'],
+  [0, [0x1A, 0x45, 0xDF, 0xA3], 'video/webm'],
+  [0, 'OggS', 'video/ogg'],
+  [0, 'ID3', 'audio/mpeg'],
+  [0, '%PDF-', 'application/pdf'],
+  [0, [0x50, 0x4B, 0x03, 0x04], 'application/zip'],
+  [0, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1], 'application/x-cfb'],
+  [0, 'Rar!', 'application/vnd.rar'],
+  [0, [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C], 'application/x-7z-compressed'],
+  [0, [0x1F, 0x8B], 'application/gzip']
+];
+
+/**
+ * RIFF and ISO base media (ftyp) containers, by format/brand
+ */
+const RIFF_FORMATS = { WEBP: 'image/webp', 'AVI ': 'video/x-msvideo', WAVE: 'audio/wav' };
+const FTYP_BRANDS = {
+  heic: 'image/heic',
+  heix: 'image/heic',
+  mif1: 'image/heif',
+  avif: 'image/avif',
+  'qt  ': 'video/quicktime',
+  'M4A ': 'audio/mp4',
+  '3gp4': 'video/3gpp',
+  '3gp5': 'video/3gpp'
+};
+
+/**
+ * Generic container types a Content-Type or URL extension may name more precisely
+ * (e.g. a .docx is a zip file)
+ */
+const CONTAINER_REFINEMENTS = {
+  'application/zip': /^application\/(vnd\.openxmlformats|vnd\.oasis\.opendocument|epub\+zip|java-archive|vnd\.android\.package-archive)/,
+  'application/x-cfb': /^application\/(msword|vnd\.ms-|vnd\.visio)/
+};
+
+/**
+ * Content-Type values that say nothing about the content
+ */
+const GENERIC_CONTENT_TYPES = ['application/octet-stream', 'binary/octet-stream', 'application/binary', 'application/x-download', 'application/force-download'];
+
+/**
+ * Identify a file type from its first bytes
+ * @param {Buffer} buffer - Start of the file (a few dozen bytes are enough)
+ * @returns {string|null} MIME type or null if not recognized
+ */
+function sniffMimeType(buffer) {
+  if (!buffer || buffer.length === 0) {
+    return null;
+  }
+
+  const matches = (offset, signature) => {
+    const bytes = typeof signature === 'string' ? Buffer.from(signature, 'latin1') : Buffer.from(signature);
+    return buffer.length >= offset + bytes.length && buffer.subarray(offset, offset + bytes.length).equals(bytes);
+  };
+
+  for (const [offset, signature, mimeType] of MAGIC_BYTES) {
+    if (matches(offset, signature)) {
+      return mimeType;
+    }
+  }
+
+  if (matches(0, 'RIFF') && buffer.length >= 12) {
+    return RIFF_FORMATS[buffer.toString('latin1', 8, 12)] || null;
+  }
+
+  if (matches(4, 'ftyp') && buffer.length >= 12) {
+    const brand = buffer.toString('latin1', 8, 12);
+    return FTYP_BRANDS[brand] || (brand.startsWith('3g') ? 'video/3gpp' : 'video/mp4');
+  }
+
+  // Markup: skip a UTF-8 byte order mark and leading whitespace
+  const text = buffer.toString('utf8', 0, Math.min(buffer.length, 512)).replace(/^\uFEFF/, '').trimStart().toLowerCase();
+  if (/^<(!doctype html|html|head|body|script|iframe|title)[\s>]/.test(text)) {
+    return 'text/html';
+  }
+  if (text.startsWith('<svg') || (text.startsWith('<?xml') && text.includes('<svg'))) {
+    return 'image/svg+xml';
+  }
+
+  return null;
+}
+
+/**
+ * Get the MIME type from a Content-Type header value
+ * @param {string} contentType - e.g. 'text/html; charset=utf-8'
+ * @returns {string|null} Lower-case MIME type, or null if missing or generic
+ */
+function parseContentType(contentType) {
+  if (!contentType || typeof contentType !== 'string') {
+    return null;
+  }
+  const mimeType = contentType.split(';')[0].trim().toLowerCase();
+  return mimeType && !GENERIC_CONTENT_TYPES.includes(mimeType) ? mimeType : null;
+}
+
+/**
+ * Detect a file's MIME type: its content first, then the Content-Type header, then the fallback
+ * @param {Buffer} buffer - Start of the file
+ * @param {object} hints - { contentType, fallback } header value and guess (e.g. from the URL extension)
+ * @returns {string} MIME type
+ */
+function detectMimeType(buffer, hints = {}) {
+  const declared = parseContentType(hints.contentType);
+  const sniffed = sniffMimeType(buffer);
+
+  if (sniffed) {
+    // Keep a more precise declared type for container formats
+    const refinement = CONTAINER_REFINEMENTS[sniffed];
+    if (refinement) {
+      return [declared, hints.fallback].find(candidate => candidate && refinement.test(candidate)) || sniffed;
+    }
+    return sniffed;
+  }
+
+  return declared || hints.fallback || 'application/octet-stream';
+}
+
+/**
+ * Check that a detected MIME type fits the media type it is sent as
+ * (e.g. an image URL that returns an HTML error page)
+ * @param {string} mimeType - Detected MIME type
+ * @param {string} mediaType - 'image', 'video' or 'document' (documents accept any type)
+ * @param {string} source - URL or description of the media, for the error message
+ * @throws {Error} UNSUPPORTED_MEDIA_TYPE if it does not fit
+ */
+function checkMediaMimeType(mimeType, mediaType, source) {
+  if (mediaType !== 'image' && mediaType !== 'video') {
+    return;
+  }
+  if (!mimeType.startsWith(`${mediaType}/`)) {
+    throw formatError(
+      'UNSUPPORTED_MEDIA_TYPE',
+      `Expected ${mediaType === 'image' ? 'an image' : 'a video'} but ${source} is ${mimeType}`,
+      { source, mimeType, mediaType }
+    );
+  }
+}
+
+/**
+ * Default limits for media downloads
+ */
+const DEFAULT_MAX_SIZE = 10 * 1024 * 1024;
+const DEFAULT_MAX_REDIRECTS = 5;
+const DEFAULT_CONNECT_TIMEOUT = 10000;
+
+/**
+ * Redirect statuses followed by openUrlStream
+ */
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+/**
+ * Headers that are not sent on to a different origin after a redirect
+ */
+const CREDENTIAL_HEADERS = ['authorization', 'cookie', 'proxy-authorization'];
+
+/**
+ * Build an Authorization header value
+ * @param {object} auth - { username, password } for basic auth or { token } for bearer auth
+ * @returns {string|null} Header value or null without auth
+ */
+function getAuthorizationHeader(auth) {
+  if (!auth) {
+    return null;
+  }
+  if (auth.token) {
+    return `Bearer ${auth.token}`;
+  }
+  return `Basic ${Buffer.from(`${auth.username || ''}:${auth.password || ''}`).toString('base64')}`;
+}
+
+/**
+ * Pick the size limit for a media type
+ * @param {number|object} maxSize - Bytes, or bytes per media type e.g. { image: 5242880, video: 16777216 }
+ * @param {string} mediaType - Media or message type
+ * @param {number} fallback - Limit when none is configured for the type
+ * @returns {number} Limit in bytes
+ */
+function getMaxSize(maxSize, mediaType, fallback = DEFAULT_MAX_SIZE) {
+  const limit = maxSize && typeof maxSize === 'object' ? maxSize[mediaType] : maxSize;
+  return limit > 0 ? limit : fallback;
+}
+
+/**
+ * Open a URL for streaming, following redirects
  * @param {string} url - URL to fetch
- * @param {string} mimeType - MIME type (e.g., 'image/png', 'video/mp4')
- * @param {number} maxSize - Maximum file size in bytes (default: 10MB)
- * @returns {Promise<string>} Base64 data URL
+ * @param {object} options - Fetch options
+ * @param {object} options.headers - Extra request headers
+ * @param {object} options.auth - { username, password } (basic) or { token } (bearer)
+ * @param {number} options.maxRedirects - Redirects followed before failing (default: 5)
+ * @param {number} options.connectTimeout - Max wait for the response headers of each request in ms (default: 10000)
+ * @param {number} options.maxSize - Fail early if Content-Length exceeds this many bytes
+ * @returns {Promise<http.IncomingMessage>} Response stream (status 200)
  */
-async function urlToDataUrl(url, mimeType, maxSize = 10 * 1024 * 1024) {
+function openUrlStream(url, options = {}) {
+  const maxRedirects = options.maxRedirects !== undefined ? options.maxRedirects : DEFAULT_MAX_REDIRECTS;
+  const connectTimeout = options.connectTimeout || DEFAULT_CONNECT_TIMEOUT;
+
+  const headers = {};
+  for (const [name, value] of Object.entries(options.headers || {})) {
+    headers[name.toLowerCase()] = value;
+  }
+  const authorization = getAuthorizationHeader(options.auth);
+  if (authorization) {
+    headers.authorization = authorization;
+  }
+
+  const fetchError = (message, details = {}) => formatError('FETCH_ERROR', message, { url, ...details });
+
   return new Promise((resolve, reject) => {
-    const protocol = url.startsWith('https') ? https : http;
-    
-    protocol.get(url, (response) => {
-      // Check response status
-      if (response.statusCode !== 200) {
-        reject(formatError(
-          'FETCH_ERROR',
-          `Failed to fetch URL: ${response.statusCode} ${response.statusMessage}`,
-          { url, statusCode: response.statusCode }
-        ));
+    const get = (target, requestHeaders, redirectsLeft) => {
+      let parsed;
+      try {
+        parsed = new URL(target);
+      } catch (error) {
+        reject(fetchError(`Invalid URL: ${target}`));
+        return;
+      }
+      if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        reject(fetchError(`Unsupported URL protocol: ${parsed.protocol}`));
         return;
       }
 
-      const chunks = [];
-      let totalSize = 0;
+      const client = parsed.protocol === 'https:' ? https : http;
+      let timeoutId = null;
+
+      const request = client.get(parsed, { headers: requestHeaders }, (response) => {
+        clearTimeout(timeoutId);
+
+        if (REDIRECT_STATUSES.includes(response.statusCode) && response.headers.location) {
+          response.resume();
+          if (redirectsLeft <= 0) {
+            reject(fetchError(`Too many redirects (max ${maxRedirects})`, { statusCode: response.statusCode }));
+            return;
+          }
 
-      response.on('data', (chunk) => {
-        totalSize += chunk.length;
-        
-        // Check size limit
-        if (totalSize > maxSize) {
+          // Credentials are only sent to the origin they were given for
+          const next = new URL(response.headers.location, parsed);
+          const nextHeaders = { ...requestHeaders };
+          if (next.origin !== parsed.origin) {
+            CREDENTIAL_HEADERS.forEach(name => delete nextHeaders[name]);
+          }
+          get(next.href, nextHeaders, redirectsLeft - 1);
+          return;
+        }
+
+        // Check response status
+        if (response.statusCode !== 200) {
+          response.resume();
+          reject(fetchError(
+            `Failed to fetch URL: ${response.statusCode} ${response.statusMessage}`,
+            { statusCode: response.statusCode }
+          ));
+          return;
+        }
+
+        // Reject oversized files before downloading them
+        const length = parseInt(response.headers['content-length'], 10);
+        if (options.maxSize && length > options.maxSize) {
           response.destroy();
           reject(formatError(
             'FILE_TOO_LARGE',
-            `File exceeds maximum size of ${maxSize / 1024 / 1024}MB`,
-            { url, maxSize, currentSize: totalSize }
+            `File exceeds maximum size of ${options.maxSize / 1024 / 1024}MB`,
+            { url, maxSize: options.maxSize, currentSize: length }
           ));
           return;
         }
 
-        chunks.push(chunk);
+        resolve(response);
       });
 
-      response.on('end', () => {
-        const buffer = Buffer.concat(chunks);
-        const base64 = buffer.toString('base64');
-        const dataUrl = `data:${mimeType};base64,${base64}`;
-        resolve(dataUrl);
+      timeoutId = setTimeout(() => {
+        request.destroy(fetchError(`No response from URL after ${connectTimeout / 1000} seconds`, { timeout: connectTimeout }));
+      }, connectTimeout);
+
+      request.on('error', (error) => {
+        clearTimeout(timeoutId);
+        reject(error.code === 'FETCH_ERROR' ? error : fetchError(`Error fetching URL: ${error.message}`, { originalError: error.message }));
       });
+    };
+
+    get(url, headers, maxRedirects);
+  });
+}
+
+/**
+ * Fetch URL and convert to base64 data URL. The MIME type is detected from the
+ * content and Content-Type header; `mimeType` is used when neither identifies it
+ * @param {string} url - URL to fetch
+ * @param {string} mimeType - Fallback MIME type (e.g., 'image/png', 'video/mp4')
+ * @param {number} maxSize - Maximum file size in bytes (default: 10MB)
+ * @param {object} options - openUrlStream options, plus `timeout`: max time for the whole download in ms
+ * @returns {Promise<string>} Base64 data URL
+ */
+async function urlToDataUrl(url, mimeType, maxSize = DEFAULT_MAX_SIZE, options = {}) {
+  const startedAt = Date.now();
+  const response = await openUrlStream(url, { ...options, maxSize });
 
-      response.on('error', (error) => {
-        reject(formatError(
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let totalSize = 0;
+    let timeoutId = null;
+
+    const fail = (error) => {
+      clearTimeout(timeoutId);
+      response.destroy();
+      reject(error);
+    };
+
+    if (options.timeout) {
+      timeoutId = setTimeout(() => {
+        fail(formatError(
           'FETCH_ERROR',
-          `Error fetching URL: ${error.message}`,
-          { url, originalError: error.message }
+          `Fetching URL took longer than ${options.timeout / 1000} seconds`,
+          { url, timeout: options.timeout }
         ));
-      });
-    }).on('error', (error) => {
-      reject(formatError(
+      }, Math.max(0, options.timeout - (Date.now() - startedAt)));
+    }
+
+    response.on('data', (chunk) => {
+      totalSize += chunk.length;
+
+      // Check size limit (Content-Length may be missing or wrong)
+      if (totalSize > maxSize) {
+        fail(formatError(
+          'FILE_TOO_LARGE',
+          `File exceeds maximum size of ${maxSize / 1024 / 1024}MB`,
+          { url, maxSize, currentSize: totalSize }
+        ));
+        return;
+      }
+
+      chunks.push(chunk);
+    });
+
+    response.on('end', () => {
+      clearTimeout(timeoutId);
+      const buffer = Buffer.concat(chunks);
+      const detected = detectMimeType(buffer, { contentType: response.headers['content-type'], fallback: mimeType });
+      const base64 = buffer.toString('base64');
+      const dataUrl = `data:${detected};base64,${base64}`;
+      resolve(dataUrl);
+    });
+
+    response.on('error', (error) => {
+      fail(formatError(
         'FETCH_ERROR',
         `Error fetching URL: ${error.message}`,
         { url, originalError: error.message }
@@ -133,74 +487,71 @@ async function urlToDataUrl(url, mimeType, maxSize = 10 * 1024 * 1024) {
   });
 }
 
+/**
+ * Fetch a media URL into a data URL, rejecting content that does not fit the media type
+ * @param {string} url - Media URL
+ * @param {string} mediaType - 'image', 'video' or 'document'
+ * @param {object} options - urlToDataUrl options plus `maxSize` (default: 10MB)
+ * @returns {Promise<string>} Data URL labelled with the detected MIME type
+ */
+async function mediaUrlToDataUrl(url, mediaType, options = {}) {
+  const { maxSize, ...fetchOptions } = options;
+  const dataUrl = await urlToDataUrl(url, getMimeTypeFromUrl(url, mediaType), maxSize || DEFAULT_MAX_SIZE, fetchOptions);
+  checkMediaMimeType(getMimeTypeFromDataUrl(dataUrl), mediaType, url);
+  return dataUrl;
+}
+
+/**
+ * Relabel a base64 data URL with the MIME type of its content, rejecting
+ * content that does not fit the media type
+ * @param {string} dataUrl - Data URL
+ * @param {string} mediaType - 'image', 'video' or 'document'
+ * @returns {string} Data URL (unchanged unless its label was wrong)
+ */
+function normalizeDataUrl(dataUrl, mediaType) {
+  const match = dataUrl.match(/^data:([^;,]*)((?:;[^;,]*)*);base64,/);
+  if (!match) {
+    return dataUrl; // Not base64; nothing to sniff
+  }
+
+  // 64 base64 characters decode to 48 bytes, enough for every signature
+  const head = Buffer.from(dataUrl.slice(match[0].length, match[0].length + 64), 'base64');
+  const mimeType = detectMimeType(head, { contentType: match[1] });
+  checkMediaMimeType(mimeType, mediaType, `the ${mediaType} data URL`);
+
+  return mimeType === match[1].toLowerCase()
+    ? dataUrl
+    : `data:${mimeType}${match[2]};base64,${dataUrl.slice(match[0].length)}`;
+}
+
 /**
  * Convert image URL to data URL
  * @param {string} url - Image URL
+ * @param {object} options - Fetch options (see mediaUrlToDataUrl)
  * @returns {Promise<string>} Image data URL
  */
-async function imageUrlToDataUrl(url) {
-  // Detect MIME type from URL extension
-  let mimeType = 'image/jpeg'; // default
-  
-  if (url.match(/\.png$/i)) {
-    mimeType = 'image/png';
-  } else if (url.match(/\.gif$/i)) {
-    mimeType = 'image/gif';
-  } else if (url.match(/\.webp$/i)) {
-    mimeType = 'image/webp';
-  } else if (url.match(/\.svg$/i)) {
-    mimeType = 'image/svg+xml';
-  }
-
-  return urlToDataUrl(url, mimeType);
+async function imageUrlToDataUrl(url, options) {
+  return mediaUrlToDataUrl(url, 'image', options);
 }
 
 /**
  * Convert video URL to data URL
  * @param {string} url - Video URL
+ * @param {object} options - Fetch options (see mediaUrlToDataUrl)
  * @returns {Promise<string>} Video data URL
  */
-async function videoUrlToDataUrl(url) {
-  // Detect MIME type from URL extension
-  let mimeType = 'video/mp4'; // default
-  
-  if (url.match(/\.webm$/i)) {
-    mimeType = 'video/webm';
-  } else if (url.match(/\.ogg$/i)) {
-    mimeType = 'video/ogg';
-  } else if (url.match(/\.mov$/i)) {
-    mimeType = 'video/quicktime';
-  }
-
-  return urlToDataUrl(url, mimeType);
+async function videoUrlToDataUrl(url, options) {
+  return mediaUrlToDataUrl(url, 'video', options);
 }
 
 /**
  * Convert document URL to data URL
  * @param {string} url - Document URL
+ * @param {object} options - Fetch options (see mediaUrlToDataUrl)
  * @returns {Promise<string>} Document data URL
  */
-async function documentUrlToDataUrl(url) {
-  // Detect MIME type from URL extension
-  let mimeType = 'application/octet-stream'; // default
-  
-  if (url.match(/\.pdf$/i)) {
-    mimeType = 'application/pdf';
-  } else if (url.match(/\.doc$/i)) {
-    mimeType = 'application/msword';
-  } else if (url.match(/\.docx$/i)) {
-    mimeType = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
-  } else if (url.match(/\.xls$/i)) {
-    mimeType = 'application/vnd.ms-excel';
-  } else if (url.match(/\.xlsx$/i)) {
-    mimeType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
-  } else if (url.match(/\.txt$/i)) {
-    mimeType = 'text/plain';
-  } else if (url.match(/\.zip$/i)) {
-    mimeType = 'application/zip';
-  }
-
-  return urlToDataUrl(url, mimeType);
+async function documentUrlToDataUrl(url, options) {
+  return mediaUrlToDataUrl(url, 'document', options);
 }
 
 /**
@@ -314,8 +665,18 @@ module.exports = {
   generateRequestId,
   promiseWithTimeout,
   formatError,
+  getErrorCode,
   createErrorResponse,
+  getMimeTypeFromUrl,
+  sniffMimeType,
+  detectMimeType,
+  checkMediaMimeType,
+  getAuthorizationHeader,
+  getMaxSize,
+  openUrlStream,
   urlToDataUrl,
+  mediaUrlToDataUrl,
+  normalizeDataUrl,
   imageUrlToDataUrl,
   videoUrlToDataUrl,
   documentUrlToDataUrl,
@@ -9,6 +9,28 @@ const assert = require('assert');
 const SessionManager = require('../src/session-manager');
 const protocol = require('../src/protocol');
 const utils = require('../src/utils');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WhatsAppGateway = require('../src/gateway');
+const MessageQueue = require('../src/message-queue');
+const RetryPolicy = require('../src/retry-policy');
+const RateLimiter = require('../src/rate-limiter');
+const SendPacer = require('../src/pacing');
+const StickyRouter = require('../src/sticky-router');
+const { MessageTypeRegistry, createDefaultRegistry } = require('../src/message-types');
+const MessageTracker = require('../src/message-tracker');
+const IdempotencyCache = require('../src/idempotency');
+const MessageLog = require('../src/message-log');
+const { MemoryStore, FileStore } = require('../src/stores');
+const { ConsoleLogger, WinstonLogger, createLogger } = require('../src/logger');
+const { createRestRouter } = require('../src/rest-router');
+const { MemoryClusterAdapter, RedisClusterAdapter } = require('../src/cluster');
+const { MemoryStorage, FileStorage, SqliteStorage, createStorage } = require('../src/storage');
+const { TemplateRegistry } = require('../src/templates');
+const { parseCron, nextCronTime, zonedTimeToTimestamp } = require('../src/scheduler');
+const { Readable } = require('stream');
+const { ERROR_CODES } = require('../src/index');
 
 console.log('Running tests...\n');
 
@@ -222,6 +244,27 @@ test('Protocol: Reject empty message', () => {
   assert.strictEqual(result.valid, false);
 });
 
+test('Protocol: Validate incoming message', () => {
+  const result = protocol.handleExtensionMessage({
+    type: 'incoming-message',
+    data: { chatId: '1234567890@c.us', from: '+1234567890', text: 'Hi' }
+  });
+
+  assert.strictEqual(result.valid, true);
+  assert.strictEqual(result.type, 'incoming-message');
+  assert.strictEqual(result.data.text, 'Hi');
+  assert.strictEqual(result.data.media, null);
+});
+
+test('Protocol: Reject incoming message without text or media', () => {
+  const result = protocol.validateIncomingMessage({
+    type: 'incoming-message',
+    data: { chatId: '1234567890@c.us', from: '+1234567890' }
+  });
+
+  assert.strictEqual(result.valid, false);
+});
+
 test('Protocol: Create send message command', () => {
   const command = protocol.createSendMessageCommand('req-123', {
     phoneNumber: '+1234567890',
@@ -301,6 +344,24 @@ test('Utils: Get MIME type from data URL', () => {
   assert.strictEqual(mimeType, 'image/png');
 });
 
+test('Utils: Detect MIME type from content, header and fallback', () => {
+  const png = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0, 0]);
+  assert.strictEqual(utils.detectMimeType(png, { contentType: 'application/octet-stream', fallback: 'image/jpeg' }), 'image/png');
+  assert.strictEqual(utils.detectMimeType(Buffer.from('\n <!DOCTYPE html><html>'), { contentType: 'image/jpeg' }), 'text/html');
+  assert.strictEqual(utils.detectMimeType(Buffer.from([0, 0, 0, 0x18, 0x66, 0x74, 0x79, 0x70, 0x69, 0x73, 0x6F, 0x6D])), 'video/mp4');
+  assert.strictEqual(utils.detectMimeType(Buffer.from('plain'), { contentType: 'text/plain; charset=utf-8' }), 'text/plain');
+
+  const docx = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+  assert.strictEqual(utils.detectMimeType(Buffer.from([0x50, 0x4B, 0x03, 0x04]), { fallback: docx }), docx);
+
+  const mislabelled = `data:image/png;base64,${Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 1, 2]).toString('base64')}`;
+  assert.ok(utils.normalizeDataUrl(mislabelled, 'image').startsWith('data:image/jpeg;base64,'));
+  assert.throws(
+    () => utils.normalizeDataUrl(`data:image/png;base64,${Buffer.from('<html><body>Login').toString('base64')}`, 'image'),
+    error => error.code === 'UNSUPPORTED_MEDIA_TYPE'
+  );
+});
+
 asyncTest('Utils: Promise with timeout - resolves', async () => {
   const promise = new Promise(resolve => setTimeout(() => resolve('done'), 100));
   const result = await utils.promiseWithTimeout(promise, 500, 'Timed out');
@@ -318,6 +379,1854 @@ asyncTest('Utils: Promise with timeout - times out', async () => {
   }
 });
 
+// ===== MessageQueue Tests =====
+console.log('\n=== MessageQueue Tests ===\n');
+
+// Fake extension socket that records what the gateway sends
+function createFakeSocket() {
+  return {
+    readyState: 1,
+    sent: [],
+    _tempData: { ip: '127.0.0.1', authenticated: false, sessionId: null },
+    send(message) { this.sent.push(JSON.parse(message)); },
+    close() { this.readyState = 3; }
+  };
+}
+
+function createTestGateway(config = {}) {
+  return new WhatsAppGateway({
+    validateApiKey: async (apiKey) => ({ valid: apiKey === 'test-key' }),
+    onMessageLog: () => {},
+    onError: () => {},
+    logger: 'silent',
+    ...config
+  });
+}
+
+async function connectFakeDevice(gateway, ws = createFakeSocket()) {
+  await gateway._handleMessage(ws, JSON.stringify({ type: 'auth', apiKey: 'test-key', data: {} }));
+  await gateway._handleMessage(ws, JSON.stringify({ type: 'status', data: { whatsappLoggedIn: true, ready: true } }));
+  return ws;
+}
+
+asyncTest('MessageQueue: Enqueue and track state', async () => {
+  const fileQueue = new MessageQueue();
+  assert.ok(fileQueue.store instanceof FileStore);
+  assert.strictEqual(fileQueue.store.filePath, path.resolve('wa-gateway-queue.json'));
+
+  const queue = new MessageQueue({ store: new MemoryStore() });
+  await queue.enqueue('req-1', 'key-1', 'message', { phoneNumber: '+1234567890', message: 'Hi' });
+
+  assert.strictEqual((await queue.get('req-1')).state, 'queued');
+  assert.strictEqual((await queue.getDue('key-1')).length, 1);
+
+  await queue.markDispatched('req-1');
+  await queue.markDelivered('req-1', { success: true });
+  assert.strictEqual((await queue.get('req-1')).state, 'delivered');
+  assert.strictEqual((await queue.getDue('key-1')).length, 0);
+});
+
+asyncTest('MessageQueue: Expire messages past TTL', async () => {
+  const queue = new MessageQueue({ store: new MemoryStore() });
+  await queue.enqueue('req-1', 'key-1', 'message', { phoneNumber: '+1234567890', message: 'Hi' }, { ttl: 1 });
+  await utils.sleep(5);
+
+  const expired = await queue.expire();
+  assert.strictEqual(expired.length, 1);
+  assert.strictEqual(expired[0].state, 'failed');
+  assert.strictEqual(expired[0].error.code, 'QUEUE_EXPIRED');
+});
+
+asyncTest('MessageQueue: File store survives restart', async () => {
+  const filePath = path.join(os.tmpdir(), `wa-queue-test-${process.pid}.json`);
+  try {
+    const queue = new MessageQueue({ store: new FileStore(filePath) });
+    await queue.enqueue('req-1', 'key-1', 'message', { phoneNumber: '+1234567890', message: 'Hi' });
+    await queue.markDispatched('req-1');
+    await queue.store.flush();
+
+    const reloaded = new MessageQueue({ store: new FileStore(filePath) });
+    assert.strictEqual(await reloaded.recover(), 1);
+    assert.strictEqual((await reloaded.get('req-1')).state, 'queued');
+  } finally {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+});
+
+asyncTest('Gateway: Queue sends until a device becomes active', async () => {
+  const gateway = createTestGateway({ queue: { store: new MemoryStore() } });
+
+  const queued = await gateway.sendMessage('test-key', { phoneNumber: '+1234567890', message: 'Hi' });
+  assert.strictEqual(queued.queued, true);
+  assert.strictEqual((await gateway.getQueuedMessage(queued.requestId)).state, 'queued');
+
+  const ws = await connectFakeDevice(gateway);
+  await utils.sleep(10);
+
+  const command = ws.sent.find(message => message.type === 'send-message');
+  assert.strictEqual(command.requestId, queued.requestId);
+  assert.strictEqual((await gateway.getQueuedMessage(queued.requestId)).state, 'dispatched');
+
+  await gateway._handleMessage(ws, JSON.stringify({ type: 'message-result', requestId: command.requestId, success: true }));
+  await utils.sleep(10);
+  assert.strictEqual((await gateway.getQueuedMessage(queued.requestId)).state, 'delivered');
+});
+
+asyncTest('Gateway: No queue fails with NO_ACTIVE_DEVICE', async () => {
+  const gateway = createTestGateway();
+  await assert.rejects(
+    gateway.sendMessage('test-key', { phoneNumber: '+1234567890', message: 'Hi' }),
+    { code: 'NO_ACTIVE_DEVICE' }
+  );
+
+  // Media is not downloaded while no device could send it
+  const http = require('http');
+  let downloads = 0;
+  const server = http.createServer((req, res) => {
+    downloads++;
+    res.end('unused');
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  try {
+    await assert.rejects(
+      gateway.sendImage('test-key', { phoneNumber: '+1234567890', imageUrl: `http://localhost:${server.address().port}/a.png` }),
+      { code: 'NO_ACTIVE_DEVICE' }
+    );
+    assert.strictEqual(downloads, 0);
+  } finally {
+    server.close();
+  }
+});
+
+// ===== RetryPolicy Tests =====
+console.log('\n=== RetryPolicy Tests ===\n');
+
+test('RetryPolicy: Retry only retryable codes within max attempts', () => {
+  const policy = new RetryPolicy({ maxAttempts: 3 });
+  assert.strictEqual(policy.shouldRetry('REQUEST_TIMEOUT', 1), true);
+  assert.strictEqual(policy.shouldRetry('REQUEST_TIMEOUT', 3), false);
+  assert.strictEqual(policy.shouldRetry('VALIDATION_ERROR', 1), false);
+});
+
+test('RetryPolicy: Exponential backoff capped at maxDelay', () => {
+  const policy = new RetryPolicy({ initialDelay: 100, factor: 2, maxDelay: 300, jitter: 0 });
+  assert.strictEqual(policy.getDelay(1), 100);
+  assert.strictEqual(policy.getDelay(2), 200);
+  assert.strictEqual(policy.getDelay(3), 300);
+});
+
+asyncTest('Gateway: Retry failed send on another device', async () => {
+  const logs = [];
+  const gateway = createTestGateway({
+    retry: { maxAttempts: 2, initialDelay: 0, jitter: 0 },
+    onMessageLog: (logData) => logs.push(logData)
+  });
+  const ws1 = await connectFakeDevice(gateway);
+  const ws2 = await connectFakeDevice(gateway);
+
+  const sending = gateway.sendMessage('test-key', { phoneNumber: '+1234567890', message: 'Hi' });
+  await utils.sleep(5);
+
+  const first = ws1.sent.find(message => message.type === 'send-message');
+  await gateway._handleMessage(ws1, JSON.stringify({ type: 'message-result', requestId: first.requestId, success: false, error: 'Failed' }));
+  await utils.sleep(5);
+
+  const second = ws2.sent.find(message => message.type === 'send-message');
+  assert.strictEqual(second.requestId, first.requestId);
+  await gateway._handleMessage(ws2, JSON.stringify({ type: 'message-result', requestId: second.requestId, success: true }));
+
+  const result = await sending;
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(logs.length, 1);
+  assert.strictEqual(logs[0].attempts.length, 2);
+  assert.strictEqual(logs[0].attempts[0].errorCode, 'EXTENSION_ERROR');
+});
+
+asyncTest('Gateway: Timed out send rejects with REQUEST_TIMEOUT', async () => {
+  const gateway = createTestGateway({ requestTimeout: 20 });
+  await connectFakeDevice(gateway);
+
+  await assert.rejects(
+    gateway.sendMessage('test-key', { phoneNumber: '+1234567890', message: 'Hi' }),
+    { code: 'REQUEST_TIMEOUT' }
+  );
+});
+
+// ===== Message Type Tests =====
+console.log('\n=== Message Type Tests ===\n');
+
+test('MessageTypeRegistry: Built-in types registered', () => {
+  const registry = createDefaultRegistry();
+  assert.deepStrictEqual(registry.list(), ['message', 'image', 'video', 'document']);
+});
+
+test('MessageTypeRegistry: Reject handler without buildCommand', () => {
+  const registry = new MessageTypeRegistry();
+  assert.throws(() => registry.register('custom', { validate: () => ({ valid: true }) }), /buildCommand/);
+});
+
+asyncTest('Gateway: Send custom message type', async () => {
+  const gateway = createTestGateway();
+  gateway.registerMessageType('location', {
+    validate: (data) => ({ valid: typeof data.latitude === 'number' }),
+    buildCommand: (requestId, data) => JSON.stringify({ type: 'send-location', requestId, data })
+  });
+  const ws = await connectFakeDevice(gateway);
+
+  const sending = gateway.send('test-key', { type: 'location', phoneNumber: '+1234567890', latitude: 1 });
+  await utils.sleep(5);
+
+  const command = ws.sent.find(message => message.type === 'send-location');
+  assert.strictEqual(command.data.latitude, 1);
+  await gateway._handleMessage(ws, JSON.stringify({ type: 'message-result', requestId: command.requestId, success: true }));
+  assert.strictEqual((await sending).success, true);
+});
+
+asyncTest('Gateway: Reject unknown message type', async () => {
+  const gateway = createTestGateway();
+  await assert.rejects(
+    gateway.send('test-key', { type: 'sticker', phoneNumber: '+1234567890' }),
+    { code: 'VALIDATION_ERROR', message: 'Unknown message type: sticker' }
+  );
+});
+
+// ===== Incoming Message Tests =====
+console.log('\n=== Incoming Message Tests ===\n');
+
+asyncTest('Gateway: Surface incoming messages via callback and event', async () => {
+  const received = [];
+  const gateway = createTestGateway({ onIncomingMessage: (message) => received.push(message) });
+  gateway.on('message:incoming', (message) => received.push(message));
+  const ws = await connectFakeDevice(gateway);
+
+  await gateway._handleMessage(ws, JSON.stringify({
+    type: 'incoming-message',
+    data: { chatId: '1234567890@c.us', from: '+1234567890', media: { type: 'image', mimeType: 'image/png' } }
+  }));
+
+  assert.strictEqual(received.length, 2);
+  assert.strictEqual(received[0].apiKey, 'test-key');
+  assert.strictEqual(received[0].sessionId, ws._tempData.sessionId);
+  assert.strictEqual(received[1].media.mimeType, 'image/png');
+
+  // The payload cannot claim another tenant's identity
+  gateway._handleIncomingMessage(ws, { chatId: '1@c.us', from: '+1', text: 'Hi', apiKey: 'other-key', sessionId: 'other' });
+  assert.strictEqual(received[2].apiKey, 'test-key');
+  assert.strictEqual(received[2].sessionId, ws._tempData.sessionId);
+
+  // A message racing the close is dropped
+  gateway.sessionManager.removeSession(ws._tempData.sessionId);
+  gateway._handleIncomingMessage(ws, { chatId: '1@c.us', from: '+1', text: 'Hi' });
+  assert.strictEqual(received.length, 4);
+});
+
+// ===== Message Status Tests =====
+console.log('\n=== Message Status Tests ===\n');
+
+test('MessageTracker: Status only moves forward', () => {
+  const tracker = new MessageTracker();
+  tracker.track('req-1', { apiKey: 'key-1', sessionId: 's-1', phoneNumber: '+1234567890', type: 'message' });
+  tracker.recordResult('req-1', { success: true, messageId: 'wamid.1' });
+  const source = { apiKey: 'key-1', sessionId: 's-1' };
+  tracker.recordAck('wamid.1', 'read', Date.now(), source);
+  tracker.recordAck('wamid.1', 'delivered', Date.now(), source);
+
+  const status = tracker.get('req-1');
+  assert.strictEqual(status.status, 'read');
+  assert.deepStrictEqual(status.timeline.map(item => item.status), ['pending', 'sent', 'read', 'delivered']);
+});
+
+test('MessageTracker: Ignore receipts from other sessions and for failed requests', () => {
+  const tracker = new MessageTracker();
+  tracker.track('req-1', { apiKey: 'key-1', sessionId: 's-1', phoneNumber: '+1234567890', type: 'message' });
+  tracker.recordResult('req-1', { success: true, messageId: 'wamid.1' });
+  assert.strictEqual(tracker.recordAck('wamid.1', 'read', Date.now(), { apiKey: 'key-2', sessionId: 's-2' }), null);
+  assert.strictEqual(tracker.recordAck('wamid.1', 'read', Date.now(), { apiKey: 'key-1', sessionId: 's-2' }), null);
+  assert.strictEqual(tracker.get('req-1').status, 'sent');
+
+  tracker.recordResult('req-1', { success: false, error: 'Failed' });
+  tracker.recordAck('wamid.1', 'delivered', Date.now(), { apiKey: 'key-1', sessionId: 's-1' });
+  assert.strictEqual(tracker.get('req-1').status, 'failed');
+});
+
+test('MessageTracker: Evict oldest entries', () => {
+  const tracker = new MessageTracker({ maxEntries: 1 });
+  tracker.track('req-1', { apiKey: 'key-1' });
+  tracker.track('req-2', { apiKey: 'key-1' });
+  assert.strictEqual(tracker.get('req-1'), null);
+  assert(tracker.get('req-2'));
+});
+
+test('Protocol: Reject message-ack with unknown status', () => {
+  const result = protocol.validateMessageAck({ type: 'message-ack', messageId: 'wamid.1', status: 'seen' });
+  assert.strictEqual(result.valid, false);
+});
+
+asyncTest('Gateway: Track receipts for sent messages', async () => {
+  const statuses = [];
+  const gateway = createTestGateway({ onMessageStatus: (status) => statuses.push(status.status) });
+  const ws = await connectFakeDevice(gateway);
+
+  const sending = gateway.sendMessage('test-key', { phoneNumber: '+1234567890', message: 'Hi' });
+  await utils.sleep(5);
+  const command = ws.sent.find(message => message.type === 'send-message');
+  await gateway._handleMessage(ws, JSON.stringify({ type: 'message-result', requestId: command.requestId, success: true, messageId: 'wamid.1' }));
+  await sending;
+
+  // Another session cannot report receipts for this message
+  const other = await connectFakeDevice(gateway);
+  await gateway._handleMessage(other, JSON.stringify({ type: 'message-ack', messageId: 'wamid.1', status: 'read' }));
+  await gateway._handleMessage(ws, JSON.stringify({ type: 'message-ack', messageId: 'wamid.1', status: 'delivered' }));
+
+  const status = gateway.getMessageStatus(command.requestId);
+  assert.strictEqual(status.messageId, 'wamid.1');
+  assert.strictEqual(status.status, 'delivered');
+  assert.deepStrictEqual(statuses, ['sent', 'delivered']);
+});
+
+// ===== Event Tests =====
+console.log('\n=== Event Tests ===\n');
+
+asyncTest('Gateway: Emit session and request lifecycle events', async () => {
+  const events = [];
+  const gateway = createTestGateway();
+  ['session:authenticated', 'session:status', 'session:disconnected', 'request:sent', 'request:resolved']
+    .forEach(name => gateway.on(name, (payload) => events.push({ name, payload })));
+
+  const ws = await connectFakeDevice(gateway);
+  const sending = gateway.sendMessage('test-key', { phoneNumber: '+1234567890', message: 'Hi' });
+  await utils.sleep(5);
+  const command = ws.sent.find(message => message.type === 'send-message');
+  await gateway._handleMessage(ws, JSON.stringify({ type: 'message-result', requestId: command.requestId, success: true }));
+  await sending;
+  gateway._handleClose(ws, 1000, Buffer.from('bye'));
+
+  assert.deepStrictEqual(events.map(event => event.name), [
+    'session:authenticated',
+    'session:status',
+    'request:sent',
+    'request:resolved',
+    'session:disconnected'
+  ]);
+  assert.strictEqual(events[2].payload.requestId, command.requestId);
+  assert.strictEqual(events[4].payload.reason, 'bye');
+});
+
+asyncTest('Gateway: Emit request:timeout', async () => {
+  const gateway = createTestGateway({ requestTimeout: 20 });
+  const timeouts = [];
+  gateway.on('request:timeout', (payload) => timeouts.push(payload));
+  await connectFakeDevice(gateway);
+
+  await assert.rejects(gateway.sendMessage('test-key', { phoneNumber: '+1234567890', message: 'Hi' }));
+  assert.strictEqual(timeouts.length, 1);
+  assert.strictEqual(timeouts[0].timeout, 20);
+});
+
+// ===== Logger Tests =====
+console.log('\n=== Logger Tests ===\n');
+
+function createRecordingLogger(records, bindings = {}) {
+  const logger = { bindings };
+  ['debug', 'info', 'warn', 'error'].forEach(level => {
+    logger[level] = (...args) => {
+      const fields = typeof args[0] === 'object' ? args[0] : {};
+      const message = typeof args[0] === 'object' ? args[1] : args[0];
+      records.push({ level, bindings, fields, message });
+    };
+  });
+  logger.child = (extra) => createRecordingLogger(records, { ...bindings, ...extra });
+  return logger;
+}
+
+test('createLogger: Resolves config values', () => {
+  assert.ok(createLogger() instanceof ConsoleLogger);
+  assert.strictEqual(createLogger('silent').level, 'silent');
+  assert.strictEqual(createLogger(false).level, 'silent');
+  assert.strictEqual(createLogger('warn').level, 'warn');
+  assert.throws(() => createLogger('loud'), /Invalid log level/);
+  assert.throws(() => createLogger({ info() {} }), /missing methods/);
+});
+
+test('ConsoleLogger: Prints message only and respects level', () => {
+  const printed = [];
+  const original = console.log;
+  console.log = (message) => printed.push(message);
+  try {
+    const logger = new ConsoleLogger().child({ sessionId: 's1' });
+    logger.info({ ip: '1.2.3.4' }, 'Connected');
+    logger.info('Plain');
+    logger.warn('Warning');
+    logger.error('Failure');
+    logger.debug('Hidden');
+    new ConsoleLogger({ level: 'silent' }).info('Silent');
+  } finally {
+    console.log = original;
+  }
+  assert.deepStrictEqual(printed, ['Connected', 'Plain', 'Warning', 'Failure']);
+});
+
+test('createLogger: Calls winston loggers as (message, meta)', () => {
+  const calls = [];
+  const winston = { transports: [], add() {}, log() {} };
+  ['debug', 'info', 'warn', 'error'].forEach(level => {
+    winston[level] = (...args) => calls.push({ level, args });
+  });
+  winston.child = bindings => ({ ...winston, info: (...args) => calls.push({ level: 'info', bindings, args }) });
+
+  const logger = createLogger(winston);
+  assert.ok(logger instanceof WinstonLogger);
+  logger.warn({ ip: '1.2.3.4' }, 'Connected');
+  logger.error('Plain');
+  logger.child({ sessionId: 's1' }).info({ status: 'ready' }, 'Status');
+  assert.deepStrictEqual(calls, [
+    { level: 'warn', args: ['Connected', { ip: '1.2.3.4' }] },
+    { level: 'error', args: ['Plain'] },
+    { level: 'info', bindings: { sessionId: 's1' }, args: ['Status', { status: 'ready' }] }
+  ]);
+
+  const pinoLike = createRecordingLogger([]);
+  assert.strictEqual(createLogger(pinoLike), pinoLike);
+});
+
+asyncTest('Gateway: Logs through a custom logger with session bindings', async () => {
+  const records = [];
+  const gateway = createTestGateway({ logger: createRecordingLogger(records) });
+  const ws = await connectFakeDevice(gateway);
+
+  const auth = records.find(record => /authenticated/.test(record.message));
+  assert.strictEqual(auth.level, 'info');
+  assert.strictEqual(auth.bindings.sessionId, ws._tempData.sessionId);
+  assert.strictEqual(auth.bindings.apiKey, utils.sanitizeApiKey('test-key'));
+  assert.ok(records.some(record => /status: WhatsApp logged in/.test(record.message)));
+});
+
+// ===== REST Router Tests =====
+console.log('\n=== REST Router Tests ===\n');
+
+function callRouter(router, { method = 'GET', url, headers = {}, body, next }) {
+  const req = Readable.from(body === undefined ? [] : [typeof body === 'string' ? body : JSON.stringify(body)]);
+  Object.assign(req, { method, url, headers });
+
+  return new Promise((resolve) => {
+    const res = {
+      writeHead(status) { this.status = status; },
+      end(payload) { resolve({ status: this.status, body: JSON.parse(payload) }); }
+    };
+    router(req, res, next && (() => { next(); resolve(null); }));
+  });
+}
+
+asyncTest('REST router: Maps errors to HTTP status codes', async () => {
+  const gateway = createTestGateway();
+  const router = createRestRouter(gateway, { basePath: '/api' });
+  const message = { phoneNumber: '+1234567890', message: 'Hi' };
+
+  let response = await callRouter(router, { method: 'POST', url: '/api/send-message', body: message });
+  assert.strictEqual(response.status, 401);
+  assert.strictEqual(response.body.error.code, 'AUTHENTICATION_FAILED');
+
+  response = await callRouter(router, { method: 'POST', url: '/api/send-message', headers: { 'x-api-key': 'bad' }, body: message });
+  assert.strictEqual(response.status, 401);
+  assert.strictEqual(response.body.error.code, 'INVALID_API_KEY');
+
+  response = await callRouter(router, { method: 'POST', url: '/api/send-message', headers: { authorization: 'Bearer test-key' }, body: message });
+  assert.strictEqual(response.status, 503);
+  assert.strictEqual(response.body.error.code, 'NO_ACTIVE_DEVICE');
+
+  response = await callRouter(router, { method: 'POST', url: '/api/send-message', headers: { 'x-api-key': 'test-key' }, body: { phoneNumber: '123' } });
+  assert.strictEqual(response.status, 400);
+
+  response = await callRouter(router, { method: 'GET', url: '/api/messages/unknown', headers: { 'x-api-key': 'test-key' } });
+  assert.strictEqual(response.status, 404);
+
+  response = await callRouter(router, { method: 'GET', url: '/api/messages/%E0%A4%A', headers: { 'x-api-key': 'test-key' } });
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(response.body.error.code, 'VALIDATION_ERROR');
+
+  response = await callRouter(router, { method: 'GET', url: '/api/nope' });
+  assert.strictEqual(response.status, 404);
+
+  const small = createRestRouter(gateway, { maxBodySize: 10 });
+  response = await callRouter(small, { method: 'POST', url: '/send-message', headers: { 'x-api-key': 'test-key' }, body: message });
+  assert.strictEqual(response.status, 413);
+});
+
+asyncTest('REST router: Sends through a device and reports status', async () => {
+  const gateway = createTestGateway();
+  const router = createRestRouter(gateway);
+  const ws = await connectFakeDevice(gateway);
+  const headers = { 'x-api-key': 'test-key' };
+
+  const sending = callRouter(router, {
+    method: 'POST',
+    url: '/send-message',
+    headers,
+    body: { phoneNumber: '+1234567890', message: 'Hi' }
+  });
+  await utils.sleep(5);
+  const command = ws.sent.find(message => message.type === 'send-message');
+  await gateway._handleMessage(ws, JSON.stringify({ type: 'message-result', requestId: command.requestId, success: true, messageId: 'wa-1' }));
+
+  const response = await sending;
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.body.result.messageId, 'wa-1');
+
+  const status = await callRouter(router, { url: `/messages/${command.requestId}`, headers });
+  assert.strictEqual(status.body.status.status, 'sent');
+  assert.strictEqual(status.body.status.apiKey, undefined);
+
+  const sessions = await callRouter(router, { url: '/sessions', headers });
+  assert.strictEqual(sessions.body.sessions.length, 1);
+});
+
+asyncTest('REST router: Serves OpenAPI and defers unknown paths to next()', async () => {
+  const gateway = createTestGateway();
+  const router = createRestRouter(gateway);
+  let nextCalled = false;
+
+  const doc = await callRouter(router, { url: '/openapi.json' });
+  assert.strictEqual(doc.body.openapi, '3.0.3');
+  assert.ok(doc.body.paths['/send-message'].post.responses['503']);
+  assert.strictEqual(doc.body.paths['/send-image'].post.responses['415'].description, 'UNSUPPORTED_MEDIA_TYPE');
+  assert.ok(doc.body.paths['/messages/{requestId}'].get.parameters);
+
+  await callRouter(router, { url: '/elsewhere', next: () => { nextCalled = true; } });
+  assert.strictEqual(nextCalled, true);
+});
+
+// ===== Metrics Tests =====
+console.log('\n=== Metrics Tests ===\n');
+
+asyncTest('Metrics: Count sends, latency, auth failures and reconnects', async () => {
+  const gateway = createTestGateway();
+
+  await gateway._handleMessage(createFakeSocket(), JSON.stringify({ type: 'auth', apiKey: 'bad-key', data: {} }));
+  await assert.rejects(gateway.sendMessage('test-key', { phoneNumber: '+1234567890', message: 'Hi' }));
+
+  const first = await connectFakeDevice(gateway);
+  gateway._handleClose(first, 1006, Buffer.from(''));
+  const ws = await connectFakeDevice(gateway);
+
+  const sending = gateway.sendMessage('test-key', { phoneNumber: '+1234567890', message: 'Hi' });
+  await utils.sleep(5);
+  assert.ok(gateway.getMetrics().includes(`wa_gateway_pending_requests{session_id="${ws._tempData.sessionId}"} 1`));
+
+  const command = ws.sent.find(message => message.type === 'send-message');
+  await gateway._handleMessage(ws, JSON.stringify({ type: 'message-result', requestId: command.requestId, success: true }));
+  await sending;
+
+  const text = gateway.getMetrics();
+  assert.ok(text.includes('wa_gateway_auth_failures_total{reason="invalid_api_key"} 1'));
+  assert.ok(text.includes('wa_gateway_sends_total{type="message",outcome="failure",error_code="NO_ACTIVE_DEVICE"} 1'));
+  assert.ok(text.includes('wa_gateway_sends_total{type="message",outcome="success",error_code=""} 1'));
+  assert.ok(text.includes('wa_gateway_request_duration_seconds_count{type="message",outcome="success"} 1'));
+  assert.ok(text.includes('wa_gateway_reconnects_total 1'));
+  assert.ok(text.includes('wa_gateway_active_sessions 1'));
+});
+
+asyncTest('Metrics: Serve metrics path and pass other requests through', async () => {
+  const http = require('http');
+  const server = http.createServer((req, res) => {
+    res.writeHead(200);
+    res.end('app');
+  });
+  const gateway = createTestGateway({ server, metrics: { path: '/metrics' } });
+  await gateway.start();
+  await new Promise(resolve => server.listen(0, resolve));
+
+  const get = (path) => new Promise((resolve, reject) => {
+    http.get({ port: server.address().port, path }, (res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body }));
+    }).on('error', reject);
+  });
+
+  try {
+    const metrics = await get('/metrics');
+    assert.strictEqual(metrics.status, 200);
+    assert.ok(metrics.type.startsWith('text/plain'));
+    assert.ok(metrics.body.includes('# TYPE wa_gateway_sends_total counter'));
+    assert.strictEqual((await get('/other')).body, 'app');
+  } finally {
+    await gateway.stop();
+    await new Promise(resolve => server.close(resolve));
+  }
+  assert.strictEqual(server.listeners('request').length, 1);
+});
+
+// ===== Rate Limit Tests =====
+console.log('\n=== Rate Limit Tests ===\n');
+
+test('RateLimiter: Token bucket limits and media-only limits', () => {
+  const limiter = new RateLimiter({ apiKey: { messagesPerMinute: 2, mediaPerHour: 1 } });
+
+  assert.strictEqual(limiter.checkApiKey('k', true).allowed, true);
+  limiter.consumeApiKey('k', true);
+  const media = limiter.checkApiKey('k', true);
+  assert.strictEqual(media.allowed, false);
+  assert.strictEqual(media.limit, 'mediaPerHour');
+  assert.ok(media.retryAfter > 30 * 60 * 1000);
+
+  assert.strictEqual(limiter.checkApiKey('k', false).allowed, true);
+  limiter.consumeApiKey('k', false);
+  const text = limiter.checkApiKey('k', false);
+  assert.strictEqual(text.limit, 'messagesPerMinute');
+  assert.ok(text.retryAfter > 0 && text.retryAfter <= 30000);
+
+  limiter.setLimits('other', { apiKey: { messagesPerMinute: 0 } });
+  assert.strictEqual(limiter.checkApiKey('other', false).allowed, true);
+});
+
+test('RateLimiter: Daily cap resets at midnight in its time zone', () => {
+  const limiter = new RateLimiter({ apiKey: { dailyCap: 2 }, timezone: 'UTC' });
+  limiter.consumeApiKey('k', false);
+  limiter.consumeApiKey('k', true);
+
+  const capped = limiter.checkApiKey('k', false);
+  const midnight = new Date();
+  midnight.setUTCHours(24, 0, 0, 0);
+  assert.strictEqual(capped.limit, 'dailyCap');
+  assert.ok(Math.abs(capped.retryAfter - (midnight.getTime() - Date.now())) < 1000);
+
+  // No gradual refill during the day; a new day starts from zero
+  const counter = limiter.buckets.get('apiKey:k:dailyCap');
+  assert.strictEqual(counter.resetAt, midnight.getTime());
+  counter.resetAt = Date.now() - 1;
+  assert.strictEqual(limiter.checkApiKey('k', false).allowed, true);
+  assert.throws(() => new RateLimiter({ timezone: 'Mars/Base' }), /Invalid rate limit timezone/);
+});
+
+asyncTest('Gateway: Enforce per-key limits returned by validateApiKey', async () => {
+  const gateway = createTestGateway({
+    validateApiKey: async () => ({ valid: true, rateLimit: { apiKey: { messagesPerMinute: 1 } } })
+  });
+  const ws = await connectFakeDevice(gateway);
+  ws.send = (payload) => {
+    const command = JSON.parse(payload);
+    setImmediate(() => gateway._handleMessage(ws, JSON.stringify({ type: 'message-result', requestId: command.requestId, success: true })));
+  };
+
+  const data = { phoneNumber: '+1234567890', message: 'Hi' };
+  assert.strictEqual((await gateway.sendMessage('test-key', data)).success, true);
+
+  await assert.rejects(gateway.sendMessage('test-key', data), (error) => {
+    assert.strictEqual(error.code, 'RATE_LIMITED');
+    assert.strictEqual(error.details.scope, 'apiKey');
+    assert.ok(error.retryAfter > 0);
+    return true;
+  });
+
+  const router = createRestRouter(gateway);
+  const response = await callRouter(router, { method: 'POST', url: '/send-message', headers: { 'x-api-key': 'test-key' }, body: data });
+  assert.strictEqual(response.status, 429);
+});
+
+asyncTest('Gateway: Skip sessions over their limit', async () => {
+  const gateway = createTestGateway({ rateLimit: { session: { messagesPerMinute: 1 } } });
+  const first = await connectFakeDevice(gateway);
+  const second = await connectFakeDevice(gateway);
+
+  // Round-robin would pick the first device, but it has used up its limit
+  gateway.rateLimiter.consumeSession('test-key', first._tempData.sessionId, false);
+  gateway.sendMessage('test-key', { phoneNumber: '+1234567890', message: 'One' }).catch(() => {});
+  await utils.sleep(5);
+
+  const sentTo = [first, second].map(ws => ws.sent.filter(message => message.type === 'send-message').length);
+  assert.deepStrictEqual(sentTo, [0, 1]);
+  await assert.rejects(
+    gateway.sendMessage('test-key', { phoneNumber: '+1234567890', message: 'Three' }),
+    (error) => error.code === 'RATE_LIMITED' && error.details.scope === 'session'
+  );
+  gateway.sessionManager.cleanup();
+});
+
+// ===== Pacing Tests =====
+console.log('\n=== Pacing Tests ===\n');
+
+test('SendPacer: Typing duration, slots and warm-up', () => {
+  const pacer = new SendPacer({ minDelay: 1000, maxDelay: 1000, typing: { charsPerSecond: 10, minDuration: 500, maxDuration: 3000 }, warmup: { maxMessages: 2 } });
+  const session = { sessionId: 's1', apiKey: 'k', connectedAt: Date.now() };
+
+  assert.strictEqual(pacer.getTypingDuration('k', { message: 'x'.repeat(20) }), 2000);
+  assert.strictEqual(pacer.getTypingDuration('k', { message: 'hi' }), 500);
+  assert.strictEqual(pacer.getTypingDuration('k', { message: 'x'.repeat(100) }), 3000);
+  assert.strictEqual(pacer.getTypingDuration('k', { imageUrl: 'x' }), 0);
+
+  assert.strictEqual(pacer.reserve(session, 2000), 0);
+  const wait = pacer.reserve(session, 0);
+  assert.ok(wait >= 2990 && wait <= 3000);
+
+  const warmup = pacer.checkWarmup(session);
+  assert.strictEqual(warmup.allowed, false);
+  assert.ok(warmup.retryAfter > 0);
+
+  pacer.setOverrides('k', false);
+  assert.strictEqual(pacer.getConfig('k'), null);
+  assert.strictEqual(new SendPacer(false).reserve(session, 0), 0);
+});
+
+test('SendPacer: Quiet hours across midnight in a timezone', () => {
+  const pacer = new SendPacer({ quietHours: { start: '22:00', end: '07:00', timezone: 'UTC' } });
+  const at = (time) => Date.parse(`2024-01-01T${time}:00Z`);
+
+  assert.strictEqual(pacer.getQuietHoursWait('k', at('12:00')), 0);
+  assert.strictEqual(pacer.getQuietHoursWait('k', at('23:00')), 8 * 60 * 60 * 1000);
+  assert.strictEqual(pacer.getQuietHoursWait('k', at('06:30')), 30 * 60 * 1000);
+  assert.strictEqual(pacer.getQuietHoursRejection('k'), 0);
+  assert.throws(() => new SendPacer({ quietHours: { start: '25:00', end: '07:00' } }), /Invalid time of day/);
+});
+
+asyncTest('Gateway: Pace sends to a session and add typing hint', async () => {
+  const gateway = createTestGateway({
+    pacing: { minDelay: 40, maxDelay: 40, typing: { minDuration: 10, maxDuration: 10 } }
+  });
+  const ws = await connectFakeDevice(gateway);
+  const data = { phoneNumber: '+1234567890', message: 'Hi' };
+
+  gateway.sendMessage('test-key', data).catch(() => {});
+  gateway.sendMessage('test-key', data).catch(() => {});
+  await utils.sleep(10);
+
+  let commands = ws.sent.filter(message => message.type === 'send-message');
+  assert.strictEqual(commands.length, 1);
+  assert.strictEqual(commands[0].data.typing, 10);
+
+  await utils.sleep(60);
+  commands = ws.sent.filter(message => message.type === 'send-message');
+  assert.strictEqual(commands.length, 2);
+  gateway.sessionManager.cleanup();
+});
+
+// ===== Sticky Routing Tests =====
+console.log('\n=== Sticky Routing Tests ===\n');
+
+async function connectAccount(gateway, whatsappNumber) {
+  const ws = createFakeSocket();
+  ws.send = (payload) => {
+    const message = JSON.parse(payload);
+    ws.sent.push(message);
+    if (message.requestId) {
+      setImmediate(() => gateway._handleMessage(ws, JSON.stringify({ type: 'message-result', requestId: message.requestId, success: true })));
+    }
+  };
+  await gateway._handleMessage(ws, JSON.stringify({ type: 'auth', apiKey: 'test-key', data: {} }));
+  await gateway._handleMessage(ws, JSON.stringify({ type: 'status', data: { whatsappLoggedIn: true, ready: true, whatsappNumber } }));
+  return ws;
+}
+
+const sendCount = ws => ws.sent.filter(message => message.type === 'send-message').length;
+
+asyncTest('Gateway: Quiet hours defer sends to the queue or reject them when it is off', async () => {
+  // A quiet window around the current time (UTC)
+  const timeOfDay = offset => new Date(Date.now() + offset).toISOString().slice(11, 16);
+  const quietHours = { start: timeOfDay(-60 * 60 * 1000), end: timeOfDay(60 * 60 * 1000), timezone: 'UTC' };
+  const data = { phoneNumber: '+1234567890', message: 'Good night' };
+
+  const gateway = createTestGateway({ pacing: { minDelay: 0, maxDelay: 0, typing: false, quietHours }, queue: { store: new MemoryStore() } });
+  const ws = await connectAccount(gateway, '15550001111');
+  assert.ok(gateway.pacer.getQuietHoursDeferral('test-key') > 0);
+  assert.strictEqual(gateway.pacer.getQuietHoursRejection('test-key'), 0);
+
+  const queued = await gateway.sendMessage('test-key', data);
+  assert.strictEqual(queued.queued, true);
+  assert.ok(queued.notBefore > Date.now());
+  assert.ok(queued.expiresAt > queued.notBefore);
+  assert.strictEqual(sendCount(ws), 0);
+  assert.deepStrictEqual(await gateway.queue.getDue('test-key'), []);
+
+  await assert.rejects(gateway.sendMessage('test-key', data, { queue: false }),
+    error => error.code === 'RATE_LIMITED' && error.retryAfter > 0 && error.details.action === 'defer');
+
+  // Targets are validated first, and targeted sends are not queued
+  const { sessionId } = gateway.sessionManager.getActiveSessions('test-key')[0];
+  await assert.rejects(gateway.sendMessage('test-key', { ...data, deviceLabel: '' }), { code: 'VALIDATION_ERROR' });
+  await assert.rejects(gateway.sendMessage('test-key', { ...data, deviceLabel: 'Missing' }), { code: 'DEVICE_NOT_AVAILABLE' });
+  await assert.rejects(gateway.sendMessage('test-key', { ...data, sessionId }),
+    error => error.code === 'RATE_LIMITED' && error.details.action === 'defer');
+  assert.strictEqual((await gateway.getQueuedMessages('test-key')).length, 1);
+
+  // Sent by the drain once the window has passed
+  gateway.pacer.setOverrides('test-key', false);
+  const entry = await gateway.queue.get(queued.requestId);
+  await gateway.queue.store.set(queued.requestId, { ...entry, notBefore: Date.now() - 1 });
+  await gateway._drainQueue('test-key');
+  assert.strictEqual(sendCount(ws), 1);
+  assert.strictEqual((await gateway.getQueuedMessage(queued.requestId)).state, 'delivered');
+
+  // Without a queue 'defer' fails with RATE_LIMITED too; details.action tells it from 'reject'
+  const noQueue = createTestGateway({ pacing: { quietHours } });
+  await connectAccount(noQueue, '15550001111');
+  await assert.rejects(noQueue.sendMessage('test-key', data),
+    error => error.code === 'RATE_LIMITED' && error.details.limit === 'quietHours' && error.details.action === 'defer');
+
+  const rejecting = createTestGateway({ pacing: { quietHours: { ...quietHours, action: 'reject' } }, queue: { store: new MemoryStore() } });
+  await connectAccount(rejecting, '15550001111');
+  await assert.rejects(rejecting.sendMessage('test-key', data),
+    error => error.code === 'RATE_LIMITED' && error.details.action === 'reject');
+  assert.strictEqual((await rejecting.getQueuedMessages('test-key')).length, 0);
+});
+
+asyncTest('StickyRouter: Pins expire after the TTL', async () => {
+  // Long enough to outlast the synchronous part of the rest of this file
+  const router = new StickyRouter({ ttl: 200 });
+  await router.pin('k', '+1', { sessionId: 's1', whatsappNumber: '+100' });
+
+  const pin = await router.get('k', '+1');
+  assert.strictEqual(pin.whatsappNumber, '+100');
+  assert.ok(router.matches(pin, { sessionId: 'other', whatsappNumber: '+100' }));
+
+  await utils.sleep(250);
+  assert.strictEqual(await router.get('k', '+1'), null);
+  assert.throws(() => new StickyRouter({ fallback: 'nope' }), /Invalid sticky fallback/);
+});
+
+asyncTest('Gateway: Sticky strategy keeps a recipient on one account across reconnects', async () => {
+  const gateway = createTestGateway({ deviceSelectionStrategy: 'sticky' });
+  const a = await connectAccount(gateway, '+15550000001');
+  const b = await connectAccount(gateway, '+15550000002');
+  const data = { phoneNumber: '+1234567890', message: 'Hi' };
+
+  await gateway.sendMessage('test-key', data);
+  await gateway.sendMessage('test-key', data);
+  assert.deepStrictEqual([sendCount(a), sendCount(b)], [2, 0]);
+
+  // Other recipients still rotate
+  await gateway.sendMessage('test-key', { ...data, phoneNumber: '+1987654321' });
+  assert.strictEqual(sendCount(b), 1);
+
+  gateway._handleClose(a, 1006, Buffer.from(''));
+  const aAgain = await connectAccount(gateway, '+15550000001');
+  await gateway.sendMessage('test-key', data);
+  assert.strictEqual(sendCount(aAgain), 1);
+  assert.strictEqual((await gateway.getStickyRoute('test-key', data.phoneNumber)).sessionId, aAgain._tempData.sessionId);
+});
+
+asyncTest('Gateway: Sticky fallback reassigns or waits when the pinned device is offline', async () => {
+  const data = { phoneNumber: '+1234567890', message: 'Hi' };
+
+  const reassign = createTestGateway({ deviceSelectionStrategy: 'sticky' });
+  const a = await connectAccount(reassign, '+15550000001');
+  await reassign.sendMessage('test-key', data);
+  reassign._handleClose(a, 1006, Buffer.from(''));
+  await connectAccount(reassign, '+15550000002');
+  await reassign.sendMessage('test-key', data);
+  assert.strictEqual((await reassign.getStickyRoute('test-key', data.phoneNumber)).whatsappNumber, '+15550000002');
+
+  const wait = createTestGateway({ deviceSelectionStrategy: 'sticky', sticky: { fallback: 'wait' } });
+  const c = await connectAccount(wait, '+15550000001');
+  await wait.sendMessage('test-key', data);
+  wait._handleClose(c, 1006, Buffer.from(''));
+  await connectAccount(wait, '+15550000002');
+  await assert.rejects(wait.sendMessage('test-key', data), error => error.code === 'NO_ACTIVE_DEVICE');
+  assert.strictEqual(await wait.clearStickyRoute('test-key', data.phoneNumber), true);
+  assert.strictEqual((await wait.sendMessage('test-key', data)).success, true);
+});
+
+// ===== Device Selection Tests =====
+console.log('\n=== Device Selection Tests ===\n');
+
+function addReadySessions(manager, count) {
+  const sessions = [];
+  for (let i = 0; i < count; i++) {
+    const session = manager.addSession('key', createFakeSocket(), {});
+    manager.updateSessionStatus(session.sessionId, { whatsappLoggedIn: true, ready: true });
+    sessions.push(session);
+  }
+  return sessions;
+}
+
+test('SessionManager: Least-pending picks the device with the fewest pending requests', () => {
+  const manager = new SessionManager({ deviceSelectionStrategy: 'least-pending' });
+  const [a, b, c] = addReadySessions(manager, 3);
+  manager.addPendingRequest(a.sessionId, 'r1', {});
+  manager.addPendingRequest(b.sessionId, 'r2', {});
+  manager.addPendingRequest(b.sessionId, 'r3', {});
+
+  assert.strictEqual(manager.getSessionForSending('key'), c);
+  manager.addPendingRequest(c.sessionId, 'r4', {});
+  manager.addPendingRequest(c.sessionId, 'r5', {});
+  assert.strictEqual(manager.getSessionForSending('key'), a);
+});
+
+test('SessionManager: Weighted and fastest strategies', () => {
+  const weighted = new SessionManager({ deviceSelectionStrategy: 'weighted' });
+  const [a, b] = addReadySessions(weighted, 2);
+  weighted.setSessionWeight(a.sessionId, 1e-9);
+  for (let i = 0; i < 20; i++) {
+    assert.strictEqual(weighted.getSessionForSending('key'), b);
+  }
+  assert.throws(() => weighted.setSessionWeight(a.sessionId, 0));
+
+  const fastest = new SessionManager({ deviceSelectionStrategy: 'fastest' });
+  const [slow, fast] = addReadySessions(fastest, 2);
+  [900, 1000, 100].forEach(ms => fastest.recordLatency(slow.sessionId, ms));
+  [300, 400, 500].forEach(ms => fastest.recordLatency(fast.sessionId, ms));
+  assert.strictEqual(fastest.getSessionForSending('key'), fast);
+  assert.strictEqual(fastest.getSessionInfo('key')[0].medianLatency, 900);
+
+  assert.throws(() => new SessionManager({ deviceSelectionStrategy: 'busiest' }), /Invalid deviceSelectionStrategy/);
+});
+
+asyncTest('Gateway: Custom selector, auth weight and latency tracking', async () => {
+  const calls = [];
+  const gateway = createTestGateway({
+    deviceSelectionStrategy: (sessions, context) => {
+      calls.push(context);
+      return sessions.find(s => s.whatsappNumber === '+15550000002');
+    }
+  });
+  const first = await connectAccount(gateway, '+15550000001');
+  await connectAccount(gateway, '+15550000002');
+
+  for (let i = 0; i < 3; i++) {
+    assert.strictEqual((await gateway.sendMessage('test-key', { phoneNumber: '+1234567890', message: 'Hi' })).success, true);
+  }
+  assert.strictEqual(sendCount(first), 0);
+  assert.strictEqual(calls[0].apiKey, 'test-key');
+  assert.strictEqual(calls[0].phoneNumber, '+1234567890');
+  assert.strictEqual(calls[0].type, 'message');
+
+  const info = gateway.getActiveSessions('test-key');
+  assert.strictEqual(info[0].medianLatency, null);
+  assert.strictEqual(typeof info[1].medianLatency, 'number');
+
+  const ws = createFakeSocket();
+  await gateway._handleMessage(ws, JSON.stringify({ type: 'auth', apiKey: 'test-key', data: { weight: 4 } }));
+  assert.strictEqual(gateway.sessionManager.getSession(ws._tempData.sessionId).weight, 4);
+  assert.strictEqual(gateway.setSessionWeight(ws._tempData.sessionId, 2), true);
+  assert.strictEqual(gateway.setSessionWeight('missing', 2), false);
+});
+
+// ===== Target Device Tests =====
+console.log('\n=== Target Device Tests ===\n');
+
+asyncTest('Gateway: Send from a device chosen by session ID, label or number', async () => {
+  const gateway = createTestGateway();
+  const sales = await connectAccount(gateway, '+15550000001');
+  const support = await connectAccount(gateway, '+15550000002');
+  await gateway._handleMessage(createFakeSocket(), JSON.stringify({ type: 'auth', apiKey: 'test-key', data: { label: 'idle' } }));
+  gateway.sessionManager.getSession(sales._tempData.sessionId).label = 'sales';
+  const data = { phoneNumber: '+1234567890', message: 'Hi' };
+
+  await gateway.sendMessage('test-key', { ...data, deviceLabel: 'sales' });
+  await gateway.sendMessage('test-key', { ...data, deviceLabel: 'sales' });
+  await gateway.sendMessage('test-key', { ...data, fromNumber: '+1 555 000 0002' });
+  await gateway.sendMessage('test-key', { ...data, sessionId: support._tempData.sessionId });
+  assert.strictEqual(sendCount(sales), 2);
+  assert.strictEqual(sendCount(support), 2);
+  assert.strictEqual(sales.sent.find(m => m.type === 'send-message').data.deviceLabel, undefined);
+
+  await assert.rejects(gateway.sendMessage('test-key', { ...data, deviceLabel: 'idle' }),
+    error => error.code === 'DEVICE_NOT_AVAILABLE' && error.details.connected === true);
+  await assert.rejects(gateway.sendMessage('test-key', { ...data, fromNumber: '+15559999999' }),
+    error => error.code === 'DEVICE_NOT_AVAILABLE' && error.details.connected === false);
+  await assert.rejects(gateway.sendMessage('test-key', { ...data, sessionId: 42 }),
+    error => error.code === 'VALIDATION_ERROR');
+});
+
+asyncTest('Gateway: Targeted send is not queued and reports rate limits', async () => {
+  const gateway = createTestGateway({ queue: true, rateLimit: { session: { messagesPerMinute: 1 } } });
+  const data = { phoneNumber: '+1234567890', message: 'Hi', fromNumber: '+15550000001' };
+  await assert.rejects(gateway.sendMessage('test-key', data), error => error.code === 'DEVICE_NOT_AVAILABLE');
+  assert.strictEqual((await gateway.getQueuedMessages('test-key')).length, 0);
+
+  await connectAccount(gateway, '+15550000001');
+  await connectAccount(gateway, '+15550000002');
+  assert.strictEqual((await gateway.sendMessage('test-key', data)).success, true);
+  await assert.rejects(gateway.sendMessage('test-key', data), error => error.code === 'RATE_LIMITED');
+});
+
+// ===== Device Label Tests =====
+console.log('\n=== Device Label Tests ===\n');
+
+asyncTest('Gateway: Device labels and tags survive reconnects', async () => {
+  const gateway = createTestGateway();
+  const auth = { type: 'auth', apiKey: 'test-key', data: { deviceId: 'device-1', label: 'from-extension' } };
+  const ws = createFakeSocket();
+  await gateway._handleMessage(ws, JSON.stringify(auth));
+
+  await gateway.setDeviceLabel('test-key', 'device-1', 'sales');
+  await gateway.setDeviceTags('test-key', 'device-1', ['support', 'eu', 'eu']);
+  await gateway.setDeviceMetadata('test-key', 'device-1', { owner: 'Alice' });
+  await gateway.setDeviceTags('test-key', 'device-2', ['support']);
+  assert.strictEqual(gateway.getActiveSessions('test-key')[0].label, 'sales');
+
+  gateway._handleClose(ws, 1006, Buffer.from(''));
+  const again = createFakeSocket();
+  await gateway._handleMessage(again, JSON.stringify(auth));
+  const session = gateway.sessionManager.getSession(again._tempData.sessionId);
+  assert.strictEqual(session.label, 'sales');
+  assert.deepStrictEqual(session.tags, ['support', 'eu']);
+  assert.deepStrictEqual(session.metadata, { owner: 'Alice' });
+
+  const tagged = await gateway.getDevicesByTag('test-key', 'support');
+  assert.deepStrictEqual(tagged.map(d => [d.deviceId, d.connected]), [['device-1', true], ['device-2', false]]);
+  await assert.rejects(gateway.setDeviceTags('test-key', 'device-1', 'eu'), error => error.code === 'VALIDATION_ERROR');
+});
+
+asyncTest('Gateway: Route sends by device tag', async () => {
+  const gateway = createTestGateway();
+  const eu = await connectAccount(gateway, '+15550000001');
+  const us = await connectAccount(gateway, '+15550000002');
+  await gateway.setDeviceTags('test-key', eu._tempData.sessionId, ['support', 'eu']);
+  await gateway.setDeviceTags('test-key', us._tempData.sessionId, ['support']);
+  const data = { phoneNumber: '+1234567890', message: 'Hi' };
+
+  await gateway.sendMessage('test-key', { ...data, deviceTag: 'eu' });
+  await gateway.sendMessage('test-key', { ...data, deviceTag: ['support', 'eu'] });
+  assert.strictEqual(sendCount(eu), 2);
+  assert.strictEqual(sendCount(us), 0);
+  await gateway.sendMessage('test-key', { ...data, deviceTag: 'support' });
+  await gateway.sendMessage('test-key', { ...data, deviceTag: 'support' });
+  assert.strictEqual(sendCount(us), 1);
+
+  await assert.rejects(gateway.sendMessage('test-key', { ...data, deviceTag: 'asia' }),
+    error => error.code === 'DEVICE_NOT_AVAILABLE');
+  assert.strictEqual((await gateway.getDevices('test-key')).length, 2);
+});
+
+// ===== Session Resumption Tests =====
+console.log('\n=== Session Resumption Tests ===\n');
+
+asyncTest('Gateway: Resume a dropped session and re-deliver unanswered commands', async () => {
+  const gateway = createTestGateway({ resume: { gracePeriod: 500 } });
+  const events = [];
+  gateway.on('session:suspended', () => events.push('suspended'));
+  gateway.on('session:resumed', ({ redelivered }) => events.push(`resumed:${redelivered}`));
+  gateway.on('session:disconnected', () => events.push('disconnected'));
+
+  const ws = await connectFakeDevice(gateway);
+  const { sessionId, resumeToken, resumeWindow } = ws.sent.find(m => m.type === 'auth-success');
+  assert.ok(resumeToken);
+  assert.strictEqual(resumeWindow, 500);
+
+  const pending = gateway.sendMessage('test-key', { phoneNumber: '+1234567890', message: 'Hi' });
+  await utils.sleep(5);
+  const { requestId } = ws.sent.find(m => m.type === 'send-message');
+  gateway._handleClose(ws, 1001, Buffer.from('reload'));
+  assert.strictEqual(gateway.getActiveSessions('test-key')[0].suspended, true);
+
+  const again = createFakeSocket();
+  await gateway._handleMessage(again, JSON.stringify({ type: 'auth', apiKey: 'test-key', data: { resumeToken } }));
+  const success = again.sent.find(m => m.type === 'auth-success');
+  assert.strictEqual(success.sessionId, sessionId);
+  assert.strictEqual(success.resumed, true);
+  assert.notStrictEqual(success.resumeToken, resumeToken);
+  assert.strictEqual(again.sent.find(m => m.type === 'send-message').requestId, requestId);
+
+  // The old socket closing late must not suspend the resumed session
+  gateway._handleClose(ws, 1006, Buffer.from(''));
+  await gateway._handleMessage(again, JSON.stringify({ type: 'message-result', requestId, success: true }));
+  assert.strictEqual((await pending).success, true);
+  assert.deepStrictEqual(events, ['suspended', 'resumed:1']);
+  await gateway.stop();
+});
+
+asyncTest('Gateway: Pending sends fail once the resume window expires', async () => {
+  const gateway = createTestGateway({ resume: { gracePeriod: 20 }, requestTimeout: 10 });
+  const ws = await connectFakeDevice(gateway);
+  const { resumeToken } = ws.sent.find(m => m.type === 'auth-success');
+
+  const pending = gateway.sendMessage('test-key', { phoneNumber: '+1234567890', message: 'Hi' });
+  await utils.sleep(1);
+  gateway._handleClose(ws, 1006, Buffer.from(''));
+
+  // Timeouts pause while suspended; only the expired window fails the send
+  await assert.rejects(pending, error => utils.getErrorCode(error) === 'CONNECTION_LOST');
+  assert.strictEqual(gateway.getActiveSessions('test-key').length, 0);
+
+  const again = createFakeSocket();
+  await gateway._handleMessage(again, JSON.stringify({ type: 'auth', apiKey: 'test-key', data: { resumeToken } }));
+  const success = again.sent.find(m => m.type === 'auth-success');
+  assert.strictEqual(success.resumed, undefined);
+
+  // A normal closure ends the session immediately
+  gateway._handleClose(again, 1000, Buffer.from(''));
+  assert.strictEqual(gateway.getActiveSessions('test-key').length, 0);
+});
+
+// ===== Cluster Tests =====
+console.log('\n=== Cluster Tests ===\n');
+
+asyncTest('Gateway: Forward sends to a device on another node', async () => {
+  const adapter = new MemoryClusterAdapter();
+  const nodeA = createTestGateway({ cluster: { adapter, nodeId: 'a' } });
+  const nodeB = createTestGateway({ cluster: { adapter, nodeId: 'b' } });
+  await nodeA.cluster.start();
+  await nodeB.cluster.start();
+
+  const device = await connectAccount(nodeB, '+15550000002');
+  const sessions = await nodeA.getClusterSessions('test-key');
+  assert.deepStrictEqual(sessions.map(s => [s.nodeId, s.deviceActive, s.whatsappNumber]), [['b', true, '+15550000002']]);
+
+  const result = await nodeA.sendMessage('test-key', { phoneNumber: '+1234567890', message: 'Hi', fromNumber: '+15550000002' });
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(sendCount(device), 1);
+  await assert.rejects(nodeA.sendMessage('test-key', { phoneNumber: '+1234567890', message: 'Hi', deviceLabel: 'none' }),
+    error => error.code === 'DEVICE_NOT_AVAILABLE');
+
+  nodeB._handleClose(device, 1000, Buffer.from(''));
+  await utils.sleep(5);
+  assert.strictEqual((await nodeA.getClusterSessions('test-key')).length, 0);
+  await assert.rejects(nodeA.sendMessage('test-key', { phoneNumber: '+1234567890', message: 'Hi' }),
+    error => error.code === 'NO_ACTIVE_DEVICE');
+
+  await nodeA.cluster.stop();
+  await nodeB.cluster.stop();
+});
+
+asyncTest('Cluster: Forwarded errors come back and stale sessions are ignored', async () => {
+  const adapter = new MemoryClusterAdapter();
+  const nodeA = createTestGateway({ cluster: { adapter, nodeId: 'a', staleAfter: 500 } });
+  const nodeB = createTestGateway({ cluster: { adapter, nodeId: 'b' } });
+  await nodeA.cluster.start();
+  await nodeB.cluster.start();
+
+  const ws = await connectFakeDevice(nodeB);
+  const remote = await nodeA.cluster.findRemoteSession('test-key');
+  ws.readyState = 3;
+  await assert.rejects(nodeA.cluster.forward(remote, 'req-1', 'message', '{}', 1),
+    error => error.code === 'CONNECTION_LOST');
+
+  await adapter.setSession({ ...remote, sessionId: 'gone', updatedAt: Date.now() - 1000 });
+  assert.deepStrictEqual((await nodeA.cluster.getSessions('test-key')).map(s => s.sessionId), [remote.sessionId]);
+  assert.strictEqual((await adapter.getSessions('test-key')).length, 1);
+
+  await nodeA.cluster.stop();
+  await nodeB.cluster.stop();
+});
+
+asyncTest('Cluster: Owning node applies limits and pacing and relays receipts', async () => {
+  const adapter = new MemoryClusterAdapter();
+  const statuses = [];
+  const nodeA = createTestGateway({ cluster: { adapter, nodeId: 'a' }, onMessageStatus: status => statuses.push(status.status) });
+  const nodeB = createTestGateway({
+    cluster: { adapter, nodeId: 'b' },
+    pacing: { minDelay: 50, maxDelay: 50, typing: false },
+    rateLimit: { session: { messagesPerMinute: 2 } }
+  });
+  await nodeA.cluster.start();
+  await nodeB.cluster.start();
+
+  const device = await connectFakeDevice(nodeB);
+  const sentAt = [];
+  device.send = (payload) => {
+    const message = JSON.parse(payload);
+    device.sent.push(message);
+    sentAt.push(Date.now());
+    const reply = { type: 'message-result', requestId: message.requestId, success: true, messageId: `wamid.${device.sent.length}` };
+    setImmediate(() => nodeB._handleMessage(device, JSON.stringify(reply)));
+  };
+  const data = { phoneNumber: '+1234567890', message: 'Hi' };
+
+  const [first] = await Promise.all([nodeA.sendMessage('test-key', data), nodeA.sendMessage('test-key', data)]);
+  assert.strictEqual(sendCount(device), 2);
+  assert.ok(sentAt[1] - sentAt[0] >= 45);
+  await assert.rejects(nodeA.sendMessage('test-key', data),
+    error => error.code === 'RATE_LIMITED' && error.retryAfter > 0);
+
+  // Receipts go to the node that tracks the request
+  await nodeB._handleMessage(device, JSON.stringify({ type: 'message-ack', messageId: first.messageId, status: 'read' }));
+  await utils.sleep(5);
+  assert.strictEqual(nodeA.getMessageStatus(first.requestId).status, 'read');
+  assert.ok(statuses.includes('read'));
+
+  await nodeA.cluster.stop();
+  await nodeB.cluster.stop();
+});
+
+// Minimal ioredis stand-in: hashes, and pub/sub between the clients of one server
+function createFakeRedis(server = { hashes: new Map(), clients: new Set() }) {
+  const EventEmitter = require('events');
+  const client = new EventEmitter();
+  client.channels = new Set();
+  server.clients.add(client);
+
+  const hash = key => {
+    if (!server.hashes.has(key)) {
+      server.hashes.set(key, new Map());
+    }
+    return server.hashes.get(key);
+  };
+  client.hset = async (key, field, value) => { hash(key).set(field, value); };
+  client.hdel = async (key, field) => { hash(key).delete(field); };
+  client.hgetall = async key => Object.fromEntries(hash(key));
+  client.publish = async (channel, message) => {
+    server.clients.forEach((other) => {
+      if (other.channels.has(channel)) {
+        setImmediate(() => other.emit('message', channel, message));
+      }
+    });
+  };
+  client.subscribe = async (channel) => { client.channels.add(channel); };
+  client.unsubscribe = async (channel) => { client.channels.delete(channel); };
+  client.duplicate = () => createFakeRedis(server);
+  return client;
+}
+
+asyncTest('Cluster: Redis adapter shares sessions and forwards commands over pub/sub', async () => {
+  assert.throws(() => new RedisClusterAdapter(), /requires a Redis client/);
+
+  const redis = createFakeRedis();
+  const nodeA = createTestGateway({ cluster: { adapter: new RedisClusterAdapter({ client: redis, prefix: 'test:' }), nodeId: 'a' } });
+  const nodeB = createTestGateway({ cluster: { adapter: new RedisClusterAdapter({ client: redis.duplicate(), prefix: 'test:' }), nodeId: 'b' } });
+  await nodeA.cluster.start();
+  await nodeB.cluster.start();
+
+  const device = await connectAccount(nodeB, '+15550000002');
+  await utils.sleep(5);
+  const stored = await redis.hgetall('test:sessions:test-key');
+  assert.strictEqual(JSON.parse(stored[device._tempData.sessionId]).nodeId, 'b');
+
+  // Messages that are not JSON are ignored
+  await redis.publish('test:node:b', 'not json');
+
+  const result = await nodeA.sendMessage('test-key', { phoneNumber: '+1234567890', message: 'Hi' });
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(sendCount(device), 1);
+
+  await nodeB.cluster.stop();
+  assert.deepStrictEqual(await redis.hgetall('test:sessions:test-key'), {});
+  assert.strictEqual(nodeB.cluster.adapter.subscriber.channels.size, 0);
+  await nodeA.cluster.stop();
+});
+
+asyncTest('Storage: Gateway state goes to the configured storage collections', async () => {
+  const storage = new MemoryStorage();
+  const gateway = createTestGateway({ storage, queue: true, deviceSelectionStrategy: 'sticky' });
+  assert.strictEqual(gateway.queue.store, storage.store('queue'));
+  assert.strictEqual(gateway.deviceRegistry.store, storage.store('devices'));
+  assert.strictEqual(gateway.stickyRouter.store, storage.store('sticky-routes'));
+
+  await connectAccount(gateway, '15550001111');
+  const result = await gateway.sendMessage('test-key', { phoneNumber: '+1234567890', message: 'Hi' });
+  await new Promise(resolve => setImmediate(resolve));
+  const log = await gateway.getMessageLog(result.requestId);
+  assert.strictEqual(log.status, 'success');
+  assert.strictEqual(log.phoneNumber, '+1234567890');
+  assert.strictEqual(log.apiKey, utils.sanitizeApiKey('test-key'));
+  assert.notStrictEqual(log.apiKey, 'test-key');
+
+  // Explicit stores win over storage
+  const own = new MemoryStore();
+  assert.strictEqual(createTestGateway({ storage, devices: { store: own } }).deviceRegistry.store, own);
+  assert.strictEqual(await createTestGateway({}).getMessageLog(result.requestId), null);
+});
+
+asyncTest('Storage: File storage keeps one JSON file per collection', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-storage-test-'));
+  try {
+    const storage = createStorage({ type: 'file', directory });
+    assert.ok(storage instanceof FileStorage);
+    await storage.store('devices').set('k', { label: 'Sales' });
+    assert.ok(!fs.existsSync(path.join(directory, 'devices.json'))); // Batched until writeDelay or close()
+    await storage.close();
+    assert.ok(fs.existsSync(path.join(directory, 'devices.json')));
+
+    // Changes within writeDelay go out in one asynchronous write
+    const store = new FileStore(path.join(directory, 'batched.json'), { writeDelay: 20 });
+    await store.set('a', 1);
+    await store.set('b', 2);
+    await store.delete('a');
+    assert.ok(!fs.existsSync(store.filePath));
+    await utils.sleep(60);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(store.filePath, 'utf8')), { b: 2 });
+    await store.set('c', 3);
+    await store.flush();
+    assert.deepStrictEqual(new FileStore(store.filePath).records.get('c'), 3);
+
+    const reloaded = new FileStorage({ directory });
+    assert.deepStrictEqual(await reloaded.store('devices').get('k'), { label: 'Sales' });
+    assert.strictEqual(await reloaded.store('queue').get('k'), null);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+
+  assert.ok(createStorage('memory') instanceof MemoryStorage);
+  assert.strictEqual(createStorage(null), null);
+  assert.throws(() => createStorage({ type: 'redis' }), /Invalid storage type/);
+});
+
+// Stand-in for a better-sqlite3 Database that understands the statements SqliteStorage prepares
+function createFakeSqlite() {
+  const rows = [];
+  const find = (collection, key) => rows.findIndex(row => row.collection === collection && row.key === key);
+  const db = {
+    open: true,
+    schema: null,
+    exec(sql) {
+      db.schema = sql;
+    },
+    prepare(sql) {
+      if (sql.startsWith('SELECT') && sql.includes('AND key')) {
+        return { get: (collection, key) => rows[find(collection, key)] };
+      }
+      if (sql.startsWith('SELECT')) {
+        return { all: collection => rows.filter(row => row.collection === collection) };
+      }
+      if (sql.startsWith('INSERT')) {
+        return {
+          run: (collection, key, value) => {
+            const index = find(collection, key);
+            if (index === -1) {
+              rows.push({ collection, key, value });
+            } else {
+              rows[index].value = value;
+            }
+            return { changes: 1 };
+          }
+        };
+      }
+      return {
+        run: (collection, key) => {
+          const index = find(collection, key);
+          if (index !== -1) {
+            rows.splice(index, 1);
+          }
+          return { changes: index === -1 ? 0 : 1 };
+        }
+      };
+    },
+    close() {
+      db.open = false;
+    }
+  };
+  return { db, rows };
+}
+
+asyncTest('Storage: SQLite storage keeps collections in one table and closes on stop', async () => {
+  const { db, rows } = createFakeSqlite();
+  const storage = createStorage({ type: 'sqlite', database: db, table: 'records' });
+  assert.ok(storage instanceof SqliteStorage);
+  assert.ok(db.schema.includes('CREATE TABLE IF NOT EXISTS records'));
+  assert.strictEqual(storage.store('devices'), storage.store('devices'));
+
+  await storage.store('devices').set('k', { label: 'Sales' });
+  await storage.store('devices').set('k', { label: 'Support' });
+  await storage.store('queue').set('k', { state: 'queued' });
+  assert.deepStrictEqual(await storage.store('devices').get('k'), { label: 'Support' });
+  assert.deepStrictEqual(await storage.store('devices').values(), [{ label: 'Support' }]);
+  assert.strictEqual(rows.length, 2);
+
+  await storage.store('devices').delete('k');
+  assert.strictEqual(await storage.store('devices').get('k'), null);
+  assert.deepStrictEqual(await storage.store('queue').get('k'), { state: 'queued' });
+  assert.throws(() => new SqliteStorage({ database: createFakeSqlite().db, table: 'x; DROP' }), /Invalid SQLite table name/);
+
+  const gateway = createTestGateway({ storage, server: require('http').createServer() });
+  await gateway.start();
+  await gateway.stop();
+  assert.strictEqual(db.open, false);
+});
+
+asyncTest('MessageLog: Old and excess entries are pruned', async () => {
+  const log = new MessageLog({ maxAge: 60000, maxEntries: 2 });
+  const now = Date.now();
+  await log.add({ requestId: 'old', apiKey: 'key-123456789', timestamp: now - 120000 });
+  for (const requestId of ['a', 'b', 'c']) {
+    await log.add({ requestId, apiKey: 'key-123456789', timestamp: now });
+  }
+  assert.strictEqual((await log.get('a')).apiKey, 'key-1234***');
+
+  assert.strictEqual(await log.prune(), 2);
+  assert.strictEqual(await log.get('old'), null);
+  assert.strictEqual((await log.store.values()).length, 2);
+
+  // Pruned while adding once pruneInterval has passed
+  const running = new MessageLog({ maxEntries: 1, pruneInterval: 1 });
+  await running.add({ requestId: 'a', timestamp: now - 1 });
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await running.add({ requestId: 'b', timestamp: now });
+  await new Promise(resolve => setTimeout(resolve, 5));
+  assert.strictEqual(await running.get('a'), null);
+  assert.ok(await running.get('b'));
+});
+
+asyncTest('Gateway: Duplicate idempotency keys return the original result', async () => {
+  const gateway = createTestGateway();
+  const ws = await connectAccount(gateway, '15550001111');
+  const data = { phoneNumber: '+1234567890', message: 'Hi', idempotencyKey: 'order-1' };
+
+  const [first, concurrent] = await Promise.all([
+    gateway.sendMessage('test-key', data),
+    gateway.sendMessage('test-key', data)
+  ]);
+  const later = await gateway.sendMessage('test-key', data);
+  assert.strictEqual(sendCount(ws), 1);
+  assert.strictEqual(concurrent.requestId, first.requestId);
+  assert.strictEqual(later.requestId, first.requestId);
+  assert.strictEqual(ws.sent.find(m => m.type === 'send-message').data.idempotencyKey, 'order-1');
+
+  // Failures are not remembered
+  ws.readyState = 3;
+  const failed = { ...data, idempotencyKey: 'order-2' };
+  await assert.rejects(gateway.sendMessage('test-key', failed));
+  ws.readyState = 1;
+  await gateway.sendMessage('test-key', failed);
+  assert.strictEqual(sendCount(ws), 2);
+
+  await assert.rejects(gateway.sendMessage('test-key', { ...data, idempotencyKey: ' ' }),
+    error => error.code === 'VALIDATION_ERROR');
+
+  // A key reused for another message is rejected, in flight or stored
+  await assert.rejects(gateway.sendMessage('test-key', { ...data, message: 'Other' }),
+    error => error.code === 'VALIDATION_ERROR' && error.details.idempotencyKey === 'order-1');
+  const inFlight = gateway.sendMessage('test-key', { ...data, idempotencyKey: 'order-3' });
+  await assert.rejects(gateway.sendImage('test-key', { ...data, idempotencyKey: 'order-3', imageDataUrl: 'data:image/png;base64,AA==' }),
+    error => error.code === 'VALIDATION_ERROR');
+  await inFlight;
+  assert.strictEqual(sendCount(ws), 3);
+
+  const router = createRestRouter(gateway);
+  const response = await callRouter(router, {
+    method: 'POST',
+    url: '/send-message',
+    headers: { 'x-api-key': 'test-key', 'idempotency-key': 'order-1' },
+    body: { phoneNumber: '+1234567890', message: 'Hi' }
+  });
+  assert.strictEqual(response.body.result.requestId, first.requestId);
+  assert.strictEqual(sendCount(ws), 3);
+});
+
+asyncTest('IdempotencyCache: Expired results are pruned while running', async () => {
+  const cache = new IdempotencyCache({ ttl: 20, pruneInterval: 1 });
+  const send = async () => ({ success: true });
+  await cache.run('k', 'a', { message: 'a' }, send);
+  await utils.sleep(25);
+  await cache.run('k', 'b', { message: 'b' }, send);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepStrictEqual((await cache.store.values()).map(record => record.key), ['b']);
+});
+
+asyncTest('Gateway: Bulk send fills placeholders and reports progress', async () => {
+  const logs = [];
+  const gateway = createTestGateway({ onMessageLog: log => logs.push(log) });
+  const first = await connectAccount(gateway, '15550001111');
+  const second = await connectAccount(gateway, '15550002222');
+  const completed = new Promise(resolve => gateway.once('bulk:completed', resolve));
+
+  const job = await gateway.sendBulk('test-key', [
+    { phoneNumber: '+1000000001', name: 'Ann' },
+    { phoneNumber: '+1000000002', name: 'Bob' },
+    '+1000000003'
+  ], { message: 'Hi {{name}}' });
+  assert.strictEqual(job.state, 'running');
+  assert.strictEqual(job.total, 3);
+
+  const done = await completed;
+  assert.strictEqual(done.state, 'completed');
+  assert.deepStrictEqual(done.counts, { pending: 0, sent: 2, queued: 0, failed: 1, cancelled: 0 });
+  assert.ok(/Missing value for \{\{name\}\}/.test(done.results[2].error));
+  assert.strictEqual(sendCount(first), 1);
+  assert.strictEqual(sendCount(second), 1);
+  assert.deepStrictEqual(first.sent.concat(second.sent).filter(m => m.type === 'send-message').map(m => m.data.message).sort(), ['Hi Ann', 'Hi Bob']);
+
+  assert.strictEqual(logs.length, 3);
+  assert.ok(logs.every(log => log.jobId === job.jobId));
+  assert.deepStrictEqual(gateway.getBulkJob(job.jobId).counts, done.counts);
+
+  await assert.rejects(gateway.sendBulk('test-key', [], { message: 'Hi' }), error => error.code === 'VALIDATION_ERROR');
+});
+
+asyncTest('Gateway: Bulk send URL-encodes values filled into media URLs', async () => {
+  const http = require('http');
+  const png = Buffer.concat([Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]), Buffer.alloc(32)]);
+  const paths = [];
+  const server = http.createServer((req, res) => {
+    paths.push(req.url);
+    res.writeHead(200, { 'Content-Type': 'image/png' });
+    res.end(png);
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  const base = `http://localhost:${server.address().port}`;
+
+  const gateway = createTestGateway();
+  await connectAccount(gateway, '15550001111');
+  const runJob = async (recipients, message) => {
+    const completed = new Promise(resolve => gateway.once('bulk:completed', resolve));
+    await gateway.sendBulk('test-key', recipients, { type: 'image', ...message });
+    return completed;
+  };
+
+  try {
+    let done = await runJob([{ phoneNumber: '+1000000001', file: 'a b&c?d#e' }], { imageUrl: `${base}/img/{{file}}.png` });
+    assert.strictEqual(done.counts.sent, 1);
+    assert.deepStrictEqual(paths, ['/img/a%20b%26c%3Fd%23e.png']);
+
+    done = await runJob([{ phoneNumber: '+1000000001', url: `${base}/full.png?sig=1&x=2` }], { imageUrl: '{{url}}' });
+    assert.strictEqual(done.counts.sent, 1);
+    assert.strictEqual(paths[1], '/full.png?sig=1&x=2');
+  } finally {
+    server.close();
+  }
+});
+
+asyncTest('Gateway: Bulk jobs can be paused, resumed and cancelled', async () => {
+  const gateway = createTestGateway();
+  await connectAccount(gateway, '15550001111');
+  const recipients = ['+1000000001', '+1000000002', '+1000000003', '+1000000004'];
+
+  let job = await gateway.sendBulk('test-key', recipients, { message: 'Hi' }, { concurrency: 1 });
+  assert.strictEqual(gateway.pauseBulkJob(job.jobId), true);
+  await new Promise(resolve => gateway.once('bulk:progress', resolve));
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.strictEqual(gateway.getBulkJob(job.jobId).state, 'paused');
+  assert.strictEqual(gateway.getBulkJob(job.jobId).counts.sent, 1);
+
+  const completed = new Promise(resolve => gateway.once('bulk:completed', resolve));
+  assert.strictEqual(gateway.resumeBulkJob(job.jobId), true);
+  await new Promise(resolve => gateway.once('bulk:progress', resolve));
+  assert.strictEqual(gateway.cancelBulkJob(job.jobId), true);
+
+  job = await completed;
+  assert.strictEqual(job.state, 'cancelled');
+  assert.deepStrictEqual(job.counts, { pending: 0, sent: 2, queued: 0, failed: 0, cancelled: 2 });
+  assert.strictEqual(gateway.cancelBulkJob(job.jobId), false);
+});
+
+// ===== Template Tests =====
+console.log('\n=== Template Tests ===\n');
+
+test('TemplateRegistry: Render variables, formatting and locales', () => {
+  const templates = new TemplateRegistry();
+  templates.register('shipped', {
+    text: 'Hi {{name|bold}}, order {{orderId}} shipped{{note}}',
+    locales: { es: { text: 'Hola {{name|bold}}, pedido {{orderId}} enviado' } },
+    variables: { name: {}, orderId: { type: 'string', pattern: '^\\d+$' }, note: { required: false } }
+  });
+
+  assert.deepStrictEqual(templates.render('shipped', { name: 'Ann', orderId: '42' }),
+    { type: 'message', message: 'Hi *Ann*, order 42 shipped' });
+  assert.strictEqual(templates.render('shipped', { name: 'Ana', orderId: '42' }, 'es-MX').message, 'Hola *Ana*, pedido 42 enviado');
+  assert.strictEqual(templates.render('shipped', { name: 'Ann', orderId: '42' }, 'fr').message, 'Hi *Ann*, order 42 shipped');
+
+  const renderError = (vars, name = 'shipped') => {
+    try {
+      templates.render(name, vars);
+    } catch (error) {
+      return error.code;
+    }
+    return null;
+  };
+  assert.strictEqual(renderError({ orderId: '42' }), 'VALIDATION_ERROR');
+  assert.strictEqual(renderError({ name: 'Ann', orderId: 'abc' }), 'VALIDATION_ERROR');
+  assert.strictEqual(renderError({ name: { first: 'Ann' }, orderId: '42' }), 'VALIDATION_ERROR');
+  assert.strictEqual(renderError({}, 'missing'), 'VALIDATION_ERROR');
+
+  templates.register('invoice', {
+    text: 'Invoice {{number}}',
+    media: { type: 'document', url: 'https://example.com/{{number}}.pdf', documentName: '{{number}}.pdf' }
+  });
+  assert.deepStrictEqual(templates.render('invoice', { number: 7 }), {
+    type: 'document',
+    documentUrl: 'https://example.com/7.pdf',
+    documentName: '7.pdf',
+    caption: 'Invoice 7'
+  });
+
+  // Values cannot change the URL's host or path
+  const spoofed = templates.render('invoice', { number: '@evil.example/x?a=1#' });
+  assert.strictEqual(spoofed.documentUrl, 'https://example.com/%40evil.example%2Fx%3Fa%3D1%23.pdf');
+  assert.strictEqual(new URL(spoofed.documentUrl).host, 'example.com');
+  assert.strictEqual(spoofed.documentName, '@evil.example/x?a=1#.pdf');
+
+  assert.throws(() => templates.register('bad', { text: '{{x|shout}}' }), /unknown filter/);
+  assert.throws(() => templates.register('bad', { text: '{{x}}', variables: ['y'] }), /undeclared variable/);
+  assert.throws(() => templates.register('bad', { media: { type: 'audio', url: 'x' } }), /media type/);
+});
+
+asyncTest('Gateway: Send templates and reject bad variables before sending', async () => {
+  const gateway = createTestGateway({ templates: { welcome: { text: 'Welcome {{name}}' } } });
+  const ws = await connectAccount(gateway, '15550001111');
+
+  const result = await gateway.sendTemplate('test-key', '+1234567890', 'welcome', { name: 'Ann' });
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(ws.sent.find(m => m.type === 'send-message').data.message, 'Welcome Ann');
+
+  await assert.rejects(gateway.sendTemplate('test-key', '+1234567890', 'welcome', {}),
+    error => error.code === 'VALIDATION_ERROR');
+  assert.strictEqual(sendCount(ws), 1);
+
+  const router = createRestRouter(gateway);
+  const response = await callRouter(router, {
+    method: 'POST',
+    url: '/send-template',
+    headers: { 'x-api-key': 'test-key' },
+    body: { phoneNumber: '+1234567890', template: 'welcome', variables: {} }
+  });
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(sendCount(ws), 1);
+});
+
+// ===== Schedule Tests =====
+console.log('\n=== Schedule Tests ===\n');
+
+test('Scheduler: Next cron time in a time zone', () => {
+  const weekdays9 = parseCron('0 9 * * 1-5');
+  // Friday 2024-03-08 10:00 in New York (EST, UTC-5) -> Monday 09:00
+  assert.strictEqual(new Date(nextCronTime(weekdays9, Date.UTC(2024, 2, 8, 15), 'America/New_York')).toISOString(),
+    '2024-03-11T13:00:00.000Z'); // After the DST change: EDT, UTC-4
+  assert.strictEqual(new Date(nextCronTime(parseCron('*/15 * * * *'), Date.UTC(2024, 0, 1, 0, 7), 'UTC')).toISOString(),
+    '2024-01-01T00:15:00.000Z');
+  assert.strictEqual(new Date(zonedTimeToTimestamp({ year: 2024, month: 7, day: 1, hour: 9, minute: 0 }, 'Europe/Madrid')).toISOString(),
+    '2024-07-01T07:00:00.000Z');
+
+  assert.throws(() => parseCron('0 9 * *'), error => error.code === 'VALIDATION_ERROR');
+  assert.throws(() => parseCron('61 * * * *'), error => error.code === 'VALIDATION_ERROR');
+});
+
+asyncTest('Gateway: Scheduled messages are sent through the send path', async () => {
+  const gateway = createTestGateway();
+  const ws = await connectAccount(gateway, '15550001111');
+  await gateway.scheduler.start();
+
+  const ran = new Promise(resolve => gateway.once('schedule:run', resolve));
+  const schedule = await gateway.scheduleMessage('test-key', { phoneNumber: '+1234567890', message: 'Reminder' }, { at: Date.now() + 20 });
+  assert.strictEqual(schedule.state, 'scheduled');
+
+  const run = await ran;
+  assert.strictEqual(run.success, true);
+  assert.strictEqual(ws.sent.find(m => m.type === 'send-message').data.message, 'Reminder');
+  assert.strictEqual((await gateway.getScheduledMessage(schedule.scheduleId)).state, 'completed');
+
+  const cron = await gateway.scheduleMessage('test-key', { phoneNumber: '+1234567890', message: 'Daily' },
+    { cron: '0 9 * * *', timezone: 'Asia/Tokyo' });
+  assert.ok(cron.nextRunAt > Date.now());
+  const moved = await gateway.rescheduleMessage(cron.scheduleId, { at: '2099-01-01T09:00', timezone: 'UTC' });
+  assert.strictEqual(moved.nextRunAt, Date.UTC(2099, 0, 1, 9));
+  assert.strictEqual(moved.cron, undefined);
+  assert.strictEqual(await gateway.cancelScheduledMessage(cron.scheduleId), true);
+  assert.deepStrictEqual((await gateway.getScheduledMessages('test-key', 'cancelled')).map(s => s.scheduleId), [cron.scheduleId]);
+
+  const rejects = options => assert.rejects(
+    gateway.scheduleMessage('test-key', { phoneNumber: '+1234567890', message: 'Hi' }, options),
+    error => error.code === 'VALIDATION_ERROR');
+  await rejects({ at: Date.now() - 1000 });
+  await rejects({ cron: '* * *' });
+  await rejects({ at: Date.now() + 1000, timezone: 'Mars/Olympus' });
+  await assert.rejects(gateway.scheduleMessage('test-key', { message: 'Hi' }, { at: Date.now() + 1000 }),
+    error => error.code === 'VALIDATION_ERROR');
+
+  // Every cron run sends, even with an idempotencyKey
+  const ticking = await gateway.scheduleMessage('test-key', { phoneNumber: '+1234567890', message: 'Tick', idempotencyKey: 'tick' },
+    { cron: '* * * * *' });
+  for (const ago of [2000, 1000]) {
+    const stored = await gateway.scheduler.store.get(ticking.scheduleId);
+    await gateway.scheduler.store.set(ticking.scheduleId, { ...stored, nextRunAt: Date.now() - ago });
+    await gateway.scheduler._run(ticking.scheduleId, false);
+  }
+  const keys = ws.sent.filter(m => m.data && m.data.message === 'Tick').map(m => m.data.idempotencyKey);
+  assert.strictEqual(keys.length, 2);
+  assert.ok(keys[0] !== keys[1] && keys.every(key => key.startsWith('tick:')));
+  gateway.scheduler.stop();
+});
+
+asyncTest('Gateway: Schedules missed while stopped are sent late or skipped', async () => {
+  const store = new MemoryStore();
+  const past = Date.now() - 60000;
+  const base = { apiKey: 'test-key', data: { type: 'message', phoneNumber: '+1234567890', message: 'Hi' }, timezone: 'UTC', state: 'scheduled', runs: 0, lastRun: null };
+  await store.set('late', { ...base, scheduleId: 'late', at: past, nextRunAt: past, missed: 'send' });
+  await store.set('skipped', { ...base, scheduleId: 'skipped', at: past, nextRunAt: past, missed: 'skip' });
+  await store.set('daily', { ...base, scheduleId: 'daily', cron: '0 9 * * *', nextRunAt: past, missed: 'skip' });
+
+  // Missed runs fire from gateway.start(), before any extension can connect
+  const gateway = createTestGateway({ schedule: { store }, server: require('http').createServer() });
+  await gateway.start();
+  await utils.sleep(20);
+  assert.strictEqual((await store.get('late')).state, 'scheduled');
+  assert.strictEqual((await store.get('skipped')).state, 'missed');
+  assert.ok((await store.get('daily')).nextRunAt > Date.now());
+
+  // Sent once a device of the key is active
+  const ran = new Promise(resolve => gateway.once('schedule:run', resolve));
+  const ws = await connectAccount(gateway, '15550001111');
+  const run = await ran;
+  assert.strictEqual(run.scheduleId, 'late');
+  assert.strictEqual(run.late, true);
+  assert.strictEqual(run.success, true);
+  assert.strictEqual(sendCount(ws), 1);
+  assert.strictEqual((await store.get('late')).state, 'completed');
+  await gateway.stop();
+});
+
+// ===== Media Tests =====
+console.log('\n=== Media Tests ===\n');
+
+asyncTest('Gateway: Media type comes from the content and HTML images are rejected', async () => {
+  const http = require('http');
+  const png = Buffer.concat([Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]), Buffer.alloc(32)]);
+  const server = http.createServer((req, res) => {
+    if (req.url === '/login.jpg') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end('<!doctype html><title>Sign in</title>');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+    res.end(png);
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  const base = `http://localhost:${server.address().port}`;
+
+  const gateway = createTestGateway();
+  const ws = await connectAccount(gateway, '+15550001111');
+
+  try {
+    const result = await gateway.sendImage('test-key', { phoneNumber: '+1234567890', imageUrl: `${base}/files/abc?sig=1` });
+    assert.strictEqual(result.mimeType, 'image/png');
+    assert.ok(ws.sent.find(m => m.type === 'send-image').data.imageDataUrl.startsWith('data:image/png;base64,'));
+
+    await assert.rejects(
+      gateway.sendImage('test-key', { phoneNumber: '+1234567890', imageUrl: `${base}/login.jpg` }),
+      error => error.code === 'UNSUPPORTED_MEDIA_TYPE' && error.details.mimeType === 'text/html'
+    );
+    assert.strictEqual(ws.sent.filter(m => m.type === 'send-image').length, 1);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+asyncTest('Gateway: Media downloads follow redirects with auth, limits and timeouts', async () => {
+  const http = require('http');
+  const png = Buffer.concat([Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]), Buffer.alloc(32)]);
+  const seenAuth = {};
+  const server = http.createServer((req, res) => {
+    const port = server.address().port;
+    seenAuth[req.url] = req.headers.authorization || null;
+    if (req.url === '/old') {
+      res.writeHead(302, { Location: '/private' });
+      res.end();
+    } else if (req.url === '/private') {
+      res.writeHead(req.headers.authorization === 'Bearer secret' ? 200 : 401);
+      res.end(png);
+    } else if (req.url === '/elsewhere') {
+      res.writeHead(301, { Location: `http://127.0.0.1:${port}/public` });
+      res.end();
+    } else if (req.url === '/loop') {
+      res.writeHead(302, { Location: '/loop' });
+      res.end();
+    } else if (req.url === '/huge') {
+      res.writeHead(200, { 'Content-Length': 5000 });
+      res.write(png);
+    } else if (req.url === '/slow') {
+      res.writeHead(200);
+      res.write(png.subarray(0, 4));
+    } else {
+      res.end(png);
+    }
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  const base = `http://localhost:${server.address().port}`;
+
+  const gateway = createTestGateway({ media: { maxSize: { image: 1000 }, timeout: 300, maxRedirects: 2 } });
+  await connectAccount(gateway, '+15550001111');
+  const sendImage = (path, extra = {}) => gateway.sendImage('test-key', { phoneNumber: '+1234567890', imageUrl: `${base}${path}`, ...extra });
+  const failsWith = (promise, code) => assert.rejects(promise, error => error.code === code);
+
+  try {
+    const result = await sendImage('/old', { mediaAuth: { token: 'secret' } });
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.mimeType, 'image/png');
+
+    // Credentials stay on the origin they were given for
+    await sendImage('/elsewhere', { mediaAuth: { username: 'ann', password: 'pw' } });
+    assert.ok(seenAuth['/elsewhere'].startsWith('Basic '));
+    assert.strictEqual(seenAuth['/public'], null);
+
+    await failsWith(sendImage('/loop'), 'FETCH_ERROR');
+    await failsWith(sendImage('/huge'), 'FILE_TOO_LARGE');
+    await failsWith(sendImage('/slow'), 'FETCH_ERROR');
+    await failsWith(sendImage('/private', { mediaAuth: { token: 42 } }), 'VALIDATION_ERROR');
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+asyncTest('Gateway: Stream media URLs in acknowledged chunks', async () => {
+  const http = require('http');
+  const crypto = require('crypto');
+  const file = crypto.randomBytes(10000);
+  const server = http.createServer((req, res) => {
+    if (req.url === '/report.pdf') {
+      res.write(file); // No Content-Length: the size limit is only hit while streaming
+    }
+    res.end(file);
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+
+  const gateway = createTestGateway({ mediaStreaming: { chunkSize: 4096, window: 2, maxSize: { document: 15000 } } });
+  const progress = [];
+  gateway.on('media:progress', event => progress.push(event.bytesSent));
+
+  const ws = createFakeSocket();
+  const received = [];
+  let unacked = 0;
+  let maxUnacked = 0;
+  const reply = message => setImmediate(() => gateway._handleMessage(ws, JSON.stringify(message)));
+  ws.send = (frame) => {
+    if (Buffer.isBuffer(frame)) {
+      const chunk = protocol.decodeMediaChunk(frame);
+      received.push(chunk.payload);
+      maxUnacked = Math.max(maxUnacked, ++unacked);
+      setTimeout(() => {
+        unacked--;
+        reply({ type: 'media-ack', mediaId: chunk.mediaId, seq: chunk.seq });
+      }, 5);
+      return;
+    }
+    const message = JSON.parse(frame);
+    ws.sent.push(message);
+    if (message.type === 'media-end') {
+      const sha256 = crypto.createHash('sha256').update(Buffer.concat(received)).digest('hex');
+      reply(sha256 === message.sha256
+        ? { type: 'media-ack', mediaId: message.mediaId, complete: true }
+        : { type: 'media-ack', mediaId: message.mediaId, error: 'Checksum mismatch' });
+    } else if (message.type === 'send-image') {
+      reply({ type: 'message-result', requestId: message.requestId, success: true, messageId: 'm1' });
+    }
+  };
+  await gateway._handleMessage(ws, JSON.stringify({ type: 'auth', apiKey: 'test-key', data: { mediaStreaming: true } }));
+  await gateway._handleMessage(ws, JSON.stringify({ type: 'status', data: { whatsappLoggedIn: true, ready: true } }));
+
+  try {
+    const result = await gateway.sendImage('test-key', {
+      phoneNumber: '+1234567890',
+      imageUrl: `http://localhost:${server.address().port}/photo.png`
+    });
+    assert.strictEqual(result.success, true);
+
+    const begin = ws.sent.find(m => m.type === 'media-begin');
+    assert.strictEqual(begin.mimeType, 'image/png');
+    assert.strictEqual(begin.size, 10000);
+    assert.strictEqual(received.length, 3);
+    assert.ok(maxUnacked <= 2);
+    assert.deepStrictEqual(progress, [4096, 8192, 10000]);
+
+    const command = ws.sent.find(m => m.type === 'send-image');
+    assert.strictEqual(command.data.imageDataUrl, undefined);
+    assert.strictEqual(command.data.media.mediaId, begin.mediaId);
+    assert.strictEqual(command.data.media.size, 10000);
+
+    // A transfer the gateway gives up on after media-begin is aborted on the extension
+    await assert.rejects(gateway.sendDocument('test-key', {
+      phoneNumber: '+1234567890',
+      documentUrl: `http://localhost:${server.address().port}/report.pdf`,
+      documentName: 'report.pdf'
+    }), error => error.code === 'FILE_TOO_LARGE');
+    const aborted = ws.sent.filter(m => m.type === 'media-begin')[1];
+    const abort = ws.sent.find(m => m.type === 'media-abort');
+    assert.strictEqual(abort.mediaId, aborted.mediaId);
+    assert.strictEqual(abort.error.code, ERROR_CODES.FILE_TOO_LARGE);
+    assert.strictEqual(ws.sent.filter(m => m.type === 'media-end').length, 1);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
 // ===== Run Async Tests =====
 (async () => {
   // Wait for async tests to complete
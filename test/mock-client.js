@@ -156,6 +156,7 @@ class MockWhatsAppClient {
       type: 'message-result',
       requestId,
       success,
+      messageId: success ? `mock-${requestId}` : null,
       error,
       timestamp: Date.now()
     };
@@ -163,6 +164,20 @@ class MockWhatsAppClient {
     this.send(resultMessage);
   }
 
+  /**
+   * Send delivery/read receipt for a sent message
+   */
+  sendMessageAck(messageId, status) {
+    console.log(`✔️  Sending ${status} ack for ${messageId.substring(0, 13)}...`);
+
+    this.send({
+      type: 'message-ack',
+      messageId,
+      status,
+      timestamp: Date.now()
+    });
+  }
+
   /**
    * Handle incoming message from gateway
    */